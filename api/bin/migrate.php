@@ -8,7 +8,10 @@ declare(strict_types=1);
  * One-shot migration + seed script.
  * - Loads Composer autoload and optional .env
  * - Ensures DB schema is applied (exec schema.sql)
+ * - Upgrades databases created by an older schema.sql: adds the columns added since (SQLite)
+ *   and rebuilds vacation_requests when its status CHECK predates the newer statuses
  * - Seeds a default manager user iff the users table is empty
+ * - Seeds the default leave types iff the leave_types table is empty
  *
  * Usage:
  *   php bin/migrate.php
@@ -158,6 +161,103 @@ function apply_schema(PDO $pdo, string $path): void
     }
 }
 
+/**
+ * Columns added to tables that already existed, oldest first: [table, column, definition].
+ * CREATE TABLE IF NOT EXISTS leaves an older table as it was, so these are added one by one.
+ * Each definition must be valid for ALTER TABLE … ADD COLUMN (constant or NULL default, no UNIQUE).
+ */
+const ADDED_COLUMNS = [
+    ['users', 'annual_allowance', 'INTEGER NOT NULL DEFAULT 20 CHECK (annual_allowance >= 0)'],
+    ['vacation_requests', 'working_days', 'REAL NOT NULL DEFAULT 0'],
+    ['vacation_requests', 'edited_at', 'DATETIME NULL'],
+    ['vacation_requests', 'decided_by', 'INTEGER NULL REFERENCES users(id) ON DELETE SET NULL'],
+    ['vacation_requests', 'decision_comment', 'TEXT NULL'],
+    ['vacation_requests', 'leave_type_id', 'INTEGER NULL REFERENCES leave_types(id)'],
+    ['vacation_requests', 'start_half', "TEXT NULL CHECK (start_half IN ('am','pm'))"],
+    ['vacation_requests', 'end_half', "TEXT NULL CHECK (end_half IN ('am','pm'))"],
+    ['users', 'team_id', 'INTEGER NULL REFERENCES teams(id) ON DELETE SET NULL'],
+    ['notification_prefs', 'email_awaiting', 'INTEGER NOT NULL DEFAULT 1'],
+    ['vacation_requests', 'decided_for', 'INTEGER NULL REFERENCES users(id) ON DELETE SET NULL'],
+    ['request_status_history', 'on_behalf_of', 'INTEGER NULL REFERENCES users(id) ON DELETE SET NULL'],
+    ['audit_log', 'on_behalf_of_id', 'INTEGER NULL REFERENCES users(id) ON DELETE SET NULL'],
+    ['audit_log', 'on_behalf_of_name', 'TEXT NULL'],
+    ['request_approvals', 'decided_for', 'INTEGER NULL REFERENCES users(id) ON DELETE SET NULL'],
+];
+
+/**
+ * table_columns
+ * Column names of a table (empty when the table does not exist).
+ *
+ * @param PDO    $pdo   Database connection.
+ * @param string $table Table name (from ADDED_COLUMNS, never user input).
+ *
+ * @return list<string>
+ */
+function table_columns(PDO $pdo, string $table): array
+{
+    return array_column($pdo->query('PRAGMA table_info(' . $table . ')')->fetchAll(PDO::FETCH_ASSOC), 'name');
+}
+
+/**
+ * add_missing_columns
+ * Add every column of ADDED_COLUMNS its table does not have yet; running it again changes nothing.
+ *
+ * @param PDO $pdo Database connection.
+ */
+function add_missing_columns(PDO $pdo): void
+{
+    $added = [];
+    foreach (ADDED_COLUMNS as [$table, $column, $definition]) {
+        if (!in_array($column, table_columns($pdo, $table), true)) { // If the table predates the column, add it.
+            $pdo->exec('ALTER TABLE ' . $table . ' ADD COLUMN ' . $column . ' ' . $definition);
+            $added[] = $table . '.' . $column;
+        }
+    }
+
+    out($added ? 'Added columns: ' . implode(', ', $added) : 'All columns present.');
+}
+
+/**
+ * rebuild_requests_if_outdated
+ * Recreate vacation_requests from schema.sql when its status CHECK still refuses the newer statuses
+ * (withdrawn, cancellation_requested, cancelled). SQLite cannot alter a CHECK, so the rows are copied
+ * into a new table that then takes the old one's name; ids are kept, so other tables still match.
+ *
+ * @param PDO    $pdo  Database connection.
+ * @param string $path Absolute path to schema.sql.
+ */
+function rebuild_requests_if_outdated(PDO $pdo, string $path): void
+{
+    $sql = (string)$pdo->query('SELECT sql FROM sqlite_master WHERE type = "table" AND name = "vacation_requests"')->fetchColumn();
+    if (str_contains($sql, 'cancellation_requested')) { // If the CHECK already allows every status, nothing to do.
+        out('Request statuses up to date.');
+        return;
+    }
+
+    if (!preg_match('/CREATE TABLE IF NOT EXISTS vacation_requests\s*\((.*?)\);/s', (string)file_get_contents($path), $m)) {
+        throw new RuntimeException('vacation_requests not found in ' . $path);
+    }
+    $columns = implode(', ', table_columns($pdo, 'vacation_requests')); // After add_missing_columns(), all of them.
+
+    $fk = (int)$pdo->query('PRAGMA foreign_keys')->fetchColumn();
+    $pdo->exec('PRAGMA foreign_keys = OFF'); // Dropping the old table must not cascade to history, steps or files.
+    $pdo->beginTransaction();
+    try {
+        $pdo->exec('CREATE TABLE vacation_requests_new (' . $m[1] . ')');
+        $pdo->exec('INSERT INTO vacation_requests_new (' . $columns . ') SELECT ' . $columns . ' FROM vacation_requests');
+        $pdo->exec('DROP TABLE vacation_requests');
+        $pdo->exec('ALTER TABLE vacation_requests_new RENAME TO vacation_requests');
+        $pdo->commit();
+    } catch (Throwable $e) { // If any step fails, keep the old table as it was.
+        $pdo->rollBack();
+        throw $e;
+    } finally { // Put foreign key enforcement back the way it was.
+        $pdo->exec('PRAGMA foreign_keys = ' . $fk);
+    }
+
+    out('Rebuilt vacation_requests with the current status list.');
+}
+
 /**
  * users_count
  * Count rows in the users table.
@@ -230,6 +330,37 @@ function seed_manager_if_empty(PDO $pdo): void
     }
 }
 
+/**
+ * seed_leave_types_if_empty
+ * Insert the standard leave types (managers can edit or archive them later).
+ * Columns: name, color, counts_allowance, needs_attachment, needs_approval.
+ *
+ * @param PDO $pdo Database connection.
+ */
+function seed_leave_types_if_empty(PDO $pdo): void
+{
+    if ((int)$pdo->query('SELECT COUNT(*) FROM leave_types')->fetchColumn() > 0) { // If types exist, leave them alone.
+        out('Leave types already present; no seed needed.');
+        return;
+    }
+
+    $types = [
+        ['Annual leave', '#3F634D', 1, 0, 1],
+        ['Sick leave', '#E0433B', 0, 1, 0],
+        ['Unpaid leave', '#8A8A8A', 0, 0, 1],
+        ['Parental leave', '#3B6BD6', 0, 1, 1],
+    ];
+    $ins = $pdo->prepare(
+        'INSERT INTO leave_types (name, color, counts_allowance, needs_attachment, needs_approval, created_at)
+         VALUES (?, ?, ?, ?, ?, datetime("now"))'
+    );
+    foreach ($types as $type) {
+        $ins->execute($type);
+    }
+
+    out('Seeded leave types: ' . implode(', ', array_column($types, 0)));
+}
+
 // -----------------------------------------------------------------------------
 // Run
 // -----------------------------------------------------------------------------
@@ -246,9 +377,16 @@ try {
     apply_schema($pdo, $schemaFile);
     out('Schema applied.');
 
+    out('Upgrading tables from older schemas (if needed)…');
+    add_missing_columns($pdo);
+    rebuild_requests_if_outdated($pdo, $schemaFile);
+
     out('Seeding default manager (if needed)…');
     seed_manager_if_empty($pdo);
 
+    out('Seeding leave types (if needed)…');
+    seed_leave_types_if_empty($pdo);
+
     out('Migration done.');
     exit(0);
 
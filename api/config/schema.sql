@@ -5,6 +5,31 @@ CREATE TABLE IF NOT EXISTS users (
   employee_code TEXT NOT NULL UNIQUE,
   role TEXT NOT NULL CHECK (role IN ('manager','employee')),
   password_hash TEXT NOT NULL,
+  annual_allowance INTEGER NOT NULL DEFAULT 20 CHECK (annual_allowance >= 0),
+  team_id INTEGER NULL REFERENCES teams(id) ON DELETE SET NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS teams (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS team_managers (
+  team_id INTEGER NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  PRIMARY KEY (team_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS leave_types (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  color TEXT NOT NULL DEFAULT '#3F634D',
+  counts_allowance INTEGER NOT NULL DEFAULT 1,
+  needs_attachment INTEGER NOT NULL DEFAULT 0,
+  needs_approval INTEGER NOT NULL DEFAULT 1,
+  active INTEGER NOT NULL DEFAULT 1,
   created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -14,7 +39,165 @@ CREATE TABLE IF NOT EXISTS vacation_requests (
   date_from DATE NOT NULL,
   date_to DATE NOT NULL,
   reason TEXT NOT NULL,
-  status TEXT NOT NULL CHECK (status IN ('pending','approved','rejected')) DEFAULT 'pending',
+  start_half TEXT NULL CHECK (start_half IN ('am','pm')),
+  end_half TEXT NULL CHECK (end_half IN ('am','pm')),
+  working_days REAL NOT NULL DEFAULT 0,
+  status TEXT NOT NULL CHECK (status IN ('pending','approved','rejected','withdrawn','cancellation_requested','cancelled')) DEFAULT 'pending',
   submitted_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-  decided_at DATETIME NULL
+  edited_at DATETIME NULL,
+  decided_at DATETIME NULL,
+  decided_by INTEGER NULL REFERENCES users(id) ON DELETE SET NULL,
+  decision_comment TEXT NULL,
+  decided_for INTEGER NULL REFERENCES users(id) ON DELETE SET NULL,
+  leave_type_id INTEGER NULL REFERENCES leave_types(id)
+);
+
+CREATE TABLE IF NOT EXISTS approval_chains (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  leave_type_id INTEGER NULL REFERENCES leave_types(id) ON DELETE CASCADE,
+  min_days REAL NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS approval_chain_steps (
+  chain_id INTEGER NOT NULL REFERENCES approval_chains(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  approver TEXT NOT NULL CHECK (approver IN ('team','org','any')),
+  label TEXT NOT NULL,
+  PRIMARY KEY (chain_id, position)
+);
+
+CREATE TABLE IF NOT EXISTS request_approvals (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  request_id INTEGER NOT NULL REFERENCES vacation_requests(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  approver TEXT NOT NULL,
+  label TEXT NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('pending','approved','rejected','skipped')) DEFAULT 'pending',
+  decided_by INTEGER NULL REFERENCES users(id) ON DELETE SET NULL,
+  decided_at DATETIME NULL,
+  comment TEXT NULL,
+  decided_for INTEGER NULL REFERENCES users(id) ON DELETE SET NULL,
+  UNIQUE (request_id, position)
+);
+
+CREATE TABLE IF NOT EXISTS policy_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  kind TEXT NOT NULL CHECK (kind IN ('notice','max_consecutive','auto_approve')),
+  leave_type_id INTEGER NULL REFERENCES leave_types(id) ON DELETE CASCADE,
+  days REAL NULL,
+  notice_days INTEGER NULL,
+  message TEXT NULL,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS delegations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  manager_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  delegate_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  date_from DATE NOT NULL,
+  date_to DATE NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS blackout_periods (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  date_from DATE NOT NULL,
+  date_to DATE NOT NULL,
+  team_id INTEGER NULL REFERENCES teams(id) ON DELETE CASCADE,
+  soft INTEGER NOT NULL DEFAULT 0,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS staffing_minimums (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  team_id INTEGER NULL REFERENCES teams(id) ON DELETE CASCADE,
+  role TEXT NULL CHECK (role IN ('manager','employee')),
+  min_present INTEGER NOT NULL CHECK (min_present >= 1),
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS public_holidays (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  date DATE NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS request_status_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  request_id INTEGER NOT NULL REFERENCES vacation_requests(id) ON DELETE CASCADE,
+  from_status TEXT NULL,
+  to_status TEXT NOT NULL,
+  actor_id INTEGER NULL REFERENCES users(id) ON DELETE SET NULL,
+  on_behalf_of INTEGER NULL REFERENCES users(id) ON DELETE SET NULL,
+  comment TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS notification_prefs (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  email_submitted INTEGER NOT NULL DEFAULT 1,
+  email_approved INTEGER NOT NULL DEFAULT 1,
+  email_rejected INTEGER NOT NULL DEFAULT 1,
+  email_cancelled INTEGER NOT NULL DEFAULT 1,
+  email_awaiting INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE TABLE IF NOT EXISTS mail_outbox (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  from_email TEXT NOT NULL,
+  to_email TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  request_id INTEGER NULL REFERENCES vacation_requests(id) ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  message TEXT NOT NULL,
+  read_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  actor_id INTEGER NULL REFERENCES users(id) ON DELETE SET NULL,
+  actor_name TEXT NOT NULL,
+  on_behalf_of_id INTEGER NULL REFERENCES users(id) ON DELETE SET NULL,
+  on_behalf_of_name TEXT NULL,
+  action TEXT NOT NULL,
+  target_type TEXT NOT NULL,
+  target_id INTEGER NULL,
+  target_label TEXT NULL,
+  target_user_id INTEGER NULL,
+  target_user_name TEXT NULL,
+  diff TEXT NOT NULL DEFAULT '{}',
+  ip TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  scope TEXT NOT NULL CHECK (scope IN ('personal','team')),
+  token TEXT NOT NULL UNIQUE,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, scope)
+);
+
+CREATE TABLE IF NOT EXISTS request_attachments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  request_id INTEGER NULL REFERENCES vacation_requests(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  filename TEXT NOT NULL,
+  mime TEXT NOT NULL,
+  size INTEGER NOT NULL,
+  storage_key TEXT NOT NULL UNIQUE,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
 );
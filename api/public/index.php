@@ -16,8 +16,45 @@ declare(strict_types=1);
  *   POST /register              (public employee sign-up)
  *   POST /me/requests
  *   GET  /me/requests
+ *   PUT  /me/requests/{id}      (edit a pending request)
+ *   DELETE /me/requests/{id}    (withdraw a pending request)
+ *   POST /me/requests/{id}/cancel (ask to cancel an approved request)
+ *   GET  /me/requests/{id}/history, GET /admin/requests/{id}/history (status timeline)
+ *   GET  /me/balance            (yearly allowance / used / pending / remaining)
+ *   GET  /me/working-days       (preview of a date range's working days)
+ *   GET/PUT /me/notification-prefs (email preferences for the profile page)
+ *   GET  /me/notifications, POST /me/notifications/{id}/read, POST /me/notifications/read-all (bell)
+ *   GET  /holidays              (public holiday calendar)
+ *   GET  /blackouts             (blackout periods that apply to the caller, for the request form)
+ *   POST /admin/holidays, DELETE /admin/holidays/{id} (managers without a team)
  *   GET  /admin/users           (manager only)
  *   POST /admin/users           (manager only, auto employee_code)
+ *   POST /admin/users/import    (manager only, CSV dry-run preview / commit)
+ *   GET  /admin/audit           (manager only, audit trail of admin actions; team leads see entries about their teams)
+ *   POST /admin/requests/batch  (manager only, approve/reject many, per-id results)
+ *   List endpoints (/me/requests, /admin/requests, /admin/users) accept
+ *   page, per_page, sort, q, status|role, date_from, date_to, focus (+ team on the admin lists)
+ *   GET  /me/requests/export, GET /admin/requests/export (?format=csv|xlsx, same filters)
+ *   GET  /me/calendar-feeds, POST /me/calendar-feeds/{scope}/regenerate (subscription links)
+ *   GET  /calendar/{token}.ics  (public, token-authenticated iCalendar feed)
+ *   GET  /leave-types           (active types; ?all=1 adds archived ones for managers)
+ *   POST /admin/leave-types, PUT/DELETE /admin/leave-types/{id} (managers without a team)
+ *   POST /me/attachments (multipart upload), DELETE /me/attachments/{id}
+ *   GET  /me/requests/{id}/attachments, GET /admin/requests/{id}/attachments
+ *   GET  /attachments/{id}      (file; owner or manager only)
+ *   GET  /admin/teams, POST /admin/teams, PUT/DELETE /admin/teams/{id} (manager only)
+ *   GET  /admin/approval-chains, POST /admin/approval-chains, PUT/DELETE /admin/approval-chains/{id}
+ *        (multi-step sign-off by leave type / length; read: manager, write: managers without a team)
+ *   GET  /admin/policies, POST /admin/policies, PUT/DELETE /admin/policies/{id}
+ *        (submission rules checked on POST/PUT /me/requests; read: manager, write: managers without a team)
+ *   GET  /admin/blackouts, POST /admin/blackouts, PUT/DELETE /admin/blackouts/{id}
+ *        (no-leave periods, for everyone or one team; hard ones are refused on POST/PUT /me/requests)
+ *   GET  /admin/staffing, POST /admin/staffing, PUT/DELETE /admin/staffing/{id}
+ *        (minimum people present per team and/or role; approving below it needs {override:true})
+ *   GET  /me/delegations, POST /me/delegations, DELETE /me/delegations/{id}
+ *        (manager only; the delegate decides the manager's requests during the range, on their behalf)
+ *   Admin lists, exports and request actions are limited to the manager's teams (see src/teams.php),
+ *   widened to the teams of managers they currently cover for (see src/delegations.php)
  *
  * Author: Christos Polimatidis
  * Date:   2025-11-01
@@ -28,8 +65,125 @@ declare(strict_types=1);
 // ---------------------------------------------------------------------
 require_once __DIR__ . '/../vendor/autoload.php';
 require_once __DIR__ . '/../src/db.php';
-
+require_once __DIR__ . '/../src/workdays.php';
+require_once __DIR__ . '/../src/requests.php';
+require_once __DIR__ . '/../src/mail.php';
+require_once __DIR__ . '/../src/notifications.php';
+require_once __DIR__ . '/../src/audit.php';
+require_once __DIR__ . '/../src/listing.php';
+require_once __DIR__ . '/../src/export.php';
+require_once __DIR__ . '/../src/calendar.php';
+require_once __DIR__ . '/../src/user_import.php';
+require_once __DIR__ . '/../src/leave_types.php';
+require_once __DIR__ . '/../src/storage.php';
+require_once __DIR__ . '/../src/attachments.php';
+require_once __DIR__ . '/../src/teams.php';
+require_once __DIR__ . '/../src/approvals.php';
+require_once __DIR__ . '/../src/delegations.php';
+require_once __DIR__ . '/../src/policies.php';
+require_once __DIR__ . '/../src/blackouts.php';
+require_once __DIR__ . '/../src/staffing.php';
+
+use App\CoverageError;
 use App\DB;
+use App\WorkflowError;
+
+use function App\active_delegators;
+use function App\active_leave_type_count;
+use function App\approval_chain;
+use function App\approval_chains;
+use function App\attachment;
+use function App\attachment_count;
+use function App\attachment_max_bytes;
+use function App\audit_query;
+use function App\audit_record;
+use function App\blackout;
+use function App\blackout_audit_row;
+use function App\blackout_message;
+use function App\blackouts;
+use function App\build_ics;
+use function App\can_sign_step;
+use function App\chain_audit_row;
+use function App\count_leave_days;
+use function App\coverage_audit_value;
+use function App\coverage_breaches;
+use function App\coverage_breaches_for;
+use function App\current_step;
+use function App\default_leave_type_id;
+use function App\delegation;
+use function App\delegation_audit_row;
+use function App\delete_attachment;
+use function App\export_csv;
+use function App\export_rows;
+use function App\export_xlsx;
+use function App\feed_by_token;
+use function App\feed_events;
+use function App\feed_token;
+use function App\feed_url;
+use function App\format_range;
+use function App\holidays_between;
+use function App\leave_type;
+use function App\leave_type_in_use;
+use function App\leave_types;
+use function App\link_attachments;
+use function App\list_notifications;
+use function App\mail_transport;
+use function App\manager_team_ids;
+use function App\managers_losing_last_team;
+use function App\mark_notifications_read;
+use function App\matching_chain;
+use function App\notification_prefs;
+use function App\normalize_halves;
+use function App\notify_request;
+use function App\org_managers_exist;
+use function App\paginate;
+use function App\parse_list_params;
+use function App\parse_user_csv;
+use function App\parse_ymd;
+use function App\policy_audit_row;
+use function App\policy_auto_approval;
+use function App\policy_rule;
+use function App\policy_rules;
+use function App\policy_violation;
+use function App\record_status;
+use function App\regenerate_feed_token;
+use function App\request_attachments;
+use function App\request_history;
+use function App\request_steps;
+use function App\save_chain_steps;
+use function App\save_notification_prefs;
+use function App\save_team_managers;
+use function App\sign_step;
+use function App\signed_earlier_step;
+use function App\skip_open_steps;
+use function App\staged_attachment_ids;
+use function App\staffing_audit_row;
+use function App\staffing_minimum;
+use function App\staffing_minimums;
+use function App\start_approvals;
+use function App\storage;
+use function App\store_attachment;
+use function App\team;
+use function App\team_audit_row;
+use function App\team_scope_sql;
+use function App\teams;
+use function App\temp_password;
+use function App\transition_request;
+use function App\user_blackouts;
+use function App\user_delegations;
+use function App\user_in_team_scope;
+use function App\validate_approval_chain;
+use function App\validate_blackout;
+use function App\validate_delegation;
+use function App\validate_leave_type;
+use function App\validate_policy_rule;
+use function App\validate_staffing_minimum;
+use function App\validate_team;
+
+use const App\ATTACHMENT_MAX_FILES;
+use const App\EXPORT_FORMATS;
+use const App\FEED_SCOPES;
+use const App\MAX_PER_PAGE;
 
 // ---------------------------------------------------------------------
 // Global CORS headers (explicit origin for Vite dev at :5173)
@@ -38,6 +192,7 @@ header('Access-Control-Allow-Origin: http://localhost:5173');
 header('Access-Control-Allow-Credentials: true');
 header('Access-Control-Allow-Headers: Content-Type, Authorization');
 header('Access-Control-Allow-Methods: GET, POST, PUT, DELETE, OPTIONS');
+header('Access-Control-Expose-Headers: Content-Disposition');
 
 /** Handle preflight requests early (CORS OPTIONS). */
 if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') { // If the request is a CORS preflight (OPTIONS), end with 204.
@@ -85,14 +240,15 @@ function json_ok(array $data = [], int $code = 200): void
 /**
  * Emit a JSON error object with message and terminate.
  *
- * @param int    $code    HTTP status to send.
- * @param string $message Human-readable error.
+ * @param int                 $code    HTTP status to send.
+ * @param string              $message Human-readable error.
+ * @param array<string,mixed> $extra   Further fields for the client (e.g. the short days of a staffing 409).
  */
-function json_error(int $code, string $message): void
+function json_error(int $code, string $message, array $extra = []): void
 {
     http_response_code($code);
     header('Content-Type: application/json');
-    echo json_encode(['error' => $message], JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
+    echo json_encode(['error' => $message] + $extra, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
     exit;
 }
 
@@ -256,340 +412,2645 @@ function require_manager(PDO $db): array
 }
 
 /**
- * Generate a unique employee code ###-###-### not present in DB.
+ * Teams a manager is scoped to (null = org-wide).
  *
- * @param PDO $db Database connection.
+ * @param PDO                 $db  Database connection.
+ * @param array<string,mixed> $mgr Signed-in manager.
  *
- * @return string Unique employee code.
+ * @return list<int>|null See App\manager_team_ids().
  */
-function generate_employee_code(PDO $db): string
+function manager_scope(PDO $db, array $mgr): ?array
 {
-    do {
-        $code = sprintf(
-            '%03d-%03d-%03d',
-            random_int(100, 999),
-            random_int(100, 999),
-            random_int(0, 999)
-        );
-
-        $s = $db->prepare('SELECT 1 FROM users WHERE employee_code = ? LIMIT 1');
-        $s->execute([$code]);
-
-        // Repeat until no collision found.
-    } while ($s->fetchColumn());
-
-    return $code;
+    return manager_team_ids($db, (int)$mgr['id']);
 }
 
-/** Double-check session is started (keeps original behavior). */
-if (session_status() === PHP_SESSION_NONE) { // If session somehow not active, start again (idempotent).
-    session_start();
+/**
+ * Teams whose requests a manager may see and decide today: their own plus those of the managers
+ * they cover for (see src/delegations.php). User administration keeps to manager_scope().
+ *
+ * @param PDO                 $db  Database connection.
+ * @param array<string,mixed> $mgr Signed-in manager.
+ *
+ * @return list<int>|null Null when the manager, or anyone they cover for, is org-wide.
+ */
+function request_scope(PDO $db, array $mgr): ?array
+{
+    $ids = [];
+    foreach (acting_candidates($db, $mgr) as $c) {
+        if ($c['teams'] === null) { // If anyone covered sees everyone, so does the delegate.
+            return null;
+        }
+        $ids = [...$ids, ...$c['teams']];
+    }
+
+    return array_values(array_unique($ids));
 }
 
 /**
- * Legacy helper: emit raw JSON (kept for compatibility).
+ * Everyone a manager may decide requests as today: themselves first, then the managers they cover for.
  *
- * @param mixed $data Any serializable payload.
- * @param int   $code HTTP status code.
+ * @param PDO                 $db  Database connection.
+ * @param array<string,mixed> $mgr Signed-in manager.
+ *
+ * @return list<array{user:array<string,mixed>, teams:list<int>|null}> Each with their own team scope.
  */
-if (!function_exists('json')) { // If a global json() helper is missing, define it for backward compatibility.
-    function json($data, int $code = 200): void
-    {
-        http_response_code($code);
-        header('Content-Type: application/json; charset=utf-8');
-        echo json_encode($data);
-        exit;
+function acting_candidates(PDO $db, array $mgr): array
+{
+    $out = [['user' => $mgr, 'teams' => manager_scope($db, $mgr)]];
+    foreach (active_delegators($db, (int)$mgr['id']) as $d) {
+        $out[] = ['user' => $d, 'teams' => manager_team_ids($db, $d['id'])];
     }
+
+    return $out;
 }
 
 /**
- * Legacy guard: require logged-in user using the legacy json() helper.
+ * Who a request is decided as: the manager themselves when it is theirs to decide,
+ * otherwise the first manager they cover for whose team (and open approval step) it is.
+ *
+ * @param PDO                      $db         Database connection.
+ * @param list<array<string,mixed>> $candidates Output of acting_candidates().
+ * @param int|null                 $ownerTeam  Team of the request's owner.
+ * @param array<string,mixed>|null $step       Open approval step (null when no chain applies).
+ * @param bool|null                $orgExists  Output of App\org_managers_exist() when already known (lists pass it once).
+ *
+ * @return array<string,mixed>|null The manager acted as, or null when none of them may decide.
  */
-if (!function_exists('require_login')) { // If legacy require_login() not defined, add it.
-    function require_login(): void
-    {
-        if (empty($_SESSION['user'])) { // If no 'user' in session, deny as Unauthorized.
-            json(['error' => 'Unauthorized'], 401);
+function acting_as(PDO $db, array $candidates, ?int $ownerTeam, ?array $step, ?bool $orgExists = null): ?array
+{
+    foreach ($candidates as $c) {
+        $sees = $c['teams'] === null || $ownerTeam === null || in_array($ownerTeam, $c['teams'], true);
+        if ($sees && ($step === null || can_sign_step($db, (string)$step['approver'], $c['teams'], $ownerTeam, $orgExists))) {
+            return $c['user'];
         }
     }
+
+    return null;
 }
 
 /**
- * Legacy guard: require manager role using the legacy json() helper.
- * Note: Name overlaps with typed version above, but guarded by function_exists.
+ * Append a team scope and the optional ?team= filter to a list query.
+ *
+ * @param array<string,mixed> $p       Parsed list params.
+ * @param list<int>|null      $scope   Teams to keep (manager_scope() or request_scope(); null = everyone).
+ * @param list<string>        $where   Conditions (appended to).
+ * @param list<mixed>         $args    Bound values (appended to).
+ * @param string              $col     Qualified team column of the listed users (e.g. "u.team_id").
+ * @param string|null         $roleCol Qualified role column, for request lists (see App\team_scope_sql()).
  */
-if (!function_exists('require_manager')) { // If the untyped legacy require_manager() is not defined, add it.
-    function require_manager(): void
-    {
-        if (($_SESSION['user']['role'] ?? '') !== 'manager') { // If role not manager, deny as Forbidden.
-            json(['error' => 'Forbidden'], 403);
-        }
+function team_filters(array $p, ?array $scope, array &$where, array &$args, string $col, ?string $roleCol = null): void
+{
+    $cond = team_scope_sql($scope, $col, $roleCol);
+    if ($cond !== null) { // If the manager runs teams, hide everyone else.
+        $where[] = $cond;
+    }
+    if ($p['team'] === 0) { // If "no team" is selected, keep unassigned users.
+        $where[] = $col . ' IS NULL';
+    } elseif ($p['team'] !== null) { // If a team is selected, match it exactly.
+        $where[] = $col . ' = ?';
+        $args[]  = $p['team'];
     }
 }
 
-// ---------------------------------------------------------------------
-// Router: method + path
-// ---------------------------------------------------------------------
-$method = $_SERVER['REQUEST_METHOD'];
-$path   = parse_url($_SERVER['REQUEST_URI'], PHP_URL_PATH) ?? '/';
+/**
+ * Whether a request exists and its owner is within the manager's request scope.
+ *
+ * @param PDO                 $db  Database connection.
+ * @param array<string,mixed> $mgr Signed-in manager.
+ * @param int                 $id  Request id.
+ *
+ * @return bool
+ */
+function request_in_scope(PDO $db, array $mgr, int $id): bool
+{
+    $st = $db->prepare('SELECT user_id FROM vacation_requests WHERE id = ?');
+    $st->execute([$id]);
+    $owner = $st->fetchColumn();
 
-/** Normalize when app is mounted under /api (strip the prefix). */
-if (str_starts_with($path, '/api/')) { // If the path starts with /api/, remove it for internal routing.
-    $path = substr($path, 4);
-}
-/** Edge case: /api exactly should behave like root. */
-if ($path === '/api') { // If exactly '/api', normalize to '/'.
-    $path = '/';
+    return $owner !== false && user_in_team_scope($db, request_scope($db, $mgr), (int)$owner, true);
 }
 
-// ---------------------------------------------------------------------
-// Auth routes
-// ---------------------------------------------------------------------
+/**
+ * Require a request visible to the manager; 404 JSON otherwise (same answer as a missing id).
+ *
+ * @param PDO                 $db  Database connection.
+ * @param array<string,mixed> $mgr Signed-in manager.
+ * @param int                 $id  Request id.
+ */
+function require_scoped_request(PDO $db, array $mgr, int $id): void
+{
+    if (!request_in_scope($db, $mgr, $id)) { // If missing or outside the manager's teams, do not reveal which.
+        json_error(404, 'Request not found');
+    }
+}
 
-/** POST /login — authenticate user by email and password. */
-if ($path === '/login' && $method === 'POST') { // If route is /login with POST, attempt authentication.
-    $in    = json_input();
-    $email = strtolower(trim($in['email'] ?? ''));
-    $pass  = (string)($in['password'] ?? '');
+/**
+ * Require a user the manager may edit or delete; 404 JSON when not visible, 403 when visible but not theirs.
+ * A manager of teams only administers employees of those teams; users without a team are visible to them
+ * but may be org-wide managers, whose accounts they must not be able to take over.
+ *
+ * @param PDO                 $db  Database connection.
+ * @param array<string,mixed> $mgr Signed-in manager.
+ * @param int                 $id  User id.
+ */
+function require_scoped_user(PDO $db, array $mgr, int $id): void
+{
+    $scope = manager_scope($db, $mgr);
+    if (!user_in_team_scope($db, $scope, $id)) { // If missing or outside the manager's teams, 404.
+        json_error(404, 'User not found');
+    }
+    if ($scope === null) { // If org-wide, every user can be administered.
+        return;
+    }
 
-    // Validate inputs.
-    if (!filter_var($email, FILTER_VALIDATE_EMAIL) || $pass === '') { // If email invalid or password missing, reject.
-        json_error(400, 'Invalid credentials');
+    $user = fetch_row($db, 'users', $id);
+    if ($user['role'] !== 'employee' || $user['team_id'] === null || !in_array((int)$user['team_id'], $scope, true)) { // If a manager or without a team, refuse.
+        json_error(403, 'Only managers without a team can change managers or users without a team');
     }
+}
 
-    // Fetch user by email.
-    $st  = $db->prepare('SELECT id, name, email, role, employee_code, password_hash FROM users WHERE email = ?');
-    $st->execute([$email]);
-    $row = $st->fetch(PDO::FETCH_ASSOC);
+/**
+ * Resolve a team_id sent for a user: empty means "no team"; otherwise it must be one of the manager's teams.
+ *
+ * @param PDO                 $db  Database connection.
+ * @param array<string,mixed> $mgr Signed-in manager.
+ * @param mixed               $raw team_id from the request body.
+ *
+ * @return int|null
+ *
+ * @throws InvalidArgumentException 400 when unknown or outside the manager's teams.
+ */
+function team_id_input(PDO $db, array $mgr, mixed $raw): ?int
+{
+    if ($raw === null || $raw === '' || $raw === 0) { // If cleared, the user has no team.
+        return null;
+    }
 
-    // Verify credentials.
-    if (!$row || !password_verify($pass, $row['password_hash'])) { // If user not found or password mismatch, reject.
-        json_error(401, 'Invalid email or password');
+    $id    = (int)$raw;
+    $scope = manager_scope($db, $mgr);
+    if (!team($db, $id) || ($scope !== null && !in_array($id, $scope, true))) { // If unknown or not run by this manager, refuse.
+        throw new InvalidArgumentException('Unknown team', 400);
     }
 
-    // Login success: store uid and return user sans hash.
-    $_SESSION['uid'] = (int)$row['id'];
-    unset($row['password_hash']);
-    json_ok($row);
+    return $id;
 }
 
-/** POST /logout — destroy the current session. */
-if ($path === '/logout' && $method === 'POST') { // If route is /logout with POST, terminate the session.
-    session_destroy();
-    json_ok(['ok' => true]);
+/**
+ * Require a manager who may change org-wide settings (approval chains, policy rules): one who runs
+ * no team (e.g. HR), so a team lead cannot loosen what applies to everyone.
+ *
+ * @param PDO    $db   Database connection.
+ * @param string $what What is being changed, for the 403 message (e.g. "approval chains").
+ *
+ * @return array<string,mixed> The manager.
+ */
+function require_org_manager(PDO $db, string $what): array
+{
+    $mgr = require_manager($db);
+    if (manager_scope($db, $mgr) !== null) { // If the manager runs teams, these settings are read-only for them.
+        json_error(403, 'Only managers without a team can change ' . $what);
+    }
+
+    return $mgr;
 }
 
-/** GET /me — fetch current user details or 401 if not logged in. */
-if ($path === '/me' && $method === 'GET') { // If route is /me with GET, return current user or Unauthorized.
-    $u = current_user($db);
+/**
+ * Refuse changes to a team setting (blackout, staffing minimum) outside the manager's scope.
+ * Settings for everyone are visible to managers of teams but only changed by managers without a team.
+ *
+ * @param PDO                 $db     Database connection.
+ * @param array<string,mixed> $mgr    Signed-in manager.
+ * @param int|null            $teamId Team of the setting (null = everyone).
+ * @param string              $what   What is being changed, for the 403 message (e.g. "blackouts").
+ */
+function require_team_setting(PDO $db, array $mgr, ?int $teamId, string $what): void
+{
+    $scope = manager_scope($db, $mgr);
 
-    if (!$u) { // If no authenticated user, deny access.
-        json_error(401, 'Unauthorized');
+    if ($scope !== null && $teamId !== null && !in_array($teamId, $scope, true)) { // If another manager's team, 404.
+        json_error(404, 'Not found');
+    }
+    if ($scope !== null && $teamId === null) { // If it applies to everyone, a team lead cannot change it.
+        json_error(403, 'Only managers without a team can change ' . $what . ' for everyone');
     }
+}
 
-    json_ok($u);
+/**
+ * Resolve the team of a team setting or a new user: empty means everyone (or no team), which only an
+ * org-wide manager may choose.
+ *
+ * @param PDO                 $db  Database connection.
+ * @param array<string,mixed> $mgr Signed-in manager.
+ * @param mixed               $raw team_id from the request body.
+ *
+ * @return int|null
+ */
+function setting_team_input(PDO $db, array $mgr, mixed $raw): ?int
+{
+    try {
+        $teamId = team_id_input($db, $mgr, $raw);
+    } catch (InvalidArgumentException $e) { // If unknown or outside the manager's teams, answer with its status.
+        json_error($e->getCode(), $e->getMessage());
+    }
+    if ($teamId === null && manager_scope($db, $mgr) !== null) { // If a team lead leaves it empty, it would bind everyone.
+        json_error(400, 'Pick one of your teams');
+    }
+
+    return $teamId;
 }
 
-// ---------------------------------------------------------------------
-// Public Register (employee)
-// ---------------------------------------------------------------------
+/**
+ * Generate a unique employee code ###-###-### not present in DB.
+ *
+ * @param PDO $db Database connection.
+ *
+ * @return string Unique employee code.
+ */
+function generate_employee_code(PDO $db): string
+{
+    do {
+        $code = sprintf(
+            '%03d-%03d-%03d',
+            random_int(100, 999),
+            random_int(100, 999),
+            random_int(0, 999)
+        );
 
-/** POST /register — create a new employee account (public). */
-if ($path === '/register' && $method === 'POST') { // If route is /register with POST, perform registration.
-    $in    = json_input();
-    $name  = trim($in['name'] ?? '');
-    $email = strtolower(trim($in['email'] ?? ''));
+        $s = $db->prepare('SELECT 1 FROM users WHERE employee_code = ? LIMIT 1');
+        $s->execute([$code]);
+
+        // Repeat until no collision found.
+    } while ($s->fetchColumn());
+
+    return $code;
+}
+
+/**
+ * Parse an annual allowance (whole days per year) from request input.
+ *
+ * @param mixed $value Raw input value.
+ *
+ * @return int|null Allowance in days, or null when not a whole number in 0..366.
+ */
+function parse_allowance(mixed $value): ?int
+{
+    // Accept ints and digit-only strings (form inputs send strings).
+    if (!is_int($value) && !(is_string($value) && ctype_digit(trim($value)))) { // If not a whole number, reject.
+        return null;
+    }
+
+    $days = (int)$value;
+
+    return ($days >= 0 && $days <= 366) ? $days : null; // If outside a calendar year, reject.
+}
+
+/**
+ * Validate a new user's fields (rules of POST /admin/users, shared with the CSV import).
+ *
+ * @param PDO                 $db            Database connection.
+ * @param array<string,mixed> $in            Raw input: name, email, password?, role?, employee_code?, annual_allowance?.
+ * @param bool                $needsPassword False when the caller generates one (import).
+ *
+ * @return array{name:string, email:string, password:string, role:string, employee_code:string, annual_allowance:int}
+ *         employee_code is '' when one should be generated.
+ *
+ * @throws InvalidArgumentException Message for the client; the code is the HTTP status (400 invalid, 409 taken).
+ */
+function validate_new_user(PDO $db, array $in, bool $needsPassword = true): array
+{
+    $name  = trim((string)($in['name'] ?? ''));
+    $email = strtolower(trim((string)($in['email'] ?? '')));
     $pass  = (string)($in['password'] ?? '');
+    $code  = trim((string)($in['employee_code'] ?? ''));
 
-    // Validate fields.
+    // Validate basic fields.
     if ($name === '') { // If name empty, reject.
-        json_error(400, 'Name required');
+        throw new InvalidArgumentException('Name required', 400);
     }
     if (!filter_var($email, FILTER_VALIDATE_EMAIL)) { // If email invalid, reject.
-        json_error(400, 'Invalid email');
+        throw new InvalidArgumentException('Invalid email', 400);
     }
-    if (strlen($pass) < 6) { // If password too short, reject.
-        json_error(400, 'Password must be at least 6 characters');
+    if ($needsPassword && $pass === '') { // If password missing, reject.
+        throw new InvalidArgumentException('Password required', 400);
     }
 
-    // Ensure email uniqueness.
+    // Yearly allowance defaults to the schema default (20) when omitted.
+    $allowance = array_key_exists('annual_allowance', $in) ? parse_allowance($in['annual_allowance']) : 20;
+    if ($allowance === null) { // If allowance provided but not a whole number of days, reject.
+        throw new InvalidArgumentException('Invalid annual allowance', 400);
+    }
+
+    // Unique email check.
     $s = $db->prepare('SELECT 1 FROM users WHERE email = ?');
     $s->execute([$email]);
     if ($s->fetchColumn()) { // If email already exists, conflict.
-        json_error(409, 'Email already in use');
+        throw new InvalidArgumentException('Email already in use', 409);
     }
 
-    // Generate code + hash password, insert new employee.
-    $code = generate_employee_code($db);
-    $hash = password_hash($pass, PASSWORD_DEFAULT);
-
-    $ins = $db->prepare(
-        'INSERT INTO users (name,email,employee_code,role,password_hash,created_at)
-         VALUES (?,?,?,?,?,datetime("now"))'
-    );
-    $ins->execute([$name, $email, $code, 'employee', $hash]);
+    // A provided employee_code must be free as well.
+    if ($code !== '') {
+        $s = $db->prepare('SELECT 1 FROM users WHERE employee_code = ?');
+        $s->execute([$code]);
+        if ($s->fetchColumn()) { // If the code belongs to someone else, conflict.
+            throw new InvalidArgumentException('Employee code already in use', 409);
+        }
+    }
 
-    json_ok(['ok' => true, 'employee_code' => $code], 201);
+    return [
+        'name'             => $name,
+        'email'            => $email,
+        'password'         => $pass,
+        'role'             => ($in['role'] ?? 'employee') === 'manager' ? 'manager' : 'employee',
+        'employee_code'    => $code,
+        'annual_allowance' => $allowance,
+    ];
 }
 
-// ---------------------------------------------------------------------
-// Employee: My Requests
-// ---------------------------------------------------------------------
+/**
+ * Check parsed CSV rows for the import preview.
+ * Each row gets the POST /admin/users rules plus a role check and duplicate detection
+ * inside the file (an email or code may only appear once).
+ *
+ * @param PDO                             $db       Database connection.
+ * @param list<array<string,int|string>> $rows     Output of App\parse_user_csv().
+ * @param bool                           $managers Whether rows may create managers (only for managers without a team).
+ *
+ * @return list<array<string,mixed>> Rows with normalized fields and `errors` (empty = importable).
+ */
+function import_preview(PDO $db, array $rows, bool $managers = true): array
+{
+    $seenEmail = [];
+    $seenCode  = [];
+    $out       = [];
+
+    foreach ($rows as $row) {
+        $errors = [];
+        $role   = strtolower($row['role']) ?: 'employee';
+        if (!in_array($role, ['employee', 'manager'], true)) { // If the role is unknown, refuse instead of guessing.
+            $errors[] = 'Role must be employee or manager';
+        } elseif ($role === 'manager' && !$managers) { // If the importer runs teams, a new manager could run everyone.
+            $errors[] = 'Only managers without a team can add managers';
+        }
 
-/** GET /me/requests — list current user's vacation requests. */
-if ($path === '/me/requests' && $method === 'GET') { // If route is /me/requests with GET, list user's requests.
-    $u = require_auth($db);
+        $user = null;
+        try {
+            $user = validate_new_user($db, ['role' => $role] + $row, false);
+        } catch (InvalidArgumentException $e) { // If a shared rule fails, report it on this row.
+            $errors[] = $e->getMessage();
+        }
 
-    $st = $db->prepare(
-        'SELECT id, user_id, reason, status, date_from, date_to, submitted_at
-           FROM vacation_requests
-          WHERE user_id = ?
-          ORDER BY id DESC'
-    );
-    $st->execute([$u['id']]);
-    $rows = $st->fetchAll(PDO::FETCH_ASSOC);
+        $email = strtolower($row['email']);
+        if ($email !== '' && isset($seenEmail[$email])) { // If the email already appeared above, flag the repeat.
+            $errors[] = 'Email repeats row ' . $seenEmail[$email];
+        }
+        if ($row['employee_code'] !== '' && isset($seenCode[$row['employee_code']])) { // If the code already appeared above, flag it.
+            $errors[] = 'Employee code repeats row ' . $seenCode[$row['employee_code']];
+        }
+        $seenEmail[$email] ??= $row['line'];
+        if ($row['employee_code'] !== '') {
+            $seenCode[$row['employee_code']] ??= $row['line'];
+        }
+
+        $out[] = [
+            'line'          => $row['line'],
+            'name'          => $user['name'] ?? $row['name'],
+            'email'         => $user['email'] ?? $row['email'],
+            'role'          => $role,
+            'employee_code' => $row['employee_code'],
+            'errors'        => $errors,
+        ];
+    }
 
-    json_ok($rows);
+    return $out;
 }
 
-/** POST /me/requests — submit a new vacation request for the current user. */
-if ($path === '/me/requests' && $method === 'POST') { // If route is /me/requests with POST, create a request.
-    $u  = require_auth($db);
+/**
+ * Compute a user's leave balance for one calendar year.
+ *
+ * Days are the working days stored on each request and are attributed to
+ * the year the request starts in. Approved requests awaiting cancellation
+ * still count as used; rejected, withdrawn and cancelled ones do not, and
+ * neither do leave types that are not deducted from the allowance (e.g. sick leave).
+ *
+ * @param PDO      $db       Database connection.
+ * @param int      $userId   Owner of the requests.
+ * @param int      $year     Calendar year (e.g. 2025).
+ * @param int|null $exceptId Request id to leave out (e.g. the one being edited).
+ *
+ * @return array{year:int,allowance:int,used:int|float,pending:int|float,remaining:int|float} Half days make fractions.
+ */
+function leave_balance(PDO $db, int $userId, int $year, ?int $exceptId = null): array
+{
+    $st = $db->prepare(
+        'SELECT u.annual_allowance,
+                COALESCE(SUM(CASE WHEN r.status IN ("approved", "cancellation_requested")
+                                  THEN r.working_days END), 0) AS used,
+                COALESCE(SUM(CASE WHEN r.status = "pending" THEN r.working_days END), 0) AS pending
+           FROM users u
+           LEFT JOIN vacation_requests r
+             ON r.user_id = u.id AND strftime("%Y", r.date_from) = ? AND r.id <> ?
+            AND NOT EXISTS (SELECT 1 FROM leave_types t WHERE t.id = r.leave_type_id AND t.counts_allowance = 0)
+          WHERE u.id = ?
+          GROUP BY u.id'
+    );
+    $st->execute([sprintf('%04d', $year), $exceptId ?? 0, $userId]);
+    $row = $st->fetch(PDO::FETCH_ASSOC) ?: ['annual_allowance' => 0, 'used' => 0, 'pending' => 0];
+
+    $allowance = (int)$row['annual_allowance'];
+    $used      = +$row['used'];
+    $pending   = +$row['pending'];
+
+    return [
+        'year'      => $year,
+        'allowance' => $allowance,
+        'used'      => $used,
+        'pending'   => $pending,
+        'remaining' => $allowance - $used - $pending,
+    ];
+}
+
+/**
+ * Leave balances for every requester/year of a list page, in two queries (same rules as leave_balance()).
+ *
+ * @param PDO                       $db   Database connection.
+ * @param list<array<string,mixed>> $rows Request rows (user_id, date_from).
+ *
+ * @return array<string,array{year:int,allowance:int,used:int|float,pending:int|float,remaining:int|float}>
+ *         Keyed "<user_id>:<year>".
+ */
+function leave_balances(PDO $db, array $rows): array
+{
+    $userIds = array_values(array_unique(array_map(static fn($r) => (int)$r['user_id'], $rows)));
+    if (!$userIds) {
+        return [];
+    }
+    $in = implode(',', $userIds);
+
+    $allowances = $db->query('SELECT id, annual_allowance FROM users WHERE id IN (' . $in . ')')->fetchAll(PDO::FETCH_KEY_PAIR);
+    $totals     = [];
+    $st         = $db->query(
+        'SELECT r.user_id, strftime("%Y", r.date_from) AS year,
+                COALESCE(SUM(CASE WHEN r.status IN ("approved", "cancellation_requested") THEN r.working_days END), 0) AS used,
+                COALESCE(SUM(CASE WHEN r.status = "pending" THEN r.working_days END), 0) AS pending
+           FROM vacation_requests r
+          WHERE r.user_id IN (' . $in . ')
+            AND NOT EXISTS (SELECT 1 FROM leave_types t WHERE t.id = r.leave_type_id AND t.counts_allowance = 0)
+          GROUP BY r.user_id, year'
+    );
+    foreach ($st->fetchAll(PDO::FETCH_ASSOC) as $t) {
+        $totals[$t['user_id'] . ':' . (int)$t['year']] = $t;
+    }
+
+    $out = [];
+    foreach ($rows as $row) {
+        $year = (int)substr((string)$row['date_from'], 0, 4);
+        $key  = (int)$row['user_id'] . ':' . $year;
+        if (isset($out[$key])) { // If already built for this user/year, reuse it.
+            continue;
+        }
+        $allowance = (int)($allowances[(int)$row['user_id']] ?? 0);
+        $used      = +($totals[$key]['used'] ?? 0);
+        $pending   = +($totals[$key]['pending'] ?? 0);
+
+        $out[$key] = [
+            'year'      => $year,
+            'allowance' => $allowance,
+            'used'      => $used,
+            'pending'   => $pending,
+            'remaining' => $allowance - $used - $pending,
+        ];
+    }
+
+    return $out;
+}
+
+/** Longest request, in calendar days (keeps the day-by-day count bounded). */
+const MAX_REQUEST_DAYS = 366;
+
+/**
+ * Validate a requested date range and count its working days (half days = 0.5); 400 JSON on failure.
+ *
+ * @param PDO         $db        Database connection.
+ * @param string      $from      Start date (YYYY-MM-DD).
+ * @param string      $to        End date (YYYY-MM-DD).
+ * @param string|null $startHalf Half of the first day taken ("am"/"pm", null = whole day).
+ * @param string|null $endHalf   Half of the last day taken ("am"/"pm", null = whole day).
+ *
+ * @return array{working_days:int|float,holidays:array<string,string>,start_half:?string,end_half:?string}
+ *         Count, holidays falling inside the range and the normalized half-day flags.
+ */
+function validate_range(PDO $db, string $from, string $to, ?string $startHalf = null, ?string $endHalf = null): array
+{
+    $start = parse_ymd($from);
+    $end   = parse_ymd($to);
+
+    if (!$start || !$end) { // If either date is malformed or impossible, reject.
+        json_error(400, 'Dates must be valid YYYY-MM-DD values');
+    }
+    if ($end < $start) { // If the range is reversed, reject.
+        json_error(400, 'End date is before start date');
+    }
+    if ($start->diff($end)->days >= MAX_REQUEST_DAYS) { // If longer than a year, refuse before walking every day.
+        json_error(400, sprintf('A request can span at most %d days', MAX_REQUEST_DAYS));
+    }
+
+    $holidays = holidays_between($db, $from, $to);
+
+    try {
+        $halves = normalize_halves($from, $to, $startHalf, $endHalf);
+        $days   = count_leave_days($start, $end, $holidays, $halves['start_half'], $halves['end_half']);
+    } catch (InvalidArgumentException $e) { // If a half-day flag is impossible for this range, explain why.
+        json_error(400, $e->getMessage());
+    }
+
+    if ($days <= 0) { // If only weekends/holidays are covered, there is nothing to request.
+        json_error(400, 'Selected range contains no working days');
+    }
+
+    // Whole counts stay integers in JSON ("3", not "3.0").
+    return ['working_days' => fmod($days, 1.0) === 0.0 ? (int)$days : $days, 'holidays' => $holidays] + $halves;
+}
+
+/**
+ * Statuses that still occupy calendar days (pending or effectively approved).
+ * Inline into SQL as: status IN (ACTIVE_STATUSES_SQL).
+ */
+const ACTIVE_STATUSES_SQL = '"pending", "approved", "cancellation_requested"';
+
+/**
+ * Fetch a request owned by the given user; 404 JSON when missing or not theirs.
+ *
+ * @param PDO $db     Database connection.
+ * @param int $id     Request id.
+ * @param int $userId Expected owner.
+ *
+ * @return array<string,mixed> The request row.
+ */
+function require_own_request(PDO $db, int $id, int $userId): array
+{
+    $st = $db->prepare('SELECT * FROM vacation_requests WHERE id = ? AND user_id = ?');
+    $st->execute([$id, $userId]);
+    $row = $st->fetch(PDO::FETCH_ASSOC);
+
+    if (!$row) { // If missing or owned by someone else, do not reveal which.
+        json_error(404, 'Request not found');
+    }
+
+    return $row;
+}
+
+/**
+ * Find one of the user's own pending/approved requests overlapping a range.
+ * Two requests sharing only a boundary day do not clash when one takes its
+ * morning and the other its afternoon.
+ *
+ * @param PDO         $db        Database connection.
+ * @param int         $userId    Owner of the requests.
+ * @param string      $from      Range start (YYYY-MM-DD).
+ * @param string      $to        Range end (YYYY-MM-DD).
+ * @param int|null    $exceptId  Request id to ignore (e.g. the one being edited).
+ * @param string|null $startHalf Half of the first day taken (null = whole day).
+ * @param string|null $endHalf   Half of the last day taken (null = whole day).
+ *
+ * @return array<string,mixed>|null First overlapping request or null when free.
+ */
+function own_overlap(
+    PDO $db,
+    int $userId,
+    string $from,
+    string $to,
+    ?int $exceptId = null,
+    ?string $startHalf = null,
+    ?string $endHalf = null
+): ?array {
+    $st = $db->prepare(
+        'SELECT id, date_from, date_to, status
+           FROM vacation_requests
+          WHERE user_id = ?
+            AND status IN (' . ACTIVE_STATUSES_SQL . ')
+            AND date_from <= ? AND date_to >= ?
+            AND id <> ?
+            AND NOT (date_to = ? AND COALESCE(end_half, "") = "am" AND ? = "pm")
+            AND NOT (date_from = ? AND COALESCE(start_half, "") = "pm" AND ? = "am")
+          ORDER BY date_from
+          LIMIT 1'
+    );
+    $st->execute([$userId, $to, $from, $exceptId ?? 0, $from, $startHalf ?? '', $to, $endHalf ?? '']);
+    $row = $st->fetch(PDO::FETCH_ASSOC);
+
+    return $row ?: null;
+}
+
+/**
+ * List other people's pending/approved absences overlapping each of some requests,
+ * with one query over the span the requests cover.
+ *
+ * @param PDO                       $db      Database connection.
+ * @param list<array<string,mixed>> $rows    Requests (id, user_id, date_from, date_to); their owners' own requests are excluded.
+ * @param list<int>|null            $teamIds Only people in these teams (and employees without a team); null = everyone.
+ *
+ * @return array<int, list<array<string,mixed>>> Request id => rows with request_id, user_id, user_name, date_from, date_to, status.
+ */
+function overlapping_absences(PDO $db, array $rows, ?array $teamIds = null): array
+{
+    if (!$rows) {
+        return [];
+    }
+
+    $scope = team_scope_sql($teamIds, 'u.team_id', 'u.role');
+    $st    = $db->prepare(
+        'SELECT r.id AS request_id, r.user_id, u.name AS user_name, r.date_from, r.date_to, r.status
+           FROM vacation_requests r
+           JOIN users u ON u.id = r.user_id
+          WHERE r.status IN (' . ACTIVE_STATUSES_SQL . ')
+            AND r.date_from <= ? AND r.date_to >= ?' . ($scope ? ' AND ' . $scope : '') . '
+          ORDER BY r.date_from, u.name'
+    );
+    $st->execute([max(array_column($rows, 'date_to')), min(array_column($rows, 'date_from'))]);
+    $absences = $st->fetchAll(PDO::FETCH_ASSOC);
+
+    $out = [];
+    foreach ($rows as $row) {
+        $out[(int)$row['id']] = array_values(array_filter($absences, static fn($a) => (int)$a['user_id'] !== (int)$row['user_id']
+            && $a['date_from'] <= $row['date_to'] && $a['date_to'] >= $row['date_from']));
+    }
+
+    return $out;
+}
+
+/**
+ * Validate a request submission (leave type, dates, reason, attachments, overlap, balance); JSON error on failure.
+ * Shared by create and edit so both enforce identical rules.
+ * Without leave_type_id the default type is used (see App\default_leave_type_id()).
+ * attachment_ids lists staged uploads (POST /me/attachments) to link; on edit they add to the files already linked.
+ *
+ * @param PDO                 $db       Database connection.
+ * @param array<string,mixed> $u        Requesting user.
+ * @param array<string,mixed> $in       Decoded JSON body.
+ * @param int|null            $exceptId Request being edited (ignored for overlap/balance).
+ *
+ * @return array{date_from:string,date_to:string,reason:string,working_days:int|float,start_half:?string,end_half:?string,
+ *               leave_type_id:int,leave_type:array<string,mixed>,attachment_ids:list<int>}
+ *         Normalized fields plus the resolved leave type.
+ */
+function validate_request_input(PDO $db, array $u, array $in, ?int $exceptId = null): array
+{
+    $date_from = trim((string)($in['date_from'] ?? ''));
+    $date_to   = trim((string)($in['date_to'] ?? ''));
+    $reason    = trim((string)($in['reason'] ?? ''));
+    $typeId    = (int)($in['leave_type_id'] ?? 0) ?: default_leave_type_id($db);
+    $type      = $typeId ? leave_type($db, $typeId) : null;
+
+    if (!$type || !$type['active']) { // If unknown or archived, it cannot be requested.
+        json_error(400, 'Unknown leave type');
+    }
+    if ($reason === '') { // If reason missing, reject.
+        json_error(400, 'Reason required');
+    }
+
+    // New uploads plus (when editing) the files already on the request.
+    try {
+        $attachmentIds = staged_attachment_ids($db, (int)$u['id'], $in['attachment_ids'] ?? null);
+    } catch (InvalidArgumentException $e) { // If an id is not one of the user's pending uploads, refuse.
+        json_error($e->getCode(), $e->getMessage());
+    }
+    $files = count($attachmentIds) + ($exceptId ? attachment_count($db, $exceptId) : 0);
+    if ($files > ATTACHMENT_MAX_FILES) { // If too many files, refuse.
+        json_error(400, sprintf('At most %d files per request', ATTACHMENT_MAX_FILES));
+    }
+    if ($type['needs_attachment'] && $files === 0) { // If the type needs proof (e.g. a doctor's note), insist on it.
+        json_error(400, $type['name'] . ' needs an attachment (e.g. a medical certificate)');
+    }
+
+    // Strict dates, start <= end, at most a year, valid half days, at least one working day.
+    $range = validate_range(
+        $db,
+        $date_from,
+        $date_to,
+        isset($in['start_half']) ? (string)$in['start_half'] : null,
+        isset($in['end_half']) ? (string)$in['end_half'] : null
+    );
+    $days = $range['working_days'];
+
+    // Refuse requests that touch a hard blackout for everyone or the user's team; soft ones only warn in the form.
+    foreach (user_blackouts($db, (int)$u['id'], $date_from, $date_to) as $b) {
+        if (!$b['soft']) { // If leave is not allowed during the period, refuse (422 like a broken policy rule).
+            json_error(422, blackout_message($b));
+        }
+    }
+
+    // Refuse requests that overlap the user's own pending/approved leave.
+    $clash = own_overlap($db, (int)$u['id'], $date_from, $date_to, $exceptId, $range['start_half'], $range['end_half']);
+    if ($clash) { // If an existing request covers any of these days, conflict.
+        json_error(409, sprintf(
+            'Overlaps your %s request from %s to %s',
+            $clash['status'],
+            $clash['date_from'],
+            $clash['date_to']
+        ));
+    }
+
+    // Refuse requests that would take the user over their yearly allowance (only types deducted from it).
+    $balance = leave_balance($db, (int)$u['id'], (int)substr($date_from, 0, 4), $exceptId);
+    if ($type['counts_allowance'] && $days > $balance['remaining']) { // If the request needs more days than are left, reject.
+        json_error(400, sprintf(
+            'Request needs %s day(s) but only %s remain for %d',
+            $days,
+            max(0, $balance['remaining']),
+            $balance['year']
+        ));
+    }
+
+    // Refuse requests that break a submission rule (notice, longest stretch); the rule's wording says why.
+    $broken = policy_violation($db, [
+        'user_id'       => (int)$u['id'],
+        'date_from'     => $date_from,
+        'date_to'       => $date_to,
+        'working_days'  => $days,
+        'leave_type_id' => $type['id'],
+    ], $exceptId);
+    if ($broken) { // If a rule is broken, refuse with its message (422 so the form can tell it from bad input).
+        json_error(422, $broken['summary']);
+    }
+
+    return [
+        'date_from'      => $date_from,
+        'date_to'        => $date_to,
+        'reason'         => $reason,
+        'working_days'   => $days,
+        'start_half'     => $range['start_half'],
+        'end_half'       => $range['end_half'],
+        'leave_type_id'  => $type['id'],
+        'leave_type'     => $type,
+        'attachment_ids' => $attachmentIds,
+    ];
+}
+
+/**
+ * Approve a just-submitted request straight away when its leave type needs no approval
+ * or an auto-approval rule covers it (see src/policies.php); the reason is recorded as the comment.
+ * Leave that would break a minimum staffing stays pending, so a manager decides on the override.
+ * The history entry has no actor, so the timeline shows it as a system decision; the employee is
+ * notified as for a manager's approval.
+ *
+ * @param PDO                 $db Database connection.
+ * @param int                 $id Pending request id.
+ * @param array<string,mixed> $v  Output of validate_request_input().
+ *
+ * @return string Resulting status ("pending" or "approved").
+ */
+function auto_approve_if_exempt(PDO $db, int $id, array $v): string
+{
+    $type = $v['leave_type'];
+    $rule = $type['needs_approval'] ? policy_auto_approval($db, $v) : null;
+    if ($type['needs_approval'] && !$rule) { // If a manager has to decide, leave it pending.
+        return 'pending';
+    }
+    if (coverage_breaches($db, fetch_row($db, 'vacation_requests', $id))) { // If too few would be left at work, a manager decides.
+        return 'pending';
+    }
+
+    $comment = $rule
+        ? 'Approved automatically by policy: ' . $rule['summary']
+        : 'Approved automatically: ' . $type['name'] . ' does not need approval';
+    apply_transition($db, $id, 'approved', null, $comment, [
+        'decided_at'       => gmdate('Y-m-d H:i:s'),
+        'decision_comment' => $comment,
+    ]);
+    notify_request($db, mail_transport($db), 'approved', $id);
+
+    return 'approved';
+}
+
+/**
+ * Apply a status transition, answering 404/409 JSON when the state machine refuses it.
+ *
+ * @param PDO                 $db      Database connection.
+ * @param int                 $id      Request id.
+ * @param string              $to      Target status.
+ * @param int|null            $actorId User performing the change.
+ * @param string|null         $comment Note for the history entry.
+ * @param array<string,mixed> $extra   Additional columns to set.
+ * @param int|null            $onBehalfOf Manager the actor stood in for.
+ *
+ * @return array<string,mixed> The request row as it was before the change.
+ */
+function apply_transition(
+    PDO $db,
+    int $id,
+    string $to,
+    ?int $actorId,
+    ?string $comment = null,
+    array $extra = [],
+    ?int $onBehalfOf = null
+): array {
+    try {
+        return transition_request($db, $id, $to, $actorId, $comment, $extra, $onBehalfOf);
+    } catch (WorkflowError $e) { // If unknown id or illegal move, surface the matching HTTP status.
+        json_error($e->getCode(), $e->getMessage());
+    }
+}
+
+/**
+ * Approve or reject one pending request: status change, audit entry and notification.
+ * Shared by the single-request route and the batch endpoint.
+ * On a request with approval steps the manager decides the open step; approving any step
+ * but the last only signs that step (the request stays pending and the next approvers are told).
+ * A manager who signed an earlier step cannot decide a later one.
+ * A delegate decides as the manager they cover for when the request is not theirs to decide,
+ * and the history and audit entries say so.
+ * Approving below a staffing minimum (see src/staffing.php) needs $override on the final approval (not on the
+ * steps before it); the audit entry lists the days overridden.
+ *
+ * @param PDO                 $db       Database connection.
+ * @param array<string,mixed> $mgr      Deciding manager.
+ * @param int                 $id       Request id.
+ * @param string              $action   "approve" or "reject".
+ * @param string              $comment  Decision comment ('' for none).
+ * @param bool                $override Approve even if the team drops below its minimum staffing.
+ *
+ * @return string New status ("pending" when only a step was signed).
+ *
+ * @throws WorkflowError 404 when the request does not exist (or is outside the manager's teams),
+ *                       403 when the open step is for other approvers or the manager signed an earlier step,
+ *                       409 when it is no longer pending.
+ * @throws CoverageError 409 when approving would breach a staffing minimum without $override.
+ */
+function decide_request(PDO $db, array $mgr, int $id, string $action, string $comment, bool $override = false): string
+{
+    $status = $action === 'approve' ? 'approved' : 'rejected';
+    $note   = $comment !== '' ? $comment : null;
+
+    if (!request_in_scope($db, $mgr, $id)) { // If another team's request, answer as if it did not exist.
+        throw new WorkflowError('Request not found', 404);
+    }
+
+    $req       = fetch_row($db, 'vacation_requests', $id);
+    $step      = $req['status'] === 'pending' ? current_step($db, $id) : null;
+    $ownerTeam = fetch_row($db, 'users', (int)$req['user_id'])['team_id'] ?? null;
+    $as        = acting_as($db, acting_candidates($db, $mgr), $ownerTeam === null ? null : (int)$ownerTeam, $step);
+    $stepName  = $step ? sprintf('%s (step %d of %d)', $step['label'], $step['position'], $step['total']) : '';
+    if ($as === null) { // If the open step is for other approvers (in scope, so only a step can refuse), say whose it is.
+        throw new WorkflowError('This request is waiting for ' . $stepName, 403);
+    }
+    if ($step !== null && signed_earlier_step(request_steps($db, [$id])[$id] ?? [], (int)$mgr['id'])) { // If they signed before, the step needs someone else.
+        throw new WorkflowError('You already signed an earlier step of this request; ' . $stepName . ' needs another manager', 403);
+    }
+    $onBehalf = (int)$as['id'] !== (int)$mgr['id'] ? $as : null;
+    $final    = $step === null || (int)$step['position'] === (int)$step['total'];
+
+    // Days the team would be short on once the leave is approved; approving anyway is a deliberate, recorded override.
+    $breaches = $status === 'approved' && $req['status'] === 'pending' && $final ? coverage_breaches($db, $req) : [];
+    if ($breaches && !$override) { // If not confirmed, refuse and say how many days are short.
+        throw new CoverageError(sprintf(
+            'Approving leaves %s below its minimum staffing on %d day(s); confirm the override to approve anyway',
+            $breaches[0]['group'],
+            count(array_unique(array_column($breaches, 'date')))
+        ), $breaches);
+    }
+    $overridden = $breaches ? ['staffing_override' => coverage_audit_value($breaches)] : [];
+
+    if ($status === 'approved' && !$final) { // If more steps follow, sign this one only.
+        if (!sign_step($db, (int)$step['id'], 'approved', (int)$mgr['id'], $note, $onBehalf ? (int)$onBehalf['id'] : null)) {
+            throw new WorkflowError('Request was changed by someone else; reload and try again', 409);
+        }
+        audit($db, $mgr, 'request.approve_step', request_target($req), ['approved_step' => null], ['approved_step' => $stepName, 'comment' => $note], $onBehalf);
+        notify_request($db, mail_transport($db), 'awaiting', $id);
+
+        return 'pending';
+    }
+
+    // Only pending requests can be decided; record who decided (and for whom), when, and why.
+    $before = transition_request($db, $id, $status, (int)$mgr['id'], $note, [
+        'decided_by'       => (int)$mgr['id'],
+        'decided_for'      => $onBehalf ? (int)$onBehalf['id'] : null,
+        'decided_at'       => gmdate('Y-m-d H:i:s'),
+        'decision_comment' => $note,
+    ], $onBehalf ? (int)$onBehalf['id'] : null);
+    if ($step !== null) { // If chained, close the deciding step; after a rejection the rest no longer matter.
+        sign_step($db, (int)$step['id'], $status, (int)$mgr['id'], $note, $onBehalf ? (int)$onBehalf['id'] : null);
+        skip_open_steps($db, $id);
+    }
+    audit($db, $mgr, 'request.' . $action, request_target($before), $before, fetch_row($db, 'vacation_requests', $id) + $overridden, $onBehalf);
+    notify_request($db, mail_transport($db), $status, $id);
+
+    return $status;
+}
+
+/**
+ * Load a full row for audit snapshots.
+ *
+ * @param PDO    $db    Database connection.
+ * @param string $table One of users, vacation_requests, public_holidays, leave_types (never user input).
+ * @param int    $id    Primary key.
+ *
+ * @return array<string,mixed>|null The row, or null when missing.
+ */
+function fetch_row(PDO $db, string $table, int $id): ?array
+{
+    $st = $db->prepare('SELECT * FROM ' . $table . ' WHERE id = ?');
+    $st->execute([$id]);
+
+    return $st->fetch(PDO::FETCH_ASSOC) ?: null;
+}
+
+/**
+ * Write an audit entry for a manager action, stamped with the client IP.
+ *
+ * @param PDO                      $db     Database connection.
+ * @param array<string,mixed>      $actor  Acting manager.
+ * @param string                   $action Action name (see README "Audit log").
+ * @param array<string,mixed>      $target {type, id, user_id?, label?}
+ * @param array<string,mixed>|null $before Snapshot before the change.
+ * @param array<string,mixed>|null $after  Snapshot after the change.
+ * @param array<string,mixed>|null $onBehalfOf Manager the actor stood in for (see acting_as()).
+ */
+function audit(
+    PDO $db,
+    array $actor,
+    string $action,
+    array $target,
+    ?array $before,
+    ?array $after,
+    ?array $onBehalfOf = null
+): void {
+    audit_record($db, $actor, $action, $target, $before, $after, $_SERVER['REMOTE_ADDR'] ?? null, $onBehalfOf);
+}
+
+/**
+ * Audit target descriptor for a vacation request row.
+ *
+ * @param array<string,mixed> $row Request row.
+ *
+ * @return array<string,mixed>
+ */
+function request_target(array $row): array
+{
+    return [
+        'type'    => 'request',
+        'id'      => (int)$row['id'],
+        'user_id' => (int)$row['user_id'],
+        'label'   => '#' . $row['id'] . ' ' . format_range((string)$row['date_from'], (string)$row['date_to']),
+    ];
+}
+
+/**
+ * Parse list query parameters from $_GET, answering 400 when they are malformed.
+ *
+ * @param array<string,string> $sortable    Public sort key => SQL expression.
+ * @param string               $defaultSort Default sort ("-key" = descending).
+ *
+ * @return array<string,mixed> See App\parse_list_params().
+ */
+function list_params(array $sortable, string $defaultSort): array
+{
+    try {
+        return parse_list_params($_GET, $sortable, $defaultSort);
+    } catch (InvalidArgumentException $e) { // If a parameter is malformed, explain which one.
+        json_error(400, $e->getMessage());
+    }
+}
+
+/** Sortable columns of the employee's own request list (and its export). */
+const MY_REQUEST_SORTS = [
+    'submitted'    => 'r.submitted_at',
+    'date_from'    => 'r.date_from',
+    'date_to'      => 'r.date_to',
+    'working_days' => 'r.working_days',
+    'status'       => 'r.status',
+    'type'         => 'lt.name',
+];
+
+/** Sortable columns of the manager request list (and its export). */
+const ADMIN_REQUEST_SORTS = MY_REQUEST_SORTS + ['employee' => 'u.name'];
+
+/**
+ * Append request filters (status, leave type, leave overlapping a date range, free-text search) shared by the request lists.
+ *
+ * @param array<string,mixed> $p          Parsed list params.
+ * @param list<string>        $where      Conditions (appended to).
+ * @param list<mixed>         $args       Bound values (appended to).
+ * @param list<string>        $searchCols Columns matched by ?q= (LIKE, any of them).
+ */
+function request_filters(array $p, array &$where, array &$args, array $searchCols): void
+{
+    if ($p['status'] !== '') { // If a status is selected, match it exactly.
+        $where[] = 'r.status = ?';
+        $args[]  = $p['status'];
+    }
+    if ($p['type'] !== null) { // If a leave type is selected, match it exactly.
+        $where[] = 'r.leave_type_id = ?';
+        $args[]  = $p['type'];
+    }
+    if ($p['date_from'] !== '') { // If a range start is given, keep leave ending on/after it.
+        $where[] = 'r.date_to >= ?';
+        $args[]  = $p['date_from'];
+    }
+    if ($p['date_to'] !== '') { // If a range end is given, keep leave starting on/before it.
+        $where[] = 'r.date_from <= ?';
+        $args[]  = $p['date_to'];
+    }
+    if ($p['q'] !== '' && $searchCols) { // If searching, match any of the search columns.
+        $where[] = '(' . implode(' OR ', array_map(static fn($c) => $c . ' LIKE ?', $searchCols)) . ')';
+        array_push($args, ...array_fill(0, count($searchCols), '%' . $p['q'] . '%'));
+    }
+}
+
+/**
+ * Send the whole filtered request list as a download (?format=csv|xlsx, default csv) and stop.
+ * Paging is ignored: the export always covers every matching row.
+ *
+ * @param PDO                 $db       Database connection.
+ * @param list<string>        $where    Conditions built by request_filters().
+ * @param list<mixed>         $args     Bound values.
+ * @param array<string,mixed> $p        Parsed list params (sort is honoured).
+ * @param string              $basename File name without date and extension.
+ */
+function send_request_export(PDO $db, array $where, array $args, array $p, string $basename): void
+{
+    $format = (string)($_GET['format'] ?? 'csv');
+    if (!isset(EXPORT_FORMATS[$format])) { // If the format is unknown, list the supported ones.
+        json_error(400, 'format must be one of: ' . implode(', ', array_keys(EXPORT_FORMATS)));
+    }
+
+    $rows = export_rows(paginate(
+        $db,
+        'u.name AS user_name, u.email, u.employee_code, lt.name AS type_name,
+         r.date_from, r.date_to, r.working_days, r.status, r.decided_at',
+        'vacation_requests r JOIN users u ON u.id = r.user_id LEFT JOIN leave_types lt ON lt.id = r.leave_type_id',
+        $where,
+        $args,
+        ['page' => null, 'focus' => null] + $p,
+        'r.id'
+    ));
+    $body = $format === 'xlsx' ? export_xlsx($rows) : export_csv($rows);
+
+    header('Content-Type: ' . EXPORT_FORMATS[$format]);
+    header('Content-Disposition: attachment; filename="' . $basename . '-' . gmdate('Y-m-d') . '.' . $format . '"');
+    header('Content-Length: ' . strlen($body));
+    echo $body;
+    exit;
+}
+
+/**
+ * Feeds the user may subscribe to: everyone has "personal", managers also "team".
+ *
+ * @param array<string,mixed> $u Current user.
+ *
+ * @return list<string>
+ */
+function feed_scopes_for(array $u): array
+{
+    return ($u['role'] ?? '') === 'manager' ? FEED_SCOPES : ['personal'];
+}
+
+/** Double-check session is started (keeps original behavior). */
+if (session_status() === PHP_SESSION_NONE) { // If session somehow not active, start again (idempotent).
+    session_start();
+}
+
+/**
+ * Legacy helper: emit raw JSON (kept for compatibility).
+ *
+ * @param mixed $data Any serializable payload.
+ * @param int   $code HTTP status code.
+ */
+if (!function_exists('json')) { // If a global json() helper is missing, define it for backward compatibility.
+    function json($data, int $code = 200): void
+    {
+        http_response_code($code);
+        header('Content-Type: application/json; charset=utf-8');
+        echo json_encode($data);
+        exit;
+    }
+}
+
+/**
+ * Legacy guard: require logged-in user using the legacy json() helper.
+ */
+if (!function_exists('require_login')) { // If legacy require_login() not defined, add it.
+    function require_login(): void
+    {
+        if (empty($_SESSION['user'])) { // If no 'user' in session, deny as Unauthorized.
+            json(['error' => 'Unauthorized'], 401);
+        }
+    }
+}
+
+/**
+ * Legacy guard: require manager role using the legacy json() helper.
+ * Note: Name overlaps with typed version above, but guarded by function_exists.
+ */
+if (!function_exists('require_manager')) { // If the untyped legacy require_manager() is not defined, add it.
+    function require_manager(): void
+    {
+        if (($_SESSION['user']['role'] ?? '') !== 'manager') { // If role not manager, deny as Forbidden.
+            json(['error' => 'Forbidden'], 403);
+        }
+    }
+}
+
+// ---------------------------------------------------------------------
+// Router: method + path
+// ---------------------------------------------------------------------
+$method = $_SERVER['REQUEST_METHOD'];
+$path   = parse_url($_SERVER['REQUEST_URI'], PHP_URL_PATH) ?? '/';
+
+/** Normalize when app is mounted under /api (strip the prefix). */
+if (str_starts_with($path, '/api/')) { // If the path starts with /api/, remove it for internal routing.
+    $path = substr($path, 4);
+}
+/** Edge case: /api exactly should behave like root. */
+if ($path === '/api') { // If exactly '/api', normalize to '/'.
+    $path = '/';
+}
+
+// ---------------------------------------------------------------------
+// Auth routes
+// ---------------------------------------------------------------------
+
+/** POST /login — authenticate user by email and password. */
+if ($path === '/login' && $method === 'POST') { // If route is /login with POST, attempt authentication.
+    $in    = json_input();
+    $email = strtolower(trim($in['email'] ?? ''));
+    $pass  = (string)($in['password'] ?? '');
+
+    // Validate inputs.
+    if (!filter_var($email, FILTER_VALIDATE_EMAIL) || $pass === '') { // If email invalid or password missing, reject.
+        json_error(400, 'Invalid credentials');
+    }
+
+    // Fetch user by email.
+    $st  = $db->prepare('SELECT id, name, email, role, employee_code, password_hash FROM users WHERE email = ?');
+    $st->execute([$email]);
+    $row = $st->fetch(PDO::FETCH_ASSOC);
+
+    // Verify credentials.
+    if (!$row || !password_verify($pass, $row['password_hash'])) { // If user not found or password mismatch, reject.
+        json_error(401, 'Invalid email or password');
+    }
+
+    // Login success: store uid and return user sans hash.
+    $_SESSION['uid'] = (int)$row['id'];
+    unset($row['password_hash']);
+    json_ok($row);
+}
+
+/** POST /logout — destroy the current session. */
+if ($path === '/logout' && $method === 'POST') { // If route is /logout with POST, terminate the session.
+    session_destroy();
+    json_ok(['ok' => true]);
+}
+
+/** GET /me — fetch current user details or 401 if not logged in. */
+if ($path === '/me' && $method === 'GET') { // If route is /me with GET, return current user or Unauthorized.
+    $u = current_user($db);
+
+    if (!$u) { // If no authenticated user, deny access.
+        json_error(401, 'Unauthorized');
+    }
+
+    json_ok($u);
+}
+
+// ---------------------------------------------------------------------
+// Public Register (employee)
+// ---------------------------------------------------------------------
+
+/** POST /register — create a new employee account (public). */
+if ($path === '/register' && $method === 'POST') { // If route is /register with POST, perform registration.
+    $in    = json_input();
+    $name  = trim($in['name'] ?? '');
+    $email = strtolower(trim($in['email'] ?? ''));
+    $pass  = (string)($in['password'] ?? '');
+
+    // Validate fields.
+    if ($name === '') { // If name empty, reject.
+        json_error(400, 'Name required');
+    }
+    if (!filter_var($email, FILTER_VALIDATE_EMAIL)) { // If email invalid, reject.
+        json_error(400, 'Invalid email');
+    }
+    if (strlen($pass) < 6) { // If password too short, reject.
+        json_error(400, 'Password must be at least 6 characters');
+    }
+
+    // Ensure email uniqueness.
+    $s = $db->prepare('SELECT 1 FROM users WHERE email = ?');
+    $s->execute([$email]);
+    if ($s->fetchColumn()) { // If email already exists, conflict.
+        json_error(409, 'Email already in use');
+    }
+
+    // Generate code + hash password, insert new employee.
+    $code = generate_employee_code($db);
+    $hash = password_hash($pass, PASSWORD_DEFAULT);
+
+    $ins = $db->prepare(
+        'INSERT INTO users (name,email,employee_code,role,password_hash,created_at)
+         VALUES (?,?,?,?,?,datetime("now"))'
+    );
+    $ins->execute([$name, $email, $code, 'employee', $hash]);
+
+    json_ok(['ok' => true, 'employee_code' => $code], 201);
+}
+
+// ---------------------------------------------------------------------
+// Profile: notification preferences
+// ---------------------------------------------------------------------
+
+/** GET /me/notification-prefs — which request events the current user wants emailed. */
+if ($path === '/me/notification-prefs' && $method === 'GET') { // If route is /me/notification-prefs with GET, return them.
+    $u = require_auth($db);
+
+    json_ok(notification_prefs($db, (int)$u['id']));
+}
+
+/** PUT /me/notification-prefs — partial {submitted?, awaiting?, approved?, rejected?, cancelled?} booleans. */
+if ($path === '/me/notification-prefs' && $method === 'PUT') { // If route is /me/notification-prefs with PUT, save them.
+    $u = require_auth($db);
+
+    json_ok(save_notification_prefs($db, (int)$u['id'], json_input()));
+}
+
+// ---------------------------------------------------------------------
+// In-app notifications (header bell)
+// ---------------------------------------------------------------------
+
+/** GET /me/notifications — latest notifications + unread count. */
+if ($path === '/me/notifications' && $method === 'GET') { // If route is /me/notifications with GET, list them.
+    $u = require_auth($db);
+
+    json_ok(list_notifications($db, (int)$u['id']));
+}
+
+/** POST /me/notifications/read-all — mark every notification as read. */
+if ($path === '/me/notifications/read-all' && $method === 'POST') { // If route is read-all with POST, clear the badge.
+    $u = require_auth($db);
+
+    json_ok(['ok' => true, 'marked' => mark_notifications_read($db, (int)$u['id'])]);
+}
+
+/** POST /me/notifications/{id}/read — mark one notification as read. */
+if ($method === 'POST' && preg_match('#^/me/notifications/(\d+)/read$#', $path, $m)) { // If POST read with id, mark it.
+    $u = require_auth($db);
+
+    $st = $db->prepare('SELECT 1 FROM notifications WHERE id = ? AND user_id = ?');
+    $st->execute([(int)$m[1], (int)$u['id']]);
+    if (!$st->fetchColumn()) { // If not one of mine, hide its existence.
+        json_error(404, 'Notification not found');
+    }
+
+    mark_notifications_read($db, (int)$u['id'], (int)$m[1]);
+    json_ok(['ok' => true]);
+}
+
+// ---------------------------------------------------------------------
+// Calendar feeds (.ics subscriptions)
+// ---------------------------------------------------------------------
+
+/** GET /me/calendar-feeds — subscription URLs of the current user's feeds ({personal, team?}). */
+if ($path === '/me/calendar-feeds' && $method === 'GET') { // If route is /me/calendar-feeds with GET, list the URLs.
+    $u = require_auth($db);
+
+    $urls = [];
+    foreach (feed_scopes_for($u) as $scope) {
+        $urls[$scope] = feed_url(feed_token($db, (int)$u['id'], $scope));
+    }
+    json_ok($urls);
+}
+
+/** POST /me/calendar-feeds/{scope}/regenerate — replace a feed token; the old URL stops working. */
+if (preg_match('#^/me/calendar-feeds/(personal|team)/regenerate$#', $path, $m) && $method === 'POST') { // If path matches regenerate with POST, rotate the token.
+    $u = require_auth($db);
+
+    if (!in_array($m[1], feed_scopes_for($u), true)) { // If the team feed is asked for by a non-manager, forbid.
+        json_error(403, 'Forbidden');
+    }
+
+    json_ok(['url' => feed_url(regenerate_feed_token($db, (int)$u['id'], $m[1]))]);
+}
+
+/** GET /calendar/{token}.ics — iCalendar feed; the token is the only credential. */
+if (preg_match('#^/calendar/([a-f0-9]{48})\.ics$#', $path, $m) && $method === 'GET') { // If path matches a feed URL with GET, render it.
+    $feed = feed_by_token($db, $m[1]);
+    if ($feed === null) { // If the token is unknown or revoked, behave like a missing page.
+        json_error(404, 'Feed not found');
+    }
+
+    // UIDs use the configured host so they stay stable across token regeneration.
+    $host = parse_url(feed_url($m[1]), PHP_URL_HOST) ?: 'localhost';
+
+    header('Content-Type: text/calendar; charset=utf-8');
+    header('Content-Disposition: inline; filename="' . $feed['scope'] . '-leave.ics"');
+    header('Cache-Control: private, max-age=300');
+    echo build_ics($feed, feed_events($db, $feed), $host);
+    exit;
+}
+
+// ---------------------------------------------------------------------
+// Employee: My Requests
+// ---------------------------------------------------------------------
+
+/** GET /me/requests — list current user's vacation requests (paginated when ?page= is given). */
+if ($path === '/me/requests' && $method === 'GET') { // If route is /me/requests with GET, list user's requests.
+    $u = require_auth($db);
+    $p = list_params(MY_REQUEST_SORTS, '-submitted');
+
+    $where = ['r.user_id = ?'];
+    $args  = [(int)$u['id']];
+    request_filters($p, $where, $args, ['r.reason']);
+
+    $result = paginate(
+        $db,
+        'r.id, r.user_id, r.reason, r.status, r.date_from, r.date_to, r.start_half, r.end_half, r.working_days,
+         r.submitted_at, r.edited_at, r.decided_at, r.decision_comment, d.name AS decided_by_name,
+         f.name AS decided_for_name,
+         r.leave_type_id, lt.name AS type_name, lt.color AS type_color,
+         (SELECT COUNT(*) FROM request_attachments a WHERE a.request_id = r.id) AS attachment_count',
+        'vacation_requests r
+         LEFT JOIN users d ON d.id = r.decided_by
+         LEFT JOIN users f ON f.id = r.decided_for
+         LEFT JOIN leave_types lt ON lt.id = r.leave_type_id',
+        $where,
+        $args,
+        $p,
+        'r.id'
+    );
+    $paged = isset($result['items']);
+    $rows  = $paged ? $result['items'] : $result;
+
+    // Progress through the approval chain ([] when a single decision settles the request).
+    $steps = request_steps($db, array_column($rows, 'id'));
+    foreach ($rows as &$row) {
+        $row['steps'] = $steps[(int)$row['id']] ?? [];
+    }
+    unset($row);
+
+    json_ok($paged ? ['items' => $rows] + $result : $rows);
+}
+
+/** GET /me/requests/export?format=csv|xlsx — download own requests with the list filters applied. */
+if ($path === '/me/requests/export' && $method === 'GET') { // If route is /me/requests/export with GET, send the file.
+    $u = require_auth($db);
+    $p = list_params(MY_REQUEST_SORTS, '-submitted');
+
+    $where = ['r.user_id = ?'];
+    $args  = [(int)$u['id']];
+    request_filters($p, $where, $args, ['r.reason']);
+
+    send_request_export($db, $where, $args, $p, 'my-leave');
+}
+
+/** GET /me/working-days?date_from=&date_to=&start_half=&end_half= — preview working days for a range (same rules as submit). */
+if ($path === '/me/working-days' && $method === 'GET') { // If route is /me/working-days with GET, validate and count.
+    require_auth($db);
+
+    $range = validate_range(
+        $db,
+        trim((string)($_GET['date_from'] ?? '')),
+        trim((string)($_GET['date_to'] ?? '')),
+        isset($_GET['start_half']) ? (string)$_GET['start_half'] : null,
+        isset($_GET['end_half']) ? (string)$_GET['end_half'] : null
+    );
+
+    $holidays = [];
+    foreach ($range['holidays'] as $date => $name) {
+        $holidays[] = ['date' => $date, 'name' => $name];
+    }
+
+    json_ok(['working_days' => $range['working_days'], 'holidays' => $holidays]);
+}
+
+/** GET /me/balance — allowance, used, pending and remaining days for ?year= (default: current year). */
+if ($path === '/me/balance' && $method === 'GET') { // If route is /me/balance with GET, return the yearly balance.
+    $u    = require_auth($db);
+    $year = (int)($_GET['year'] ?? date('Y'));
+
+    if ($year < 1970 || $year > 9999) { // If year is out of a sane range, reject.
+        json_error(400, 'Invalid year');
+    }
+
+    json_ok(leave_balance($db, (int)$u['id'], $year));
+}
+
+/** POST /me/requests — submit a new vacation request for the current user (auto-approved for types that need no approval). */
+if ($path === '/me/requests' && $method === 'POST') { // If route is /me/requests with POST, create a request.
+    $u = require_auth($db);
+    $v = validate_request_input($db, $u, json_input());
+
+    // Insert pending request.
+    $st = $db->prepare(
+        'INSERT INTO vacation_requests
+            (user_id, date_from, date_to, start_half, end_half, reason, working_days, leave_type_id, status, submitted_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, "pending", datetime("now"))'
+    );
+    $st->execute([
+        $u['id'], $v['date_from'], $v['date_to'], $v['start_half'], $v['end_half'],
+        $v['reason'], $v['working_days'], $v['leave_type_id'],
+    ]);
+    $id = (int)$db->lastInsertId();
+    link_attachments($db, $id, $v['attachment_ids']);
+
+    // Timeline starts with the submission; managers get an email either way so they know who is away.
+    record_status($db, $id, null, 'pending', (int)$u['id']);
+    $status = auto_approve_if_exempt($db, $id, $v);
+    if ($status === 'pending') { // If a manager has to decide, copy the approval chain that applies (if any).
+        start_approvals($db, $id, matching_chain($db, $v['leave_type_id'], (float)$v['working_days']));
+    }
+    notify_request($db, mail_transport($db), 'submitted', $id);
+
+    json_ok(['id' => $id, 'status' => $status], 201);
+}
+
+/** PUT /me/requests/{id} — edit one of my requests while it is still pending. */
+if ($method === 'PUT' && preg_match('#^/me/requests/(\d+)$#', $path, $m)) { // If PUT with own request id, update it.
+    $u   = require_auth($db);
+    $req = require_own_request($db, (int)$m[1], (int)$u['id']);
+
+    if ($req['status'] !== 'pending') { // If already decided/withdrawn, the request is frozen.
+        json_error(409, 'Only pending requests can be edited');
+    }
+
+    $v = validate_request_input($db, $u, json_input(), (int)$req['id']);
+
+    $st = $db->prepare(
+        'UPDATE vacation_requests
+            SET date_from = ?, date_to = ?, start_half = ?, end_half = ?, reason = ?, working_days = ?, leave_type_id = ?,
+                edited_at = datetime("now")
+          WHERE id = ? AND status = "pending"'
+    );
+    $st->execute([
+        $v['date_from'], $v['date_to'], $v['start_half'], $v['end_half'],
+        $v['reason'], $v['working_days'], $v['leave_type_id'], (int)$req['id'],
+    ]);
+    if ($st->rowCount() === 0) { // If a manager decided it since it was loaded, the request is frozen.
+        json_error(409, 'Request was changed by someone else; reload and try again');
+    }
+    link_attachments($db, (int)$req['id'], $v['attachment_ids']);
+
+    // Switching to a type that needs no approval (or into an auto-approval rule) settles the request right away.
+    // Otherwise the sign-off starts over, with the chain for the new type and length.
+    $status = auto_approve_if_exempt($db, (int)$req['id'], $v);
+    start_approvals($db, (int)$req['id'], $status === 'pending' ? matching_chain($db, $v['leave_type_id'], (float)$v['working_days']) : null);
+
+    json_ok(['ok' => true, 'status' => $status]);
+}
+
+/** DELETE /me/requests/{id} — withdraw one of my pending requests. */
+if ($method === 'DELETE' && preg_match('#^/me/requests/(\d+)$#', $path, $m)) { // If DELETE with own request id, withdraw it.
+    $u   = require_auth($db);
+    $req = require_own_request($db, (int)$m[1], (int)$u['id']);
+
+    if ($req['status'] !== 'pending') { // If already decided, withdrawing is not possible.
+        json_error(409, $req['status'] === 'approved'
+            ? 'Approved requests must be cancelled via a cancellation request'
+            : 'Only pending requests can be withdrawn');
+    }
+
+    apply_transition($db, (int)$req['id'], 'withdrawn', (int)$u['id']);
+    skip_open_steps($db, (int)$req['id']); // Nobody has to sign a withdrawn request anymore.
+
+    json_ok(['ok' => true, 'status' => 'withdrawn']);
+}
+
+/** POST /me/requests/{id}/cancel — ask a manager to cancel one of my approved requests. */
+if ($method === 'POST' && preg_match('#^/me/requests/(\d+)/cancel$#', $path, $m)) { // If POST cancel on own request, flag it.
+    $u   = require_auth($db);
+    $req = require_own_request($db, (int)$m[1], (int)$u['id']);
+
+    if ($req['status'] !== 'approved') { // If not approved, there is nothing for a manager to cancel.
+        json_error(409, $req['status'] === 'pending'
+            ? 'Pending requests can be withdrawn directly'
+            : 'Only approved requests can be cancelled');
+    }
+
+    apply_transition($db, (int)$req['id'], 'cancellation_requested', (int)$u['id']);
+
+    json_ok(['ok' => true, 'status' => 'cancellation_requested']);
+}
+
+/** GET /me/requests/{id}/history — status timeline of one of my requests. */
+if ($method === 'GET' && preg_match('#^/me/requests/(\d+)/history$#', $path, $m)) { // If GET history on own request, list it.
+    $u   = require_auth($db);
+    $req = require_own_request($db, (int)$m[1], (int)$u['id']);
+
+    json_ok(request_history($db, (int)$req['id']));
+}
+
+/** GET /me/requests/{id}/attachments — files on one of my requests. */
+if ($method === 'GET' && preg_match('#^/me/requests/(\d+)/attachments$#', $path, $m)) { // If GET attachments on own request, list them.
+    $u   = require_auth($db);
+    $req = require_own_request($db, (int)$m[1], (int)$u['id']);
+
+    json_ok(request_attachments($db, (int)$req['id']));
+}
+
+// ---------------------------------------------------------------------
+// Attachments (upload: employee, read: owner or manager)
+// ---------------------------------------------------------------------
+
+/**
+ * POST /me/attachments — multipart upload (field "file") of one PDF/JPG/PNG.
+ * The file is staged until a request is submitted or edited with its id in attachment_ids.
+ */
+if ($path === '/me/attachments' && $method === 'POST') { // If route is /me/attachments with POST, store the upload.
+    $u    = require_auth($db);
+    $file = $_FILES['file'] ?? null;
+
+    if (!is_array($file) || is_array($file['error'])) { // If no single file was sent (or PHP dropped an oversized body), refuse.
+        json_error(400, 'Send one file as the multipart field "file"');
+    }
+    if (in_array($file['error'], [UPLOAD_ERR_INI_SIZE, UPLOAD_ERR_FORM_SIZE], true)) { // If PHP's own limit was hit, it is too large.
+        json_error(413, sprintf('Files can be at most %d MB', attachment_max_bytes() / 1024 / 1024));
+    }
+    if ($file['error'] !== UPLOAD_ERR_OK || !is_uploaded_file($file['tmp_name'])) { // If the upload broke off, ask to retry.
+        json_error(400, 'Upload failed; please try again');
+    }
+
+    try {
+        $row = store_attachment($db, storage(), (int)$u['id'], (string)$file['name'], (string)file_get_contents($file['tmp_name']));
+    } catch (InvalidArgumentException $e) { // If empty, too large or not an accepted type, answer with its status.
+        json_error($e->getCode(), $e->getMessage());
+    } catch (RuntimeException $e) { // If storage is misconfigured or full, log and fail.
+        error_log('attachment upload: ' . $e->getMessage());
+        json_error(500, 'Could not store the file');
+    }
+
+    unset($row['user_id'], $row['storage_key']);
+    json_ok($row, 201);
+}
+
+/** DELETE /me/attachments/{id} — remove one of my files while it is staged or its request is still pending. */
+if ($method === 'DELETE' && preg_match('#^/me/attachments/(\d+)$#', $path, $m)) { // If DELETE with attachment id, remove it.
+    $u   = require_auth($db);
+    $row = attachment($db, (int)$m[1]);
+
+    if (!$row || (int)$row['user_id'] !== (int)$u['id']) { // If missing or someone else's, do not reveal which.
+        json_error(404, 'Attachment not found');
+    }
+    if ($row['request_id'] !== null) { // If already submitted, the request decides whether it may change.
+        $req = require_own_request($db, (int)$row['request_id'], (int)$u['id']);
+        if ($req['status'] !== 'pending') { // If decided, the evidence stays with the decision.
+            json_error(409, 'Files can only be removed while the request is pending');
+        }
+        $type = $req['leave_type_id'] !== null ? leave_type($db, (int)$req['leave_type_id']) : null;
+        if ($type && $type['needs_attachment'] && attachment_count($db, (int)$req['id']) <= 1) { // If it is the only proof, keep it.
+            json_error(409, $type['name'] . ' needs at least one attachment');
+        }
+    }
+
+    delete_attachment($db, storage(), $row);
+
+    http_response_code(204);
+    exit;
+}
+
+/** GET /attachments/{id}?download=1 — the file itself, inline for previews unless download is set (owner or manager). */
+if ($method === 'GET' && preg_match('#^/attachments/(\d+)$#', $path, $m)) { // If GET attachment by id, stream it.
+    $u   = require_auth($db);
+    $row = attachment($db, (int)$m[1]);
+
+    // Only the uploader and managers of the uploader's team may read it; everyone else gets the same 404 as for a missing id.
+    $mayRead = $row && ((int)$row['user_id'] === (int)$u['id']
+        || ($u['role'] === 'manager' && user_in_team_scope($db, request_scope($db, $u), (int)$row['user_id'], true)));
+    if (!$mayRead) {
+        json_error(404, 'Attachment not found');
+    }
+
+    $bytes = storage()->get((string)$row['storage_key']);
+    if ($bytes === null) { // If the file vanished from storage, say so instead of sending an empty body.
+        json_error(410, 'The file is no longer available');
+    }
+
+    $disposition = empty($_GET['download']) ? 'inline' : 'attachment';
+    $ascii       = preg_replace('/[^A-Za-z0-9._-]+/', '_', (string)$row['filename']);
+    header('Content-Type: ' . $row['mime']);
+    header('Content-Length: ' . strlen($bytes));
+    header('Content-Disposition: ' . $disposition . '; filename="' . $ascii . '"; filename*=UTF-8\'\'' . rawurlencode((string)$row['filename']));
+    header('X-Content-Type-Options: nosniff');
+    header('Cache-Control: private, no-store');
+    echo $bytes;
+    exit;
+}
+
+// ---------------------------------------------------------------------
+// Admin: Users
+// ---------------------------------------------------------------------
+
+/** GET /admin/users — list users in the manager's teams (manager-only, paginated when ?page= is given). */
+if ($path === '/admin/users' && $method === 'GET') { // If route is /admin/users with GET, list all users for managers.
+    $mgr = require_manager($db);
+    $p   = list_params([
+        'name'             => 'u.name',
+        'email'            => 'u.email',
+        'employee_code'    => 'u.employee_code',
+        'role'             => 'u.role',
+        'annual_allowance' => 'u.annual_allowance',
+        'team'             => 't.name',
+        'created'          => 'u.created_at',
+    ], '-created');
+
+    $where = [];
+    $args  = [];
+    $role  = trim((string)($_GET['role'] ?? ''));
+    if ($role !== '') { // If a role is selected, match it.
+        $where[] = 'u.role = ?';
+        $args[]  = $role;
+    }
+    if ($p['q'] !== '') { // If searching, match name, email or employee code.
+        $where[] = '(u.name LIKE ? OR u.email LIKE ? OR u.employee_code LIKE ?)';
+        array_push($args, '%' . $p['q'] . '%', '%' . $p['q'] . '%', '%' . $p['q'] . '%');
+    }
+    if ($p['date_from'] !== '') { // If a start date is given, keep users created since then.
+        $where[] = 'u.created_at >= ?';
+        $args[]  = $p['date_from'] . ' 00:00:00';
+    }
+    if ($p['date_to'] !== '') { // If an end date is given, keep users created up to that day.
+        $where[] = 'u.created_at <= ?';
+        $args[]  = $p['date_to'] . ' 23:59:59';
+    }
+    team_filters($p, manager_scope($db, $mgr), $where, $args, 'u.team_id');
+
+    json_ok(paginate(
+        $db,
+        'u.id, u.name, u.email, u.role, u.employee_code, u.annual_allowance, u.team_id, t.name AS team_name, u.created_at',
+        'users u LEFT JOIN teams t ON t.id = u.team_id',
+        $where,
+        $args,
+        $p,
+        'u.id'
+    ));
+}
+
+/** POST /admin/users — create a user (manager-only, auto employee_code if missing). */
+if ($path === '/admin/users' && $method === 'POST') { // If route is /admin/users with POST, create user as manager.
+    $mgr = require_manager($db);
+
     $in = json_input();
+    try {
+        $user = validate_new_user($db, $in);
+    } catch (InvalidArgumentException $e) { // If a rule fails, answer 400 (invalid) or 409 (taken).
+        json_error($e->getCode(), $e->getMessage());
+    }
+    if ($user['role'] !== 'employee' && manager_scope($db, $mgr) !== null) { // If a team lead adds a manager, they could run everyone.
+        json_error(403, 'Only managers without a team can add managers');
+    }
+    $teamId = setting_team_input($db, $mgr, $in['team_id'] ?? null);
+
+    // Use provided employee_code or generate one.
+    $code = $user['employee_code'];
+    if ($code === '') { // If no code provided, generate a unique one.
+        $code = generate_employee_code($db);
+    }
+
+    // Insert user.
+    $hash = password_hash($user['password'], PASSWORD_DEFAULT);
+    $ins  = $db->prepare(
+        'INSERT INTO users (name,email,employee_code,role,password_hash,annual_allowance,team_id,created_at)
+         VALUES (?,?,?,?,?,?,?,datetime("now"))'
+    );
+    $ins->execute([$user['name'], $user['email'], $code, $user['role'], $hash, $user['annual_allowance'], $teamId]);
+    $id = (int)$db->lastInsertId();
+
+    audit($db, $mgr, 'user.create', ['type' => 'user', 'id' => $id, 'user_id' => $id, 'label' => $user['name']], null, fetch_row($db, 'users', $id));
+
+    json_ok(['id' => $id, 'employee_code' => $code], 201);
+}
+
+/**
+ * POST /admin/users/import — bulk create from CSV (manager-only).
+ * Body {csv, commit?, team_id?} (team_id places every imported user in that team). Without commit: dry-run {rows, valid, invalid}. With commit: every valid row
+ * is created in one transaction → 201 {created:[{line,id,name,email,role,employee_code,temp_password}], skipped}.
+ * Temporary passwords appear only in this response; they are not stored in clear anywhere.
+ */
+if ($path === '/admin/users/import' && $method === 'POST') { // If route is /admin/users/import with POST, preview or import.
+    $mgr = require_manager($db);
+    $in  = json_input();
+
+    try {
+        $rows = import_preview($db, parse_user_csv((string)($in['csv'] ?? '')), manager_scope($db, $mgr) === null);
+    } catch (InvalidArgumentException $e) { // If the file itself is unusable, explain why.
+        json_error(400, $e->getMessage());
+    }
+    $teamId = setting_team_input($db, $mgr, $in['team_id'] ?? null);
+
+    $valid   = array_values(array_filter($rows, static fn($r) => !$r['errors']));
+    $skipped = array_values(array_filter($rows, static fn($r) => (bool)$r['errors']));
+
+    if (empty($in['commit'])) { // If only previewing, report per-row results and stop.
+        json_ok(['rows' => $rows, 'valid' => count($valid), 'invalid' => count($skipped)]);
+    }
+    if (!$valid) { // If nothing can be imported, refuse the commit.
+        json_error(400, 'No valid rows to import');
+    }
+
+    // Codes given in the file are reserved so generated ones never take them first.
+    $reserved = array_flip(array_filter(array_column($valid, 'employee_code')));
+    $ins      = $db->prepare(
+        'INSERT INTO users (name,email,employee_code,role,password_hash,team_id,created_at)
+         VALUES (?,?,?,?,?,?,datetime("now"))'
+    );
+
+    $created = [];
+    $db->beginTransaction();
+    try {
+        foreach ($valid as $row) {
+            $code = $row['employee_code'];
+            if ($code === '') { // If none given, generate one that no later row claims.
+                do {
+                    $code = generate_employee_code($db);
+                } while (isset($reserved[$code]));
+            }
+            $password = temp_password();
+
+            $ins->execute([$row['name'], $row['email'], $code, $row['role'], password_hash($password, PASSWORD_DEFAULT), $teamId]);
+            $id = (int)$db->lastInsertId();
+            audit($db, $mgr, 'user.create', ['type' => 'user', 'id' => $id, 'user_id' => $id, 'label' => $row['name']], null, fetch_row($db, 'users', $id));
+
+            unset($row['errors']);
+            $created[] = ['id' => $id, 'employee_code' => $code, 'temp_password' => $password] + $row;
+        }
+        $db->commit();
+    } catch (PDOException $e) { // If someone took an email/code since the preview, undo everything.
+        $db->rollBack();
+        json_error(409, 'Users changed while importing; run the preview again');
+    }
+
+    json_ok(['created' => $created, 'skipped' => $skipped], 201);
+}
+
+// ---------------------------------------------------------------------
+// Manager: Requests moderation
+// ---------------------------------------------------------------------
+
+/** GET /admin/requests — list the requests of the manager's teams (manager-only). */
+if ($path === '/admin/requests' && $method === 'GET') { // If route is /admin/requests with GET, list all requests.
+    $mgr = require_manager($db);
+    $p   = list_params(ADMIN_REQUEST_SORTS, '-submitted');
+
+    $where = [];
+    $args  = [];
+    request_filters($p, $where, $args, ['u.name', 'u.email', 'r.reason']);
+    team_filters($p, request_scope($db, $mgr), $where, $args, 'u.team_id', 'u.role');
+
+    $result = paginate(
+        $db,
+        'r.id, r.user_id, r.reason, r.status, r.date_from, r.date_to, r.start_half, r.end_half, r.working_days,
+         r.submitted_at, r.edited_at,
+         r.decided_at, r.decision_comment, d.name AS decided_by_name, f.name AS decided_for_name,
+         r.leave_type_id, lt.name AS type_name, lt.color AS type_color,
+         (SELECT COUNT(*) FROM request_attachments a WHERE a.request_id = r.id) AS attachment_count,
+         u.name AS user_name, u.email, u.team_id, t.name AS team_name',
+        'vacation_requests r
+         JOIN users u ON u.id = r.user_id
+         LEFT JOIN teams t ON t.id = u.team_id
+         LEFT JOIN users d ON d.id = r.decided_by
+         LEFT JOIN users f ON f.id = r.decided_for
+         LEFT JOIN leave_types lt ON lt.id = r.leave_type_id',
+        $where,
+        $args,
+        $p,
+        'r.id'
+    );
+    $paged = isset($result['items']);
+    $rows  = $paged ? $result['items'] : $result;
+
+    // Balances, conflicts, coverage, steps and who may sign are looked up once for all the returned rows.
+    $pending   = array_values(array_filter($rows, static fn($r) => $r['status'] === 'pending'));
+    $balances  = leave_balances($db, $rows);
+    $conflicts = overlapping_absences($db, $pending, request_scope($db, $mgr));
+    $steps     = request_steps($db, array_column($rows, 'id'));
+    $final     = array_values(array_filter($pending, static fn($r) => // Staffing only matters on the last sign-off.
+        count(array_filter($steps[(int)$r['id']] ?? [], static fn($s) => $s['status'] === 'pending')) <= 1));
+    $coverage  = $paged ? coverage_breaches_for($db, $final) : [];
+    $acting    = acting_candidates($db, $mgr);
+    $orgExists = org_managers_exist($db);
+    foreach ($rows as &$row) {
+        $row['balance'] = $balances[$row['user_id'] . ':' . (int)substr($row['date_from'], 0, 4)];
+
+        // Pending rows get the list of other people already out during the same days,
+        // and (on a page of the table, at the last step) the days approving would take a team below its minimum staffing.
+        $row['conflicts'] = $conflicts[(int)$row['id']] ?? [];
+        $row['coverage']  = $coverage[(int)$row['id']] ?? [];
+
+        // Approval steps, whether the open one is this manager's ("you") or someone else's ("others", also once
+        // they signed an earlier step), and the absent manager it is decided for when the manager only covers for them.
+        $row['steps']        = $steps[(int)$row['id']] ?? [];
+        $row['awaiting']     = null;
+        $row['on_behalf_of'] = null;
+        if ($row['status'] === 'pending') {
+            $open                = array_values(array_filter($row['steps'], static fn($s) => $s['status'] === 'pending'))[0] ?? null;
+            $as                  = acting_as($db, $acting, $row['team_id'] === null ? null : (int)$row['team_id'], $open, $orgExists);
+            $as                  = $as && !signed_earlier_step($row['steps'], (int)$mgr['id']) ? $as : null;
+            $row['awaiting']     = $as ? 'you' : 'others';
+            $row['on_behalf_of'] = $as && (int)$as['id'] !== (int)$mgr['id'] ? $as['name'] : null;
+        }
+    }
+    unset($row);
+
+    json_ok($paged ? ['items' => $rows] + $result : $rows);
+}
+
+/** GET /admin/requests/export?format=csv|xlsx — payroll download of the filtered requests (manager-only, own teams). */
+if ($path === '/admin/requests/export' && $method === 'GET') { // If route is /admin/requests/export with GET, send the file.
+    $mgr = require_manager($db);
+    $p   = list_params(ADMIN_REQUEST_SORTS, '-submitted');
+
+    $where = [];
+    $args  = [];
+    request_filters($p, $where, $args, ['u.name', 'u.email', 'r.reason']);
+    team_filters($p, request_scope($db, $mgr), $where, $args, 'u.team_id', 'u.role');
+
+    send_request_export($db, $where, $args, $p, 'leave-requests');
+}
+
+/**
+ * POST /admin/requests/{id}/approve|reject — set request status with an optional comment (manager-only).
+ * {override:true} approves even when the team would drop below a staffing minimum (409 otherwise).
+ */
+if (preg_match('#^/admin/requests/(\d+)/(approve|reject)$#', $path, $m) && $method === 'POST') { // If path matches approve/reject pattern with POST, update status.
+    $mgr = require_manager($db);
+
+    /** @var array{0:string,1:string,2:string} $m */
+    [$all, $rid, $action] = $m;
+    $status               = $action === 'approve' ? 'approved' : 'rejected';
+    $in                   = json_input();
+    $comment              = trim((string)($in['comment'] ?? ''));
+
+    if ($status === 'rejected' && $comment === '') { // If rejecting without an explanation, refuse.
+        json_error(400, 'A comment is required when rejecting');
+    }
+
+    try {
+        $status = decide_request($db, $mgr, (int)$rid, $action, $comment, ($in['override'] ?? false) === true);
+    } catch (WorkflowError $e) { // If unknown id, another approver's step or no longer pending, surface the matching HTTP status.
+        json_error($e->getCode(), $e->getMessage());
+    } catch (CoverageError $e) { // If short-staffed, send the short days so the override can be confirmed.
+        json_error($e->getCode(), $e->getMessage(), ['coverage' => $e->breaches]);
+    }
+
+    json_ok(['ok' => true, 'status' => $status]);
+}
+
+/**
+ * POST /admin/requests/batch — {action: approve|reject, ids:[…], comment?} (manager-only).
+ * Each id is decided on its own, so one stale request does not block the rest
+ * (requests below a staffing minimum fail with 409 and must be approved one by one with the override):
+ * → {results:[{id, ok:true, status} | {id, ok:false, code, error}], succeeded, failed}.
+ */
+if ($path === '/admin/requests/batch' && $method === 'POST') { // If route is /admin/requests/batch with POST, decide each id.
+    $mgr     = require_manager($db);
+    $in      = json_input();
+    $action  = (string)($in['action'] ?? '');
+    $comment = trim((string)($in['comment'] ?? ''));
+    $ids     = is_array($in['ids'] ?? null)
+        ? array_values(array_unique(array_filter(array_map('intval', $in['ids']), static fn($id) => $id > 0)))
+        : [];
+
+    if (!in_array($action, ['approve', 'reject'], true)) { // If the action is unknown, refuse.
+        json_error(400, 'action must be approve or reject');
+    }
+    if (!$ids || count($ids) > MAX_PER_PAGE) { // If nothing (or too much) was selected, refuse.
+        json_error(400, sprintf('ids must list 1 to %d request ids', MAX_PER_PAGE));
+    }
+    if ($action === 'reject' && $comment === '') { // If rejecting without an explanation, refuse.
+        json_error(400, 'A comment is required when rejecting');
+    }
+
+    $results = [];
+    foreach ($ids as $id) {
+        try {
+            $results[] = ['id' => $id, 'ok' => true, 'status' => decide_request($db, $mgr, $id, $action, $comment)];
+        } catch (WorkflowError | CoverageError $e) { // If this one cannot be decided, report it and carry on.
+            $results[] = ['id' => $id, 'ok' => false, 'code' => $e->getCode(), 'error' => $e->getMessage()];
+        }
+    }
+    $succeeded = count(array_filter($results, static fn($r) => $r['ok']));
+
+    json_ok(['results' => $results, 'succeeded' => $succeeded, 'failed' => count($results) - $succeeded]);
+}
+
+/** POST /admin/requests/{id}/(confirm|decline)-cancellation — settle an employee's cancellation request (manager-only). */
+if (preg_match('#^/admin/requests/(\d+)/(confirm|decline)-cancellation$#', $path, $m) && $method === 'POST') { // If POST confirm/decline, settle it.
+    $mgr = require_manager($db);
+    require_scoped_request($db, $mgr, (int)$m[1]);
+
+    // A delegate settles it for the absent manager when the request is outside their own teams.
+    $ownerTeam = fetch_row($db, 'users', (int)fetch_row($db, 'vacation_requests', (int)$m[1])['user_id'])['team_id'] ?? null;
+    $as        = acting_as($db, acting_candidates($db, $mgr), $ownerTeam === null ? null : (int)$ownerTeam, null);
+    $onBehalf  = $as && (int)$as['id'] !== (int)$mgr['id'] ? $as : null;
+
+    // Confirm frees the days; decline keeps the leave approved.
+    $status = $m[2] === 'confirm' ? 'cancelled' : 'approved';
+    $before = apply_transition($db, (int)$m[1], $status, (int)$mgr['id'], $m[2] === 'decline' ? 'Cancellation declined' : null, [], $onBehalf ? (int)$onBehalf['id'] : null);
+    audit($db, $mgr, 'request.' . $m[2] . '_cancellation', request_target($before), $before, fetch_row($db, 'vacation_requests', (int)$m[1]), $onBehalf);
+    if ($status === 'cancelled') { // If the leave is really gone, close any step left open and tell the employee.
+        skip_open_steps($db, (int)$m[1]);
+        notify_request($db, mail_transport($db), 'cancelled', (int)$m[1]);
+    }
+
+    json_ok(['ok' => true, 'status' => $status]);
+}
+
+/** GET /admin/requests/{id}/history — status timeline of a request in the manager's teams (manager-only). */
+if ($method === 'GET' && preg_match('#^/admin/requests/(\d+)/history$#', $path, $m)) { // If GET history with id, list it.
+    require_scoped_request($db, require_manager($db), (int)$m[1]);
+
+    json_ok(request_history($db, (int)$m[1]));
+}
+
+/** GET /admin/requests/{id}/attachments — files on a request in the manager's teams (manager-only). */
+if ($method === 'GET' && preg_match('#^/admin/requests/(\d+)/attachments$#', $path, $m)) { // If GET attachments with id, list them.
+    require_scoped_request($db, require_manager($db), (int)$m[1]);
+
+    json_ok(request_attachments($db, (int)$m[1]));
+}
+
+// ---------------------------------------------------------------------
+// Manager: Audit log
+// ---------------------------------------------------------------------
+
+/** GET /admin/audit?actor_id=&target_user_id=&action=&date_from=&date_to= — audit entries, newest first (manager-only). */
+if ($path === '/admin/audit' && $method === 'GET') { // If route is /admin/audit with GET, list filtered entries.
+    $mgr = require_manager($db);
+
+    $filters = [];
+    foreach (['actor_id', 'target_user_id', 'action', 'date_from', 'date_to'] as $key) {
+        $filters[$key] = trim((string)($_GET[$key] ?? ''));
+    }
+    foreach (['date_from', 'date_to'] as $key) {
+        if ($filters[$key] !== '' && !parse_ymd($filters[$key])) { // If a date filter is malformed, reject.
+            json_error(400, 'Dates must be valid YYYY-MM-DD values');
+        }
+    }
+
+    json_ok(audit_query($db, $filters, 500, request_scope($db, $mgr)));
+}
+
+// ---------------------------------------------------------------------
+// Leave types (read: any user, write: manager)
+// ---------------------------------------------------------------------
+
+/** GET /leave-types — active leave types for the request form; ?all=1 (managers) includes archived ones. */
+if ($path === '/leave-types' && $method === 'GET') { // If route is /leave-types with GET, list the types.
+    $u = require_auth($db);
+
+    json_ok(leave_types($db, !empty($_GET['all']) && $u['role'] === 'manager'));
+}
+
+/** POST /admin/leave-types — add a leave type (managers without a team). */
+if ($path === '/admin/leave-types' && $method === 'POST') { // If route is /admin/leave-types with POST, add a type.
+    $mgr = require_org_manager($db, 'leave types');
+
+    try {
+        $t = validate_leave_type($db, json_input());
+    } catch (InvalidArgumentException $e) { // If invalid or a duplicate name, answer with its status.
+        json_error($e->getCode(), $e->getMessage());
+    }
+
+    $ins = $db->prepare(
+        'INSERT INTO leave_types (name, color, counts_allowance, needs_attachment, needs_approval, active, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, datetime("now"))'
+    );
+    $ins->execute(array_values($t));
+    $id = (int)$db->lastInsertId();
+
+    audit($db, $mgr, 'leave_type.create', ['type' => 'leave_type', 'id' => $id, 'label' => $t['name']], null, fetch_row($db, 'leave_types', $id));
+
+    json_ok(leave_type($db, $id), 201);
+}
+
+/** PUT /admin/leave-types/{id} — partial update; active:false archives the type (managers without a team). */
+if ($method === 'PUT' && preg_match('#^/admin/leave-types/(\d+)$#', $path, $m)) { // If PUT with type id, update it.
+    $mgr     = require_org_manager($db, 'leave types');
+    $id      = (int)$m[1];
+    $current = leave_type($db, $id);
+
+    if (!$current) { // If the id is unknown, 404.
+        json_error(404, 'Not found');
+    }
+
+    try {
+        $t = validate_leave_type($db, json_input(), $current);
+    } catch (InvalidArgumentException $e) { // If invalid, a duplicate name or the last active type, answer with its status.
+        json_error($e->getCode(), $e->getMessage());
+    }
+
+    $before = fetch_row($db, 'leave_types', $id);
+    $upd    = $db->prepare(
+        'UPDATE leave_types
+            SET name = ?, color = ?, counts_allowance = ?, needs_attachment = ?, needs_approval = ?, active = ?
+          WHERE id = ?'
+    );
+    $upd->execute([...array_values($t), $id]);
+
+    audit($db, $mgr, 'leave_type.update', ['type' => 'leave_type', 'id' => $id, 'label' => $t['name']], $before, fetch_row($db, 'leave_types', $id));
+
+    json_ok(leave_type($db, $id));
+}
 
-    $date_from = trim($in['date_from'] ?? '');
-    $date_to   = trim($in['date_to'] ?? '');
-    $reason    = trim($in['reason'] ?? '');
+/** DELETE /admin/leave-types/{id} — remove an unused leave type; types with requests can only be archived (managers without a team). */
+if ($method === 'DELETE' && preg_match('#^/admin/leave-types/(\d+)$#', $path, $m)) { // If DELETE with type id, remove it.
+    $mgr    = require_org_manager($db, 'leave types');
+    $id     = (int)$m[1];
+    $before = fetch_row($db, 'leave_types', $id);
 
-    // Simple YYYY-MM-DD validation and non-empty reason.
-    $date_re = '/^\d{4}-\d{2}-\d{2}$/';
-    if (
-        !preg_match($date_re, $date_from) // If start date invalid,
-        || !preg_match($date_re, $date_to) // or end date invalid,
-        || $reason === '' // or reason missing, reject.
-    ) {
-        json_error(400, 'Invalid input');
+    if (!$before) { // If the id is unknown, 404.
+        json_error(404, 'Not found');
+    }
+    if (leave_type_in_use($db, $id)) { // If requests use it, keep it for their history.
+        json_error(409, 'This leave type is used by requests; archive it instead');
+    }
+    $chain = $db->prepare('SELECT name FROM approval_chains WHERE leave_type_id = ? LIMIT 1');
+    $chain->execute([$id]);
+    if (($name = $chain->fetchColumn()) !== false) { // If an approval chain is keyed on it, that chain must go first.
+        json_error(409, 'The approval chain "' . $name . '" uses this leave type');
+    }
+    $rule = $db->prepare('SELECT 1 FROM policy_rules WHERE leave_type_id = ? LIMIT 1');
+    $rule->execute([$id]);
+    if ($rule->fetchColumn()) { // If a policy rule is limited to it, that rule must go first.
+        json_error(409, 'A policy rule uses this leave type');
+    }
+    if ($before['active'] && active_leave_type_count($db) <= 1) { // If it is the last active type, nobody could submit.
+        json_error(409, 'At least one leave type must stay active');
     }
 
-    // Insert pending request.
-    $st = $db->prepare(
-        'INSERT INTO vacation_requests (user_id, date_from, date_to, reason, status, submitted_at)
-         VALUES (?, ?, ?, ?, "pending", datetime("now"))'
-    );
-    $st->execute([$u['id'], $date_from, $date_to, $reason]);
+    $db->prepare('DELETE FROM leave_types WHERE id = ?')->execute([$id]);
 
-    json_ok(['id' => (int)$db->lastInsertId()], 201);
+    audit($db, $mgr, 'leave_type.delete', ['type' => 'leave_type', 'id' => $id, 'label' => $before['name']], $before, null);
+
+    http_response_code(204);
+    exit;
 }
 
 // ---------------------------------------------------------------------
-// Admin: Users
+// Approval chains (read: manager, write: managers without a team)
 // ---------------------------------------------------------------------
 
-/** GET /admin/users — list users (manager-only). */
-if ($path === '/admin/users' && $method === 'GET') { // If route is /admin/users with GET, list all users for managers.
+/** GET /admin/approval-chains — chains with their steps, most specific first (manager-only). */
+if ($path === '/admin/approval-chains' && $method === 'GET') { // If route is /admin/approval-chains with GET, list chains.
     require_manager($db);
 
-    $rows = $db->query(
-        'SELECT id, name, email, role, employee_code, created_at
-           FROM users
-          ORDER BY id DESC'
-    )->fetchAll(PDO::FETCH_ASSOC);
+    json_ok(approval_chains($db));
+}
+
+/** POST /admin/approval-chains — add a chain {name, leave_type_id?, min_days?, steps:[{approver, label?}]}. */
+if ($path === '/admin/approval-chains' && $method === 'POST') { // If route is /admin/approval-chains with POST, add a chain.
+    $mgr = require_org_manager($db, 'approval chains');
+
+    try {
+        $c = validate_approval_chain($db, json_input());
+    } catch (InvalidArgumentException $e) { // If invalid or clashing with another chain, answer with its status.
+        json_error($e->getCode(), $e->getMessage());
+    }
+
+    $db->beginTransaction();
+    $ins = $db->prepare('INSERT INTO approval_chains (name, leave_type_id, min_days, created_at) VALUES (?, ?, ?, datetime("now"))');
+    $ins->execute([$c['name'], $c['leave_type_id'], $c['min_days']]);
+    $id = (int)$db->lastInsertId();
+    save_chain_steps($db, $id, $c['steps']);
+    $db->commit();
 
-    json_ok($rows);
+    $chain = approval_chain($db, $id);
+    audit($db, $mgr, 'approval_chain.create', ['type' => 'approval_chain', 'id' => $id, 'label' => $c['name']], null, chain_audit_row($chain));
+
+    json_ok($chain, 201);
 }
 
-/** POST /admin/users — create a user (manager-only, auto employee_code if missing). */
-if ($path === '/admin/users' && $method === 'POST') { // If route is /admin/users with POST, create user as manager.
+/** PUT /admin/approval-chains/{id} — partial update; requests already submitted keep their steps. */
+if ($method === 'PUT' && preg_match('#^/admin/approval-chains/(\d+)$#', $path, $m)) { // If PUT with chain id, update it.
+    $mgr     = require_org_manager($db, 'approval chains');
+    $id      = (int)$m[1];
+    $current = approval_chain($db, $id);
+
+    if (!$current) { // If the id is unknown, 404.
+        json_error(404, 'Not found');
+    }
+
+    try {
+        $c = validate_approval_chain($db, json_input(), $current);
+    } catch (InvalidArgumentException $e) { // If invalid or clashing with another chain, answer with its status.
+        json_error($e->getCode(), $e->getMessage());
+    }
+
+    $db->beginTransaction();
+    $db->prepare('UPDATE approval_chains SET name = ?, leave_type_id = ?, min_days = ? WHERE id = ?')
+        ->execute([$c['name'], $c['leave_type_id'], $c['min_days'], $id]);
+    save_chain_steps($db, $id, $c['steps']);
+    $db->commit();
+
+    $chain = approval_chain($db, $id);
+    audit($db, $mgr, 'approval_chain.update', ['type' => 'approval_chain', 'id' => $id, 'label' => $c['name']], chain_audit_row($current), chain_audit_row($chain));
+
+    json_ok($chain);
+}
+
+/** DELETE /admin/approval-chains/{id} — remove a chain; requests already submitted keep their steps. */
+if ($method === 'DELETE' && preg_match('#^/admin/approval-chains/(\d+)$#', $path, $m)) { // If DELETE with chain id, remove it.
+    $mgr     = require_org_manager($db, 'approval chains');
+    $id      = (int)$m[1];
+    $current = approval_chain($db, $id);
+
+    if (!$current) { // If the id is unknown, 404.
+        json_error(404, 'Not found');
+    }
+
+    $db->prepare('DELETE FROM approval_chain_steps WHERE chain_id = ?')->execute([$id]);
+    $db->prepare('DELETE FROM approval_chains WHERE id = ?')->execute([$id]);
+
+    audit($db, $mgr, 'approval_chain.delete', ['type' => 'approval_chain', 'id' => $id, 'label' => $current['name']], chain_audit_row($current), null);
+
+    http_response_code(204);
+    exit;
+}
+
+// ---------------------------------------------------------------------
+// Policy rules (read: manager, write: managers without a team)
+// ---------------------------------------------------------------------
+
+/** GET /admin/policies — submission rules, refusing ones first (manager-only). */
+if ($path === '/admin/policies' && $method === 'GET') { // If route is /admin/policies with GET, list rules.
     require_manager($db);
 
-    $in    = json_input();
-    $name  = trim($in['name'] ?? '');
-    $email = strtolower(trim($in['email'] ?? ''));
-    $pass  = (string)($in['password'] ?? '');
-    $role  = ($in['role'] ?? 'employee') === 'manager' ? 'manager' : 'employee';
+    json_ok(policy_rules($db));
+}
 
-    // Validate basic fields.
+/** POST /admin/policies — add a rule {kind, leave_type_id?, days?, notice_days?, message?, active?}. */
+if ($path === '/admin/policies' && $method === 'POST') { // If route is /admin/policies with POST, add a rule.
+    $mgr = require_org_manager($db, 'policy rules');
+
+    try {
+        $r = validate_policy_rule($db, json_input());
+    } catch (InvalidArgumentException $e) { // If invalid, answer with its status.
+        json_error($e->getCode(), $e->getMessage());
+    }
+
+    $ins = $db->prepare(
+        'INSERT INTO policy_rules (kind, leave_type_id, days, notice_days, message, active, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, datetime("now"))'
+    );
+    $ins->execute([$r['kind'], $r['leave_type_id'], $r['days'], $r['notice_days'], $r['message'], (int)$r['active']]);
+    $rule = policy_rule($db, (int)$db->lastInsertId());
+
+    audit($db, $mgr, 'policy.create', ['type' => 'policy', 'id' => $rule['id'], 'label' => $rule['summary']], null, policy_audit_row($rule));
+
+    json_ok($rule, 201);
+}
+
+/** PUT /admin/policies/{id} — partial update; requests already submitted are not re-checked. */
+if ($method === 'PUT' && preg_match('#^/admin/policies/(\d+)$#', $path, $m)) { // If PUT with rule id, update it.
+    $mgr     = require_org_manager($db, 'policy rules');
+    $id      = (int)$m[1];
+    $current = policy_rule($db, $id);
+
+    if (!$current) { // If the id is unknown, 404.
+        json_error(404, 'Not found');
+    }
+
+    try {
+        $r = validate_policy_rule($db, json_input(), $current);
+    } catch (InvalidArgumentException $e) { // If invalid, answer with its status.
+        json_error($e->getCode(), $e->getMessage());
+    }
+
+    $db->prepare('UPDATE policy_rules SET kind = ?, leave_type_id = ?, days = ?, notice_days = ?, message = ?, active = ? WHERE id = ?')
+        ->execute([$r['kind'], $r['leave_type_id'], $r['days'], $r['notice_days'], $r['message'], (int)$r['active'], $id]);
+    $rule = policy_rule($db, $id);
+
+    audit($db, $mgr, 'policy.update', ['type' => 'policy', 'id' => $id, 'label' => $rule['summary']], policy_audit_row($current), policy_audit_row($rule));
+
+    json_ok($rule);
+}
+
+/** DELETE /admin/policies/{id} — remove a rule. */
+if ($method === 'DELETE' && preg_match('#^/admin/policies/(\d+)$#', $path, $m)) { // If DELETE with rule id, remove it.
+    $mgr     = require_org_manager($db, 'policy rules');
+    $id      = (int)$m[1];
+    $current = policy_rule($db, $id);
+
+    if (!$current) { // If the id is unknown, 404.
+        json_error(404, 'Not found');
+    }
+
+    $db->prepare('DELETE FROM policy_rules WHERE id = ?')->execute([$id]);
+
+    audit($db, $mgr, 'policy.delete', ['type' => 'policy', 'id' => $id, 'label' => $current['summary']], policy_audit_row($current), null);
+
+    http_response_code(204);
+    exit;
+}
+
+// ---------------------------------------------------------------------
+// Delegation (manager: hand approvals to another manager while away)
+// ---------------------------------------------------------------------
+
+/** GET /me/delegations — current and upcoming delegations given and received, plus the managers one could pick. */
+if ($path === '/me/delegations' && $method === 'GET') { // If route is /me/delegations with GET, list them.
+    $mgr = require_manager($db);
+
+    // Every other manager is a possible delegate, whatever their teams (the delegate inherits the scope).
+    $st = $db->prepare('SELECT id, name FROM users WHERE role = "manager" AND id <> ? ORDER BY name COLLATE NOCASE');
+    $st->execute([(int)$mgr['id']]);
+
+    json_ok(user_delegations($db, (int)$mgr['id']) + ['managers' => $st->fetchAll(PDO::FETCH_ASSOC)]);
+}
+
+/** POST /me/delegations — delegate approvals {delegate_id, date_from, date_to} (inclusive days). */
+if ($path === '/me/delegations' && $method === 'POST') { // If route is /me/delegations with POST, add a delegation.
+    $mgr = require_manager($db);
+
+    try {
+        $d = validate_delegation($db, (int)$mgr['id'], json_input());
+    } catch (InvalidArgumentException $e) { // If invalid or overlapping another delegation, answer with its status.
+        json_error($e->getCode(), $e->getMessage());
+    }
+
+    $ins = $db->prepare('INSERT INTO delegations (manager_id, delegate_id, date_from, date_to, created_at) VALUES (?, ?, ?, ?, datetime("now"))');
+    $ins->execute([(int)$mgr['id'], $d['delegate_id'], $d['date_from'], $d['date_to']]);
+    $row = delegation($db, (int)$db->lastInsertId());
+
+    audit($db, $mgr, 'delegation.create', [
+        'type'    => 'delegation',
+        'id'      => (int)$row['id'],
+        'user_id' => $d['delegate_id'],
+        'label'   => format_range($d['date_from'], $d['date_to']),
+    ], null, delegation_audit_row($row));
+
+    json_ok($row, 201);
+}
+
+/** DELETE /me/delegations/{id} — end a delegation early (the manager who gave it or the delegate). */
+if ($method === 'DELETE' && preg_match('#^/me/delegations/(\d+)$#', $path, $m)) { // If DELETE with delegation id, remove it.
+    $mgr = require_manager($db);
+    $row = delegation($db, (int)$m[1]);
+
+    if (!$row || !in_array((int)$mgr['id'], [(int)$row['manager_id'], (int)$row['delegate_id']], true)) { // If unknown or someone else's, 404.
+        json_error(404, 'Not found');
+    }
+
+    $db->prepare('DELETE FROM delegations WHERE id = ?')->execute([(int)$row['id']]);
+
+    audit($db, $mgr, 'delegation.delete', [
+        'type'    => 'delegation',
+        'id'      => (int)$row['id'],
+        'user_id' => (int)$row['delegate_id'],
+        'label'   => format_range((string)$row['date_from'], (string)$row['date_to']),
+    ], delegation_audit_row($row), null);
+
+    http_response_code(204);
+    exit;
+}
+
+// ---------------------------------------------------------------------
+// Teams (manager; a manager of teams only sees and edits those)
+// ---------------------------------------------------------------------
+
+/** GET /admin/teams — teams in the manager's scope with managers and member counts. */
+if ($path === '/admin/teams' && $method === 'GET') { // If route is /admin/teams with GET, list the teams.
+    $mgr = require_manager($db);
+
+    json_ok(teams($db, manager_scope($db, $mgr)));
+}
+
+/** POST /admin/teams — {name, manager_ids:[…]} → 201 team. A manager who runs teams must be one of the new team's managers. */
+if ($path === '/admin/teams' && $method === 'POST') { // If route is /admin/teams with POST, add a team.
+    $mgr = require_manager($db);
+
+    try {
+        $in = validate_team($db, json_input());
+    } catch (InvalidArgumentException $e) { // If a rule fails, answer 400 (invalid) or 409 (name taken).
+        json_error($e->getCode(), $e->getMessage());
+    }
+    if (manager_scope($db, $mgr) !== null && !in_array((int)$mgr['id'], $in['manager_ids'], true)) { // If they would create a team they cannot see, refuse.
+        json_error(400, 'Add yourself as a manager of the team');
+    }
+
+    $db->beginTransaction();
+    $db->prepare('INSERT INTO teams (name, created_at) VALUES (?, datetime("now"))')->execute([$in['name']]);
+    $id = (int)$db->lastInsertId();
+    save_team_managers($db, $id, $in['manager_ids']);
+    $team = team($db, $id);
+    audit($db, $mgr, 'team.create', ['type' => 'team', 'id' => $id, 'label' => $team['name']], null, team_audit_row($team));
+    $db->commit();
+
+    json_ok($team, 201);
+}
+
+/**
+ * PUT /admin/teams/{id} — rename and/or replace the managers (partial).
+ * Leaving a manager with no team widens their view to everyone, so only org-wide managers may do it.
+ */
+if ($method === 'PUT' && preg_match('#^/admin/teams/(\d+)$#', $path, $m)) { // If PUT with team id, update it.
+    $mgr   = require_manager($db);
+    $scope = manager_scope($db, $mgr);
+    $id    = (int)$m[1];
+
+    $before = team($db, $id);
+    if (!$before || ($scope !== null && !in_array($id, $scope, true))) { // If unknown or another manager's team, 404.
+        json_error(404, 'Team not found');
+    }
+
+    try {
+        $in = validate_team($db, json_input(), $before);
+    } catch (InvalidArgumentException $e) { // If a rule fails, answer 400 (invalid) or 409 (name taken).
+        json_error($e->getCode(), $e->getMessage());
+    }
+    $released = $scope === null ? [] : managers_losing_last_team($db, $id, $in['manager_ids']);
+    if ($released) { // If someone would lose their last team (and see everyone), only an org-wide manager may do it.
+        json_error(409, 'This is the only team of ' . implode(', ', $released) . '; ask a manager without teams to remove them');
+    }
+
+    $db->beginTransaction();
+    $db->prepare('UPDATE teams SET name = ? WHERE id = ?')->execute([$in['name'], $id]);
+    save_team_managers($db, $id, $in['manager_ids']);
+    $after = team($db, $id);
+    audit($db, $mgr, 'team.update', ['type' => 'team', 'id' => $id, 'label' => $before['name']], team_audit_row($before), team_audit_row($after));
+    $db->commit();
+
+    json_ok($after);
+}
+
+/** DELETE /admin/teams/{id} — remove a team; its members are left without a team. */
+if ($method === 'DELETE' && preg_match('#^/admin/teams/(\d+)$#', $path, $m)) { // If DELETE with team id, remove it.
+    $mgr   = require_manager($db);
+    $scope = manager_scope($db, $mgr);
+    $id    = (int)$m[1];
+
+    $before = team($db, $id);
+    if (!$before || ($scope !== null && !in_array($id, $scope, true))) { // If unknown or another manager's team, 404.
+        json_error(404, 'Team not found');
+    }
+    $released = $scope === null ? [] : managers_losing_last_team($db, $id, []);
+    if ($released) { // If a manager would be left without teams (and see everyone), only an org-wide manager may do it.
+        json_error(409, 'This is the only team of ' . implode(', ', $released) . '; ask a manager without teams to delete it');
+    }
+
+    $db->beginTransaction();
+    audit($db, $mgr, 'team.delete', ['type' => 'team', 'id' => $id, 'label' => $before['name']], team_audit_row($before), null);
+    // Explicit rather than relying on ON DELETE rules (foreign keys may be off on the connection).
+    $db->prepare('UPDATE users SET team_id = NULL WHERE team_id = ?')->execute([$id]);
+    $db->prepare('DELETE FROM team_managers WHERE team_id = ?')->execute([$id]);
+    $db->prepare('DELETE FROM blackout_periods WHERE team_id = ?')->execute([$id]);
+    $db->prepare('DELETE FROM staffing_minimums WHERE team_id = ?')->execute([$id]);
+    $db->prepare('DELETE FROM teams WHERE id = ?')->execute([$id]);
+    $db->commit();
+
+    http_response_code(204);
+    exit;
+}
+
+// ---------------------------------------------------------------------
+// Public holidays (read: any user, write: manager)
+// ---------------------------------------------------------------------
+
+/** GET /holidays?year= — list public holidays, optionally for one year. */
+if ($path === '/holidays' && $method === 'GET') { // If route is /holidays with GET, list the calendar.
+    require_auth($db);
+
+    $year = trim((string)($_GET['year'] ?? ''));
+
+    if ($year !== '') { // If a year filter is given, restrict to it.
+        if (!preg_match('/^\d{4}$/', $year)) { // If the year is malformed, reject.
+            json_error(400, 'Invalid year');
+        }
+        $st = $db->prepare('SELECT id, date, name FROM public_holidays WHERE strftime("%Y", date) = ? ORDER BY date');
+        $st->execute([$year]);
+        json_ok($st->fetchAll(PDO::FETCH_ASSOC));
+    }
+
+    json_ok($db->query('SELECT id, date, name FROM public_holidays ORDER BY date')->fetchAll(PDO::FETCH_ASSOC));
+}
+
+/** POST /admin/holidays — add a public holiday (managers without a team). */
+if ($path === '/admin/holidays' && $method === 'POST') { // If route is /admin/holidays with POST, add a holiday.
+    $mgr = require_org_manager($db, 'holidays');
+
+    $in   = json_input();
+    $date = trim((string)($in['date'] ?? ''));
+    $name = trim((string)($in['name'] ?? ''));
+
+    if (!parse_ymd($date)) { // If date invalid, reject.
+        json_error(400, 'Invalid date');
+    }
     if ($name === '') { // If name empty, reject.
         json_error(400, 'Name required');
     }
-    if (!filter_var($email, FILTER_VALIDATE_EMAIL)) { // If email invalid, reject.
-        json_error(400, 'Invalid email');
+
+    // One holiday per date.
+    $s = $db->prepare('SELECT 1 FROM public_holidays WHERE date = ?');
+    $s->execute([$date]);
+    if ($s->fetchColumn()) { // If the date is already a holiday, conflict.
+        json_error(409, 'A holiday already exists on that date');
     }
-    if ($pass === '') { // If password missing, reject.
-        json_error(400, 'Password required');
+
+    $ins = $db->prepare('INSERT INTO public_holidays (date, name, created_at) VALUES (?, ?, datetime("now"))');
+    $ins->execute([$date, $name]);
+    $id = (int)$db->lastInsertId();
+
+    audit($db, $mgr, 'holiday.create', ['type' => 'holiday', 'id' => $id, 'label' => $date . ' ' . $name], null, fetch_row($db, 'public_holidays', $id));
+
+    json_ok(['id' => $id], 201);
+}
+
+/** DELETE /admin/holidays/{id} — remove a public holiday (managers without a team). */
+if ($method === 'DELETE' && preg_match('#^/admin/holidays/(\d+)$#', $path, $m)) { // If DELETE with holiday id, remove it.
+    $mgr    = require_org_manager($db, 'holidays');
+    $before = fetch_row($db, 'public_holidays', (int)$m[1]);
+
+    $del = $db->prepare('DELETE FROM public_holidays WHERE id = ?');
+    $del->execute([(int)$m[1]]);
+
+    if ($del->rowCount() === 0) { // If nothing was deleted, the id is unknown.
+        json_error(404, 'Not found');
     }
 
-    // Unique email check.
-    $s = $db->prepare('SELECT 1 FROM users WHERE email = ?');
-    $s->execute([$email]);
-    if ($s->fetchColumn()) { // If email already exists, conflict.
-        json_error(409, 'Email already in use');
+    audit($db, $mgr, 'holiday.delete', ['type' => 'holiday', 'id' => (int)$m[1], 'label' => $before['date'] . ' ' . $before['name']], $before, null);
+
+    http_response_code(204);
+    exit;
+}
+
+// ---------------------------------------------------------------------
+// Blackout periods (read: any user for their own, write: manager; a manager of teams only for those)
+// ---------------------------------------------------------------------
+
+/** GET /blackouts?date_from=&date_to= — periods for everyone and the caller's team, optionally overlapping a window. */
+if ($path === '/blackouts' && $method === 'GET') { // If route is /blackouts with GET, list what applies to the caller.
+    $u    = require_auth($db);
+    $from = parse_ymd(trim((string)($_GET['date_from'] ?? '')));
+    $to   = parse_ymd(trim((string)($_GET['date_to'] ?? '')));
+
+    json_ok(user_blackouts($db, (int)$u['id'], $from ? $from->format('Y-m-d') : null, $to ? $to->format('Y-m-d') : null));
+}
+
+/** GET /admin/blackouts — periods for everyone plus the manager's teams (all when org-wide), by start date. */
+if ($path === '/admin/blackouts' && $method === 'GET') { // If route is /admin/blackouts with GET, list periods.
+    $mgr = require_manager($db);
+
+    json_ok(blackouts($db, manager_scope($db, $mgr)));
+}
+
+/** POST /admin/blackouts — add a period {name, date_from, date_to, team_id?, soft?}. */
+if ($path === '/admin/blackouts' && $method === 'POST') { // If route is /admin/blackouts with POST, add a period.
+    $mgr = require_manager($db);
+    $in  = json_input();
+
+    try {
+        $b = validate_blackout($in);
+    } catch (InvalidArgumentException $e) { // If invalid, answer with its status.
+        json_error($e->getCode(), $e->getMessage());
     }
+    $teamId = setting_team_input($db, $mgr, $in['team_id'] ?? null);
 
-    // Use provided employee_code or generate one.
-    $code = trim((string)($in['employee_code'] ?? ''));
-    if ($code === '') { // If no code provided, generate a unique one.
-        $code = generate_employee_code($db);
+    $ins = $db->prepare('INSERT INTO blackout_periods (name, date_from, date_to, team_id, soft, created_at) VALUES (?, ?, ?, ?, ?, datetime("now"))');
+    $ins->execute([$b['name'], $b['date_from'], $b['date_to'], $teamId, (int)$b['soft']]);
+    $row = blackout($db, (int)$db->lastInsertId());
+
+    audit($db, $mgr, 'blackout.create', ['type' => 'blackout', 'id' => $row['id'], 'label' => $row['name']], null, blackout_audit_row($row));
+
+    json_ok($row, 201);
+}
+
+/** PUT /admin/blackouts/{id} — partial update; requests already submitted are not re-checked. */
+if ($method === 'PUT' && preg_match('#^/admin/blackouts/(\d+)$#', $path, $m)) { // If PUT with blackout id, update it.
+    $mgr     = require_manager($db);
+    $current = blackout($db, (int)$m[1]);
+
+    if (!$current) { // If the id is unknown, 404.
+        json_error(404, 'Not found');
     }
+    require_team_setting($db, $mgr, $current['team_id'], 'blackouts');
+    $in = json_input();
 
-    // Insert user.
-    $hash = password_hash($pass, PASSWORD_DEFAULT);
-    $ins  = $db->prepare(
-        'INSERT INTO users (name,email,employee_code,role,password_hash,created_at)
-         VALUES (?,?,?,?,?,datetime("now"))'
-    );
-    $ins->execute([$name, $email, $code, $role, $hash]);
+    try {
+        $b = validate_blackout($in, $current);
+    } catch (InvalidArgumentException $e) { // If invalid, answer with its status.
+        json_error($e->getCode(), $e->getMessage());
+    }
+    $teamId = array_key_exists('team_id', $in) ? setting_team_input($db, $mgr, $in['team_id']) : $current['team_id'];
+
+    $db->prepare('UPDATE blackout_periods SET name = ?, date_from = ?, date_to = ?, team_id = ?, soft = ? WHERE id = ?')
+        ->execute([$b['name'], $b['date_from'], $b['date_to'], $teamId, (int)$b['soft'], $current['id']]);
+    $row = blackout($db, $current['id']);
+
+    audit($db, $mgr, 'blackout.update', ['type' => 'blackout', 'id' => $row['id'], 'label' => $current['name']], blackout_audit_row($current), blackout_audit_row($row));
+
+    json_ok($row);
+}
+
+/** DELETE /admin/blackouts/{id} — remove a period. */
+if ($method === 'DELETE' && preg_match('#^/admin/blackouts/(\d+)$#', $path, $m)) { // If DELETE with blackout id, remove it.
+    $mgr     = require_manager($db);
+    $current = blackout($db, (int)$m[1]);
+
+    if (!$current) { // If the id is unknown, 404.
+        json_error(404, 'Not found');
+    }
+    require_team_setting($db, $mgr, $current['team_id'], 'blackouts');
+
+    $db->prepare('DELETE FROM blackout_periods WHERE id = ?')->execute([$current['id']]);
 
-    json_ok(['id' => (int)$db->lastInsertId(), 'employee_code' => $code], 201);
+    audit($db, $mgr, 'blackout.delete', ['type' => 'blackout', 'id' => $current['id'], 'label' => $current['name']], blackout_audit_row($current), null);
+
+    http_response_code(204);
+    exit;
 }
 
 // ---------------------------------------------------------------------
-// Manager: Requests moderation
+// Minimum staffing (read: manager, write: manager; a manager of teams only for those)
 // ---------------------------------------------------------------------
 
-/** GET /admin/requests — list all requests (manager-only). */
-if ($path === '/admin/requests' && $method === 'GET') { // If route is /admin/requests with GET, list all requests.
-    require_manager($db);
+/** GET /admin/staffing — minimums for the manager's teams plus role-wide ones (all when org-wide). */
+if ($path === '/admin/staffing' && $method === 'GET') { // If route is /admin/staffing with GET, list minimums.
+    $mgr = require_manager($db);
 
-    $sql  = 'SELECT r.id, r.user_id, r.reason, r.status, r.date_from, r.date_to, r.submitted_at,
-                    u.name AS user_name, u.email
-               FROM vacation_requests r
-               JOIN users u ON u.id = r.user_id
-              ORDER BY r.id DESC';
-    $rows = $db->query($sql)->fetchAll(PDO::FETCH_ASSOC);
+    json_ok(staffing_minimums($db, manager_scope($db, $mgr)));
+}
+
+/** POST /admin/staffing — add a minimum {team_id?, role?, min_present} (team, role or both). */
+if ($path === '/admin/staffing' && $method === 'POST') { // If route is /admin/staffing with POST, add a minimum.
+    $mgr    = require_manager($db);
+    $in     = json_input();
+    $teamId = setting_team_input($db, $mgr, $in['team_id'] ?? null);
+
+    try {
+        $s = validate_staffing_minimum($db, $in, $teamId);
+    } catch (InvalidArgumentException $e) { // If invalid or a duplicate, answer with its status.
+        json_error($e->getCode(), $e->getMessage());
+    }
 
-    json_ok($rows);
+    $ins = $db->prepare('INSERT INTO staffing_minimums (team_id, role, min_present, created_at) VALUES (?, ?, ?, datetime("now"))');
+    $ins->execute([$s['team_id'], $s['role'], $s['min_present']]);
+    $row = staffing_minimum($db, (int)$db->lastInsertId());
+
+    audit($db, $mgr, 'staffing.create', ['type' => 'staffing', 'id' => $row['id'], 'label' => $row['label']], null, staffing_audit_row($row));
+
+    json_ok($row, 201);
 }
 
-/** POST /admin/requests/{id}/approve|reject — set request status (manager-only). */
-if (preg_match('#^/admin/requests/(\d+)/(approve|reject)$#', $path, $m) && $method === 'POST') { // If path matches approve/reject pattern with POST, update status.
-    require_manager($db);
+/** PUT /admin/staffing/{id} — partial update. */
+if ($method === 'PUT' && preg_match('#^/admin/staffing/(\d+)$#', $path, $m)) { // If PUT with minimum id, update it.
+    $mgr     = require_manager($db);
+    $current = staffing_minimum($db, (int)$m[1]);
 
-    /** @var array{0:string,1:string,2:string} $m */
-    [$all, $rid, $action] = $m;
-    $status               = $action === 'approve' ? 'approved' : 'rejected';
+    if (!$current) { // If the id is unknown, 404.
+        json_error(404, 'Not found');
+    }
+    require_team_setting($db, $mgr, $current['team_id'], 'staffing minimums');
+    $in     = json_input();
+    $teamId = array_key_exists('team_id', $in) ? setting_team_input($db, $mgr, $in['team_id']) : $current['team_id'];
+
+    try {
+        $s = validate_staffing_minimum($db, $in, $teamId, $current);
+    } catch (InvalidArgumentException $e) { // If invalid or a duplicate, answer with its status.
+        json_error($e->getCode(), $e->getMessage());
+    }
 
-    $st = $db->prepare('UPDATE vacation_requests SET status = ? WHERE id = ?');
-    $st->execute([$status, (int)$rid]);
+    $db->prepare('UPDATE staffing_minimums SET team_id = ?, role = ?, min_present = ? WHERE id = ?')
+        ->execute([$s['team_id'], $s['role'], $s['min_present'], $current['id']]);
+    $row = staffing_minimum($db, $current['id']);
 
-    json_ok(['ok' => true]);
+    audit($db, $mgr, 'staffing.update', ['type' => 'staffing', 'id' => $row['id'], 'label' => $current['label']], staffing_audit_row($current), staffing_audit_row($row));
+
+    json_ok($row);
+}
+
+/** DELETE /admin/staffing/{id} — remove a minimum. */
+if ($method === 'DELETE' && preg_match('#^/admin/staffing/(\d+)$#', $path, $m)) { // If DELETE with minimum id, remove it.
+    $mgr     = require_manager($db);
+    $current = staffing_minimum($db, (int)$m[1]);
+
+    if (!$current) { // If the id is unknown, 404.
+        json_error(404, 'Not found');
+    }
+    require_team_setting($db, $mgr, $current['team_id'], 'staffing minimums');
+
+    $db->prepare('DELETE FROM staffing_minimums WHERE id = ?')->execute([$current['id']]);
+
+    audit($db, $mgr, 'staffing.delete', ['type' => 'staffing', 'id' => $current['id'], 'label' => $current['label']], staffing_audit_row($current), null);
+
+    http_response_code(204);
+    exit;
 }
 
 // ---------------------------------------------------------------------
 // Admin: Update user
 // ---------------------------------------------------------------------
 
-/** PUT /admin/users/{id} — update user fields (manager-only, partial). */
+/** PUT /admin/users/{id} — update user fields (manager-only, users of the manager's teams, partial). */
 if (preg_match('#^/admin/users/(\d+)$#', $path, $m) && $method === 'PUT') { // If path matches user id with PUT, perform partial update.
-    require_manager($db);
+    $mgr = require_manager($db);
 
     $id = (int)$m[1];
     $in = json_input();
+    require_scoped_user($db, $mgr, $id);
 
     // Accept partial fields; null means "not provided".
     $name  = isset($in['name']) ? trim((string)$in['name']) : null;
     $email = isset($in['email']) ? strtolower(trim((string)$in['email'])) : null;
     $pass  = isset($in['password']) ? (string)$in['password'] : null;
+    $allowance = isset($in['annual_allowance']) ? parse_allowance($in['annual_allowance']) : null;
 
     // Validate provided fields only.
     if ($name !== null && $name === '') { // If name provided but empty, reject.
@@ -601,11 +3062,18 @@ if (preg_match('#^/admin/users/(\d+)$#', $path, $m) && $method === 'PUT') { // I
     if ($pass !== null && $pass !== '' && strlen($pass) < 6) { // If password provided but too short, reject.
         json_error(400, 'Password too short');
     }
+    if (isset($in['annual_allowance']) && $allowance === null) { // If allowance provided but invalid, reject.
+        json_error(400, 'Invalid annual allowance');
+    }
+    try {
+        $teamId = team_id_input($db, $mgr, $in['team_id'] ?? null);
+    } catch (InvalidArgumentException $e) { // If the team is unknown or not one of the manager's, reject.
+        json_error($e->getCode(), $e->getMessage());
+    }
 
-    // Ensure user exists.
-    $chk = $db->prepare('SELECT id FROM users WHERE id = ?');
-    $chk->execute([$id]);
-    if (!$chk->fetchColumn()) { // If user not found, 404.
+    // Ensure user exists (and keep the row for the audit diff).
+    $before = fetch_row($db, 'users', $id);
+    if (!$before) { // If user not found, 404.
         json_error(404, 'User not found');
     }
 
@@ -637,6 +3105,16 @@ if (preg_match('#^/admin/users/(\d+)$#', $path, $m) && $method === 'PUT') { // I
         $vals[] = password_hash($pass, PASSWORD_DEFAULT);
     }
 
+    if ($allowance !== null) { // If allowance provided, include it in SET list.
+        $sets[] = 'annual_allowance = ?';
+        $vals[] = $allowance;
+    }
+
+    if (array_key_exists('team_id', $in)) { // If team provided (null/"" = no team), include it in SET list.
+        $sets[] = 'team_id = ?';
+        $vals[] = $teamId;
+    }
+
     if (!$sets) { // If nothing to update, still return success (no-op).
         json_ok(['ok' => true]);
     }
@@ -646,6 +3124,8 @@ if (preg_match('#^/admin/users/(\d+)$#', $path, $m) && $method === 'PUT') { // I
     $st     = $db->prepare($sql);
     $st->execute($vals);
 
+    audit($db, $mgr, 'user.update', ['type' => 'user', 'id' => $id, 'user_id' => $id, 'label' => $before['name']], $before, fetch_row($db, 'users', $id));
+
     json_ok(['ok' => true]);
 }
 
@@ -655,20 +3135,38 @@ if (preg_match('#^/admin/users/(\d+)$#', $path, $m) && $method === 'PUT') { // I
 
 /** DELETE /admin/users/{id} — delete user (manager-only). */
 if ($method === 'DELETE' && preg_match('#^/admin/users/(\d+)$#', $path, $m)) { // If method is DELETE and path has user id, delete user as manager.
-    require_manager($db); // If not manager, this call will 403 and exit.
+    $mgr = require_manager($db); // If not manager, this call will 403 and exit.
 
     $id = (int)$m[1];
+    require_scoped_user($db, $mgr, $id);
 
     // Ensure user exists before deletion.
-    $st = $db->prepare('SELECT 1 FROM users WHERE id = ?');
-    $st->execute([$id]);
-    if (!$st->fetchColumn()) { // If user not found, 404.
+    $before = fetch_row($db, 'users', $id);
+    if (!$before) { // If user not found, 404.
         json_error(404, 'Not found');
     }
 
+    // Every team keeps at least one manager.
+    $sole = $db->prepare(
+        'SELECT t.name FROM team_managers tm JOIN teams t ON t.id = tm.team_id
+          WHERE tm.user_id = ? AND (SELECT COUNT(*) FROM team_managers o WHERE o.team_id = tm.team_id) = 1'
+    );
+    $sole->execute([$id]);
+    $orphaned = $sole->fetchAll(PDO::FETCH_COLUMN);
+    if ($orphaned) { // If they are the only manager of a team, ask for a replacement first.
+        json_error(409, 'Only manager of ' . implode(', ', $orphaned) . '; assign another manager to the team first');
+    }
+
+    // Audit first (the entry copies the user's name), then delete; both or neither.
+    $db->beginTransaction();
+    audit($db, $mgr, 'user.delete', ['type' => 'user', 'id' => $id, 'user_id' => $id, 'label' => $before['name']], $before, null);
+
     // Perform deletion (assumes ON DELETE CASCADE for related vacation_requests).
     $del = $db->prepare('DELETE FROM users WHERE id = ?');
     $del->execute([$id]);
+    $db->prepare('DELETE FROM team_managers WHERE user_id = ?')->execute([$id]);
+    $db->prepare('DELETE FROM delegations WHERE manager_id = ? OR delegate_id = ?')->execute([$id, $id]);
+    $db->commit();
 
     // No content on success.
     http_response_code(204);
@@ -0,0 +1,431 @@
+<?php
+declare(strict_types=1);
+
+namespace App;
+
+use InvalidArgumentException;
+use PDO;
+
+/**
+ * ---------------- src/approvals.php ----------------
+ *
+ * PHP Version: 8.4
+ * Multi-step approval chains (e.g. team lead, then HR for long absences).
+ * - A chain is an ordered list of steps, picked per request by leave type and/or length;
+ *   the most specific chain wins, and requests matching no chain keep the single manager decision
+ * - The steps are copied onto the request when it is submitted or edited (request_approvals),
+ *   so changing a chain never affects requests already in flight
+ * - A request becomes approved once its last step is approved; a rejection at any step ends it
+ * - One manager signs at most one step of a request, so every step is a different person
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+/**
+ * Who may sign a step => default label.
+ * - team: managers of the employee's team (any manager when the employee has no team)
+ * - org:  managers who run no team, e.g. HR (any manager when there are none)
+ * - any:  any manager who can see the request
+ */
+const APPROVERS = [
+    'team' => 'Team lead',
+    'org'  => 'HR',
+    'any'  => 'Manager',
+];
+
+/** Most steps one chain may have. */
+const APPROVAL_MAX_STEPS = 5;
+
+/**
+ * approval_chains
+ * All chains with their steps, most specific first (the order matching_chain() tries them in).
+ *
+ * @param PDO $pdo Database connection.
+ *
+ * @return list<array{id:int, name:string, leave_type_id:int|null, type_name:string|null, min_days:float|null, steps:list<array{approver:string,label:string}>}>
+ */
+function approval_chains(PDO $pdo): array
+{
+    $rows = $pdo->query(
+        'SELECT c.id, c.name, c.leave_type_id, lt.name AS type_name, c.min_days
+           FROM approval_chains c
+           LEFT JOIN leave_types lt ON lt.id = c.leave_type_id
+          ORDER BY (c.leave_type_id IS NOT NULL) DESC, COALESCE(c.min_days, 0) DESC, c.id'
+    )->fetchAll(PDO::FETCH_ASSOC);
+
+    $steps = [];
+    $rs    = $pdo->query('SELECT chain_id, approver, label FROM approval_chain_steps ORDER BY chain_id, position');
+    foreach ($rs->fetchAll(PDO::FETCH_ASSOC) as $s) {
+        $steps[(int)$s['chain_id']][] = ['approver' => (string)$s['approver'], 'label' => (string)$s['label']];
+    }
+
+    return array_map(static fn($c) => [
+        'id'            => (int)$c['id'],
+        'name'          => (string)$c['name'],
+        'leave_type_id' => $c['leave_type_id'] === null ? null : (int)$c['leave_type_id'],
+        'type_name'     => $c['type_name'],
+        'min_days'      => $c['min_days'] === null ? null : (float)$c['min_days'],
+        'steps'         => $steps[(int)$c['id']] ?? [],
+    ], $rows);
+}
+
+/**
+ * approval_chain
+ * One chain (same shape as approval_chains()).
+ *
+ * @param PDO $pdo Database connection.
+ * @param int $id  Chain id.
+ *
+ * @return array<string,mixed>|null Null when unknown.
+ */
+function approval_chain(PDO $pdo, int $id): ?array
+{
+    foreach (approval_chains($pdo) as $chain) {
+        if ($chain['id'] === $id) {
+            return $chain;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * validate_approval_chain
+ * Normalize a create/update body. On update, omitted fields keep their current value.
+ *
+ * @param PDO                      $pdo     Database connection.
+ * @param array<string,mixed>      $in      Raw input: name, leave_type_id, min_days, steps:[{approver, label?}].
+ * @param array<string,mixed>|null $current Existing chain (output of approval_chain()) when updating.
+ *
+ * @return array{name:string, leave_type_id:int|null, min_days:float|null, steps:list<array{approver:string,label:string}>}
+ *
+ * @throws InvalidArgumentException Message for the client; the code is the HTTP status (400 invalid, 409 conflict).
+ */
+function validate_approval_chain(PDO $pdo, array $in, ?array $current = null): array
+{
+    $name = trim((string)($in['name'] ?? $current['name'] ?? ''));
+    if ($name === '' || mb_strlen($name) > 60) { // If missing or too long for a label, reject.
+        throw new InvalidArgumentException('Name required (up to 60 characters)', 400);
+    }
+
+    $typeId = array_key_exists('leave_type_id', $in) ? $in['leave_type_id'] : ($current['leave_type_id'] ?? null);
+    $typeId = $typeId === null || $typeId === '' ? null : (int)$typeId;
+    if ($typeId !== null && !leave_type($pdo, $typeId)) { // If the type is unknown, refuse.
+        throw new InvalidArgumentException('Unknown leave type', 400);
+    }
+
+    $minDays = array_key_exists('min_days', $in) ? $in['min_days'] : ($current['min_days'] ?? null);
+    $minDays = $minDays === null || $minDays === '' ? null : $minDays;
+    if ($minDays !== null && (!is_numeric($minDays) || $minDays < 0.5 || $minDays > 366)) { // If not a day count, refuse.
+        throw new InvalidArgumentException('min_days must be between 0.5 and 366 working days', 400);
+    }
+    $minDays = $minDays === null ? null : round((float)$minDays * 2) / 2;
+
+    $st = $pdo->prepare(
+        'SELECT name FROM approval_chains
+          WHERE leave_type_id IS ? AND min_days IS ? AND id <> ?'
+    );
+    $st->execute([$typeId, $minDays, $current['id'] ?? 0]);
+    $clash = $st->fetchColumn();
+    if ($clash !== false) { // If another chain has the same conditions, the pick would be arbitrary.
+        throw new InvalidArgumentException('"' . $clash . '" already applies to the same leave type and length', 409);
+    }
+
+    $st = $pdo->prepare('SELECT 1 FROM approval_chains WHERE name = ? COLLATE NOCASE AND id <> ?');
+    $st->execute([$name, $current['id'] ?? 0]);
+    if ($st->fetchColumn()) { // If another chain already uses the name, conflict.
+        throw new InvalidArgumentException('An approval chain with this name already exists', 409);
+    }
+
+    $raw = $in['steps'] ?? $current['steps'] ?? null;
+    if (!is_array($raw) || !$raw || count($raw) > APPROVAL_MAX_STEPS) {
+        throw new InvalidArgumentException(sprintf('A chain needs 1 to %d steps', APPROVAL_MAX_STEPS), 400);
+    }
+    $steps = [];
+    foreach (array_values($raw) as $i => $s) {
+        $approver = is_array($s) ? (string)($s['approver'] ?? '') : '';
+        if (!isset(APPROVERS[$approver])) { // If the approver kind is unknown, say which step.
+            throw new InvalidArgumentException(sprintf('Step %d: approver must be one of %s', $i + 1, implode(', ', array_keys(APPROVERS))), 400);
+        }
+        $label = trim((string)($s['label'] ?? ''));
+        if (mb_strlen($label) > 40) {
+            throw new InvalidArgumentException(sprintf('Step %d: label can be at most 40 characters', $i + 1), 400);
+        }
+        $steps[] = ['approver' => $approver, 'label' => $label !== '' ? $label : APPROVERS[$approver]];
+    }
+
+    return ['name' => $name, 'leave_type_id' => $typeId, 'min_days' => $minDays, 'steps' => $steps];
+}
+
+/**
+ * save_chain_steps
+ * Replace a chain's steps.
+ *
+ * @param PDO                                           $pdo     Database connection.
+ * @param int                                           $chainId Chain id.
+ * @param list<array{approver:string,label:string}>     $steps   Steps (checked by validate_approval_chain()).
+ */
+function save_chain_steps(PDO $pdo, int $chainId, array $steps): void
+{
+    $pdo->prepare('DELETE FROM approval_chain_steps WHERE chain_id = ?')->execute([$chainId]);
+    $ins = $pdo->prepare('INSERT INTO approval_chain_steps (chain_id, position, approver, label) VALUES (?, ?, ?, ?)');
+    foreach ($steps as $i => $s) {
+        $ins->execute([$chainId, $i + 1, $s['approver'], $s['label']]);
+    }
+}
+
+/**
+ * chain_audit_row
+ * Flat snapshot of a chain for audit diffs (steps as "Team lead → HR").
+ *
+ * @param array<string,mixed> $chain Output of approval_chain().
+ *
+ * @return array<string,mixed>
+ */
+function chain_audit_row(array $chain): array
+{
+    return [
+        'id'            => $chain['id'],
+        'name'          => $chain['name'],
+        'leave_type_id' => $chain['leave_type_id'],
+        'min_days'      => $chain['min_days'],
+        'steps'         => implode(' → ', array_column($chain['steps'], 'label')),
+    ];
+}
+
+/**
+ * matching_chain
+ * Chain for a request: one for its leave type beats one for any type, then the highest
+ * length threshold the request reaches wins.
+ *
+ * @param PDO      $pdo         Database connection.
+ * @param int|null $leaveTypeId Request's leave type.
+ * @param float    $days        Request's working days.
+ *
+ * @return array<string,mixed>|null Null when no chain applies (single decision).
+ */
+function matching_chain(PDO $pdo, ?int $leaveTypeId, float $days): ?array
+{
+    foreach (approval_chains($pdo) as $chain) {
+        if ($chain['leave_type_id'] !== null && $chain['leave_type_id'] !== $leaveTypeId) {
+            continue;
+        }
+        if ($chain['min_days'] !== null && $days < $chain['min_days']) {
+            continue;
+        }
+
+        return $chain;
+    }
+
+    return null;
+}
+
+/**
+ * start_approvals
+ * (Re)start a request's sign-off: drop any previous steps and copy the chain's.
+ *
+ * @param PDO                      $pdo       Database connection.
+ * @param int                      $requestId Request id.
+ * @param array<string,mixed>|null $chain     Output of matching_chain(); null leaves the request without steps.
+ */
+function start_approvals(PDO $pdo, int $requestId, ?array $chain): void
+{
+    $pdo->prepare('DELETE FROM request_approvals WHERE request_id = ?')->execute([$requestId]);
+    if ($chain === null) { // If no chain applies, a single manager decision settles it.
+        return;
+    }
+
+    $ins = $pdo->prepare(
+        'INSERT INTO request_approvals (request_id, position, approver, label, status) VALUES (?, ?, ?, ?, "pending")'
+    );
+    foreach ($chain['steps'] as $i => $s) {
+        $ins->execute([$requestId, $i + 1, $s['approver'], $s['label']]);
+    }
+}
+
+/**
+ * request_steps
+ * Approval steps of several requests at once (list pages), in order.
+ *
+ * @param PDO       $pdo Database connection.
+ * @param list<int> $ids Request ids.
+ *
+ * @return array<int, list<array<string,mixed>>> Request id => steps {position, label, approver, status, decided_by, decided_by_name, decided_for_name, decided_at, comment}.
+ */
+function request_steps(PDO $pdo, array $ids): array
+{
+    $ids = array_values(array_unique(array_map('intval', $ids)));
+    if (!$ids) {
+        return [];
+    }
+
+    $rs = $pdo->query(
+        'SELECT a.request_id, a.position, a.label, a.approver, a.status, a.decided_by, d.name AS decided_by_name, f.name AS decided_for_name,
+                a.decided_at, a.comment
+           FROM request_approvals a
+           LEFT JOIN users d ON d.id = a.decided_by
+           LEFT JOIN users f ON f.id = a.decided_for
+          WHERE a.request_id IN (' . implode(',', $ids) . ')
+          ORDER BY a.request_id, a.position'
+    );
+    $out = [];
+    foreach ($rs->fetchAll(PDO::FETCH_ASSOC) as $s) {
+        $rid = (int)$s['request_id'];
+        unset($s['request_id']);
+        $s['position']   = (int)$s['position'];
+        $s['decided_by'] = $s['decided_by'] === null ? null : (int)$s['decided_by'];
+        $out[$rid][]     = $s;
+    }
+
+    return $out;
+}
+
+/**
+ * current_step
+ * First step still waiting for a decision.
+ *
+ * @param PDO $pdo       Database connection.
+ * @param int $requestId Request id.
+ *
+ * @return array<string,mixed>|null The step row plus `total` (number of steps); null when the request has no open step.
+ */
+function current_step(PDO $pdo, int $requestId): ?array
+{
+    $st = $pdo->prepare(
+        'SELECT a.*, (SELECT COUNT(*) FROM request_approvals t WHERE t.request_id = a.request_id) AS total
+           FROM request_approvals a
+          WHERE a.request_id = ? AND a.status = "pending"
+          ORDER BY a.position
+          LIMIT 1'
+    );
+    $st->execute([$requestId]);
+    $row = $st->fetch(PDO::FETCH_ASSOC);
+
+    return $row ?: null;
+}
+
+/**
+ * org_managers_exist
+ * Whether any manager runs no team (the "org" approvers).
+ *
+ * @param PDO $pdo Database connection.
+ *
+ * @return bool
+ */
+function org_managers_exist(PDO $pdo): bool
+{
+    return (bool)$pdo->query(
+        'SELECT 1 FROM users u
+          WHERE u.role = "manager" AND NOT EXISTS (SELECT 1 FROM team_managers tm WHERE tm.user_id = u.id)
+          LIMIT 1'
+    )->fetchColumn();
+}
+
+/**
+ * can_sign_step
+ * Whether a manager may decide a step of a request they can already see.
+ *
+ * @param PDO            $pdo         Database connection.
+ * @param string         $approver    Step approver kind (see APPROVERS).
+ * @param list<int>|null $mgrTeamIds  Output of manager_team_ids() for the manager.
+ * @param int|null       $ownerTeamId Team of the request owner.
+ * @param bool|null      $orgExists   Output of org_managers_exist() when already known (null = look it up).
+ *
+ * @return bool
+ */
+function can_sign_step(PDO $pdo, string $approver, ?array $mgrTeamIds, ?int $ownerTeamId, ?bool $orgExists = null): bool
+{
+    return match ($approver) {
+        'team'  => $ownerTeamId === null || in_array($ownerTeamId, $mgrTeamIds ?? [], true),
+        'org'   => $mgrTeamIds === null || !($orgExists ?? org_managers_exist($pdo)),
+        default => true,
+    };
+}
+
+/**
+ * step_approver_sql
+ * Condition on a users row "u" matching the managers who may sign a step (notification recipients).
+ *
+ * @param PDO      $pdo          Database connection.
+ * @param string   $approver     Step approver kind.
+ * @param int|null $ownerTeamId  Team of the request owner.
+ * @param bool     $ownerManager Whether the owner is a manager (a teamless one is only seen by managers without a team).
+ *
+ * @return string
+ */
+function step_approver_sql(PDO $pdo, string $approver, ?int $ownerTeamId, bool $ownerManager = false): string
+{
+    // Managers who can see the owner's requests at all (same rule as the "submitted" notification).
+    $visible = match (true) {
+        $ownerTeamId !== null => '(u.id IN (SELECT user_id FROM team_managers WHERE team_id = ' . $ownerTeamId . ')
+            OR NOT EXISTS (SELECT 1 FROM team_managers tm WHERE tm.user_id = u.id))',
+        $ownerManager => 'NOT EXISTS (SELECT 1 FROM team_managers tm WHERE tm.user_id = u.id)',
+        default => '1',
+    };
+
+    $who = match (true) {
+        $approver === 'team' && $ownerTeamId !== null => 'u.id IN (SELECT user_id FROM team_managers WHERE team_id = ' . $ownerTeamId . ')',
+        $approver === 'org' && org_managers_exist($pdo) => 'NOT EXISTS (SELECT 1 FROM team_managers tm WHERE tm.user_id = u.id)',
+        default => $visible,
+    };
+
+    return 'u.role = "manager" AND ' . $who;
+}
+
+/**
+ * sign_step
+ * Record a decision on a step; guarded by its status so a step is only decided once.
+ *
+ * @param PDO         $pdo       Database connection.
+ * @param int         $stepId    request_approvals id.
+ * @param string      $status    "approved" or "rejected".
+ * @param int         $managerId  Deciding manager.
+ * @param string|null $comment    Decision comment.
+ * @param int|null    $decidedFor Absent manager the decider stood in for (null = their own decision).
+ *
+ * @return bool False when someone else decided it meanwhile.
+ */
+function sign_step(PDO $pdo, int $stepId, string $status, int $managerId, ?string $comment, ?int $decidedFor = null): bool
+{
+    $st = $pdo->prepare(
+        'UPDATE request_approvals SET status = ?, decided_by = ?, decided_for = ?, decided_at = datetime("now"), comment = ?
+          WHERE id = ? AND status = "pending"'
+    );
+    $st->execute([$status, $managerId, $decidedFor, $comment, $stepId]);
+
+    return $st->rowCount() > 0;
+}
+
+/**
+ * signed_earlier_step
+ * Whether a manager already approved a step of a request (they may not sign another one).
+ *
+ * @param list<array<string,mixed>> $steps     Steps of the request (output of request_steps()).
+ * @param int                       $managerId Manager about to sign.
+ *
+ * @return bool
+ */
+function signed_earlier_step(array $steps, int $managerId): bool
+{
+    foreach ($steps as $s) {
+        if ($s['status'] === 'approved' && $s['decided_by'] === $managerId) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * skip_open_steps
+ * Mark the steps nobody has to decide anymore (after a rejection, a withdrawal or a cancellation) as skipped.
+ *
+ * @param PDO $pdo       Database connection.
+ * @param int $requestId Request id.
+ */
+function skip_open_steps(PDO $pdo, int $requestId): void
+{
+    $pdo->prepare('UPDATE request_approvals SET status = "skipped" WHERE request_id = ? AND status = "pending"')
+        ->execute([$requestId]);
+}
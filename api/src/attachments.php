@@ -0,0 +1,261 @@
+<?php
+declare(strict_types=1);
+
+namespace App;
+
+use InvalidArgumentException;
+use PDO;
+
+/**
+ * ---------------- src/attachments.php ----------------
+ *
+ * PHP Version: 8.4
+ * Files attached to leave requests (e.g. medical certificates).
+ * - Uploads are "staged" first (request_id NULL) and linked when the request is
+ *   submitted or edited, so a type that needs an attachment can be enforced on submit
+ * - Only PDF, JPEG and PNG are accepted; the type is read from the file's bytes,
+ *   never from the client's name or Content-Type
+ * - Contents live in a Storage driver (see storage.php); the table keeps metadata only
+ *
+ * Env:
+ *   ATTACHMENT_MAX_MB=<size per file in MB> (default 5; PHP's upload_max_filesize must allow it)
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+/** Accepted MIME types => file extension. */
+const ATTACHMENT_TYPES = [
+    'application/pdf' => 'pdf',
+    'image/jpeg'      => 'jpg',
+    'image/png'       => 'png',
+];
+
+/** Most files one request may carry. */
+const ATTACHMENT_MAX_FILES = 5;
+
+/** Columns returned to clients. */
+const ATTACHMENT_COLUMNS = 'id, request_id, filename, mime, size, created_at';
+
+/**
+ * attachment_max_bytes
+ * Per-file size limit from ATTACHMENT_MAX_MB.
+ *
+ * @return int
+ */
+function attachment_max_bytes(): int
+{
+    return max(1, (int)($_ENV['ATTACHMENT_MAX_MB'] ?? 5)) * 1024 * 1024;
+}
+
+/**
+ * sniff_attachment_type
+ * Detect an accepted type from the file signature.
+ *
+ * @param string $bytes File contents.
+ *
+ * @return string|null MIME type, or null when not PDF/JPEG/PNG.
+ */
+function sniff_attachment_type(string $bytes): ?string
+{
+    return match (true) {
+        str_starts_with($bytes, '%PDF-')             => 'application/pdf',
+        str_starts_with($bytes, "\xFF\xD8\xFF")      => 'image/jpeg',
+        str_starts_with($bytes, "\x89PNG\r\n\x1A\n") => 'image/png',
+        default                                      => null,
+    };
+}
+
+/**
+ * store_attachment
+ * Validate an upload, save it and record it as staged (not yet linked to a request).
+ * The user's stale staged uploads (older than a day) are cleared on the way.
+ *
+ * @param PDO     $pdo      Database connection.
+ * @param Storage $storage  Storage driver.
+ * @param int     $userId   Uploader (the future request owner).
+ * @param string  $filename Client file name (display only).
+ * @param string  $bytes    File contents.
+ *
+ * @return array<string,mixed> The new attachment (ATTACHMENT_COLUMNS).
+ *
+ * @throws InvalidArgumentException 413 when too large, 415 when not PDF/JPEG/PNG, 400 when empty.
+ */
+function store_attachment(PDO $pdo, Storage $storage, int $userId, string $filename, string $bytes): array
+{
+    $max = attachment_max_bytes();
+    if ($bytes === '') { // If the file is empty, there is nothing to keep.
+        throw new InvalidArgumentException('The file is empty', 400);
+    }
+    if (strlen($bytes) > $max) { // If over the limit, say what the limit is.
+        throw new InvalidArgumentException(sprintf('Files can be at most %d MB', $max / 1024 / 1024), 413);
+    }
+    $mime = sniff_attachment_type($bytes);
+    if ($mime === null) { // If not one of the accepted formats, refuse.
+        throw new InvalidArgumentException('Only PDF, JPG and PNG files are accepted', 415);
+    }
+
+    purge_staged_attachments($pdo, $storage, $userId);
+
+    // Keep a readable name for downloads, without paths or control characters.
+    $name = trim((string)preg_replace('/[\x00-\x1F\x7F\/\\\\]+/u', '', basename(str_replace('\\', '/', $filename))));
+    $name = mb_substr($name !== '' ? $name : 'attachment', 0, 120);
+    $ext  = strtolower(pathinfo($name, PATHINFO_EXTENSION));
+    if ($ext !== ATTACHMENT_TYPES[$mime] && !($ext === 'jpeg' && $mime === 'image/jpeg')) { // If the extension does not match the content, fix it.
+        $name .= '.' . ATTACHMENT_TYPES[$mime];
+    }
+
+    $key = bin2hex(random_bytes(16));
+    $storage->put($key, $bytes);
+
+    $st = $pdo->prepare(
+        'INSERT INTO request_attachments (request_id, user_id, filename, mime, size, storage_key, created_at)
+         VALUES (NULL, ?, ?, ?, ?, ?, datetime("now"))'
+    );
+    $st->execute([$userId, $name, $mime, strlen($bytes), $key]);
+
+    return attachment($pdo, (int)$pdo->lastInsertId());
+}
+
+/**
+ * attachment
+ * One attachment with its owner and storage key (server-side use).
+ *
+ * @param PDO $pdo Database connection.
+ * @param int $id  Attachment id.
+ *
+ * @return array<string,mixed>|null Null when unknown.
+ */
+function attachment(PDO $pdo, int $id): ?array
+{
+    $st = $pdo->prepare('SELECT ' . ATTACHMENT_COLUMNS . ', user_id, storage_key FROM request_attachments WHERE id = ?');
+    $st->execute([$id]);
+    $row = $st->fetch(PDO::FETCH_ASSOC);
+
+    return $row ?: null;
+}
+
+/**
+ * request_attachments
+ * Files linked to a request, oldest first.
+ *
+ * @param PDO $pdo       Database connection.
+ * @param int $requestId Request id.
+ *
+ * @return list<array<string,mixed>>
+ */
+function request_attachments(PDO $pdo, int $requestId): array
+{
+    $st = $pdo->prepare('SELECT ' . ATTACHMENT_COLUMNS . ' FROM request_attachments WHERE request_id = ? ORDER BY id');
+    $st->execute([$requestId]);
+
+    return $st->fetchAll(PDO::FETCH_ASSOC);
+}
+
+/**
+ * staged_attachment_ids
+ * Check a submission's attachment_ids: each must be the user's own upload that is not linked yet.
+ *
+ * @param PDO   $pdo    Database connection.
+ * @param int   $userId Submitting user.
+ * @param mixed $raw    attachment_ids from the request body.
+ *
+ * @return list<int> Distinct ids.
+ *
+ * @throws InvalidArgumentException 400 when malformed or not a staged upload of this user.
+ */
+function staged_attachment_ids(PDO $pdo, int $userId, mixed $raw): array
+{
+    if ($raw === null) { // If omitted, nothing to link.
+        return [];
+    }
+    if (!is_array($raw)) {
+        throw new InvalidArgumentException('attachment_ids must be a list of ids', 400);
+    }
+
+    $ids = array_values(array_unique(array_map('intval', $raw)));
+    if (!$ids) {
+        return [];
+    }
+
+    $st = $pdo->prepare(
+        'SELECT COUNT(*) FROM request_attachments
+          WHERE user_id = ? AND request_id IS NULL AND id IN (' . implode(',', array_fill(0, count($ids), '?')) . ')'
+    );
+    $st->execute([$userId, ...$ids]);
+    if ((int)$st->fetchColumn() !== count($ids)) { // If any id is unknown, foreign or already used, refuse.
+        throw new InvalidArgumentException('Unknown attachment; please upload the file again', 400);
+    }
+
+    return $ids;
+}
+
+/**
+ * link_attachments
+ * Attach staged uploads (checked by staged_attachment_ids()) to a request.
+ *
+ * @param PDO       $pdo       Database connection.
+ * @param int       $requestId Request id.
+ * @param list<int> $ids       Attachment ids.
+ */
+function link_attachments(PDO $pdo, int $requestId, array $ids): void
+{
+    if (!$ids) { // If nothing was uploaded, nothing to link.
+        return;
+    }
+    $st = $pdo->prepare(
+        'UPDATE request_attachments SET request_id = ?
+          WHERE request_id IS NULL AND id IN (' . implode(',', array_fill(0, count($ids), '?')) . ')'
+    );
+    $st->execute([$requestId, ...$ids]);
+}
+
+/**
+ * attachment_count
+ *
+ * @param PDO $pdo       Database connection.
+ * @param int $requestId Request id.
+ *
+ * @return int
+ */
+function attachment_count(PDO $pdo, int $requestId): int
+{
+    $st = $pdo->prepare('SELECT COUNT(*) FROM request_attachments WHERE request_id = ?');
+    $st->execute([$requestId]);
+
+    return (int)$st->fetchColumn();
+}
+
+/**
+ * delete_attachment
+ * Remove the row and the stored file.
+ *
+ * @param PDO                 $pdo     Database connection.
+ * @param Storage             $storage Storage driver.
+ * @param array<string,mixed> $row     Output of attachment().
+ */
+function delete_attachment(PDO $pdo, Storage $storage, array $row): void
+{
+    $pdo->prepare('DELETE FROM request_attachments WHERE id = ?')->execute([(int)$row['id']]);
+    $storage->delete((string)$row['storage_key']);
+}
+
+/**
+ * purge_staged_attachments
+ * Drop a user's uploads that were never submitted with a request (abandoned forms).
+ *
+ * @param PDO     $pdo     Database connection.
+ * @param Storage $storage Storage driver.
+ * @param int     $userId  Uploader.
+ */
+function purge_staged_attachments(PDO $pdo, Storage $storage, int $userId): void
+{
+    $st = $pdo->prepare(
+        'SELECT ' . ATTACHMENT_COLUMNS . ', user_id, storage_key FROM request_attachments
+          WHERE user_id = ? AND request_id IS NULL AND created_at < datetime("now", "-1 day")'
+    );
+    $st->execute([$userId]);
+    foreach ($st->fetchAll(PDO::FETCH_ASSOC) as $row) {
+        delete_attachment($pdo, $storage, $row);
+    }
+}
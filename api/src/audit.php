@@ -0,0 +1,169 @@
+<?php
+declare(strict_types=1);
+
+namespace App;
+
+use PDO;
+
+/**
+ * ---------------- src/audit.php ----------------
+ *
+ * PHP Version: 8.4
+ * Audit trail of manager actions.
+ * - audit_diff(): field-level before/after diff (secrets masked)
+ * - audit_record(): append one entry to audit_log
+ * - audit_query(): filtered read for the Audit tab
+ *
+ * Actor and target names are copied into each entry so the trail stays
+ * readable after users are deleted.
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+/** Columns whose values never reach the audit log (only the fact they changed). */
+const AUDIT_MASKED = ['password_hash'];
+
+/**
+ * audit_diff
+ * Changed fields between two row snapshots.
+ *
+ * @param array<string,mixed>|null $before Row before the change (null on create).
+ * @param array<string,mixed>|null $after  Row after the change (null on delete).
+ *
+ * @return array<string,array{from:mixed,to:mixed}> Field => {from, to}.
+ */
+function audit_diff(?array $before, ?array $after): array
+{
+    $diff = [];
+    foreach (array_unique(array_merge(array_keys($before ?? []), array_keys($after ?? []))) as $key) {
+        $from = $before[$key] ?? null;
+        $to   = $after[$key] ?? null;
+        if ((string)$from === (string)$to && ($from === null) === ($to === null)) { // If unchanged, skip it.
+            continue;
+        }
+        if (in_array($key, AUDIT_MASKED, true)) { // If secret, record only that it changed.
+            $to   = $to === null ? null : ($from === null ? '••••' : '•••• (changed)');
+            $from = $from === null ? null : '••••';
+        }
+        $diff[$key] = ['from' => $from, 'to' => $to];
+    }
+
+    return $diff;
+}
+
+/**
+ * audit_record
+ * Append one audit entry.
+ *
+ * @param PDO                      $pdo    Database connection.
+ * @param array<string,mixed>      $actor  Acting user (id, name).
+ * @param string                   $action Dotted action name, e.g. "user.update", "request.approve".
+ * @param array{type:string, id:int|null, user_id?:int|null, label?:string|null} $target
+ *        What was acted on; user_id is the person concerned (for the "target user" filter).
+ * @param array<string,mixed>|null $before Snapshot before the change.
+ * @param array<string,mixed>|null $after  Snapshot after the change.
+ * @param string|null              $ip     Client IP address.
+ * @param array<string,mixed>|null $onBehalfOf Manager (id, name) the actor stood in for, when acting as a delegate.
+ */
+function audit_record(
+    PDO $pdo,
+    array $actor,
+    string $action,
+    array $target,
+    ?array $before,
+    ?array $after,
+    ?string $ip,
+    ?array $onBehalfOf = null
+): void {
+    $targetUser = $target['user_id'] ?? null;
+    $userName   = null;
+    if ($targetUser !== null) { // If a person is concerned, keep their name for after deletion.
+        $st = $pdo->prepare('SELECT name FROM users WHERE id = ?');
+        $st->execute([$targetUser]);
+        $userName = $st->fetchColumn() ?: null;
+    }
+
+    $st = $pdo->prepare(
+        'INSERT INTO audit_log
+           (actor_id, actor_name, on_behalf_of_id, on_behalf_of_name, action, target_type, target_id, target_label,
+            target_user_id, target_user_name, diff, ip, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime("now"))'
+    );
+    $st->execute([
+        (int)$actor['id'],
+        (string)$actor['name'],
+        $onBehalfOf ? (int)$onBehalfOf['id'] : null,
+        $onBehalfOf ? (string)$onBehalfOf['name'] : null,
+        $action,
+        $target['type'],
+        $target['id'],
+        $target['label'] ?? null,
+        $targetUser,
+        $userName,
+        json_encode(audit_diff($before, $after), JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES),
+        $ip,
+    ]);
+}
+
+/**
+ * audit_query
+ * Audit entries matching the given filters, newest first.
+ *
+ * @param PDO                  $pdo     Database connection.
+ * @param array<string,string> $filters actor_id, target_user_id, action, date_from, date_to (all optional).
+ * @param int                  $limit   Maximum rows.
+ * @param list<int>|null       $teamIds Only entries about users whose requests these teams' managers see
+ *                                      (see team_scope_sql()); null = every entry.
+ *
+ * @return list<array<string,mixed>> Entries with diff decoded.
+ */
+function audit_query(PDO $pdo, array $filters, int $limit = 500, ?array $teamIds = null): array
+{
+    $where = [];
+    $args  = [];
+
+    $scope = team_scope_sql($teamIds, 'u.team_id', 'u.role');
+    if ($scope !== null) { // If the manager runs teams, settings and other teams' people stay hidden.
+        $where[] = 'target_user_id IN (SELECT u.id FROM users u WHERE ' . $scope . ')';
+    }
+
+    if (($filters['actor_id'] ?? '') !== '') { // If filtering by actor, match the id.
+        $where[] = 'actor_id = ?';
+        $args[]  = (int)$filters['actor_id'];
+    }
+    if (($filters['target_user_id'] ?? '') !== '') { // If filtering by concerned user, match the id.
+        $where[] = 'target_user_id = ?';
+        $args[]  = (int)$filters['target_user_id'];
+    }
+    if (($filters['action'] ?? '') !== '') { // If filtering by action, allow "user" to match "user.*".
+        $where[] = '(action = ? OR action LIKE ?)';
+        $args[]  = $filters['action'];
+        $args[]  = $filters['action'] . '.%';
+    }
+    if (($filters['date_from'] ?? '') !== '') { // If a start date is given, include that whole day.
+        $where[] = 'created_at >= ?';
+        $args[]  = $filters['date_from'] . ' 00:00:00';
+    }
+    if (($filters['date_to'] ?? '') !== '') { // If an end date is given, include that whole day.
+        $where[] = 'created_at <= ?';
+        $args[]  = $filters['date_to'] . ' 23:59:59';
+    }
+
+    $st = $pdo->prepare(
+        'SELECT id, actor_id, actor_name, on_behalf_of_id, on_behalf_of_name, action, target_type, target_id, target_label,
+                target_user_id, target_user_name, diff, ip, created_at
+           FROM audit_log'
+        . ($where ? ' WHERE ' . implode(' AND ', $where) : '')
+        . ' ORDER BY id DESC LIMIT ' . max(1, $limit)
+    );
+    $st->execute($args);
+
+    $rows = $st->fetchAll(PDO::FETCH_ASSOC);
+    foreach ($rows as &$row) {
+        $row['diff'] = json_decode((string)$row['diff'], true) ?: [];
+    }
+    unset($row);
+
+    return $rows;
+}
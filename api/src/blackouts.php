@@ -0,0 +1,180 @@
+<?php
+declare(strict_types=1);
+
+namespace App;
+
+use InvalidArgumentException;
+use PDO;
+
+/**
+ * ---------------- src/blackouts.php ----------------
+ *
+ * PHP Version: 8.4
+ * Blackout periods: date ranges (inclusive) when leave cannot be taken, e.g. quarter-end close.
+ * - A period applies to everyone, or to the members of one team
+ * - Hard periods refuse any request whose range touches them; soft ones only warn
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+/** Longest blackout, in days. */
+const BLACKOUT_MAX_DAYS = 366;
+
+/**
+ * blackouts
+ * Periods by start date, optionally limited to a date window and to what applies to some teams.
+ *
+ * @param PDO            $pdo     Database connection.
+ * @param list<int>|null $teamIds Keep periods for everyone plus these teams (null = all periods).
+ * @param string|null    $from    Only periods ending on or after this day (YYYY-MM-DD).
+ * @param string|null    $to      Only periods starting on or before this day.
+ *
+ * @return list<array{id:int, name:string, date_from:string, date_to:string, team_id:int|null, team_name:string|null, soft:bool}>
+ */
+function blackouts(PDO $pdo, ?array $teamIds = null, ?string $from = null, ?string $to = null): array
+{
+    $where = [];
+    $args  = [];
+    if ($teamIds !== null) { // If limited to some teams, periods for everyone still apply.
+        $where[] = '(b.team_id IS NULL OR b.team_id IN (' . (implode(',', array_map('intval', $teamIds)) ?: '0') . '))';
+    }
+    if ($from !== null) {
+        $where[] = 'b.date_to >= ?';
+        $args[]  = $from;
+    }
+    if ($to !== null) {
+        $where[] = 'b.date_from <= ?';
+        $args[]  = $to;
+    }
+
+    $st = $pdo->prepare(
+        'SELECT b.id, b.name, b.date_from, b.date_to, b.team_id, t.name AS team_name, b.soft
+           FROM blackout_periods b
+           LEFT JOIN teams t ON t.id = b.team_id'
+        . ($where ? ' WHERE ' . implode(' AND ', $where) : '')
+        . ' ORDER BY b.date_from, b.id'
+    );
+    $st->execute($args);
+
+    return array_map(static fn($b) => [
+        'id'        => (int)$b['id'],
+        'name'      => (string)$b['name'],
+        'date_from' => (string)$b['date_from'],
+        'date_to'   => (string)$b['date_to'],
+        'team_id'   => $b['team_id'] === null ? null : (int)$b['team_id'],
+        'team_name' => $b['team_name'],
+        'soft'      => (bool)$b['soft'],
+    ], $st->fetchAll(PDO::FETCH_ASSOC));
+}
+
+/**
+ * blackout
+ * One period (same shape as blackouts()).
+ *
+ * @param PDO $pdo Database connection.
+ * @param int $id  Period id.
+ *
+ * @return array<string,mixed>|null Null when unknown.
+ */
+function blackout(PDO $pdo, int $id): ?array
+{
+    foreach (blackouts($pdo) as $b) {
+        if ($b['id'] === $id) {
+            return $b;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * user_blackouts
+ * Periods that apply to a user (everyone's plus their team's), optionally overlapping a range.
+ *
+ * @param PDO         $pdo    Database connection.
+ * @param int         $userId User id.
+ * @param string|null $from   Range start (YYYY-MM-DD).
+ * @param string|null $to     Range end.
+ *
+ * @return list<array<string,mixed>> Same shape as blackouts().
+ */
+function user_blackouts(PDO $pdo, int $userId, ?string $from = null, ?string $to = null): array
+{
+    $st = $pdo->prepare('SELECT team_id FROM users WHERE id = ?');
+    $st->execute([$userId]);
+    $team = $st->fetchColumn();
+
+    return blackouts($pdo, $team ? [(int)$team] : [], $from, $to);
+}
+
+/**
+ * validate_blackout
+ * Normalize a create/update body. On update, omitted fields keep their current value.
+ * The team is checked by the caller (it depends on the manager's scope).
+ *
+ * @param array<string,mixed>      $in      Raw input: name, date_from, date_to, soft.
+ * @param array<string,mixed>|null $current Existing period (output of blackout()) when updating.
+ *
+ * @return array{name:string, date_from:string, date_to:string, soft:bool}
+ *
+ * @throws InvalidArgumentException Message for the client; the code is the HTTP status (400 invalid).
+ */
+function validate_blackout(array $in, ?array $current = null): array
+{
+    $name = trim((string)($in['name'] ?? $current['name'] ?? ''));
+    if ($name === '' || mb_strlen($name) > 60) { // If missing or too long for a calendar label, reject.
+        throw new InvalidArgumentException('Name required (up to 60 characters)', 400);
+    }
+
+    $from = parse_ymd(trim((string)($in['date_from'] ?? $current['date_from'] ?? '')));
+    $to   = parse_ymd(trim((string)($in['date_to'] ?? $current['date_to'] ?? '')));
+    if (!$from || !$to || $to < $from) {
+        throw new InvalidArgumentException('date_from and date_to must be YYYY-MM-DD, with date_from first', 400);
+    }
+    if ($from->diff($to)->days >= BLACKOUT_MAX_DAYS) {
+        throw new InvalidArgumentException(sprintf('A blackout can last at most %d days', BLACKOUT_MAX_DAYS), 400);
+    }
+
+    return [
+        'name'      => $name,
+        'date_from' => $from->format('Y-m-d'),
+        'date_to'   => $to->format('Y-m-d'),
+        'soft'      => (bool)($in['soft'] ?? $current['soft'] ?? false),
+    ];
+}
+
+/**
+ * blackout_message
+ * Why a period blocks (or warns about) a request, e.g. "No leave during Q4 close (28 Dec 2025 – 2 Jan 2026)".
+ *
+ * @param array<string,mixed> $b Output of blackouts().
+ *
+ * @return string
+ */
+function blackout_message(array $b): string
+{
+    return ($b['soft'] ? 'Leave is discouraged during ' : 'No leave during ') . $b['name']
+        . ' (' . format_range($b['date_from'], $b['date_to']) . ')'
+        . ($b['team_name'] !== null ? ' for ' . $b['team_name'] : '');
+}
+
+/**
+ * blackout_audit_row
+ * Flat snapshot of a period for audit diffs.
+ *
+ * @param array<string,mixed> $b Output of blackout().
+ *
+ * @return array<string,mixed>
+ */
+function blackout_audit_row(array $b): array
+{
+    return [
+        'id'        => $b['id'],
+        'name'      => $b['name'],
+        'date_from' => $b['date_from'],
+        'date_to'   => $b['date_to'],
+        'team'      => $b['team_name'] ?? 'Everyone',
+        'soft'      => $b['soft'] ? 1 : 0,
+    ];
+}
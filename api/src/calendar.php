@@ -0,0 +1,245 @@
+<?php
+declare(strict_types=1);
+
+namespace App;
+
+use PDO;
+
+/**
+ * ---------------- src/calendar.php ----------------
+ *
+ * PHP Version: 8.4
+ * iCalendar (.ics) subscription feeds of approved leave.
+ * - "personal": the user's own approved requests
+ * - "team": approved requests of everyone the manager can see (managers only; see teams.php)
+ * - Each feed is reached through a secret per-user token (no session needed);
+ *   regenerating the token invalidates the old URL.
+ * - Every request maps to one event with a stable UID; SEQUENCE grows with the
+ *   status history, and cancelled leave stays in the feed as STATUS:CANCELLED so
+ *   clients drop it instead of keeping a stale copy.
+ *
+ * Env:
+ *   API_URL=<public API base> (default APP_URL + "/api"), used to build feed URLs
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+/** Feed scopes; "team" requires the manager role. */
+const FEED_SCOPES = ['personal', 'team'];
+
+/** Request statuses shown as booked leave (a pending cancellation is still leave until confirmed). */
+const FEED_ACTIVE = ['approved', 'cancellation_requested'];
+
+/**
+ * feed_token
+ * Token of a user's feed, created on first use.
+ *
+ * @param PDO    $pdo    Database connection.
+ * @param int    $userId Feed owner.
+ * @param string $scope  One of FEED_SCOPES.
+ *
+ * @return string Hex token.
+ */
+function feed_token(PDO $pdo, int $userId, string $scope): string
+{
+    $st = $pdo->prepare('SELECT token FROM calendar_feeds WHERE user_id = ? AND scope = ?');
+    $st->execute([$userId, $scope]);
+    $token = $st->fetchColumn();
+
+    return $token !== false ? (string)$token : regenerate_feed_token($pdo, $userId, $scope);
+}
+
+/**
+ * regenerate_feed_token
+ * Issue a new token for a feed; the previous URL stops working immediately.
+ *
+ * @param PDO    $pdo    Database connection.
+ * @param int    $userId Feed owner.
+ * @param string $scope  One of FEED_SCOPES.
+ *
+ * @return string New hex token.
+ */
+function regenerate_feed_token(PDO $pdo, int $userId, string $scope): string
+{
+    $token = bin2hex(random_bytes(24));
+    $st = $pdo->prepare(
+        'INSERT INTO calendar_feeds (user_id, scope, token, created_at) VALUES (?, ?, ?, datetime("now"))
+         ON CONFLICT(user_id, scope) DO UPDATE SET token = excluded.token, created_at = excluded.created_at'
+    );
+    $st->execute([$userId, $scope, $token]);
+
+    return $token;
+}
+
+/**
+ * feed_url
+ * Public subscription URL of a token.
+ *
+ * @param string $token Feed token.
+ *
+ * @return string Absolute URL ending in .ics.
+ */
+function feed_url(string $token): string
+{
+    $base = $_ENV['API_URL'] ?? (rtrim($_ENV['APP_URL'] ?? 'http://localhost:5173', '/') . '/api');
+
+    return rtrim($base, '/') . '/calendar/' . $token . '.ics';
+}
+
+/**
+ * feed_by_token
+ * Resolve a token to its feed. Team feeds of users who are no longer managers are refused.
+ *
+ * @param PDO    $pdo   Database connection.
+ * @param string $token Token from the URL.
+ *
+ * @return array{user_id:int, scope:string, name:string}|null Null when unknown or no longer allowed.
+ */
+function feed_by_token(PDO $pdo, string $token): ?array
+{
+    $st = $pdo->prepare(
+        'SELECT f.user_id, f.scope, u.name, u.role
+           FROM calendar_feeds f JOIN users u ON u.id = f.user_id
+          WHERE f.token = ?'
+    );
+    $st->execute([$token]);
+    $row = $st->fetch(PDO::FETCH_ASSOC);
+
+    if (!$row || ($row['scope'] === 'team' && $row['role'] !== 'manager')) { // If unknown or a demoted manager, hide it.
+        return null;
+    }
+
+    return ['user_id' => (int)$row['user_id'], 'scope' => (string)$row['scope'], 'name' => (string)$row['name']];
+}
+
+/**
+ * feed_events
+ * Requests to publish: active leave plus cancelled leave (kept so clients remove it).
+ * Each row carries its status-change count (SEQUENCE) and last change time (DTSTAMP).
+ *
+ * @param PDO                                  $pdo  Database connection.
+ * @param array{user_id:int, scope:string}     $feed Output of feed_by_token().
+ *
+ * @return list<array<string,mixed>>
+ */
+function feed_events(PDO $pdo, array $feed): array
+{
+    $statuses = array_merge(FEED_ACTIVE, ['cancelled']);
+    $where    = 'r.status IN (' . implode(',', array_fill(0, count($statuses), '?')) . ')';
+    $args     = $statuses;
+    if ($feed['scope'] === 'personal') { // If personal, only the owner's requests.
+        $where .= ' AND r.user_id = ?';
+        $args[] = $feed['user_id'];
+    }
+    $scope = $feed['scope'] === 'team' ? team_scope_sql(manager_team_ids($pdo, $feed['user_id']), 'u.team_id', 'u.role') : null;
+    if ($scope !== null) { // If the feed's manager runs teams, only those teams (and employees without one).
+        $where .= ' AND ' . $scope;
+    }
+
+    $st = $pdo->prepare(
+        'SELECT r.id, r.date_from, r.date_to, r.reason, r.status, r.working_days, u.name AS user_name, lt.name AS type_name,
+                (SELECT COUNT(*) FROM request_status_history h WHERE h.request_id = r.id) AS sequence,
+                COALESCE((SELECT MAX(h.created_at) FROM request_status_history h WHERE h.request_id = r.id),
+                         r.submitted_at) AS changed_at
+           FROM vacation_requests r JOIN users u ON u.id = r.user_id
+           LEFT JOIN leave_types lt ON lt.id = r.leave_type_id
+          WHERE ' . $where . '
+          ORDER BY r.date_from, r.id'
+    );
+    $st->execute($args);
+
+    return $st->fetchAll(PDO::FETCH_ASSOC);
+}
+
+/**
+ * ics_text
+ * Escape a TEXT value (RFC 5545 §3.3.11).
+ *
+ * @param string $s Raw text.
+ *
+ * @return string
+ */
+function ics_text(string $s): string
+{
+    return str_replace(["\\", ';', ',', "\r\n", "\n"], ["\\\\", '\;', '\,', '\n', '\n'], $s);
+}
+
+/**
+ * ics_fold
+ * Fold a content line at 75 octets without splitting UTF-8 sequences.
+ *
+ * @param string $line Unfolded line.
+ *
+ * @return string Folded line (CRLF + space between chunks).
+ */
+function ics_fold(string $line): string
+{
+    $out = '';
+    $len = 0;
+    foreach (mb_str_split($line) as $ch) {
+        if ($len + strlen($ch) > 75) { // If this character would overflow, continue on a new line.
+            $out .= "\r\n ";
+            $len  = 1;
+        }
+        $out .= $ch;
+        $len += strlen($ch);
+    }
+
+    return $out;
+}
+
+/**
+ * build_ics
+ * Render a VCALENDAR with one all-day VEVENT per request.
+ * Personal feeds show the reason; the team feed shows who is away but not why.
+ *
+ * @param array{scope:string, name:string} $feed Feed being rendered.
+ * @param list<array<string,mixed>>         $rows Output of feed_events().
+ * @param string                            $host Domain used in UIDs (stable per installation).
+ *
+ * @return string iCalendar document (CRLF line endings).
+ */
+function build_ics(array $feed, array $rows, string $host): string
+{
+    $team  = $feed['scope'] === 'team';
+    $lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Vacation Manager//Leave feed//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:' . ics_text($team ? 'Team leave' : 'My leave (' . $feed['name'] . ')'),
+        'X-PUBLISHED-TTL:PT1H',
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    ];
+
+    foreach ($rows as $r) {
+        $cancelled = $r['status'] === 'cancelled';
+        // The team feed says "Leave" only: the type (e.g. sick leave) is as private as the reason.
+        $summary   = ($team ? $r['user_name'] . ' — Leave' : ($r['type_name'] ?? 'Leave')) . ($cancelled ? ' (cancelled)' : '');
+        $stamp     = gmdate('Ymd\THis\Z', (int)strtotime($r['changed_at'] . ' UTC'));
+
+        array_push(
+            $lines,
+            'BEGIN:VEVENT',
+            'UID:request-' . $r['id'] . '@' . $host,
+            'SEQUENCE:' . (int)$r['sequence'],
+            'DTSTAMP:' . $stamp,
+            'LAST-MODIFIED:' . $stamp,
+            'DTSTART;VALUE=DATE:' . str_replace('-', '', $r['date_from']),
+            // DTEND is exclusive for all-day events.
+            'DTEND;VALUE=DATE:' . gmdate('Ymd', (int)strtotime($r['date_to'] . ' +1 day UTC')),
+            'SUMMARY:' . ics_text($summary),
+            'STATUS:' . ($cancelled ? 'CANCELLED' : 'CONFIRMED'),
+            'TRANSP:TRANSPARENT'
+        );
+        if (!$team && trim((string)$r['reason']) !== '') { // If personal, keep the reason as the description.
+            $lines[] = 'DESCRIPTION:' . ics_text((string)$r['reason']);
+        }
+        $lines[] = 'END:VEVENT';
+    }
+    $lines[] = 'END:VCALENDAR';
+
+    return implode("\r\n", array_map(__NAMESPACE__ . '\ics_fold', $lines)) . "\r\n";
+}
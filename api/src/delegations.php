@@ -0,0 +1,168 @@
+<?php
+declare(strict_types=1);
+
+namespace App;
+
+use InvalidArgumentException;
+use PDO;
+
+/**
+ * ---------------- src/delegations.php ----------------
+ *
+ * PHP Version: 8.4
+ * Approval delegation while a manager is away.
+ * - A manager hands their approval rights to another manager for a date range (inclusive, UTC days)
+ * - During the range the delegate sees and decides the requests the manager could, on their behalf;
+ *   outside it nothing changes, so a delegation expires by itself when the range ends
+ * - Delegation is not transitive: a delegate does not pass on rights they only hold as a delegate
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+/** Longest delegation, in days. */
+const DELEGATION_MAX_DAYS = 366;
+
+/**
+ * active_delegators
+ * Managers whose approvals a user covers today.
+ *
+ * @param PDO $pdo        Database connection.
+ * @param int $delegateId Delegate.
+ *
+ * @return list<array{id:int, name:string}>
+ */
+function active_delegators(PDO $pdo, int $delegateId): array
+{
+    // A delegator who is no longer a manager has no rights left to hand over.
+    $st = $pdo->prepare(
+        'SELECT DISTINCT m.id, m.name
+           FROM delegations d
+           JOIN users m ON m.id = d.manager_id AND m.role = "manager"
+          WHERE d.delegate_id = ? AND date("now") BETWEEN d.date_from AND d.date_to
+          ORDER BY m.name'
+    );
+    $st->execute([$delegateId]);
+
+    return array_map(static fn($r) => ['id' => (int)$r['id'], 'name' => (string)$r['name']], $st->fetchAll(PDO::FETCH_ASSOC));
+}
+
+/**
+ * user_delegations
+ * Current and upcoming delegations a user gave and received; ended ones are left out.
+ *
+ * @param PDO $pdo    Database connection.
+ * @param int $userId User id.
+ *
+ * @return array{given:list<array<string,mixed>>, received:list<array<string,mixed>>}
+ *         Entries: id, manager_id, manager_name, delegate_id, delegate_name, date_from, date_to, active.
+ */
+function user_delegations(PDO $pdo, int $userId): array
+{
+    $out = ['given' => [], 'received' => []];
+    foreach (['given' => 'd.manager_id', 'received' => 'd.delegate_id'] as $key => $col) {
+        $st = $pdo->prepare(
+            'SELECT d.id, d.manager_id, m.name AS manager_name, d.delegate_id, u.name AS delegate_name,
+                    d.date_from, d.date_to, date("now") >= d.date_from AS active
+               FROM delegations d
+               JOIN users m ON m.id = d.manager_id
+               JOIN users u ON u.id = d.delegate_id
+              WHERE ' . $col . ' = ? AND d.date_to >= date("now")
+              ORDER BY d.date_from, d.id'
+        );
+        $st->execute([$userId]);
+        $out[$key] = array_map(static fn($r) => ['active' => (bool)$r['active']] + $r, $st->fetchAll(PDO::FETCH_ASSOC));
+    }
+
+    return $out;
+}
+
+/**
+ * delegation
+ * One delegation with both names.
+ *
+ * @param PDO $pdo Database connection.
+ * @param int $id  Delegation id.
+ *
+ * @return array<string,mixed>|null Null when unknown.
+ */
+function delegation(PDO $pdo, int $id): ?array
+{
+    $st = $pdo->prepare(
+        'SELECT d.id, d.manager_id, m.name AS manager_name, d.delegate_id, u.name AS delegate_name, d.date_from, d.date_to
+           FROM delegations d
+           JOIN users m ON m.id = d.manager_id
+           JOIN users u ON u.id = d.delegate_id
+          WHERE d.id = ?'
+    );
+    $st->execute([$id]);
+    $row = $st->fetch(PDO::FETCH_ASSOC);
+
+    return $row ?: null;
+}
+
+/**
+ * validate_delegation
+ * Check a new delegation from a manager.
+ *
+ * @param PDO                 $pdo       Database connection.
+ * @param int                 $managerId Manager handing over their approvals.
+ * @param array<string,mixed> $in        Raw input: delegate_id, date_from, date_to.
+ *
+ * @return array{delegate_id:int, date_from:string, date_to:string}
+ *
+ * @throws InvalidArgumentException Message for the client; the code is the HTTP status (400 invalid, 409 overlap).
+ */
+function validate_delegation(PDO $pdo, int $managerId, array $in): array
+{
+    $delegateId = (int)($in['delegate_id'] ?? 0);
+    $st         = $pdo->prepare('SELECT 1 FROM users WHERE id = ? AND role = "manager"');
+    $st->execute([$delegateId]);
+    if ($delegateId === $managerId || !$st->fetchColumn()) { // If not another manager, they could not open the requests.
+        throw new InvalidArgumentException('The delegate must be another manager', 400);
+    }
+
+    $from = parse_ymd(trim((string)($in['date_from'] ?? '')));
+    $to   = parse_ymd(trim((string)($in['date_to'] ?? '')));
+    if (!$from || !$to || $to < $from) {
+        throw new InvalidArgumentException('date_from and date_to must be YYYY-MM-DD, with date_from first', 400);
+    }
+    if ($to->format('Y-m-d') < gmdate('Y-m-d')) { // If the range is over already, it would never apply.
+        throw new InvalidArgumentException('The delegation would already be over', 400);
+    }
+    if ($from->diff($to)->days >= DELEGATION_MAX_DAYS) {
+        throw new InvalidArgumentException(sprintf('A delegation can last at most %d days', DELEGATION_MAX_DAYS), 400);
+    }
+
+    $st = $pdo->prepare(
+        'SELECT u.name FROM delegations d JOIN users u ON u.id = d.delegate_id
+          WHERE d.manager_id = ? AND d.date_from <= ? AND d.date_to >= ?
+          LIMIT 1'
+    );
+    $st->execute([$managerId, $to->format('Y-m-d'), $from->format('Y-m-d')]);
+    $other = $st->fetchColumn();
+    if ($other !== false) { // If another delegation covers some of these days, one delegate at a time.
+        throw new InvalidArgumentException('You already delegate to ' . $other . ' during part of this range', 409);
+    }
+
+    return ['delegate_id' => $delegateId, 'date_from' => $from->format('Y-m-d'), 'date_to' => $to->format('Y-m-d')];
+}
+
+/**
+ * delegation_audit_row
+ * Flat snapshot of a delegation for audit diffs.
+ *
+ * @param array<string,mixed> $d Output of delegation().
+ *
+ * @return array<string,mixed>
+ */
+function delegation_audit_row(array $d): array
+{
+    return [
+        'id'        => (int)$d['id'],
+        'manager'   => $d['manager_name'],
+        'delegate'  => $d['delegate_name'],
+        'date_from' => $d['date_from'],
+        'date_to'   => $d['date_to'],
+    ];
+}
@@ -0,0 +1,187 @@
+<?php
+declare(strict_types=1);
+
+namespace App;
+
+use RuntimeException;
+use ZipArchive;
+
+/**
+ * ---------------- src/export.php ----------------
+ *
+ * PHP Version: 8.4
+ * Spreadsheet export of leave requests (payroll hand-off).
+ * - export_rows(): request rows -> fixed payroll columns
+ * - export_csv(): UTF-8 CSV (with BOM so Excel keeps accents)
+ * - export_xlsx(): minimal single-sheet Office Open XML workbook (ext-zip)
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+/** Supported download formats => MIME type. */
+const EXPORT_FORMATS = [
+    'csv'  => 'text/csv; charset=utf-8',
+    'xlsx' => 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+];
+
+/** Header row; export_rows() emits cells in the same order. */
+const EXPORT_COLUMNS = ['Employee', 'Email', 'Employee code', 'Leave type', 'From', 'To', 'Working days', 'Status', 'Decision date'];
+
+/**
+ * export_rows
+ * Map request rows (joined with the owner's name, email, employee_code and leave type name) to export cells.
+ * Dates stay YYYY-MM-DD strings; the decision date is the UTC day of decided_at.
+ *
+ * @param list<array<string,mixed>> $rows Request rows.
+ *
+ * @return list<list<string|int|float|null>>
+ */
+function export_rows(array $rows): array
+{
+    $out = [];
+    foreach ($rows as $r) {
+        $out[] = [
+            (string)$r['user_name'],
+            (string)$r['email'],
+            (string)($r['employee_code'] ?? ''),
+            (string)($r['type_name'] ?? ''),
+            (string)$r['date_from'],
+            (string)$r['date_to'],
+            $r['working_days'] === null ? null : +$r['working_days'],
+            str_replace('_', ' ', (string)$r['status']),
+            $r['decided_at'] ? substr((string)$r['decided_at'], 0, 10) : null,
+        ];
+    }
+
+    return $out;
+}
+
+/**
+ * export_csv
+ * Cells starting with = + - @ (or a tab or carriage return, which some apps skip before
+ * reading a formula) are prefixed with an apostrophe so spreadsheet apps never evaluate user-typed text.
+ *
+ * @param list<list<string|int|float|null>> $rows Output of export_rows().
+ *
+ * @return string CSV document.
+ */
+function export_csv(array $rows): string
+{
+    $fh = fopen('php://temp', 'r+');
+    fwrite($fh, "\xEF\xBB\xBF");
+    fputcsv($fh, EXPORT_COLUMNS, ',', '"', '');
+    foreach ($rows as $row) {
+        fputcsv($fh, array_map(static function ($v) {
+            return is_string($v) && $v !== '' && str_contains("=+-@\t\r", $v[0]) ? "'" . $v : $v; // If formula-like, neutralize.
+        }, $row), ',', '"', '');
+    }
+    rewind($fh);
+    $csv = (string)stream_get_contents($fh);
+    fclose($fh);
+
+    return $csv;
+}
+
+/**
+ * export_xlsx
+ * Build a one-sheet workbook: bold header row, real numbers for day counts,
+ * real dates (Excel serials) for YYYY-MM-DD cells, inline strings for the rest.
+ *
+ * @param list<list<string|int|float|null>> $rows  Output of export_rows().
+ * @param string                            $sheet Worksheet name.
+ *
+ * @return string XLSX file contents.
+ *
+ * @throws RuntimeException When the zip archive cannot be written.
+ */
+function export_xlsx(array $rows, string $sheet = 'Requests'): string
+{
+    $xml = static fn(string $s): string => htmlspecialchars($s, ENT_XML1 | ENT_QUOTES, 'UTF-8');
+
+    // Style ids: 0 = default, 1 = bold header, 2 = date (built-in format 14).
+    $cell = static function (string $ref, $v, bool $header) use ($xml): string {
+        if ($v === null || $v === '') { // If empty, leave the cell out.
+            return '';
+        }
+        if (is_int($v) || is_float($v)) { // If numeric, store a number so sums work.
+            return '<c r="' . $ref . '"><v>' . $v . '</v></c>';
+        }
+        if (!$header && preg_match('/^\d{4}-\d{2}-\d{2}$/', $v)) { // If a date, store the Excel serial (days since 1899-12-30).
+            $serial = intdiv(strtotime($v . ' 00:00:00 UTC') - strtotime('1899-12-30 00:00:00 UTC'), 86400);
+            return '<c r="' . $ref . '" s="2"><v>' . $serial . '</v></c>';
+        }
+
+        return '<c r="' . $ref . '" t="inlineStr"' . ($header ? ' s="1"' : '') . '><is><t>' . $xml($v) . '</t></is></c>';
+    };
+
+    $sheetRows = '';
+    foreach (array_merge([EXPORT_COLUMNS], $rows) as $i => $row) {
+        $cells = '';
+        foreach (array_values($row) as $c => $v) {
+            $cells .= $cell(chr(ord('A') + $c) . ($i + 1), $v, $i === 0);
+        }
+        $sheetRows .= '<row r="' . ($i + 1) . '">' . $cells . '</row>';
+    }
+
+    $files = [
+        '[Content_Types].xml' =>
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            . '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            . '<Default Extension="xml" ContentType="application/xml"/>'
+            . '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            . '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+            . '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+            . '</Types>',
+        '_rels/.rels' =>
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            . '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+            . '</Relationships>',
+        'xl/workbook.xml' =>
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            . '<sheets><sheet name="' . $xml($sheet) . '" sheetId="1" r:id="rId1"/></sheets>'
+            . '</workbook>',
+        'xl/_rels/workbook.xml.rels' =>
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            . '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+            . '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+            . '</Relationships>',
+        'xl/styles.xml' =>
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            . '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+            . '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+            . '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+            . '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+            . '<cellXfs count="3">'
+            . '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+            . '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+            . '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+            . '</cellXfs>'
+            . '</styleSheet>',
+        'xl/worksheets/sheet1.xml' =>
+            '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            . '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            . '<sheetData>' . $sheetRows . '</sheetData>'
+            . '</worksheet>',
+    ];
+
+    $tmp = tempnam(sys_get_temp_dir(), 'xlsx');
+    $zip = new ZipArchive();
+    if ($tmp === false || $zip->open($tmp, ZipArchive::OVERWRITE) !== true) { // If the temp archive cannot be opened, give up.
+        throw new RuntimeException('Could not create the XLSX archive');
+    }
+    foreach ($files as $name => $content) {
+        $zip->addFromString($name, $content);
+    }
+    $zip->close();
+
+    $data = (string)file_get_contents($tmp);
+    unlink($tmp);
+
+    return $data;
+}
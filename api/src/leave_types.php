@@ -0,0 +1,169 @@
+<?php
+declare(strict_types=1);
+
+namespace App;
+
+use InvalidArgumentException;
+use PDO;
+
+/**
+ * ---------------- src/leave_types.php ----------------
+ *
+ * PHP Version: 8.4
+ * Configurable leave types (annual, sick, unpaid, parental, …).
+ * Each type decides whether its days count against the yearly allowance,
+ * whether an attachment is expected and whether a manager must approve it.
+ * Types in use are archived (active = 0) rather than deleted so old requests keep their label.
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+/** Columns returned to clients, in display order. */
+const LEAVE_TYPE_COLUMNS = 'id, name, color, counts_allowance, needs_attachment, needs_approval, active';
+
+/**
+ * leave_types
+ * All types, active first then oldest first; flags as booleans.
+ *
+ * @param PDO  $pdo             Database connection.
+ * @param bool $includeArchived Also list archived types (manager screen).
+ *
+ * @return list<array<string,mixed>>
+ */
+function leave_types(PDO $pdo, bool $includeArchived = false): array
+{
+    $rows = $pdo->query(
+        'SELECT ' . LEAVE_TYPE_COLUMNS . ' FROM leave_types'
+        . ($includeArchived ? '' : ' WHERE active = 1')
+        . ' ORDER BY active DESC, id'
+    )->fetchAll(PDO::FETCH_ASSOC);
+
+    return array_map(__NAMESPACE__ . '\leave_type_out', $rows);
+}
+
+/**
+ * leave_type
+ * One type by id.
+ *
+ * @param PDO $pdo Database connection.
+ * @param int $id  Type id.
+ *
+ * @return array<string,mixed>|null Null when unknown.
+ */
+function leave_type(PDO $pdo, int $id): ?array
+{
+    $st = $pdo->prepare('SELECT ' . LEAVE_TYPE_COLUMNS . ' FROM leave_types WHERE id = ?');
+    $st->execute([$id]);
+    $row = $st->fetch(PDO::FETCH_ASSOC);
+
+    return $row ? leave_type_out($row) : null;
+}
+
+/**
+ * leave_type_out
+ * Cast the integer flags of a row to booleans for JSON.
+ *
+ * @param array<string,mixed> $row Raw row.
+ *
+ * @return array<string,mixed>
+ */
+function leave_type_out(array $row): array
+{
+    foreach (['counts_allowance', 'needs_attachment', 'needs_approval', 'active'] as $flag) {
+        $row[$flag] = (bool)$row[$flag];
+    }
+    $row['id'] = (int)$row['id'];
+
+    return $row;
+}
+
+/**
+ * default_leave_type_id
+ * Type used when a submission names none: the oldest active type that counts
+ * against the allowance (plain "vacation", as before types existed).
+ *
+ * @param PDO $pdo Database connection.
+ *
+ * @return int|null Null when no active type exists.
+ */
+function default_leave_type_id(PDO $pdo): ?int
+{
+    $id = $pdo->query(
+        'SELECT id FROM leave_types WHERE active = 1 ORDER BY counts_allowance DESC, id LIMIT 1'
+    )->fetchColumn();
+
+    return $id === false ? null : (int)$id;
+}
+
+/**
+ * validate_leave_type
+ * Normalize a create/update body. On update, omitted fields keep their current value.
+ *
+ * @param PDO                      $pdo     Database connection.
+ * @param array<string,mixed>      $in      Raw input: name, color, counts_allowance, needs_attachment, needs_approval, active.
+ * @param array<string,mixed>|null $current Existing type when updating.
+ *
+ * @return array{name:string, color:string, counts_allowance:int, needs_attachment:int, needs_approval:int, active:int}
+ *
+ * @throws InvalidArgumentException Message for the client; the code is the HTTP status (400 invalid, 409 conflict).
+ */
+function validate_leave_type(PDO $pdo, array $in, ?array $current = null): array
+{
+    $name  = trim((string)($in['name'] ?? $current['name'] ?? ''));
+    $color = strtoupper(trim((string)($in['color'] ?? $current['color'] ?? '#3F634D')));
+
+    if ($name === '' || mb_strlen($name) > 40) { // If missing or too long for a badge, reject.
+        throw new InvalidArgumentException('Name required (up to 40 characters)', 400);
+    }
+    if (!preg_match('/^#[0-9A-F]{6}$/', $color)) { // If not a #RRGGBB color, reject.
+        throw new InvalidArgumentException('Color must look like #RRGGBB', 400);
+    }
+
+    $st = $pdo->prepare('SELECT 1 FROM leave_types WHERE name = ? COLLATE NOCASE AND id <> ?');
+    $st->execute([$name, $current['id'] ?? 0]);
+    if ($st->fetchColumn()) { // If another type already uses the name, conflict.
+        throw new InvalidArgumentException('A leave type with this name already exists', 409);
+    }
+
+    $flags = [];
+    foreach (['counts_allowance' => true, 'needs_attachment' => false, 'needs_approval' => true, 'active' => true] as $flag => $default) {
+        $flags[$flag] = (int)(bool)($in[$flag] ?? $current[$flag] ?? $default);
+    }
+
+    // At least one active type must remain, otherwise nobody can submit.
+    if ($current && $current['active'] && !$flags['active'] && active_leave_type_count($pdo) <= 1) {
+        throw new InvalidArgumentException('At least one leave type must stay active', 409);
+    }
+
+    return ['name' => $name, 'color' => $color] + $flags;
+}
+
+/**
+ * active_leave_type_count
+ *
+ * @param PDO $pdo Database connection.
+ *
+ * @return int
+ */
+function active_leave_type_count(PDO $pdo): int
+{
+    return (int)$pdo->query('SELECT COUNT(*) FROM leave_types WHERE active = 1')->fetchColumn();
+}
+
+/**
+ * leave_type_in_use
+ * Whether any request references the type (then it can only be archived).
+ *
+ * @param PDO $pdo Database connection.
+ * @param int $id  Type id.
+ *
+ * @return bool
+ */
+function leave_type_in_use(PDO $pdo, int $id): bool
+{
+    $st = $pdo->prepare('SELECT 1 FROM vacation_requests WHERE leave_type_id = ? LIMIT 1');
+    $st->execute([$id]);
+
+    return (bool)$st->fetchColumn();
+}
@@ -0,0 +1,164 @@
+<?php
+declare(strict_types=1);
+
+namespace App;
+
+use InvalidArgumentException;
+use PDO;
+
+/**
+ * ---------------- src/listing.php ----------------
+ *
+ * PHP Version: 8.4
+ * Server-side list helpers shared by the paginated endpoints.
+ * - parse_list_params(): validates page / per_page / sort / q / status / type / team / date range
+ * - paginate(): runs the page query plus a COUNT(*) and can locate a row (?focus=)
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+/** Upper bound for per_page so one call cannot dump the whole table. */
+const MAX_PER_PAGE = 100;
+
+/**
+ * parse_list_params
+ * Normalize the list query string.
+ *
+ * @param array<string,mixed>  $query       Raw $_GET.
+ * @param array<string,string> $sortable    Public sort key => SQL expression.
+ * @param string               $defaultSort Sort used when none is given ("-key" = descending).
+ *
+ * @return array{page:int|null, per_page:int, order:string, dir:string, sort:string, q:string, status:string,
+ *               type:int|null, team:int|null, date_from:string, date_to:string, focus:int|null}
+ *         page is null when the caller did not ask for pagination; team 0 means "no team".
+ *
+ * @throws InvalidArgumentException On malformed values (the message is safe to show).
+ */
+function parse_list_params(array $query, array $sortable, string $defaultSort): array
+{
+    $page = null;
+    if (isset($query['page']) && $query['page'] !== '') { // If paging was requested, validate it.
+        $page = filter_var($query['page'], FILTER_VALIDATE_INT, ['options' => ['min_range' => 1]]);
+        if ($page === false) {
+            throw new InvalidArgumentException('page must be a positive integer');
+        }
+    }
+
+    $perPage = filter_var($query['per_page'] ?? 10, FILTER_VALIDATE_INT, ['options' => ['min_range' => 1, 'max_range' => MAX_PER_PAGE]]);
+    if ($perPage === false) { // If out of range, refuse rather than silently clamp.
+        throw new InvalidArgumentException(sprintf('per_page must be between 1 and %d', MAX_PER_PAGE));
+    }
+
+    $sort = trim((string)($query['sort'] ?? ''));
+    $sort = $sort === '' ? $defaultSort : $sort;
+    $desc = str_starts_with($sort, '-');
+    $key  = ltrim($sort, '-');
+    if (!isset($sortable[$key])) { // If the column is not sortable, list the allowed ones.
+        throw new InvalidArgumentException('sort must be one of: ' . implode(', ', array_keys($sortable)));
+    }
+
+    $dates = [];
+    foreach (['date_from', 'date_to'] as $k) {
+        $dates[$k] = trim((string)($query[$k] ?? ''));
+        if ($dates[$k] !== '' && !parse_ymd($dates[$k])) { // If a bound is malformed, reject.
+            throw new InvalidArgumentException('Dates must be valid YYYY-MM-DD values');
+        }
+    }
+
+    $type = null;
+    if (isset($query['type']) && $query['type'] !== '') { // If a leave type filter was given, it must be an id.
+        $type = filter_var($query['type'], FILTER_VALIDATE_INT, ['options' => ['min_range' => 1]]);
+        if ($type === false) {
+            throw new InvalidArgumentException('type must be a leave type id');
+        }
+    }
+
+    $team = null;
+    if (isset($query['team']) && $query['team'] !== '') { // If a team filter was given, it must be an id (0 = no team).
+        $team = filter_var($query['team'], FILTER_VALIDATE_INT, ['options' => ['min_range' => 0]]);
+        if ($team === false) {
+            throw new InvalidArgumentException('team must be a team id');
+        }
+    }
+
+    $focus = filter_var($query['focus'] ?? null, FILTER_VALIDATE_INT, ['options' => ['min_range' => 1]]);
+
+    return [
+        'page'      => $page,
+        'per_page'  => $perPage,
+        'order'     => $sortable[$key],
+        'dir'       => $desc ? 'DESC' : 'ASC',
+        'sort'      => $sort,
+        'q'         => trim((string)($query['q'] ?? '')),
+        'status'    => trim((string)($query['status'] ?? '')),
+        'type'      => $type,
+        'team'      => $team,
+        'date_from' => $dates['date_from'],
+        'date_to'   => $dates['date_to'],
+        'focus'     => $focus === false ? null : $focus,
+    ];
+}
+
+/**
+ * paginate
+ * Run a filtered, sorted list query.
+ *
+ * Without a page the whole (filtered) list is returned as a plain array, as the
+ * endpoints did before pagination existed. With a page, an envelope
+ * {items, total, page, per_page, sort} is returned. When focus is set the page
+ * is replaced by the one holding that row (if it matches the filters).
+ *
+ * @param PDO                 $pdo    Database connection.
+ * @param string              $select SELECT list (without the SELECT keyword).
+ * @param string              $from   FROM clause including joins (without FROM).
+ * @param list<string>        $where  AND-ed conditions.
+ * @param list<mixed>         $args   Bound values for $where.
+ * @param array<string,mixed> $p      Output of parse_list_params().
+ * @param string              $idCol  Qualified id column of the main table (e.g. "r.id").
+ *
+ * @return array<mixed> Plain rows or the pagination envelope.
+ */
+function paginate(PDO $pdo, string $select, string $from, array $where, array $args, array $p, string $idCol = 'id'): array
+{
+    $whereSql = $where ? ' WHERE ' . implode(' AND ', $where) : '';
+    // Ties are broken by id so pages never overlap.
+    $order = $p['order'] . ' ' . $p['dir'] . ', ' . $idCol . ' ' . $p['dir'];
+
+    if ($p['page'] === null && $p['focus'] === null) { // If not paginating, keep the legacy array response.
+        $st = $pdo->prepare('SELECT ' . $select . ' FROM ' . $from . $whereSql . ' ORDER BY ' . $order);
+        $st->execute($args);
+
+        return $st->fetchAll(PDO::FETCH_ASSOC);
+    }
+
+    $count = $pdo->prepare('SELECT COUNT(*) FROM ' . $from . $whereSql);
+    $count->execute($args);
+    $total = (int)$count->fetchColumn();
+
+    $perPage = $p['per_page'];
+    $page    = $p['page'] ?? 1;
+
+    if ($p['focus'] !== null) { // If asked to locate a row, open the page that holds it.
+        $ids = $pdo->prepare('SELECT ' . $idCol . ' FROM ' . $from . $whereSql . ' ORDER BY ' . $order);
+        $ids->execute($args);
+        $pos = array_search($p['focus'], array_map('intval', $ids->fetchAll(PDO::FETCH_COLUMN)), true);
+        if ($pos !== false) {
+            $page = intdiv($pos, $perPage) + 1;
+        }
+    }
+
+    $st = $pdo->prepare(
+        'SELECT ' . $select . ' FROM ' . $from . $whereSql . ' ORDER BY ' . $order
+        . ' LIMIT ' . $perPage . ' OFFSET ' . (($page - 1) * $perPage)
+    );
+    $st->execute($args);
+
+    return [
+        'items'    => $st->fetchAll(PDO::FETCH_ASSOC),
+        'total'    => $total,
+        'page'     => $page,
+        'per_page' => $perPage,
+        'sort'     => $p['sort'],
+    ];
+}
@@ -0,0 +1,206 @@
+<?php
+declare(strict_types=1);
+
+namespace App;
+
+use ErrorException;
+use PDO;
+use RuntimeException;
+
+/**
+ * ---------------- src/mail.php ----------------
+ *
+ * PHP Version: 8.4
+ * Mail transport layer.
+ * - MailTransport interface implemented by every driver
+ * - SmtpTransport: plain SMTP with optional STARTTLS/SSL and AUTH LOGIN
+ * - OutboxTransport: stores messages in the mail_outbox table (offline/dev)
+ * - mail_transport(): picks the driver from the environment
+ *
+ * Env:
+ *   MAIL_DRIVER=outbox|smtp   (default outbox)
+ *   MAIL_FROM=<address>       (default no-reply@localhost)
+ *   SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE=tls|ssl|none
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+/**
+ * MailTransport
+ * Delivers one plain-text message. Implementations throw RuntimeException on failure.
+ */
+interface MailTransport
+{
+    /**
+     * @param string $to      Recipient address.
+     * @param string $subject Subject line.
+     * @param string $body    Plain-text body.
+     */
+    public function send(string $to, string $subject, string $body): void;
+}
+
+/**
+ * OutboxTransport
+ * Writes messages to the mail_outbox table instead of sending them,
+ * so notifications can be inspected without a mail server.
+ */
+final class OutboxTransport implements MailTransport
+{
+    /**
+     * @param PDO    $pdo  Database connection.
+     * @param string $from Sender address recorded with each message.
+     */
+    public function __construct(private PDO $pdo, private string $from)
+    {
+    }
+
+    public function send(string $to, string $subject, string $body): void
+    {
+        $st = $this->pdo->prepare(
+            'INSERT INTO mail_outbox (from_email, to_email, subject, body, created_at)
+             VALUES (?, ?, ?, ?, datetime("now"))'
+        );
+        $st->execute([$this->from, $to, $subject, $body]);
+    }
+}
+
+/**
+ * SmtpTransport
+ * Minimal SMTP client (one connection per message).
+ */
+final class SmtpTransport implements MailTransport
+{
+    /** @var resource|null Open socket while a message is being sent. */
+    private $sock = null;
+
+    /**
+     * @param string $host   SMTP server host.
+     * @param int    $port   SMTP server port.
+     * @param string $from   Envelope and header sender.
+     * @param string $user   AUTH LOGIN user ('' skips authentication).
+     * @param string $pass   AUTH LOGIN password.
+     * @param string $secure 'tls' (STARTTLS), 'ssl' (implicit TLS) or 'none'.
+     */
+    public function __construct(
+        private string $host,
+        private int $port,
+        private string $from,
+        private string $user = '',
+        private string $pass = '',
+        private string $secure = 'tls'
+    ) {
+    }
+
+    public function send(string $to, string $subject, string $body): void
+    {
+        $remote = ($this->secure === 'ssl' ? 'ssl://' : 'tcp://') . $this->host . ':' . $this->port;
+        try {
+            $sock = stream_socket_client($remote, $errno, $errstr, 10);
+        } catch (ErrorException $e) { // If the app's error handler turned the connect warning into an exception, keep its text.
+            $sock   = false;
+            $errstr = $e->getMessage();
+        }
+        if (!$sock) { // If the server is unreachable, give up on this message.
+            throw new RuntimeException(sprintf('SMTP connect to %s failed: %s', $remote, $errstr ?: 'unknown error'));
+        }
+        $this->sock = $sock;
+        stream_set_timeout($sock, 10);
+
+        try {
+            $this->expect(220);
+            $this->command('EHLO localhost', 250);
+
+            if ($this->secure === 'tls') { // If STARTTLS is requested, upgrade before authenticating.
+                $this->command('STARTTLS', 220);
+                if (!stream_socket_enable_crypto($sock, true, STREAM_CRYPTO_METHOD_TLS_CLIENT)) {
+                    throw new RuntimeException('SMTP STARTTLS failed');
+                }
+                $this->command('EHLO localhost', 250);
+            }
+
+            if ($this->user !== '') { // If credentials are configured, authenticate.
+                $this->command('AUTH LOGIN', 334);
+                $this->command(base64_encode($this->user), 334);
+                $this->command(base64_encode($this->pass), 235);
+            }
+
+            $this->command('MAIL FROM:<' . $this->from . '>', 250);
+            $this->command('RCPT TO:<' . $to . '>', 250);
+            $this->command('DATA', 354);
+
+            $headers = [
+                'From: ' . $this->from,
+                'To: ' . $to,
+                'Subject: ' . mb_encode_mimeheader($subject, 'UTF-8'),
+                'Date: ' . date(DATE_RFC2822),
+                'MIME-Version: 1.0',
+                'Content-Type: text/plain; charset=UTF-8',
+                'Content-Transfer-Encoding: 8bit',
+            ];
+            // Normalize line endings and dot-stuff lines starting with "." (RFC 5321 §4.5.2).
+            $text = preg_replace('/^\./m', '..', str_replace(["\r\n", "\n"], ["\n", "\r\n"], $body));
+            $this->command(implode("\r\n", $headers) . "\r\n\r\n" . $text . "\r\n.", 250);
+            $this->command('QUIT', 221);
+        } finally {
+            fclose($sock);
+            $this->sock = null;
+        }
+    }
+
+    /**
+     * Send one command line and check the reply code.
+     *
+     * @param string $line Command without the trailing CRLF.
+     * @param int    $code Expected reply code.
+     */
+    private function command(string $line, int $code): void
+    {
+        fwrite($this->sock, $line . "\r\n");
+        $this->expect($code);
+    }
+
+    /**
+     * Read a (possibly multi-line) reply and compare its code.
+     *
+     * @param int $code Expected reply code.
+     */
+    private function expect(int $code): void
+    {
+        $reply = '';
+        while (($line = fgets($this->sock, 515)) !== false) {
+            $reply .= $line;
+            if (strlen($line) < 4 || $line[3] !== '-') { // If this is the last line of the reply, stop.
+                break;
+            }
+        }
+
+        if ((int)substr($reply, 0, 3) !== $code) { // If the server answered something else, abort.
+            throw new RuntimeException(sprintf('SMTP expected %d, got: %s', $code, trim($reply)));
+        }
+    }
+}
+
+/**
+ * mail_transport
+ * Build the transport configured by MAIL_DRIVER.
+ *
+ * @param PDO $pdo Database connection (used by the outbox driver).
+ */
+function mail_transport(PDO $pdo): MailTransport
+{
+    $from = $_ENV['MAIL_FROM'] ?? 'no-reply@localhost';
+
+    if (($_ENV['MAIL_DRIVER'] ?? 'outbox') === 'smtp') { // If SMTP is configured, talk to a real server.
+        return new SmtpTransport(
+            $_ENV['SMTP_HOST'] ?? 'localhost',
+            (int)($_ENV['SMTP_PORT'] ?? 587),
+            $from,
+            $_ENV['SMTP_USER'] ?? '',
+            $_ENV['SMTP_PASS'] ?? '',
+            $_ENV['SMTP_SECURE'] ?? 'tls'
+        );
+    }
+
+    return new OutboxTransport($pdo, $from);
+}
@@ -0,0 +1,334 @@
+<?php
+declare(strict_types=1);
+
+namespace App;
+
+use PDO;
+use Throwable;
+
+/**
+ * ---------------- src/notifications.php ----------------
+ *
+ * PHP Version: 8.4
+ * Request notifications.
+ * - Email templates for submitted / approved / rejected / cancelled requests
+ * - Per-user email preferences (notification_prefs, everything on by default)
+ * - In-app notifications (bell in both headers) with read/unread state
+ * - notify_request(): resolves recipients, stores in-app entries and sends email through a MailTransport
+ *
+ * Env:
+ *   APP_URL=<frontend origin> (default http://localhost:5173), used for links in emails
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+/**
+ * Notification events. "submitted" goes to the managers who can see the request (see teams.php),
+ * "awaiting" to those who may sign its next approval step (see approvals.php), the rest to the request owner.
+ */
+const NOTIFICATION_EVENTS = ['submitted', 'approved', 'rejected', 'cancelled', 'awaiting'];
+
+/**
+ * Email templates keyed by event; {placeholders} are filled by render_template().
+ */
+const MAIL_TEMPLATES = [
+    'submitted' => [
+        'subject' => 'New vacation request from {employee}',
+        'body'    => "Hi {recipient},\n\n"
+            . "{employee} asked for {days} working day(s) off from {from} to {to}.\n"
+            . "Reason: {reason}\n\n"
+            . "Review it: {link}\n",
+    ],
+    'approved' => [
+        'subject' => 'Your vacation request was approved',
+        'body'    => "Hi {recipient},\n\n"
+            . "{manager} approved your request for {from} to {to} ({days} working day(s)).\n"
+            . "{comment}\n"
+            . "Details: {link}\n",
+    ],
+    'rejected' => [
+        'subject' => 'Your vacation request was rejected',
+        'body'    => "Hi {recipient},\n\n"
+            . "{manager} rejected your request for {from} to {to}.\n"
+            . "{comment}\n"
+            . "Details: {link}\n",
+    ],
+    'cancelled' => [
+        'subject' => 'Your vacation was cancelled',
+        'body'    => "Hi {recipient},\n\n"
+            . "{manager} confirmed the cancellation of your leave from {from} to {to}.\n"
+            . "The {days} working day(s) are back in your balance.\n\n"
+            . "Details: {link}\n",
+    ],
+    'awaiting' => [
+        'subject' => 'Vacation request from {employee} awaits your approval',
+        'body'    => "Hi {recipient},\n\n"
+            . "{employee}'s request for {from} to {to} ({days} working day(s)) passed the previous approval step.\n"
+            . "It now needs your sign-off: {step}.\n\n"
+            . "Review it: {link}\n",
+    ],
+];
+
+/**
+ * In-app message templates keyed by event (same placeholders as MAIL_TEMPLATES plus {range}).
+ */
+const INAPP_TEMPLATES = [
+    'submitted' => '{employee} submitted a new request for {range}',
+    'approved'  => 'Your request for {range} was approved',
+    'rejected'  => 'Your request for {range} was rejected',
+    'cancelled' => 'Your leave for {range} was cancelled',
+    'awaiting'  => '{employee}\'s request for {range} awaits your sign-off: {step}',
+];
+
+/**
+ * format_range
+ * Compact human date range: "12–16 May", "28 Apr – 2 May", "30 Dec 2025 – 2 Jan 2026".
+ *
+ * @param string $from Start date (YYYY-MM-DD).
+ * @param string $to   End date (YYYY-MM-DD).
+ */
+function format_range(string $from, string $to): string
+{
+    $a = parse_ymd($from);
+    $b = parse_ymd($to);
+    if (!$a || !$b) { // If either date is malformed, show them raw.
+        return $from . ' – ' . $to;
+    }
+
+    if ($a == $b) { // If a single day, show it once.
+        return $a->format('j M');
+    }
+    if ($a->format('Y-m') === $b->format('Y-m')) { // If the same month, share the month name.
+        return $a->format('j') . '–' . $b->format('j M');
+    }
+    if ($a->format('Y') === $b->format('Y')) { // If the same year, omit it.
+        return $a->format('j M') . ' – ' . $b->format('j M');
+    }
+
+    return $a->format('j M Y') . ' – ' . $b->format('j M Y');
+}
+
+/**
+ * render_template
+ * Fill {placeholders} of a template string.
+ *
+ * @param string               $tpl  Template text.
+ * @param array<string,string> $vars Placeholder => value.
+ */
+function render_template(string $tpl, array $vars): string
+{
+    $map = [];
+    foreach ($vars as $k => $v) {
+        $map['{' . $k . '}'] = $v;
+    }
+
+    return strtr($tpl, $map);
+}
+
+/**
+ * notification_prefs
+ * Email preferences of one user; events without a stored row default to on.
+ *
+ * @param PDO $pdo    Database connection.
+ * @param int $userId User id.
+ *
+ * @return array<string,bool> Event => wants email.
+ */
+function notification_prefs(PDO $pdo, int $userId): array
+{
+    $st = $pdo->prepare('SELECT * FROM notification_prefs WHERE user_id = ?');
+    $st->execute([$userId]);
+    $row = $st->fetch(PDO::FETCH_ASSOC) ?: [];
+
+    $prefs = [];
+    foreach (NOTIFICATION_EVENTS as $event) {
+        $prefs[$event] = (bool)($row['email_' . $event] ?? true);
+    }
+
+    return $prefs;
+}
+
+/**
+ * save_notification_prefs
+ * Upsert a user's email preferences; unknown keys are ignored, missing ones keep their value.
+ *
+ * @param PDO                 $pdo    Database connection.
+ * @param int                 $userId User id.
+ * @param array<string,mixed> $input  Event => truthy/falsy.
+ *
+ * @return array<string,bool> The stored preferences.
+ */
+function save_notification_prefs(PDO $pdo, int $userId, array $input): array
+{
+    $prefs = notification_prefs($pdo, $userId);
+    foreach (NOTIFICATION_EVENTS as $event) {
+        if (array_key_exists($event, $input)) { // If the client sent this event, take its value.
+            $prefs[$event] = (bool)$input[$event];
+        }
+    }
+
+    $cols = array_map(fn(string $e): string => 'email_' . $e, NOTIFICATION_EVENTS);
+    $st   = $pdo->prepare(
+        'INSERT INTO notification_prefs (user_id, ' . implode(', ', $cols) . ')
+         VALUES (?' . str_repeat(', ?', count($cols)) . ')
+         ON CONFLICT(user_id) DO UPDATE SET '
+        . implode(', ', array_map(fn(string $c): string => $c . ' = excluded.' . $c, $cols))
+    );
+    $st->execute([$userId, ...array_map('intval', array_values($prefs))]);
+
+    return $prefs;
+}
+
+/**
+ * notify_request
+ * Tell everyone concerned by a request event: an in-app notification for each recipient,
+ * plus an email for those whose preferences allow it. Delivery failures are logged,
+ * never thrown: a broken mail server must not undo the decision itself.
+ *
+ * @param PDO           $pdo       Database connection.
+ * @param MailTransport $transport Delivery driver.
+ * @param string        $event     One of NOTIFICATION_EVENTS.
+ * @param int           $requestId Request the event is about.
+ *
+ * @return int Number of emails handed to the transport.
+ */
+function notify_request(PDO $pdo, MailTransport $transport, string $event, int $requestId): int
+{
+    if (!isset(MAIL_TEMPLATES[$event])) { // If the event has no template, there is nothing to send.
+        return 0;
+    }
+
+    // actor_name: who moved the request into the event's status last (e.g. confirmed the cancellation), not who approved it first.
+    $st = $pdo->prepare(
+        'SELECT r.*, u.name AS user_name, u.email, u.team_id AS owner_team_id, u.role AS owner_role,
+                (SELECT a.name FROM request_status_history h JOIN users a ON a.id = h.actor_id
+                  WHERE h.request_id = r.id AND h.to_status = ? ORDER BY h.id DESC LIMIT 1) AS actor_name
+           FROM vacation_requests r
+           JOIN users u ON u.id = r.user_id
+          WHERE r.id = ?'
+    );
+    $st->execute([$event, $requestId]);
+    $req = $st->fetch(PDO::FETCH_ASSOC);
+    if (!$req) { // If the request vanished meanwhile, skip.
+        return 0;
+    }
+
+    // If new, tell the managers; if a step opened, its approvers; otherwise tell the owner.
+    $ownerTeam    = $req['owner_team_id'] === null ? null : (int)$req['owner_team_id'];
+    $ownerManager = $req['owner_role'] === 'manager';
+    $step         = $event === 'awaiting' ? current_step($pdo, $requestId) : null;
+    $who          = $event === 'submitted' ? 'u.role = "manager"' : 'u.id = ' . (int)$req['user_id'];
+    if ($event === 'submitted' && $ownerTeam !== null) { // If the owner has a team, only its managers and org-wide managers.
+        $who .= ' AND (u.id IN (SELECT user_id FROM team_managers WHERE team_id = ' . $ownerTeam . ')
+                   OR NOT EXISTS (SELECT 1 FROM team_managers tm WHERE tm.user_id = u.id))';
+    } elseif ($event === 'submitted' && $ownerManager) { // If a manager without a team, only the other org-wide managers.
+        $who .= ' AND NOT EXISTS (SELECT 1 FROM team_managers tm WHERE tm.user_id = u.id)';
+    }
+    if ($event === 'awaiting') {
+        if ($step === null) { // If no step is open anymore, nobody needs a reminder.
+            return 0;
+        }
+        $who = step_approver_sql($pdo, (string)$step['approver'], $ownerTeam, $ownerManager);
+    }
+    $rs  = $pdo->query(
+        'SELECT u.id, u.name, u.email, COALESCE(p.email_' . $event . ', 1) AS wants_email
+           FROM users u
+           LEFT JOIN notification_prefs p ON p.user_id = u.id
+          WHERE ' . $who
+    );
+    $recipients = $rs->fetchAll(PDO::FETCH_ASSOC);
+    $path       = in_array($event, ['submitted', 'awaiting'], true) ? '/manager' : '/employee';
+
+    $vars = [
+        'employee' => (string)$req['user_name'],
+        'manager'  => (string)($req['actor_name'] ?? ($event === 'approved' && $req['decided_by'] === null ? 'The system' : 'Your manager')),
+        'from'     => (string)$req['date_from'],
+        'to'       => (string)$req['date_to'],
+        'days'     => (string)$req['working_days'],
+        'reason'   => (string)$req['reason'],
+        'range'    => format_range((string)$req['date_from'], (string)$req['date_to']),
+        'comment'  => $req['decision_comment'] ? 'Comment: ' . $req['decision_comment'] . "\n" : '',
+        'step'     => $step ? sprintf('%s (step %d of %d)', $step['label'], $step['position'], $step['total']) : '',
+        'link'     => rtrim($_ENV['APP_URL'] ?? 'http://localhost:5173', '/') . $path . '?focus=' . $requestId,
+    ];
+
+    $ins = $pdo->prepare(
+        'INSERT INTO notifications (user_id, request_id, event, message, created_at)
+         VALUES (?, ?, ?, ?, datetime("now"))'
+    );
+
+    $sent = 0;
+    foreach ($recipients as $to) {
+        $vars['recipient'] = (string)$to['name'];
+        $ins->execute([(int)$to['id'], $requestId, $event, render_template(INAPP_TEMPLATES[$event], $vars)]);
+
+        if (!(int)$to['wants_email']) { // If this user opted out of the email, the bell entry is enough.
+            continue;
+        }
+        try {
+            $transport->send(
+                (string)$to['email'],
+                render_template(MAIL_TEMPLATES[$event]['subject'], $vars),
+                render_template(MAIL_TEMPLATES[$event]['body'], $vars)
+            );
+            $sent++;
+        } catch (Throwable $e) { // If delivery fails, log and continue with the next recipient.
+            error_log(sprintf('notify_request(%s, #%d) to %s failed: %s', $event, $requestId, $to['email'], $e->getMessage()));
+        }
+    }
+
+    return $sent;
+}
+
+/**
+ * list_notifications
+ * Latest in-app notifications of a user plus the unread count.
+ *
+ * @param PDO $pdo    Database connection.
+ * @param int $userId User id.
+ * @param int $limit  Maximum entries returned (newest first).
+ *
+ * @return array{unread:int, items:list<array<string,mixed>>}
+ */
+function list_notifications(PDO $pdo, int $userId, int $limit = 30): array
+{
+    $st = $pdo->prepare(
+        'SELECT id, request_id, event, message, read_at, created_at
+           FROM notifications
+          WHERE user_id = ?
+          ORDER BY id DESC
+          LIMIT ' . max(1, $limit)
+    );
+    $st->execute([$userId]);
+
+    $cnt = $pdo->prepare('SELECT COUNT(*) FROM notifications WHERE user_id = ? AND read_at IS NULL');
+    $cnt->execute([$userId]);
+
+    return ['unread' => (int)$cnt->fetchColumn(), 'items' => $st->fetchAll(PDO::FETCH_ASSOC)];
+}
+
+/**
+ * mark_notifications_read
+ * Mark one (or, with a null id, every) unread notification of a user as read.
+ *
+ * @param PDO      $pdo    Database connection.
+ * @param int      $userId Owner; other users' notifications are never touched.
+ * @param int|null $id     Notification id, or null for all.
+ *
+ * @return int Number of rows changed.
+ */
+function mark_notifications_read(PDO $pdo, int $userId, ?int $id = null): int
+{
+    $sql  = 'UPDATE notifications SET read_at = datetime("now") WHERE user_id = ? AND read_at IS NULL';
+    $args = [$userId];
+    if ($id !== null) { // If a single entry is targeted, narrow the update.
+        $sql   .= ' AND id = ?';
+        $args[] = $id;
+    }
+
+    $st = $pdo->prepare($sql);
+    $st->execute($args);
+
+    return $st->rowCount();
+}
@@ -0,0 +1,331 @@
+<?php
+declare(strict_types=1);
+
+namespace App;
+
+use DateInterval;
+use InvalidArgumentException;
+use PDO;
+
+/**
+ * ---------------- src/policies.php ----------------
+ *
+ * PHP Version: 8.4
+ * Submission policy: rules checked when a request is submitted or edited.
+ * - notice:          requests longer than N working days (or all) need at least M calendar days' notice
+ * - max_consecutive: leave may last at most N working days in a row; requests that touch each other
+ *                    (only weekends or holidays in between) count as one stretch
+ * - auto_approve:    requests of up to N working days submitted at least M days ahead skip the manager
+ * A rule may be limited to one leave type. A broken rule refuses the request with its message;
+ * the first matching auto-approval rule approves it with its message as the recorded reason.
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+/** Rule kinds => label. */
+const POLICY_KINDS = [
+    'notice'          => 'Minimum notice',
+    'max_consecutive' => 'Max consecutive days',
+    'auto_approve'    => 'Auto-approve',
+];
+
+/** Longest custom message. */
+const POLICY_MESSAGE_MAX = 200;
+
+/**
+ * policy_rules
+ * All rules, refusing kinds first, oldest first within a kind.
+ *
+ * @param PDO  $pdo        Database connection.
+ * @param bool $activeOnly Skip switched-off rules.
+ *
+ * @return list<array{id:int, kind:string, leave_type_id:int|null, type_name:string|null, days:float|null,
+ *                    notice_days:int|null, message:string|null, summary:string, active:bool}>
+ *         message is the custom text (null = generated); summary is what employees are shown.
+ */
+function policy_rules(PDO $pdo, bool $activeOnly = false): array
+{
+    $rows = $pdo->query(
+        'SELECT p.id, p.kind, p.leave_type_id, lt.name AS type_name, p.days, p.notice_days, p.message, p.active
+           FROM policy_rules p
+           LEFT JOIN leave_types lt ON lt.id = p.leave_type_id'
+        . ($activeOnly ? ' WHERE p.active = 1' : '')
+        . ' ORDER BY CASE p.kind WHEN "notice" THEN 0 WHEN "max_consecutive" THEN 1 ELSE 2 END, p.id'
+    )->fetchAll(PDO::FETCH_ASSOC);
+
+    return array_map(static function ($r) {
+        $rule = [
+            'id'            => (int)$r['id'],
+            'kind'          => (string)$r['kind'],
+            'leave_type_id' => $r['leave_type_id'] === null ? null : (int)$r['leave_type_id'],
+            'type_name'     => $r['type_name'],
+            'days'          => $r['days'] === null ? null : (float)$r['days'],
+            'notice_days'   => $r['notice_days'] === null ? null : (int)$r['notice_days'],
+            'message'       => $r['message'],
+            'active'        => (bool)$r['active'],
+        ];
+
+        return $rule + ['summary' => $rule['message'] ?? policy_summary($rule)];
+    }, $rows);
+}
+
+/**
+ * policy_rule
+ * One rule (same shape as policy_rules()).
+ *
+ * @param PDO $pdo Database connection.
+ * @param int $id  Rule id.
+ *
+ * @return array<string,mixed>|null Null when unknown.
+ */
+function policy_rule(PDO $pdo, int $id): ?array
+{
+    foreach (policy_rules($pdo) as $rule) {
+        if ($rule['id'] === $id) {
+            return $rule;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * policy_summary
+ * Generated wording of a rule, e.g. "Requests longer than 5 days need 14 days' notice".
+ *
+ * @param array<string,mixed> $rule Rule (kind, type_name, days, notice_days).
+ *
+ * @return string
+ */
+function policy_summary(array $rule): string
+{
+    $subject = $rule['type_name'] !== null ? $rule['type_name'] . ' requests' : 'Requests';
+    $days    = static fn($n, $unit = 'day') => $n . ' ' . $unit . ((float)$n === 1.0 ? '' : 's');
+
+    return match ($rule['kind']) {
+        'notice' => $subject . ($rule['days'] ? ' longer than ' . $days($rule['days']) : '')
+            . ' need ' . $days($rule['notice_days']) . ((int)$rule['notice_days'] === 1 ? "'s" : "'") . ' notice',
+        'max_consecutive' => ($rule['type_name'] ?? 'Leave') . ' can last at most '
+            . $days($rule['days'], 'working day') . ' in a row',
+        default => $subject . ' of up to ' . $days($rule['days'])
+            . ($rule['notice_days'] ? ' submitted at least ' . $days($rule['notice_days']) . ' ahead' : '')
+            . ' are approved automatically',
+    };
+}
+
+/**
+ * validate_policy_rule
+ * Normalize a create/update body. On update, omitted fields keep their current value.
+ *
+ * @param PDO                      $pdo     Database connection.
+ * @param array<string,mixed>      $in      Raw input: kind, leave_type_id, days, notice_days, message, active.
+ * @param array<string,mixed>|null $current Existing rule (output of policy_rule()) when updating.
+ *
+ * @return array{kind:string, leave_type_id:int|null, days:float|null, notice_days:int|null, message:string|null, active:bool}
+ *
+ * @throws InvalidArgumentException Message for the client; the code is the HTTP status (400 invalid).
+ */
+function validate_policy_rule(PDO $pdo, array $in, ?array $current = null): array
+{
+    $kind = (string)($in['kind'] ?? $current['kind'] ?? '');
+    if (!isset(POLICY_KINDS[$kind])) {
+        throw new InvalidArgumentException('kind must be one of: ' . implode(', ', array_keys(POLICY_KINDS)), 400);
+    }
+
+    $typeId = array_key_exists('leave_type_id', $in) ? $in['leave_type_id'] : ($current['leave_type_id'] ?? null);
+    $typeId = $typeId === null || $typeId === '' ? null : (int)$typeId;
+    if ($typeId !== null && !leave_type($pdo, $typeId)) { // If the type is unknown, refuse.
+        throw new InvalidArgumentException('Unknown leave type', 400);
+    }
+
+    $days = array_key_exists('days', $in) ? $in['days'] : ($current['days'] ?? null);
+    $days = $days === null || $days === '' ? null : $days;
+    if ($days !== null && (!is_numeric($days) || $days < 0.5 || $days > 366)) { // If not a day count, refuse.
+        throw new InvalidArgumentException('days must be between 0.5 and 366 working days', 400);
+    }
+    $days = $days === null ? null : round((float)$days * 2) / 2;
+    if ($days === null && $kind !== 'notice') { // If the length is what the rule is about, it is required.
+        throw new InvalidArgumentException(POLICY_KINDS[$kind] . ' needs a number of days', 400);
+    }
+
+    $notice = array_key_exists('notice_days', $in) ? $in['notice_days'] : ($current['notice_days'] ?? null);
+    $notice = $notice === null || $notice === '' || $kind === 'max_consecutive' ? null : $notice;
+    if ($notice !== null && (filter_var($notice, FILTER_VALIDATE_INT) === false || $notice < 0 || $notice > 366)) {
+        throw new InvalidArgumentException('notice_days must be a whole number of days between 0 and 366', 400);
+    }
+    $notice = $notice === null ? null : (int)$notice;
+    if ($kind === 'notice' && !$notice) { // If no notice is asked for, the rule would never refuse anything.
+        throw new InvalidArgumentException('Minimum notice needs notice_days of at least 1', 400);
+    }
+
+    $message = array_key_exists('message', $in) ? $in['message'] : ($current['message'] ?? null);
+    $message = $message === null ? '' : trim((string)$message);
+    if (mb_strlen($message) > POLICY_MESSAGE_MAX) {
+        throw new InvalidArgumentException(sprintf('message can be at most %d characters', POLICY_MESSAGE_MAX), 400);
+    }
+
+    return [
+        'kind'          => $kind,
+        'leave_type_id' => $typeId,
+        'days'          => $days,
+        'notice_days'   => $notice,
+        'message'       => $message === '' ? null : $message,
+        'active'        => (bool)($in['active'] ?? $current['active'] ?? true),
+    ];
+}
+
+/**
+ * policy_audit_row
+ * Flat snapshot of a rule for audit diffs.
+ *
+ * @param array<string,mixed> $rule Output of policy_rule().
+ *
+ * @return array<string,mixed>
+ */
+function policy_audit_row(array $rule): array
+{
+    return [
+        'id'          => $rule['id'],
+        'kind'        => $rule['kind'],
+        'leave_type'  => $rule['type_name'],
+        'days'        => $rule['days'],
+        'notice_days' => $rule['notice_days'],
+        'message'     => $rule['summary'],
+        'active'      => $rule['active'] ? 1 : 0,
+    ];
+}
+
+/**
+ * notice_days
+ * Calendar days between today (UTC) and the first day of leave.
+ *
+ * @param string $from First day (YYYY-MM-DD).
+ *
+ * @return int Negative for a start in the past.
+ */
+function notice_days(string $from): int
+{
+    return (int)floor((strtotime($from . ' 00:00:00 UTC') - strtotime(gmdate('Y-m-d') . ' 00:00:00 UTC')) / 86400);
+}
+
+/**
+ * consecutive_days
+ * Working days of the stretch a request would belong to: the request itself plus the user's
+ * pending/approved requests it touches with no working day in between (transitively).
+ *
+ * @param PDO                 $pdo      Database connection.
+ * @param array<string,mixed> $req      user_id, date_from, date_to, working_days, leave_type_id.
+ * @param int|null            $typeId   Only count requests of this type (null = any type).
+ * @param int|null            $exceptId Request being edited (its stored version is ignored).
+ *
+ * @return float
+ */
+function consecutive_days(PDO $pdo, array $req, ?int $typeId, ?int $exceptId = null): float
+{
+    $st = $pdo->prepare(
+        'SELECT id, date_from, date_to, working_days FROM vacation_requests
+          WHERE user_id = ? AND id <> ?
+            AND status IN ("pending", "approved", "cancellation_requested")
+            AND (? IS NULL OR leave_type_id = ?)
+            AND date_from <= ? AND date_to >= ?
+          ORDER BY date_from'
+    );
+
+    $total = (float)$req['working_days'];
+    $from  = parse_ymd((string)$req['date_from']);
+    $to    = parse_ymd((string)$req['date_to']);
+    $seen  = [$exceptId ?? 0 => true];
+    $reach = new DateInterval('P14D'); // neighbours further away than two weeks cannot touch without a working day
+
+    do {
+        $grown = false;
+        $st->execute([
+            (int)$req['user_id'], $exceptId ?? 0, $typeId, $typeId,
+            $to->add($reach)->format('Y-m-d'), $from->sub($reach)->format('Y-m-d'),
+        ]);
+        foreach ($st->fetchAll(PDO::FETCH_ASSOC) as $r) {
+            if (isset($seen[(int)$r['id']])) {
+                continue;
+            }
+            $rFrom = parse_ymd((string)$r['date_from']);
+            $rTo   = parse_ymd((string)$r['date_to']);
+
+            // The gap between the two ranges (empty when they touch or overlap).
+            [$gapFrom, $gapTo] = $rTo < $from
+                ? [$rTo->add(new DateInterval('P1D')), $from->sub(new DateInterval('P1D'))]
+                : [$to->add(new DateInterval('P1D')), $rFrom->sub(new DateInterval('P1D'))];
+            $gap = $gapFrom <= $gapTo
+                ? count_working_days($gapFrom, $gapTo, holidays_between($pdo, $gapFrom->format('Y-m-d'), $gapTo->format('Y-m-d')))
+                : 0;
+            if ($gap > 0) { // If someone would be back at work in between, it is a separate stretch.
+                continue;
+            }
+
+            $seen[(int)$r['id']] = true;
+            $total += (float)$r['working_days'];
+            $from   = min($from, $rFrom);
+            $to     = max($to, $rTo);
+            $grown  = true;
+        }
+    } while ($grown);
+
+    return $total;
+}
+
+/**
+ * policy_violation
+ * The first refusing rule a request breaks.
+ *
+ * @param PDO                 $pdo      Database connection.
+ * @param array<string,mixed> $req      user_id, date_from, date_to, working_days, leave_type_id.
+ * @param int|null            $exceptId Request being edited.
+ *
+ * @return array<string,mixed>|null The rule (its summary is the message to show), or null when none is broken.
+ */
+function policy_violation(PDO $pdo, array $req, ?int $exceptId = null): ?array
+{
+    foreach (policy_rules($pdo, true) as $rule) {
+        if ($rule['leave_type_id'] !== null && $rule['leave_type_id'] !== (int)$req['leave_type_id']) { // If for another type, skip.
+            continue;
+        }
+
+        $broken = match ($rule['kind']) {
+            'notice' => (float)$req['working_days'] > (float)$rule['days']
+                && notice_days((string)$req['date_from']) < $rule['notice_days'],
+            'max_consecutive' => consecutive_days($pdo, $req, $rule['leave_type_id'], $exceptId) > $rule['days'],
+            default => false,
+        };
+        if ($broken) {
+            return $rule;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * policy_auto_approval
+ * The first auto-approval rule a request qualifies for.
+ *
+ * @param PDO                 $pdo Database connection.
+ * @param array<string,mixed> $req date_from, working_days, leave_type_id.
+ *
+ * @return array<string,mixed>|null The rule, or null when a manager has to decide.
+ */
+function policy_auto_approval(PDO $pdo, array $req): ?array
+{
+    foreach (policy_rules($pdo, true) as $rule) {
+        if ($rule['kind'] !== 'auto_approve') {
+            continue;
+        }
+        if ($rule['leave_type_id'] !== null && $rule['leave_type_id'] !== (int)$req['leave_type_id']) { // If for another type, skip.
+            continue;
+        }
+        if ((float)$req['working_days'] <= $rule['days'] && notice_days((string)$req['date_from']) >= (int)$rule['notice_days']) {
+            return $rule;
+        }
+    }
+
+    return null;
+}
@@ -0,0 +1,176 @@
+<?php
+declare(strict_types=1);
+
+namespace App;
+
+use PDO;
+use RuntimeException;
+
+/**
+ * ---------------- src/requests.php ----------------
+ *
+ * PHP Version: 8.4
+ * Vacation request state machine.
+ * - Declares the allowed status transitions
+ * - Applies a transition atomically and appends it to request_status_history
+ * - Reads a request's status timeline
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+/**
+ * WorkflowError
+ * Raised when a transition cannot be applied.
+ * The exception code is the HTTP status the API should answer with
+ * (404 unknown request, 409 illegal transition).
+ */
+final class WorkflowError extends RuntimeException
+{
+}
+
+/**
+ * Allowed transitions: current status => list of reachable statuses.
+ * Statuses not listed as keys (rejected, withdrawn, cancelled) are terminal.
+ */
+const REQUEST_TRANSITIONS = [
+    'pending'                => ['approved', 'rejected', 'withdrawn'],
+    'approved'               => ['cancellation_requested'],
+    'cancellation_requested' => ['cancelled', 'approved'],
+];
+
+/**
+ * can_transition
+ * Whether a request may move from one status to another.
+ *
+ * @param string $from Current status.
+ * @param string $to   Target status.
+ */
+function can_transition(string $from, string $to): bool
+{
+    return in_array($to, REQUEST_TRANSITIONS[$from] ?? [], true);
+}
+
+/**
+ * record_status
+ * Append one entry to a request's status history.
+ *
+ * @param PDO         $pdo     Database connection.
+ * @param int         $id      Request id.
+ * @param string|null $from    Previous status (null when the request is created).
+ * @param string      $to      New status.
+ * @param int|null    $actorId User who caused the change (null for the system).
+ * @param string|null $comment Optional note shown on the timeline.
+ * @param int|null    $onBehalfOf Manager the actor stood in for (see src/delegations.php).
+ */
+function record_status(
+    PDO $pdo,
+    int $id,
+    ?string $from,
+    string $to,
+    ?int $actorId,
+    ?string $comment = null,
+    ?int $onBehalfOf = null
+): void {
+    $st = $pdo->prepare(
+        'INSERT INTO request_status_history (request_id, from_status, to_status, actor_id, on_behalf_of, comment, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, datetime("now"))'
+    );
+    $st->execute([$id, $from, $to, $actorId, $onBehalfOf, $comment]);
+}
+
+/**
+ * transition_request
+ * Move a request to a new status if the state machine allows it.
+ *
+ * The UPDATE is guarded by the status we read, so two managers deciding the
+ * same request at once cannot both succeed.
+ *
+ * @param PDO                 $pdo     Database connection.
+ * @param int                 $id      Request id.
+ * @param string              $to      Target status.
+ * @param int|null            $actorId User performing the change.
+ * @param string|null         $comment Note for the history entry.
+ * @param array<string,mixed> $extra   Additional columns to set (column => value).
+ * @param int|null            $onBehalfOf Manager the actor stood in for, for the history entry.
+ *
+ * @return array<string,mixed> The request row as it was before the change.
+ *
+ * @throws WorkflowError 404 when the request does not exist, 409 when the move is not allowed.
+ */
+function transition_request(
+    PDO $pdo,
+    int $id,
+    string $to,
+    ?int $actorId,
+    ?string $comment = null,
+    array $extra = [],
+    ?int $onBehalfOf = null
+): array {
+    $st = $pdo->prepare('SELECT * FROM vacation_requests WHERE id = ?');
+    $st->execute([$id]);
+    $row = $st->fetch(PDO::FETCH_ASSOC);
+
+    if (!$row) { // If the id is unknown, nothing can change.
+        throw new WorkflowError('Request not found', 404);
+    }
+
+    $from = (string)$row['status'];
+    if (!can_transition($from, $to)) { // If the state machine forbids the move, refuse.
+        throw new WorkflowError(
+            sprintf('Request is %s and cannot become %s', str_replace('_', ' ', $from), str_replace('_', ' ', $to)),
+            409
+        );
+    }
+
+    $sets = ['status = ?'];
+    $vals = [$to];
+    foreach ($extra as $col => $val) {
+        $sets[] = $col . ' = ?';
+        $vals[] = $val;
+    }
+    $vals[] = $id;
+    $vals[] = $from;
+
+    $pdo->beginTransaction();
+    try {
+        $up = $pdo->prepare('UPDATE vacation_requests SET ' . implode(', ', $sets) . ' WHERE id = ? AND status = ?');
+        $up->execute($vals);
+
+        if ($up->rowCount() === 0) { // If someone else changed the status meanwhile, refuse.
+            throw new WorkflowError('Request was changed by someone else; reload and try again', 409);
+        }
+
+        record_status($pdo, $id, $from, $to, $actorId, $comment, $onBehalfOf);
+        $pdo->commit();
+    } catch (\Throwable $e) {
+        $pdo->rollBack();
+        throw $e;
+    }
+
+    return $row;
+}
+
+/**
+ * request_history
+ * Status timeline of one request, oldest first.
+ *
+ * @param PDO $pdo Database connection.
+ * @param int $id  Request id.
+ *
+ * @return list<array<string,mixed>> Entries with from_status, to_status, actor_name, on_behalf_of_name, comment, created_at.
+ */
+function request_history(PDO $pdo, int $id): array
+{
+    $st = $pdo->prepare(
+        'SELECT h.id, h.from_status, h.to_status, h.comment, h.created_at, a.name AS actor_name, b.name AS on_behalf_of_name
+           FROM request_status_history h
+           LEFT JOIN users a ON a.id = h.actor_id
+           LEFT JOIN users b ON b.id = h.on_behalf_of
+          WHERE h.request_id = ?
+          ORDER BY h.id'
+    );
+    $st->execute([$id]);
+
+    return $st->fetchAll(PDO::FETCH_ASSOC);
+}
@@ -0,0 +1,298 @@
+<?php
+declare(strict_types=1);
+
+namespace App;
+
+use InvalidArgumentException;
+use PDO;
+use RuntimeException;
+
+/**
+ * ---------------- src/staffing.php ----------------
+ *
+ * PHP Version: 8.4
+ * Minimum staffing: how many people of a team and/or role must be present on each working day.
+ * - A minimum covers the users of a team, of a role, or of a role within a team
+ * - Before approving, coverage_breaches() counts who is left on each working day of the request
+ *   from leave that is already approved; days below a minimum need an explicit override
+ * - Anyone off that day counts as away, half days included
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+/**
+ * CoverageError
+ * Raised when approving would take a group below its minimum and the override was not confirmed.
+ * The code is the HTTP status (409); the short days travel with it so the client can list them
+ * and ask for the override instead of treating the request as decided elsewhere.
+ */
+final class CoverageError extends RuntimeException
+{
+    /**
+     * @param string                    $message  Message for the client.
+     * @param list<array<string,mixed>> $breaches Output of coverage_breaches().
+     */
+    public function __construct(string $message, public readonly array $breaches)
+    {
+        parent::__construct($message, 409);
+    }
+}
+
+/** Roles a minimum can cover (users.role). */
+const STAFFING_ROLES = ['employee', 'manager'];
+
+/** Largest minimum accepted. */
+const STAFFING_MAX = 999;
+
+/**
+ * staffing_minimums
+ * Minimums with their team name and a readable label, most specific first.
+ *
+ * @param PDO            $pdo     Database connection.
+ * @param list<int>|null $teamIds Keep role-only minimums plus those for these teams (null = all).
+ *
+ * @return list<array{id:int, team_id:int|null, team_name:string|null, role:string|null, min_present:int, label:string}>
+ */
+function staffing_minimums(PDO $pdo, ?array $teamIds = null): array
+{
+    $st = $pdo->query(
+        'SELECT m.id, m.team_id, t.name AS team_name, m.role, m.min_present
+           FROM staffing_minimums m
+           LEFT JOIN teams t ON t.id = m.team_id'
+        . ($teamIds !== null ? ' WHERE (m.team_id IS NULL OR m.team_id IN (' . (implode(',', array_map('intval', $teamIds)) ?: '0') . '))' : '')
+        . ' ORDER BY t.name IS NULL, t.name COLLATE NOCASE, m.role IS NULL, m.role'
+    );
+
+    return array_map(static function ($m) {
+        $m = [
+            'id'          => (int)$m['id'],
+            'team_id'     => $m['team_id'] === null ? null : (int)$m['team_id'],
+            'team_name'   => $m['team_name'],
+            'role'        => $m['role'],
+            'min_present' => (int)$m['min_present'],
+        ];
+
+        return $m + ['label' => staffing_label($m)];
+    }, $st->fetchAll(PDO::FETCH_ASSOC));
+}
+
+/**
+ * staffing_minimum
+ * One minimum (same shape as staffing_minimums()).
+ *
+ * @param PDO $pdo Database connection.
+ * @param int $id  Minimum id.
+ *
+ * @return array<string,mixed>|null Null when unknown.
+ */
+function staffing_minimum(PDO $pdo, int $id): ?array
+{
+    foreach (staffing_minimums($pdo) as $m) {
+        if ($m['id'] === $id) {
+            return $m;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * staffing_label
+ * Who a minimum covers: "Finance", "Managers" or "Finance · employees".
+ *
+ * @param array<string,mixed> $m Row with team_name and role.
+ *
+ * @return string
+ */
+function staffing_label(array $m): string
+{
+    if ($m['team_name'] === null) { // If role-wide, name the role.
+        return ucfirst((string)$m['role']) . 's';
+    }
+
+    return $m['team_name'] . ($m['role'] !== null ? ' · ' . $m['role'] . 's' : '');
+}
+
+/**
+ * validate_staffing_minimum
+ * Normalize a create/update body. On update, omitted fields keep their current value.
+ * The team is resolved by the caller (it depends on the manager's scope).
+ *
+ * @param PDO                      $pdo     Database connection.
+ * @param array<string,mixed>      $in      Raw input: role, min_present.
+ * @param int|null                 $teamId  Resolved team (null = any team).
+ * @param array<string,mixed>|null $current Existing minimum (output of staffing_minimum()) when updating.
+ *
+ * @return array{team_id:int|null, role:string|null, min_present:int}
+ *
+ * @throws InvalidArgumentException Message for the client; the code is the HTTP status (400 invalid, 409 duplicate).
+ */
+function validate_staffing_minimum(PDO $pdo, array $in, ?int $teamId, ?array $current = null): array
+{
+    $role = array_key_exists('role', $in) ? trim((string)$in['role']) : (string)($current['role'] ?? '');
+    $role = $role === '' ? null : $role;
+    if ($role !== null && !in_array($role, STAFFING_ROLES, true)) {
+        throw new InvalidArgumentException('role must be ' . implode(' or ', STAFFING_ROLES), 400);
+    }
+    if ($teamId === null && $role === null) { // If neither, it would cover everyone at once.
+        throw new InvalidArgumentException('Pick a team, a role or both', 400);
+    }
+
+    $min = $in['min_present'] ?? $current['min_present'] ?? null;
+    if (!is_numeric($min) || (int)$min != $min || $min < 1 || $min > STAFFING_MAX) {
+        throw new InvalidArgumentException(sprintf('min_present must be a whole number from 1 to %d', STAFFING_MAX), 400);
+    }
+
+    $st = $pdo->prepare('SELECT 1 FROM staffing_minimums WHERE team_id IS ? AND role IS ? AND id <> ?');
+    $st->execute([$teamId, $role, (int)($current['id'] ?? 0)]);
+    if ($st->fetchColumn()) { // If the same people already have a minimum, edit that one instead.
+        throw new InvalidArgumentException('There is already a minimum for these people', 409);
+    }
+
+    return ['team_id' => $teamId, 'role' => $role, 'min_present' => (int)$min];
+}
+
+/**
+ * coverage_breaches
+ * Working days of a request on which approving it would leave a group below its minimum,
+ * counting leave that is already approved (pending requests are not counted).
+ *
+ * @param PDO                 $pdo Database connection.
+ * @param array<string,mixed> $req Request row (id, user_id, date_from, date_to).
+ *
+ * @return list<array{date:string, group:string, minimum:int, present:int, away:list<string>}>
+ *         present: people left if approved; away: the others already off that day.
+ */
+function coverage_breaches(PDO $pdo, array $req): array
+{
+    return coverage_breaches_for($pdo, [$req])[(int)$req['id']];
+}
+
+/**
+ * coverage_breaches_for
+ * coverage_breaches() for several requests at once (a page of the request list), with the same
+ * few queries whatever the number of requests: minimums, group sizes, holidays and approved leave
+ * are read once over the span the requests cover.
+ *
+ * @param PDO                       $pdo  Database connection.
+ * @param list<array<string,mixed>> $reqs Request rows (id, user_id, date_from, date_to).
+ *
+ * @return array<int, list<array<string,mixed>>> Request id => breaches (see coverage_breaches()).
+ */
+function coverage_breaches_for(PDO $pdo, array $reqs): array
+{
+    $out = array_fill_keys(array_map(static fn($r) => (int)$r['id'], $reqs), []);
+    if (!$reqs) {
+        return $out;
+    }
+
+    $rules = $pdo->query(
+        'SELECT m.id, m.team_id, t.name AS team_name, m.role, m.min_present
+           FROM staffing_minimums m
+           LEFT JOIN teams t ON t.id = m.team_id'
+    )->fetchAll(PDO::FETCH_ASSOC);
+    if (!$rules) {
+        return $out;
+    }
+
+    // Team and role of everyone, to find the requesters' groups and count their size.
+    $users = [];
+    foreach ($pdo->query('SELECT id, team_id, role FROM users')->fetchAll(PDO::FETCH_ASSOC) as $u) {
+        $users[(int)$u['id']] = $u;
+    }
+    $inGroup = static fn(array $rule, array $u): bool => ($rule['team_id'] === null || (int)$rule['team_id'] === (int)$u['team_id'])
+        && ($rule['role'] === null || $rule['role'] === $u['role']);
+
+    $from = min(array_column($reqs, 'date_from'));
+    $to   = max(array_column($reqs, 'date_to'));
+
+    // Approved leave overlapping any of the requests (a pending cancellation is still approved).
+    $st = $pdo->prepare(
+        'SELECT r.user_id, r.date_from, r.date_to, u.name, u.team_id, u.role
+           FROM vacation_requests r
+           JOIN users u ON u.id = r.user_id
+          WHERE r.status IN ("approved", "cancellation_requested")
+            AND r.date_from <= ? AND r.date_to >= ?'
+    );
+    $st->execute([$to, $from]);
+    $leave    = $st->fetchAll(PDO::FETCH_ASSOC);
+    $holidays = holidays_between($pdo, (string)$from, (string)$to);
+
+    foreach ($reqs as $req) {
+        $user = $users[(int)$req['user_id']] ?? null;
+        $a    = parse_ymd((string)$req['date_from']);
+        $b    = parse_ymd((string)$req['date_to']);
+        if (!$user || !$a || !$b) { // If the requester is gone, nobody's cover changes.
+            continue;
+        }
+        $days = working_dates($a, $b, $holidays);
+
+        $breaches = [];
+        foreach ($rules as $rule) {
+            if (!$inGroup($rule, $user)) { // If the minimum covers other people, skip it.
+                continue;
+            }
+            $size   = count(array_filter($users, static fn($u) => $inGroup($rule, $u)));
+            $others = array_filter($leave, static fn($l) => (int)$l['user_id'] !== (int)$req['user_id'] && $inGroup($rule, $l)
+                && $l['date_from'] <= $req['date_to'] && $l['date_to'] >= $req['date_from']);
+
+            foreach ($days as $day) {
+                $away = []; // user id => name, so two requests (or two people with one name) are counted right
+                foreach ($others as $l) {
+                    if ($l['date_from'] <= $day && $day <= $l['date_to']) {
+                        $away[(int)$l['user_id']] = (string)$l['name'];
+                    }
+                }
+                $present = $size - 1 - count($away); // The requester is one of the group.
+                if ($present < (int)$rule['min_present']) { // If approving leaves too few, it is a breach.
+                    $breaches[] = [
+                        'date'    => $day,
+                        'group'   => staffing_label($rule),
+                        'minimum' => (int)$rule['min_present'],
+                        'present' => max(0, $present),
+                        'away'    => array_values($away),
+                    ];
+                }
+            }
+        }
+        usort($breaches, static fn($x, $y) => [$x['date'], $x['group']] <=> [$y['date'], $y['group']]);
+        $out[(int)$req['id']] = $breaches;
+    }
+
+    return $out;
+}
+
+/**
+ * coverage_audit_value
+ * One-line account of the breaches an approval overrode, for the audit diff.
+ *
+ * @param list<array<string,mixed>> $breaches Output of coverage_breaches().
+ *
+ * @return string e.g. "2026-11-12 Finance 1/2; 2026-11-13 Finance 0/2" (present/minimum).
+ */
+function coverage_audit_value(array $breaches): string
+{
+    return implode('; ', array_map(
+        static fn($b) => sprintf('%s %s %d/%d', $b['date'], $b['group'], $b['present'], $b['minimum']),
+        $breaches
+    ));
+}
+
+/**
+ * staffing_audit_row
+ * Flat snapshot of a minimum for audit diffs.
+ *
+ * @param array<string,mixed> $m Output of staffing_minimum().
+ *
+ * @return array<string,mixed>
+ */
+function staffing_audit_row(array $m): array
+{
+    return [
+        'id'          => $m['id'],
+        'team'        => $m['team_name'],
+        'role'        => $m['role'],
+        'min_present' => $m['min_present'],
+    ];
+}
@@ -0,0 +1,126 @@
+<?php
+declare(strict_types=1);
+
+namespace App;
+
+use RuntimeException;
+
+/**
+ * ---------------- src/storage.php ----------------
+ *
+ * PHP Version: 8.4
+ * File storage layer (request attachments).
+ * - Storage interface implemented by every driver
+ * - LocalStorage: files under a directory on this server
+ * - storage(): picks the driver from the environment
+ *
+ * Keys are opaque, server-generated names; they never come from the client.
+ *
+ * Env:
+ *   STORAGE_DRIVER=local       (default local)
+ *   STORAGE_PATH=<directory>   (default api/var/uploads)
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+/**
+ * Storage
+ * Stores blobs by key. Implementations throw RuntimeException on failure.
+ */
+interface Storage
+{
+    /**
+     * @param string $key   Object key.
+     * @param string $bytes File contents.
+     */
+    public function put(string $key, string $bytes): void;
+
+    /**
+     * @param string $key Object key.
+     *
+     * @return string|null Contents, or null when the object is missing.
+     */
+    public function get(string $key): ?string;
+
+    /**
+     * Remove an object; missing objects are ignored.
+     *
+     * @param string $key Object key.
+     */
+    public function delete(string $key): void;
+}
+
+/**
+ * LocalStorage
+ * Keeps each object in a file named after its key, fanned out by the key's first two characters.
+ */
+final class LocalStorage implements Storage
+{
+    /**
+     * @param string $root Base directory (created on first write).
+     */
+    public function __construct(private string $root)
+    {
+    }
+
+    public function put(string $key, string $bytes): void
+    {
+        $file = $this->path($key);
+        $dir  = dirname($file);
+
+        if (!is_dir($dir) && !mkdir($dir, 0770, true) && !is_dir($dir)) { // If the folder cannot be created, give up.
+            throw new RuntimeException('Cannot create storage directory');
+        }
+        if (file_put_contents($file, $bytes, LOCK_EX) !== strlen($bytes)) { // If the write was short, do not keep half a file.
+            @unlink($file);
+            throw new RuntimeException('Cannot write file to storage');
+        }
+    }
+
+    public function get(string $key): ?string
+    {
+        $file = $this->path($key);
+        if (!is_file($file)) { // If the object is gone, report it as missing.
+            return null;
+        }
+        $bytes = file_get_contents($file);
+
+        return $bytes === false ? null : $bytes;
+    }
+
+    public function delete(string $key): void
+    {
+        $file = $this->path($key);
+        if (is_file($file)) { // If present, remove it; otherwise nothing to do.
+            unlink($file);
+        }
+    }
+
+    /**
+     * Absolute path of a key. Keys are restricted to [a-z0-9] so they cannot leave the root.
+     */
+    private function path(string $key): string
+    {
+        if (!preg_match('/^[a-z0-9]{8,}$/', $key)) { // If the key is malformed, refuse before touching the disk.
+            throw new RuntimeException('Invalid storage key');
+        }
+
+        return rtrim($this->root, '/') . '/' . substr($key, 0, 2) . '/' . $key;
+    }
+}
+
+/**
+ * storage
+ * Build the storage configured by STORAGE_DRIVER.
+ */
+function storage(): Storage
+{
+    $driver = $_ENV['STORAGE_DRIVER'] ?? 'local';
+
+    if ($driver !== 'local') { // If an unknown driver is configured, fail loudly instead of losing files.
+        throw new RuntimeException('Unsupported STORAGE_DRIVER: ' . $driver);
+    }
+
+    return new LocalStorage($_ENV['STORAGE_PATH'] ?? dirname(__DIR__) . '/var/uploads');
+}
@@ -0,0 +1,234 @@
+<?php
+declare(strict_types=1);
+
+namespace App;
+
+use InvalidArgumentException;
+use PDO;
+
+/**
+ * ---------------- src/teams.php ----------------
+ *
+ * PHP Version: 8.4
+ * Teams (departments) and the manager scope they create.
+ * - Every user belongs to at most one team (users.team_id); each team has one or more managers
+ * - A manager of one or more teams sees the members of those teams plus users without a team
+ *   (so newcomers can be placed); a manager of no team sees everyone (org-wide, e.g. HR)
+ * - Leave of managers without a team is only seen by managers without a team: team leads do not
+ *   see or decide the requests of the people above them
+ * - team_scope_sql(): the condition the admin lists, exports, conflicts and feeds apply
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+/**
+ * manager_team_ids
+ * Teams a manager is responsible for.
+ *
+ * @param PDO $pdo    Database connection.
+ * @param int $userId Manager id.
+ *
+ * @return list<int>|null Team ids, or null when the manager runs no team (org-wide scope).
+ */
+function manager_team_ids(PDO $pdo, int $userId): ?array
+{
+    $st = $pdo->prepare('SELECT team_id FROM team_managers WHERE user_id = ? ORDER BY team_id');
+    $st->execute([$userId]);
+    $ids = array_map('intval', $st->fetchAll(PDO::FETCH_COLUMN));
+
+    return $ids ?: null;
+}
+
+/**
+ * team_scope_sql
+ * SQL condition limiting a user's team column to a scope. Ids are integers, so they are inlined.
+ *
+ * @param list<int>|null $teamIds Output of manager_team_ids().
+ * @param string         $col     Qualified team column (e.g. "u.team_id").
+ * @param string|null    $roleCol Qualified role column of the same user; when given, managers without
+ *                                a team are left out (used wherever requests are listed or decided).
+ *
+ * @return string|null Condition, or null when nothing needs filtering.
+ */
+function team_scope_sql(?array $teamIds, string $col, ?string $roleCol = null): ?string
+{
+    if ($teamIds === null) { // If org-wide, everyone is visible.
+        return null;
+    }
+
+    $teamless = $col . ' IS NULL' . ($roleCol !== null ? ' AND ' . $roleCol . ' <> "manager"' : '');
+
+    return '((' . $teamless . ') OR ' . $col . ' IN (' . implode(',', array_map('intval', $teamIds)) . '))';
+}
+
+/**
+ * user_in_team_scope
+ *
+ * @param PDO            $pdo      Database connection.
+ * @param list<int>|null $teamIds  Output of manager_team_ids().
+ * @param int            $userId   User to check.
+ * @param bool           $requests Checking access to the user's requests (managers without a team are out of scope).
+ *
+ * @return bool False when the user does not exist or is outside the scope.
+ */
+function user_in_team_scope(PDO $pdo, ?array $teamIds, int $userId, bool $requests = false): bool
+{
+    $cond = team_scope_sql($teamIds, 'u.team_id', $requests ? 'u.role' : null);
+    $st   = $pdo->prepare('SELECT 1 FROM users u WHERE u.id = ?' . ($cond ? ' AND ' . $cond : ''));
+    $st->execute([$userId]);
+
+    return (bool)$st->fetchColumn();
+}
+
+/**
+ * teams
+ * Teams with their managers and member count, by name.
+ *
+ * @param PDO            $pdo     Database connection.
+ * @param list<int>|null $teamIds Only these teams (null = all).
+ *
+ * @return list<array{id:int, name:string, member_count:int, managers:list<array{id:int,name:string}>}>
+ */
+function teams(PDO $pdo, ?array $teamIds = null): array
+{
+    $rows = $pdo->query(
+        'SELECT t.id, t.name, (SELECT COUNT(*) FROM users u WHERE u.team_id = t.id) AS member_count
+           FROM teams t'
+        . ($teamIds === null ? '' : ' WHERE t.id IN (' . (implode(',', array_map('intval', $teamIds)) ?: '0') . ')')
+        . ' ORDER BY t.name COLLATE NOCASE'
+    )->fetchAll(PDO::FETCH_ASSOC);
+
+    $managers = [];
+    $rs       = $pdo->query(
+        'SELECT tm.team_id, u.id, u.name FROM team_managers tm JOIN users u ON u.id = tm.user_id ORDER BY u.name'
+    );
+    foreach ($rs->fetchAll(PDO::FETCH_ASSOC) as $m) {
+        $managers[(int)$m['team_id']][] = ['id' => (int)$m['id'], 'name' => (string)$m['name']];
+    }
+
+    return array_map(static fn($t) => [
+        'id'           => (int)$t['id'],
+        'name'         => (string)$t['name'],
+        'member_count' => (int)$t['member_count'],
+        'managers'     => $managers[(int)$t['id']] ?? [],
+    ], $rows);
+}
+
+/**
+ * team
+ * One team (same shape as teams()).
+ *
+ * @param PDO $pdo Database connection.
+ * @param int $id  Team id.
+ *
+ * @return array<string,mixed>|null Null when unknown.
+ */
+function team(PDO $pdo, int $id): ?array
+{
+    return teams($pdo, [$id])[0] ?? null;
+}
+
+/**
+ * validate_team
+ * Normalize a create/update body. On update, omitted fields keep their current value.
+ *
+ * @param PDO                      $pdo     Database connection.
+ * @param array<string,mixed>      $in      Raw input: name, manager_ids.
+ * @param array<string,mixed>|null $current Existing team (output of team()) when updating.
+ *
+ * @return array{name:string, manager_ids:list<int>}
+ *
+ * @throws InvalidArgumentException Message for the client; the code is the HTTP status (400 invalid, 409 conflict).
+ */
+function validate_team(PDO $pdo, array $in, ?array $current = null): array
+{
+    $name = trim((string)($in['name'] ?? $current['name'] ?? ''));
+    if ($name === '' || mb_strlen($name) > 60) { // If missing or too long for a filter, reject.
+        throw new InvalidArgumentException('Name required (up to 60 characters)', 400);
+    }
+
+    $st = $pdo->prepare('SELECT 1 FROM teams WHERE name = ? COLLATE NOCASE AND id <> ?');
+    $st->execute([$name, $current['id'] ?? 0]);
+    if ($st->fetchColumn()) { // If another team already uses the name, conflict.
+        throw new InvalidArgumentException('A team with this name already exists', 409);
+    }
+
+    $raw = $in['manager_ids'] ?? ($current ? array_column($current['managers'], 'id') : []);
+    if (!is_array($raw)) {
+        throw new InvalidArgumentException('manager_ids must be a list of user ids', 400);
+    }
+    $ids = array_values(array_unique(array_filter(array_map('intval', $raw), static fn($id) => $id > 0)));
+    if (!$ids) { // If nobody would run the team, refuse.
+        throw new InvalidArgumentException('A team needs at least one manager', 400);
+    }
+
+    $st = $pdo->prepare(
+        'SELECT COUNT(*) FROM users WHERE role = "manager" AND id IN (' . implode(',', array_fill(0, count($ids), '?')) . ')'
+    );
+    $st->execute($ids);
+    if ((int)$st->fetchColumn() !== count($ids)) { // If an id is unknown or not a manager, refuse.
+        throw new InvalidArgumentException('Team managers must be users with the manager role', 400);
+    }
+
+    return ['name' => $name, 'manager_ids' => $ids];
+}
+
+/**
+ * save_team_managers
+ * Replace a team's manager list.
+ *
+ * @param PDO       $pdo    Database connection.
+ * @param int       $teamId Team id.
+ * @param list<int> $ids    Manager ids (checked by validate_team()).
+ */
+function save_team_managers(PDO $pdo, int $teamId, array $ids): void
+{
+    $pdo->prepare('DELETE FROM team_managers WHERE team_id = ?')->execute([$teamId]);
+    $ins = $pdo->prepare('INSERT INTO team_managers (team_id, user_id) VALUES (?, ?)');
+    foreach ($ids as $id) {
+        $ins->execute([$teamId, $id]);
+    }
+}
+
+/**
+ * team_audit_row
+ * Flat snapshot of a team for audit diffs (managers as a name list).
+ *
+ * @param array<string,mixed> $team Output of team().
+ *
+ * @return array{id:int, name:string, managers:string}
+ */
+function team_audit_row(array $team): array
+{
+    return [
+        'id'       => $team['id'],
+        'name'     => $team['name'],
+        'managers' => implode(', ', array_column($team['managers'], 'name')),
+    ];
+}
+
+/**
+ * managers_losing_last_team
+ * Current managers of a team who would be left running no team (and so become org-wide)
+ * if only $keep stayed on it. Only an org-wide manager may do that to someone.
+ *
+ * @param PDO       $pdo    Database connection.
+ * @param int       $teamId Team being edited or deleted.
+ * @param list<int> $keep   Manager ids that stay (empty when deleting the team).
+ *
+ * @return list<string> Names of the affected managers.
+ */
+function managers_losing_last_team(PDO $pdo, int $teamId, array $keep): array
+{
+    $st = $pdo->prepare(
+        'SELECT u.id, u.name FROM team_managers tm JOIN users u ON u.id = tm.user_id
+          WHERE tm.team_id = ?
+            AND NOT EXISTS (SELECT 1 FROM team_managers o WHERE o.user_id = tm.user_id AND o.team_id <> tm.team_id)
+          ORDER BY u.name'
+    );
+    $st->execute([$teamId]);
+    $rows = array_filter($st->fetchAll(PDO::FETCH_ASSOC), static fn($r) => !in_array((int)$r['id'], $keep, true));
+
+    return array_values(array_column($rows, 'name'));
+}
@@ -0,0 +1,108 @@
+<?php
+declare(strict_types=1);
+
+namespace App;
+
+use InvalidArgumentException;
+
+/**
+ * ---------------- src/user_import.php ----------------
+ *
+ * PHP Version: 8.4
+ * Bulk user import (Users tab → Import CSV).
+ * - parse_user_csv(): header-mapped rows (name, email, role, employee_code) with spreadsheet row numbers
+ * - temp_password(): random first-login password for imported accounts
+ *
+ * Field validation itself is shared with POST /admin/users (see validate_new_user() in index.php).
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+/** Columns understood in the header row; name and email are required. */
+const IMPORT_COLUMNS = ['name', 'email', 'role', 'employee_code'];
+
+/** Upper bound on data rows per file so one upload cannot lock the database for long. */
+const IMPORT_MAX_ROWS = 500;
+
+/**
+ * parse_user_csv
+ * Split an uploaded CSV into rows keyed by column name.
+ * The header is matched case-insensitively ("Employee code" = "employee_code"),
+ * comma or semicolon separated (Excel uses ";" in many locales), BOM tolerated.
+ * Blank lines are skipped; unknown columns are ignored.
+ *
+ * @param string $csv File contents.
+ *
+ * @return list<array{line:int, name:string, email:string, role:string, employee_code:string}>
+ *
+ * @throws InvalidArgumentException When the file is empty, lacks required columns or is too long.
+ */
+function parse_user_csv(string $csv): array
+{
+    $csv        = preg_replace('/^\xEF\xBB\xBF/', '', $csv) ?? $csv;
+    $headerLine = strtok($csv, "\r\n");
+    if ($headerLine === false || trim($headerLine) === '') { // If there is no header, nothing to map.
+        throw new InvalidArgumentException('The file is empty');
+    }
+    $delimiter = substr_count($headerLine, ';') > substr_count($headerLine, ',') ? ';' : ',';
+
+    // fgetcsv (not line splitting) so quoted cells may contain separators and line breaks.
+    $fh = fopen('php://temp', 'r+');
+    fwrite($fh, $csv);
+    rewind($fh);
+
+    $header = array_map(
+        static fn($h) => str_replace([' ', '-'], '_', strtolower(trim((string)$h))),
+        fgetcsv($fh, null, $delimiter, '"', '') ?: []
+    );
+    $missing = array_diff(['name', 'email'], $header);
+    if ($missing) { // If a required column is absent, name it.
+        fclose($fh);
+        throw new InvalidArgumentException('Missing column(s): ' . implode(', ', $missing));
+    }
+
+    $rows = [];
+    $line = 1; // Spreadsheet row number: the header is row 1.
+    while (($cells = fgetcsv($fh, null, $delimiter, '"', '')) !== false) {
+        $line++;
+        if ($cells === [null] || implode('', array_map('trim', array_map('strval', $cells))) === '') { // If blank, skip.
+            continue;
+        }
+        $row = ['line' => $line];
+        foreach (IMPORT_COLUMNS as $col) {
+            $idx       = array_search($col, $header, true);
+            $row[$col] = $idx === false ? '' : trim((string)($cells[$idx] ?? ''));
+        }
+        $rows[] = $row;
+    }
+    fclose($fh);
+
+    if (!$rows) { // If only a header was sent, say so.
+        throw new InvalidArgumentException('The file has no data rows');
+    }
+    if (count($rows) > IMPORT_MAX_ROWS) { // If too large, ask for smaller batches.
+        throw new InvalidArgumentException(sprintf('At most %d users per file', IMPORT_MAX_ROWS));
+    }
+
+    return $rows;
+}
+
+/**
+ * temp_password
+ * Random password for an imported account (no look-alike characters).
+ *
+ * @param int $length Number of characters.
+ *
+ * @return string
+ */
+function temp_password(int $length = 12): string
+{
+    $alphabet = 'abcdefghjkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    $out      = '';
+    for ($i = 0; $i < $length; $i++) {
+        $out .= $alphabet[random_int(0, strlen($alphabet) - 1)];
+    }
+
+    return $out;
+}
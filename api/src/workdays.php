@@ -0,0 +1,197 @@
+<?php
+declare(strict_types=1);
+
+namespace App;
+
+use DateInterval;
+use DateTimeImmutable;
+use InvalidArgumentException;
+use PDO;
+
+/**
+ * ---------------- src/workdays.php ----------------
+ *
+ * PHP Version: 8.4
+ * Working-day engine.
+ * - Strict YYYY-MM-DD parsing
+ * - Counts Monday–Friday days in an inclusive range, minus public holidays
+ * - Half days: a request may take only the morning ("am") or afternoon ("pm")
+ *   of its first and last day; each half counts 0.5
+ * - Loads the manager-maintained public_holidays calendar
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+/** Half-day markers: morning or afternoon. */
+const HALF_DAYS = ['am', 'pm'];
+
+/**
+ * parse_ymd
+ * Parse a strict calendar date ("YYYY-MM-DD").
+ * Rejects impossible dates such as 2025-02-30 instead of rolling them over.
+ *
+ * @param string $s Raw date string.
+ *
+ * @return DateTimeImmutable|null Midnight of that date, or null when invalid.
+ */
+function parse_ymd(string $s): ?DateTimeImmutable
+{
+    if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $s)) { // If the shape is wrong, bail out early.
+        return null;
+    }
+
+    $d = DateTimeImmutable::createFromFormat('!Y-m-d', $s);
+
+    // If parsing failed or PHP normalized an overflow (e.g. Feb 30 → Mar 2), reject.
+    return ($d && $d->format('Y-m-d') === $s) ? $d : null;
+}
+
+/**
+ * is_weekend
+ * True for Saturday and Sunday.
+ *
+ * @param DateTimeImmutable $d Day to test.
+ */
+function is_weekend(DateTimeImmutable $d): bool
+{
+    return (int)$d->format('N') >= 6;
+}
+
+/**
+ * holidays_between
+ * Public holidays inside an inclusive date range.
+ *
+ * @param PDO    $pdo  Database connection.
+ * @param string $from Range start (YYYY-MM-DD).
+ * @param string $to   Range end (YYYY-MM-DD).
+ *
+ * @return array<string,string> Map of date => holiday name, ordered by date.
+ */
+function holidays_between(PDO $pdo, string $from, string $to): array
+{
+    $st = $pdo->prepare('SELECT date, name FROM public_holidays WHERE date BETWEEN ? AND ? ORDER BY date');
+    $st->execute([$from, $to]);
+
+    return $st->fetchAll(PDO::FETCH_KEY_PAIR);
+}
+
+/**
+ * working_dates
+ * List the working dates (weekdays that are not holidays) in an inclusive range.
+ *
+ * @param DateTimeImmutable    $from     Range start.
+ * @param DateTimeImmutable    $to       Range end (returns [] when before $from).
+ * @param array<string,string> $holidays Map keyed by YYYY-MM-DD (see holidays_between()).
+ *
+ * @return list<string> Working dates as YYYY-MM-DD.
+ */
+function working_dates(DateTimeImmutable $from, DateTimeImmutable $to, array $holidays): array
+{
+    $days = [];
+    $step = new DateInterval('P1D');
+
+    for ($d = $from; $d <= $to; $d = $d->add($step)) {
+        $key = $d->format('Y-m-d');
+        if (is_weekend($d) || isset($holidays[$key])) { // If weekend or public holiday, it is not a working day.
+            continue;
+        }
+        $days[] = $key;
+    }
+
+    return $days;
+}
+
+/**
+ * count_working_days
+ * Number of working days in an inclusive range.
+ *
+ * @param DateTimeImmutable    $from     Range start.
+ * @param DateTimeImmutable    $to       Range end.
+ * @param array<string,string> $holidays Map keyed by YYYY-MM-DD.
+ */
+function count_working_days(DateTimeImmutable $from, DateTimeImmutable $to, array $holidays): int
+{
+    return count(working_dates($from, $to, $holidays));
+}
+
+/**
+ * normalize_halves
+ * Validate the half-day flags of a range.
+ * - start_half: the half of the first day that is taken (null = whole day)
+ * - end_half:   the half of the last day that is taken (null = whole day)
+ * A single-day request takes one half, so both flags are made equal.
+ * A longer request is continuous leave: it can only start in the afternoon and end in the morning.
+ *
+ * @param string      $from      Range start (YYYY-MM-DD).
+ * @param string      $to        Range end (YYYY-MM-DD).
+ * @param string|null $startHalf "am", "pm" or null/"".
+ * @param string|null $endHalf   "am", "pm" or null/"".
+ *
+ * @return array{start_half:?string, end_half:?string}
+ *
+ * @throws InvalidArgumentException When a flag is unknown or impossible for the range.
+ */
+function normalize_halves(string $from, string $to, ?string $startHalf, ?string $endHalf): array
+{
+    $startHalf = $startHalf === '' ? null : $startHalf;
+    $endHalf   = $endHalf === '' ? null : $endHalf;
+
+    foreach ([$startHalf, $endHalf] as $half) {
+        if ($half !== null && !in_array($half, HALF_DAYS, true)) { // If not am/pm, reject.
+            throw new InvalidArgumentException('Half days must be "am" or "pm"');
+        }
+    }
+
+    if ($from === $to) { // If a single day, one flag describes it.
+        if ($startHalf !== null && $endHalf !== null && $startHalf !== $endHalf) {
+            throw new InvalidArgumentException('A single day cannot be both a morning and an afternoon');
+        }
+        $half = $startHalf ?? $endHalf;
+
+        return ['start_half' => $half, 'end_half' => $half];
+    }
+
+    if ($startHalf === 'am' || $endHalf === 'pm') { // If the leave would have a gap in the middle, reject.
+        throw new InvalidArgumentException('Leave over several days can only start in the afternoon and end in the morning');
+    }
+
+    return ['start_half' => $startHalf, 'end_half' => $endHalf];
+}
+
+/**
+ * count_leave_days
+ * Working days of a range, with half days counted as 0.5.
+ *
+ * @param DateTimeImmutable    $from      Range start.
+ * @param DateTimeImmutable    $to        Range end.
+ * @param array<string,string> $holidays  Map keyed by YYYY-MM-DD.
+ * @param string|null          $startHalf Output of normalize_halves().
+ * @param string|null          $endHalf   Output of normalize_halves().
+ *
+ * @return float
+ *
+ * @throws InvalidArgumentException When a half day falls on a weekend or holiday.
+ */
+function count_leave_days(DateTimeImmutable $from, DateTimeImmutable $to, array $holidays, ?string $startHalf, ?string $endHalf): float
+{
+    $dates = working_dates($from, $to, $holidays);
+    $days  = (float)count($dates);
+    $first = $from->format('Y-m-d');
+    $last  = $to->format('Y-m-d');
+
+    if ($startHalf !== null) {
+        if (!in_array($first, $dates, true)) { // If the first day is off anyway, a half day makes no sense.
+            throw new InvalidArgumentException('The first day is not a working day');
+        }
+        $days -= 0.5;
+    }
+    if ($endHalf !== null && $last !== $first) {
+        if (!in_array($last, $dates, true)) { // If the last day is off anyway, a half day makes no sense.
+            throw new InvalidArgumentException('The last day is not a working day');
+        }
+        $days -= 0.5;
+    }
+
+    return $days;
+}
@@ -17,6 +17,7 @@ import Login from './pages/Login.jsx';
 import Register from './pages/Register.jsx';
 import EmployeeHome from './pages/EmployeeHome.jsx';
 import ManagerHome from './pages/ManagerHome.jsx';
+import Profile from './pages/Profile.jsx';
 
 /**
  * App
@@ -39,6 +40,8 @@ export default function App() {
           <Route path="/employee" element={<EmployeeHome />} />
           {/* Manager area */}
           <Route path="/manager" element={<ManagerHome />} />
+          {/* Profile + notification preferences (any signed-in user) */}
+          <Route path="/profile" element={<Profile />} />
           {/* Catch-all: any unknown path goes to /login to avoid 404 screens */}
           <Route path="*" element={<Navigate to="/login" replace />} />
         </Routes>
@@ -9,9 +9,28 @@
  *
  * Routes covered:
  *   Auth: POST /login, POST /logout, GET /me, POST /register
- *   Employee: GET/POST /me/requests
- *   Manager Users: GET/POST/PUT/DELETE /admin/users, DELETE /admin/users/:id
- *   Manager Requests: GET /admin/requests, POST /admin/requests/:id/(approve|reject)
+ *   Employee: GET/POST /me/requests, PUT/DELETE /me/requests/:id, POST /me/requests/:id/cancel,
+ *             GET /me/requests/export,
+ *             GET /me/balance, GET /me/working-days, GET /me/requests/:id/history
+ *   Profile: GET/PUT /me/notification-prefs
+ *   Calendar feeds: GET /me/calendar-feeds, POST /me/calendar-feeds/:scope/regenerate
+ *   Notifications: GET /me/notifications, POST /me/notifications/:id/read, POST /me/notifications/read-all
+ *   Holidays: GET /holidays, POST /admin/holidays, DELETE /admin/holidays/:id
+ *   Blackouts: GET /blackouts, GET/POST /admin/blackouts, PUT/DELETE /admin/blackouts/:id
+ *   Leave types: GET /leave-types, POST /admin/leave-types, PUT/DELETE /admin/leave-types/:id
+ *   Attachments: POST /me/attachments (multipart), DELETE /me/attachments/:id, GET /attachments/:id,
+ *                GET /me/requests/:id/attachments, GET /admin/requests/:id/attachments
+ *   Manager Users: GET/POST/PUT/DELETE /admin/users, DELETE /admin/users/:id, POST /admin/users/import
+ *   Manager Teams: GET/POST /admin/teams, PUT/DELETE /admin/teams/:id
+ *   Approval chains: GET/POST /admin/approval-chains, PUT/DELETE /admin/approval-chains/:id
+ *   Policies: GET/POST /admin/policies, PUT/DELETE /admin/policies/:id
+ *   Staffing: GET/POST /admin/staffing, PUT/DELETE /admin/staffing/:id
+ *   Delegation: GET/POST /me/delegations, DELETE /me/delegations/:id
+ *   Manager Requests: GET /admin/requests, GET /admin/requests/export, POST /admin/requests/:id/(approve|reject),
+ *                     POST /admin/requests/batch,
+ *                     POST /admin/requests/:id/(confirm|decline)-cancellation,
+ *                     GET /admin/requests/:id/history
+ *   Manager Audit: GET /admin/audit
  *
  * Author: Christos Polimatidis
  * Date:   2025-11-01
@@ -25,7 +44,7 @@ const base = '/api';
  *  - prefixes with `base`
  *  - includes credentials for session cookies
  *  - sends/accepts JSON
- *  - throws on non-2xx with a human message
+ *  - throws on non-2xx with a human message (Error#status carries the HTTP code)
  *
  * @param {string} path   API path beginning with '/'
  * @param {RequestInit} [options] fetch options override
@@ -45,12 +64,61 @@ async function req(path, options = {}) {
   if (!res.ok) {
     // If the server provided an error string, prefer it; otherwise fall back to status.
     const msg = (data && data.error) ? data.error : `Request failed: ${res.status}`;
-    throw new Error(msg);
+    const err = new Error(msg);
+    err.status = res.status; // Lets callers tell conflicts (409) and policy refusals (422) from validation errors (400).
+    err.data = data; // Further fields some errors carry (e.g. `coverage` on a staffing 409).
+    throw err;
   }
 
   return data;
 }
 
+/**
+ * withQuery
+ * Append query parameters to a path, skipping empty ones ('' / null / undefined).
+ *
+ * @param {string} path API path beginning with '/'
+ * @param {object} [params] key → value
+ * @returns {string}
+ */
+function withQuery(path, params = {}) {
+  const qs = new URLSearchParams(
+    Object.entries(params || {}).filter(([, v]) => v !== '' && v !== null && v !== undefined)
+  );
+  return qs.size ? `${path}?${qs}` : path;
+}
+
+/**
+ * download
+ * Fetch a file endpoint and hand it to the browser as a download.
+ * Errors are raised like req() so callers can show the server's message.
+ *
+ * @param {string} path API path (with query) beginning with '/'
+ * @param {string} fallbackName File name used when the server sends none
+ * @returns {Promise<void>}
+ */
+async function download(path, fallbackName) {
+  const res = await fetch(base + path, { credentials: 'include' });
+
+  // If the server refused (400/403…), surface its {error} like req() does.
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    const err = new Error(data.error || `Request failed: ${res.status}`);
+    err.status = res.status;
+    throw err;
+  }
+
+  const match = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+  const url = URL.createObjectURL(await res.blob());
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = match ? match[1] : fallbackName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
 /**
  * deleteUser (standalone export)
  * Direct DELETE call used by older code paths.
@@ -111,38 +179,409 @@ export const api = {
 
   // -------------- Employee --------------
 
-  /** GET /me/requests */
-  myRequests: () => req('/me/requests', { method: 'GET' }),
+  /**
+   * GET /me/requests
+   * Without `page` the whole list comes back as an array; with it, { items, total, page, per_page, sort }.
+   * @param {object} [params] {page?,per_page?,sort?,q?,status?,type?,date_from?,date_to?,focus?}
+   */
+  myRequests: (params) => req(withQuery('/me/requests', params), { method: 'GET' }),
+
+  /**
+   * GET /me/requests/export
+   * Download my requests matching the list filters (paging ignored).
+   * @param {'csv'|'xlsx'} format
+   * @param {object} [params] {sort?,q?,status?,type?,date_from?,date_to?}
+   */
+  exportMyRequests: (format, params) =>
+    download(withQuery('/me/requests/export', { ...params, format }), `my-leave.${format}`),
+
+  /**
+   * GET /me/balance
+   * @param {number} [year] calendar year (defaults to current year on the server)
+   */
+  myBalance: (year) => req(`/me/balance${year ? `?year=${year}` : ''}`, { method: 'GET' }),
+
+  /**
+   * GET /me/working-days
+   * Preview the working days of a range; rejects with the same message submit would.
+   * @param {string} dateFrom YYYY-MM-DD
+   * @param {string} dateTo   YYYY-MM-DD
+   * @param {object} [halves] {start_half?,end_half?} 'am' | 'pm' (omit for whole days)
+   */
+  workingDays: (dateFrom, dateTo, halves) =>
+    req(withQuery('/me/working-days', { date_from: dateFrom, date_to: dateTo, ...halves }), { method: 'GET' }),
 
   /**
    * POST /me/requests
-   * @param {object} payload {date_from,date_to,reason}
+   * @param {object} payload {date_from,date_to,start_half?,end_half?,reason,leave_type_id?,attachment_ids?}
    */
   createRequest: (payload) =>
     req('/me/requests', { method: 'POST', body: JSON.stringify(payload) }),
 
+  /**
+   * PUT /me/requests/:id
+   * Edit a pending request (409 once decided).
+   * @param {number|string} id
+   * @param {object} payload {date_from,date_to,start_half?,end_half?,reason,leave_type_id?,attachment_ids?}
+   */
+  updateRequest: (id, payload) =>
+    req(`/me/requests/${id}`, { method: 'PUT', body: JSON.stringify(payload) }),
+
   /**
    * DELETE /me/requests/:id
-   * (Note: backend route may not be implemented; kept if you add it later.)
+   * Withdraw a pending request (status becomes "withdrawn"; 409 once decided).
    */
   deleteRequest: (id) => req(`/me/requests/${id}`, { method: 'DELETE' }),
 
+  /**
+   * POST /me/requests/:id/cancel
+   * Ask a manager to cancel an approved request (status becomes "cancellation_requested").
+   */
+  requestCancellation: (id) => req(`/me/requests/${id}/cancel`, { method: 'POST' }),
+
+  /**
+   * GET /me/requests/:id/history
+   * Status timeline of one of my requests, oldest first.
+   * @param {number|string} id
+   */
+  myRequestHistory: (id) => req(`/me/requests/${id}/history`, { method: 'GET' }),
+
+  // -------------- Profile --------------
+
+  /** GET /me/notification-prefs → {submitted, awaiting, approved, rejected, cancelled} booleans */
+  notificationPrefs: () => req('/me/notification-prefs', { method: 'GET' }),
+
+  /**
+   * PUT /me/notification-prefs
+   * @param {object} prefs partial {submitted?,awaiting?,approved?,rejected?,cancelled?}
+   */
+  updateNotificationPrefs: (prefs) =>
+    req('/me/notification-prefs', { method: 'PUT', body: JSON.stringify(prefs) }),
+
+  // ----------- Calendar feeds -----------
+
+  /** GET /me/calendar-feeds → { personal, team? } subscription URLs (.ics, token in the URL) */
+  calendarFeeds: () => req('/me/calendar-feeds', { method: 'GET' }),
+
+  /**
+   * POST /me/calendar-feeds/:scope/regenerate → { url }
+   * Replace the token; the previous URL stops working.
+   * @param {'personal'|'team'} scope
+   */
+  regenerateCalendarFeed: (scope) => req(`/me/calendar-feeds/${scope}/regenerate`, { method: 'POST' }),
+
+  // ----------- Notifications -----------
+
+  /** GET /me/notifications → { unread, items:[{id,request_id,event,message,read_at,created_at}] } */
+  notifications: () => req('/me/notifications', { method: 'GET' }),
+
+  /**
+   * POST /me/notifications/:id/read
+   * @param {number|string} id
+   */
+  markNotificationRead: (id) => req(`/me/notifications/${id}/read`, { method: 'POST' }),
+
+  /** POST /me/notifications/read-all */
+  markAllNotificationsRead: () => req('/me/notifications/read-all', { method: 'POST' }),
+
+  // -------------- Holidays --------------
+
+  /**
+   * GET /holidays
+   * @param {number|string} [year] restrict to one calendar year
+   */
+  holidays: (year) => req(`/holidays${year ? `?year=${year}` : ''}`, { method: 'GET' }),
+
+  /**
+   * POST /admin/holidays
+   * @param {object} h {date,name}
+   */
+  createHoliday: (h) =>
+    req('/admin/holidays', { method: 'POST', body: JSON.stringify(h) }),
+
+  /**
+   * DELETE /admin/holidays/:id
+   * @param {number|string} id
+   */
+  deleteHoliday: (id) => req(`/admin/holidays/${id}`, { method: 'DELETE' }),
+
+  // -------------- Blackouts --------------
+
+  /**
+   * GET /blackouts
+   * Periods that apply to the signed-in user (everyone's plus their team's).
+   * @param {string} [dateFrom] YYYY-MM-DD, only periods ending on or after it
+   * @param {string} [dateTo]   YYYY-MM-DD, only periods starting on or before it
+   * @returns {Promise<Array<{id,name,date_from,date_to,team_id,team_name,soft}>>}
+   *          soft: leave is only discouraged; otherwise requests touching it are refused (422)
+   */
+  blackouts: (dateFrom, dateTo) =>
+    req(withQuery('/blackouts', { date_from: dateFrom, date_to: dateTo }), { method: 'GET' }),
+
+  /**
+   * GET /admin/blackouts
+   * Periods for everyone plus the manager's teams (all of them for managers without a team).
+   */
+  adminBlackouts: () => req('/admin/blackouts', { method: 'GET' }),
+
+  /**
+   * POST /admin/blackouts
+   * @param {object} b {name, date_from, date_to, team_id?, soft?} (no team = everyone; managers without a team only)
+   */
+  createBlackout: (b) =>
+    req('/admin/blackouts', { method: 'POST', body: JSON.stringify(b) }),
+
+  /**
+   * PUT /admin/blackouts/:id
+   * @param {number|string} id
+   * @param {object} patch any of the createBlackout fields
+   */
+  updateBlackout: (id, patch) =>
+    req(`/admin/blackouts/${id}`, { method: 'PUT', body: JSON.stringify(patch) }),
+
+  /**
+   * DELETE /admin/blackouts/:id
+   * @param {number|string} id
+   */
+  deleteBlackout: (id) => req(`/admin/blackouts/${id}`, { method: 'DELETE' }),
+
+  // -------------- Attachments --------------
+
+  /**
+   * POST /me/attachments
+   * Upload one file; it stays unattached until its id is sent in attachment_ids.
+   * @param {File} file PDF, JPG or PNG
+   */
+  uploadAttachment: (file) => {
+    const body = new FormData();
+    body.append('file', file);
+    return req('/me/attachments', { method: 'POST', body, headers: {} }); // No JSON header: the browser sets the multipart boundary.
+  },
+
+  /**
+   * DELETE /me/attachments/:id (unsubmitted uploads, or files of a pending request)
+   * @param {number|string} id
+   */
+  deleteAttachment: (id) => req(`/me/attachments/${id}`, { method: 'DELETE' }),
+
+  /**
+   * GET /me/requests/:id/attachments or GET /admin/requests/:id/attachments
+   * @param {number|string} requestId
+   * @param {'me'|'admin'} [scope='me']
+   */
+  requestAttachments: (requestId, scope = 'me') =>
+    req(`/${scope}/requests/${requestId}/attachments`, { method: 'GET' }),
+
+  /**
+   * URL of a file for links and previews (the session cookie authorizes it).
+   * @param {number|string} id
+   * @param {boolean} [download] ask the browser to save instead of display
+   * @returns {string}
+   */
+  attachmentUrl: (id, download) => `${base}/attachments/${id}${download ? '?download=1' : ''}`,
+
+  // -------------- Leave types --------------
+
+  /**
+   * GET /leave-types
+   * @param {boolean} [all] include archived types (managers only)
+   */
+  leaveTypes: (all) => req(`/leave-types${all ? '?all=1' : ''}`, { method: 'GET' }),
+
+  /**
+   * POST /admin/leave-types
+   * @param {object} t {name,color,counts_allowance,needs_attachment,needs_approval}
+   */
+  createLeaveType: (t) =>
+    req('/admin/leave-types', { method: 'POST', body: JSON.stringify(t) }),
+
+  /**
+   * PUT /admin/leave-types/:id (partial; {active:false} archives)
+   * @param {number|string} id
+   * @param {object} patch
+   */
+  updateLeaveType: (id, patch) =>
+    req(`/admin/leave-types/${id}`, { method: 'PUT', body: JSON.stringify(patch) }),
+
+  /**
+   * DELETE /admin/leave-types/:id (409 when requests use it)
+   * @param {number|string} id
+   */
+  deleteLeaveType: (id) => req(`/admin/leave-types/${id}`, { method: 'DELETE' }),
+
+  // ------------- Manager: teams -------------
+
+  /**
+   * GET /admin/teams
+   * Teams the manager runs (all of them for a manager without teams).
+   * @returns {Promise<Array<{id,name,member_count,managers:Array<{id,name}>}>>}
+   */
+  teams: () => req('/admin/teams', { method: 'GET' }),
+
+  /**
+   * POST /admin/teams
+   * @param {object} t {name, manager_ids:number[]}
+   */
+  createTeam: (t) => req('/admin/teams', { method: 'POST', body: JSON.stringify(t) }),
+
+  /**
+   * PUT /admin/teams/:id
+   * @param {number|string} id
+   * @param {object} patch {name?, manager_ids?}
+   */
+  updateTeam: (id, patch) => req(`/admin/teams/${id}`, { method: 'PUT', body: JSON.stringify(patch) }),
+
+  /**
+   * DELETE /admin/teams/:id (members are left without a team)
+   * @param {number|string} id
+   */
+  deleteTeam: (id) => req(`/admin/teams/${id}`, { method: 'DELETE' }),
+
+  // --------- Manager: approval chains ---------
+
+  /**
+   * GET /admin/approval-chains
+   * Most specific first (the order they are matched in).
+   * @returns {Promise<Array<{id,name,leave_type_id,type_name,min_days,steps:Array<{approver,label}>}>>}
+   */
+  approvalChains: () => req('/admin/approval-chains', { method: 'GET' }),
+
+  /**
+   * POST /admin/approval-chains (managers without a team only)
+   * @param {object} c {name, leave_type_id?, min_days?, steps:Array<{approver:'team'|'org'|'any', label?}>}
+   */
+  createApprovalChain: (c) =>
+    req('/admin/approval-chains', { method: 'POST', body: JSON.stringify(c) }),
+
+  /**
+   * PUT /admin/approval-chains/:id
+   * @param {number|string} id
+   * @param {object} patch any of the createApprovalChain fields
+   */
+  updateApprovalChain: (id, patch) =>
+    req(`/admin/approval-chains/${id}`, { method: 'PUT', body: JSON.stringify(patch) }),
+
+  /**
+   * DELETE /admin/approval-chains/:id (requests already submitted keep their steps)
+   * @param {number|string} id
+   */
+  deleteApprovalChain: (id) => req(`/admin/approval-chains/${id}`, { method: 'DELETE' }),
+
+  // ----------- Manager: policies -----------
+
+  /**
+   * GET /admin/policies
+   * Submission rules, refusing kinds first.
+   * @returns {Promise<Array<{id,kind,leave_type_id,type_name,days,notice_days,message,summary,active}>>}
+   *          summary: the message employees see (custom message or generated wording)
+   */
+  policies: () => req('/admin/policies', { method: 'GET' }),
+
+  /**
+   * POST /admin/policies (managers without a team only)
+   * @param {object} r {kind:'notice'|'max_consecutive'|'auto_approve', leave_type_id?, days?, notice_days?, message?, active?}
+   */
+  createPolicy: (r) =>
+    req('/admin/policies', { method: 'POST', body: JSON.stringify(r) }),
+
+  /**
+   * PUT /admin/policies/:id
+   * @param {number|string} id
+   * @param {object} patch any of the createPolicy fields
+   */
+  updatePolicy: (id, patch) =>
+    req(`/admin/policies/${id}`, { method: 'PUT', body: JSON.stringify(patch) }),
+
+  /**
+   * DELETE /admin/policies/:id
+   * @param {number|string} id
+   */
+  deletePolicy: (id) => req(`/admin/policies/${id}`, { method: 'DELETE' }),
+
+  // ----------- Manager: staffing -----------
+
+  /**
+   * GET /admin/staffing
+   * Minimum people present per team and/or role (the manager's teams plus role-wide minimums).
+   * @returns {Promise<Array<{id,team_id,team_name,role,min_present,label}>>}
+   */
+  staffing: () => req('/admin/staffing', { method: 'GET' }),
+
+  /**
+   * POST /admin/staffing
+   * @param {object} s {team_id?, role?:'employee'|'manager', min_present} (a team, a role or both)
+   */
+  createStaffing: (s) =>
+    req('/admin/staffing', { method: 'POST', body: JSON.stringify(s) }),
+
+  /**
+   * PUT /admin/staffing/:id
+   * @param {number|string} id
+   * @param {object} patch any of the createStaffing fields
+   */
+  updateStaffing: (id, patch) =>
+    req(`/admin/staffing/${id}`, { method: 'PUT', body: JSON.stringify(patch) }),
+
+  /**
+   * DELETE /admin/staffing/:id
+   * @param {number|string} id
+   */
+  deleteStaffing: (id) => req(`/admin/staffing/${id}`, { method: 'DELETE' }),
+
+  // --------- Manager: delegation ---------
+
+  /**
+   * GET /me/delegations
+   * Current and upcoming delegations, plus the managers that can be picked as delegate.
+   * @returns {Promise<{given:Array<object>, received:Array<object>, managers:Array<{id,name}>}>}
+   *          entries: {id, manager_id, manager_name, delegate_id, delegate_name, date_from, date_to, active}
+   */
+  delegations: () => req('/me/delegations', { method: 'GET' }),
+
+  /**
+   * POST /me/delegations
+   * @param {object} d {delegate_id, date_from:'YYYY-MM-DD', date_to:'YYYY-MM-DD'} (inclusive)
+   */
+  createDelegation: (d) =>
+    req('/me/delegations', { method: 'POST', body: JSON.stringify(d) }),
+
+  /**
+   * DELETE /me/delegations/:id (the manager who gave it or the delegate)
+   * @param {number|string} id
+   */
+  deleteDelegation: (id) => req(`/me/delegations/${id}`, { method: 'DELETE' }),
+
   // ------------- Manager: users -------------
 
-  /** GET /admin/users */
-  listUsers: () => req('/admin/users', { method: 'GET' }),
+  /**
+   * GET /admin/users
+   * @param {object} [params] {page?,per_page?,sort?,q?,role?,team?,date_from?,date_to?} (array without `page`)
+   *        team: team id, or 0 for users without a team
+   */
+  listUsers: (params) => req(withQuery('/admin/users', params), { method: 'GET' }),
 
   /**
    * POST /admin/users
-   * @param {object} u {name,email,password,role?,employee_code?}
+   * @param {object} u {name,email,password,role?,employee_code?,annual_allowance?,team_id?}
    */
   createUser: (u) =>
     req('/admin/users', { method: 'POST', body: JSON.stringify(u) }),
 
+  /**
+   * POST /admin/users/import
+   * Dry run → { rows:[{line,name,email,role,employee_code,errors}], valid, invalid };
+   * commit → { created:[{…, id, employee_code, temp_password}], skipped }.
+   * @param {string} csv file contents (header: name,email,role?,employee_code?)
+   * @param {boolean} [commit] create the valid rows (one transaction)
+   * @param {number|null} [teamId] team every imported user joins
+   */
+  importUsers: (csv, commit = false, teamId = null) =>
+    req('/admin/users/import', { method: 'POST', body: JSON.stringify({ csv, commit, team_id: teamId }) }),
+
   /**
    * PUT /admin/users/:id
    * @param {number|string} id
-   * @param {object} payload partial fields {name?,email?,password?}
+   * @param {object} payload partial fields {name?,email?,password?,annual_allowance?,team_id?} (team_id null = no team)
    */
   updateUser: (id, payload) =>
     req(`/admin/users/${id}`, { method: 'PUT', body: JSON.stringify(payload) }),
@@ -156,18 +595,79 @@ export const api = {
 
   // ----------- Manager: requests -----------
 
-  /** GET /admin/requests */
-  allRequests: () => req('/admin/requests'),
+  /**
+   * GET /admin/requests
+   * @param {object} [params] {page?,per_page?,sort?,q?,status?,type?,team?,date_from?,date_to?,focus?} (array without `page`)
+   */
+  allRequests: (params) => req(withQuery('/admin/requests', params)),
+
+  /**
+   * GET /admin/requests/export
+   * Payroll download of the requests matching the list filters (paging ignored).
+   * @param {'csv'|'xlsx'} format
+   * @param {object} [params] {sort?,q?,status?,type?,team?,date_from?,date_to?}
+   */
+  exportRequests: (format, params) =>
+    download(withQuery('/admin/requests/export', { ...params, format }), `leave-requests.${format}`),
 
   /**
    * POST /admin/requests/:id/approve
+   * On a request with approval steps this signs the open step; the status stays
+   * "pending" until the last step is approved (403 when the step is someone else's).
+   * Approving below a staffing minimum is refused (409, with the short days in `err.data.coverage`)
+   * unless override is set; the override is audited.
    * @param {number|string} id
+   * @param {string} [comment] optional note for the employee
+   * @param {boolean} [override] approve even though the team drops below its minimum staffing
    */
-  approve: (id) => req(`/admin/requests/${id}/approve`, { method: 'POST' }),
+  approve: (id, comment = '', override = false) =>
+    req(`/admin/requests/${id}/approve`, { method: 'POST', body: JSON.stringify({ comment, override }) }),
 
   /**
    * POST /admin/requests/:id/reject
    * @param {number|string} id
+   * @param {string} comment reason for the rejection (required by the server)
+   */
+  reject: (id, comment) =>
+    req(`/admin/requests/${id}/reject`, { method: 'POST', body: JSON.stringify({ comment }) }),
+
+  /**
+   * POST /admin/requests/batch
+   * Decide several requests at once; each id succeeds or fails on its own.
+   * @param {'approve'|'reject'} action
+   * @param {number[]} ids
+   * @param {string} [comment] shared comment (required to reject)
+   * @returns {Promise<{results:Array<{id:number, ok:boolean, status?:string, code?:number, error?:string}>, succeeded:number, failed:number}>}
+   */
+  decideBatch: (action, ids, comment = '') =>
+    req('/admin/requests/batch', { method: 'POST', body: JSON.stringify({ action, ids, comment }) }),
+
+  /**
+   * POST /admin/requests/:id/confirm-cancellation
+   * Accept an employee's cancellation request (status becomes "cancelled").
+   * @param {number|string} id
+   */
+  confirmCancellation: (id) => req(`/admin/requests/${id}/confirm-cancellation`, { method: 'POST' }),
+
+  /**
+   * POST /admin/requests/:id/decline-cancellation
+   * Keep the leave approved.
+   * @param {number|string} id
+   */
+  declineCancellation: (id) => req(`/admin/requests/${id}/decline-cancellation`, { method: 'POST' }),
+
+  /**
+   * GET /admin/requests/:id/history
+   * Status timeline of any request, oldest first.
+   * @param {number|string} id
+   */
+  requestHistory: (id) => req(`/admin/requests/${id}/history`, { method: 'GET' }),
+
+  // ------------- Manager: audit -------------
+
+  /**
+   * GET /admin/audit
+   * @param {object} [filters] {actor_id?,target_user_id?,action?,date_from?,date_to?}; empty values are dropped
    */
-  reject: (id) => req(`/admin/requests/${id}/reject`, { method: 'POST' }),
+  auditLog: (filters) => req(withQuery('/admin/audit', filters), { method: 'GET' }),
 };
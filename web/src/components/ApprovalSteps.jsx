@@ -0,0 +1,59 @@
+/**
+ * ---------------- src/components/ApprovalSteps.jsx ----------------
+ *
+ * JavaScript/React Version: 18+
+ * Progress of a request through its approval chain (e.g. team lead, then HR).
+ * Shared by the employee row details and the manager history dialog; the
+ * compact form is the one-line summary shown under a pending status badge.
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+/** Step status → marker + CSS modifier. */
+const MARK = {
+  approved: { icon: '✓', cls: 'step-approved' },
+  rejected: { icon: '✕', cls: 'step-rejected' },
+  skipped: { icon: '–', cls: 'step-skipped' },
+  pending: { icon: '○', cls: 'step-pending' },
+};
+
+/**
+ * ApprovalSteps
+ *
+ * @param {{steps?:Array<{position:number,label:string,status:string,decided_by_name?:string,decided_for_name?:string,decided_at?:string,comment?:string}>, compact?:boolean}} props
+ *        steps: the request's steps ([] or missing when a single decision settles it)
+ *        compact: only "Step 2 of 3 · HR" for the open step
+ * @returns {JSX.Element|null}
+ */
+export default function ApprovalSteps({ steps, compact = false }) {
+  if (!steps || steps.length === 0) return null; // If no chain applies, there is no progress to show.
+
+  if (compact) {
+    const open = steps.find((s) => s.status === 'pending');
+    if (!open) return null; // If every step is settled, the status badge says it all.
+    return (
+      <div className="steps-summary">
+        Step {open.position} of {steps.length} · {open.label}
+      </div>
+    );
+  }
+
+  return (
+    <ol className="steps">
+      {steps.map((s) => (
+        <li key={s.position} className={MARK[s.status]?.cls}>
+          <span className="steps-mark" aria-hidden>{MARK[s.status]?.icon}</span>
+          <b>{s.label}</b>
+          <span className="timeline-meta">
+            {s.decided_at // If decided, say by whom and when; otherwise where it stands.
+              ? <> {s.status} by <b>{s.decided_by_name || 'a former manager'}</b>
+                {s.decided_for_name && <> on behalf of <b>{s.decided_for_name}</b></>} on {new Date(`${s.decided_at.replace(' ', 'T')}Z`).toLocaleDateString()}</>
+              : s.status === 'skipped' ? ' not needed' : ' waiting'}
+          </span>
+          {s.comment && <div className="emp-comment">“{s.comment}”</div>}
+        </li>
+      ))}
+    </ol>
+  );
+}
@@ -0,0 +1,95 @@
+/**
+ * ---------------- src/components/Attachments.jsx ----------------
+ *
+ * JavaScript/React Version: 18+
+ * Files attached to a vacation request (e.g. a medical certificate).
+ * Shared by the employee row details, the request modal (with remove buttons)
+ * and the manager's files dialog. Images and PDFs can be previewed inline.
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+import { useEffect, useState } from 'react';
+import { api } from '../api';
+
+/**
+ * fmtSize
+ * Human-readable file size ("84 KB", "1.2 MB").
+ *
+ * @param {number} bytes
+ * @returns {string}
+ */
+const fmtSize = (bytes) => {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+/**
+ * Attachments
+ * Lists the given files, or fetches the request's files when `files` is omitted.
+ *
+ * @param {{requestId?:number, scope?:'me'|'admin', files?:Array<object>, onRemove?:(file:object)=>void}} props
+ *        scope: 'me' reads through the owner's route, 'admin' through the manager's
+ *        files: list to show as-is (e.g. uploads not submitted yet)
+ *        onRemove: when given, each file gets a Remove button
+ * @returns {JSX.Element|null}
+ */
+export default function Attachments({ requestId, scope = 'me', files, onRemove }) {
+  const [loaded, setLoaded] = useState(null);
+  const [err, setErr] = useState('');
+  const [preview, setPreview] = useState(null); // id of the file shown inline
+
+  useEffect(() => {
+    if (files) return undefined; // If the parent supplies the list, there is nothing to fetch.
+
+    let active = true; // If the row collapses before the fetch returns, skip state updates.
+    api
+      .requestAttachments(requestId, scope)
+      .then((rows) => active && setLoaded(rows))
+      .catch((e) => active && setErr(e.message || 'Could not load attachments'));
+    return () => {
+      active = false;
+    };
+  }, [files, requestId, scope]);
+
+  const list = files || loaded;
+  if (err) return <div className="form-error">{err}</div>; // If loading failed, say so.
+  if (!list) return <div className="timeline-empty">Loading attachments…</div>; // If still loading, show a hint.
+  if (list.length === 0) return null; // If nothing is attached, take no space.
+
+  return (
+    <ul className="attachments">
+      {list.map((f) => (
+        <li key={f.id}>
+          <div className="attachment-row">
+            <span className="attachment-name" title={f.filename}>📎 {f.filename}</span>
+            <span className="emp-days">{fmtSize(f.size)}</span>
+            <button
+              type="button"
+              className="history-btn"
+              onClick={() => setPreview(preview === f.id ? null : f.id)}
+            >
+              {preview === f.id ? 'Hide' : 'Preview'}
+            </button>
+            <a className="history-btn" href={api.attachmentUrl(f.id, true)} download={f.filename}>
+              Download
+            </a>
+            {onRemove && (
+              <button type="button" className="history-btn" onClick={() => onRemove(f)}>
+                Remove
+              </button>
+            )}
+          </div>
+          {preview === f.id && ( // If previewing, PDFs go in a frame and images inline.
+            f.mime === 'application/pdf' ? (
+              <iframe className="attachment-preview" src={api.attachmentUrl(f.id)} title={f.filename} />
+            ) : (
+              <img className="attachment-preview" src={api.attachmentUrl(f.id)} alt={f.filename} />
+            )
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,130 @@
+/**
+ * ---------------- src/components/BlackoutCalendar.jsx ----------------
+ *
+ * JavaScript/React Version: 18+
+ * Month picker for the request form that shows blackout periods.
+ * - Hard blackout days are greyed out and cannot be picked; soft ones are shaded (allowed, but discouraged)
+ * - Hovering a marked day names the period; the periods of the month are explained under the grid
+ * - First click picks the start, second click the end (a click before the start starts over)
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+import { useEffect, useState } from 'react';
+import { toDMY } from '../utils/dates';
+
+/** Local date → YYYY-MM-DD (strings in this form compare correctly as plain strings). */
+const ymd = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+const WEEKDAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+
+/**
+ * BlackoutCalendar
+ *
+ * @param {{from:string, to:string, blackouts:Array<{id:number,name:string,date_from:string,date_to:string,team_name?:string,soft:boolean}>,
+ *          onPick:(from:string, to:string) => void}} props
+ *        from / to: the picked range (YYYY-MM-DD, either may be empty)
+ *        blackouts: periods that apply to the user (GET /blackouts)
+ *        onPick: called with the new range after each click
+ * @returns {JSX.Element}
+ */
+export default function BlackoutCalendar({ from, to, blackouts, onPick }) {
+  const [month, setMonth] = useState(() => {
+    const d = from ? new Date(`${from}T00:00:00`) : new Date();
+    return new Date(d.getFullYear(), d.getMonth(), 1);
+  });
+  const [pickingEnd, setPickingEnd] = useState(false); // true between the first and the second click
+
+  useEffect(() => {
+    if (!from) return; // If no start yet, stay on the month being browsed.
+    const d = new Date(`${from}T00:00:00`);
+    setMonth((m) => (m.getFullYear() === d.getFullYear() && m.getMonth() === d.getMonth() ? m : new Date(d.getFullYear(), d.getMonth(), 1)));
+  }, [from]);
+
+  const first = ymd(month);
+  const last = ymd(new Date(month.getFullYear(), month.getMonth() + 1, 0));
+  const inView = blackouts.filter((b) => b.date_to >= first && b.date_from <= last);
+
+  // Leading blanks so the 1st falls under its weekday (weeks start on Monday).
+  const offset = (month.getDay() + 6) % 7;
+  const days = Array.from(
+    { length: new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate() },
+    (_, i) => ymd(new Date(month.getFullYear(), month.getMonth(), i + 1))
+  );
+
+  /**
+   * periodOn
+   * The blackout covering a day; a hard one wins over a soft one.
+   */
+  const periodOn = (day) => {
+    const covering = inView.filter((b) => b.date_from <= day && day <= b.date_to);
+    return covering.find((b) => !b.soft) || covering[0] || null;
+  };
+
+  /**
+   * pick
+   * Start a new range, or close the open one when the day is on or after its start.
+   */
+  const pick = (day) => {
+    if (pickingEnd && from && day >= from) { // If waiting for the end, close the range.
+      onPick(from, day);
+      setPickingEnd(false);
+      return;
+    }
+    onPick(day, day);
+    setPickingEnd(true);
+  };
+
+  const shift = (dir) => setMonth((m) => new Date(m.getFullYear(), m.getMonth() + dir, 1));
+
+  return (
+    <div className="bo-calendar">
+      <div className="bo-toolbar">
+        <button type="button" className="emp-page" onClick={() => shift(-1)} aria-label="Previous month">&lsaquo;</button>
+        <b>{month.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}</b>
+        <button type="button" className="emp-page" onClick={() => shift(1)} aria-label="Next month">&rsaquo;</button>
+      </div>
+
+      <div className="bo-grid">
+        {WEEKDAYS.map((w) => <div key={w} className="bo-weekday">{w}</div>)}
+        {Array.from({ length: offset }, (_, i) => <span key={`blank-${i}`} />)}
+        {days.map((day, i) => {
+          const period = periodOn(day);
+          const hard = Boolean(period && !period.soft);
+          const picked = from && day >= from && day <= (to || from);
+          const weekend = (offset + i) % 7 >= 5;
+          return (
+            <button
+              key={day}
+              type="button"
+              className={[
+                'bo-day',
+                weekend && 'bo-weekend',
+                period && (hard ? 'bo-hard' : 'bo-soft'),
+                picked && 'bo-picked',
+              ].filter(Boolean).join(' ')}
+              disabled={hard /* If leave is not allowed that day, it cannot be picked. */}
+              title={period ? `${period.name}${hard ? ': no leave' : ': leave discouraged'}` : undefined}
+              onClick={() => pick(day)}
+            >
+              {i + 1}
+            </button>
+          );
+        })}
+      </div>
+
+      {inView.length > 0 && ( // If the month has blackouts, say what they are.
+        <ul className="bo-list">
+          {inView.map((b) => (
+            <li key={b.id} className={b.soft ? 'bo-soft' : 'bo-hard'}>
+              <b>{b.name}</b> {toDMY(b.date_from)} – {toDMY(b.date_to)}
+              {b.team_name && <span className="emp-days"> ({b.team_name})</span>}
+              <span className="emp-days"> · {b.soft ? 'leave is discouraged' : 'no leave can be requested'}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
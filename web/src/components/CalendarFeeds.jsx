@@ -0,0 +1,84 @@
+/**
+ * ---------------- src/components/CalendarFeeds.jsx ----------------
+ *
+ * JavaScript/React Version: 18+
+ * Calendar subscription links (.ics) for approved leave.
+ * The URLs contain a secret token, so they work in calendar apps without a login;
+ * "Regenerate link" swaps the token and the old URL stops working.
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+import { useEffect, useState } from 'react';
+import { api } from '../api';
+
+/** Heading and hint per feed scope. */
+const FEED_LABELS = {
+  personal: { title: 'My leave calendar', hint: 'Your approved requests.' },
+  team: { title: 'Team leave calendar', hint: "Everyone's approved leave (who is away, not why)." },
+};
+
+/**
+ * CalendarFeeds
+ *
+ * @param {{scopes:Array<'personal'|'team'>}} props feeds to show, in order
+ * @returns {JSX.Element}
+ */
+export default function CalendarFeeds({ scopes }) {
+  const [urls, setUrls] = useState({});
+  const [copied, setCopied] = useState(null);
+  const [err, setErr] = useState('');
+
+  useEffect(() => {
+    api.calendarFeeds().then(setUrls).catch((e) => setErr(e.message || 'Could not load calendar links'));
+  }, []);
+
+  /** Copy a URL to the clipboard and flag it for a moment. */
+  const copy = async (scope) => {
+    try {
+      await navigator.clipboard.writeText(urls[scope]);
+      setCopied(scope);
+      setTimeout(() => setCopied(null), 2000);
+    } catch (e) {
+      void e; // If the clipboard is blocked, the field is still selectable by hand.
+    }
+  };
+
+  /** Replace the token after confirmation; existing subscriptions stop updating. */
+  const regenerate = async (scope) => {
+    if (!window.confirm('Regenerate this link? Calendars subscribed to the old link will stop updating.')) {
+      return; // If the user backs out, keep the current link.
+    }
+    setErr('');
+    try {
+      const { url } = await api.regenerateCalendarFeed(scope);
+      setUrls((u) => ({ ...u, [scope]: url }));
+    } catch (e) {
+      setErr(e.message || 'Could not regenerate the link');
+    }
+  };
+
+  return (
+    <div className="feeds">
+      {scopes.filter((s) => urls[s]).map((scope) => (
+        <div key={scope} className="feed">
+          <div className="feed-head">
+            <b>{FEED_LABELS[scope].title}</b>
+            <span className="emp-days">{FEED_LABELS[scope].hint} Subscribe to this link in your calendar app.</span>
+          </div>
+          <div className="feed-row">
+            <input className="emp-input feed-url" readOnly value={urls[scope]} onFocus={(e) => e.target.select()} />
+            <button type="button" className="history-btn" onClick={() => copy(scope)}>
+              {copied === scope ? 'Copied' : 'Copy'}
+            </button>
+            <button type="button" className="history-btn" onClick={() => regenerate(scope)}>
+              Regenerate link
+            </button>
+          </div>
+        </div>
+      ))}
+      {err && <div className="form-error">{err}</div>}
+    </div>
+  );
+}
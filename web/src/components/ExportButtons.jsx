@@ -0,0 +1,46 @@
+/**
+ * ---------------- src/components/ExportButtons.jsx ----------------
+ *
+ * JavaScript/React Version: 18+
+ * "Export CSV / XLSX" pair for request tables.
+ * The parent decides what is exported (it passes its current filters to the API);
+ * this component only tracks the busy state and shows the server's error.
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+import { useState } from 'react';
+
+/**
+ * ExportButtons
+ *
+ * @param {{onExport:(format:'csv'|'xlsx')=>Promise<void>}} props
+ * @returns {JSX.Element}
+ */
+export default function ExportButtons({ onExport }) {
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState('');
+
+  /** Run one export; keep the buttons disabled until the file has arrived. */
+  const run = async (format) => {
+    setErr('');
+    setBusy(true);
+    try {
+      await onExport(format);
+    } catch (e) {
+      setErr(e.message || 'Export failed'); // If the server refused, show why.
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="export-btns">
+      <span className="export-label">Export</span>
+      <button type="button" className="emp-page" disabled={busy} onClick={() => run('csv')}>CSV</button>
+      <button type="button" className="emp-page" disabled={busy} onClick={() => run('xlsx')}>XLSX</button>
+      {err && <span className="form-error">{err}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+/**
+ * ---------------- src/components/LeaveDates.jsx ----------------
+ *
+ * JavaScript/React Version: 18+
+ * Date cell of the request tables: first and last day (DD-MM-YYYY), the half
+ * of the day taken when it is not a whole day, and the working-day count.
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+import { toDMY } from '../utils/dates';
+
+/** Half-day flag → label shown after the date. */
+const HALF_LABELS = { am: 'morning', pm: 'afternoon' };
+
+/**
+ * LeaveDates
+ *
+ * @param {{request:{date_from:string,date_to:string,start_half?:'am'|'pm'|null,end_half?:'am'|'pm'|null,working_days:number}}} props
+ * @returns {JSX.Element}
+ */
+export default function LeaveDates({ request: r }) {
+  const singleDay = r.date_from === r.date_to;
+  const days = Number(r.working_days);
+  return (
+    <>
+      <div>
+        {toDMY(r.date_from)}
+        {r.start_half && <span className="half-tag">{HALF_LABELS[r.start_half]}</span>}
+      </div>
+      <div>
+        {toDMY(r.date_to)}
+        {/* If a single day, the half was already shown on the first line. */}
+        {r.end_half && !singleDay && <span className="half-tag">{HALF_LABELS[r.end_half]}</span>}
+      </div>
+      <div className="emp-days">{days} working day{days === 1 ? '' : 's'}</div>
+    </>
+  );
+}
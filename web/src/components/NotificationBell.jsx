@@ -0,0 +1,125 @@
+/**
+ * ---------------- src/components/NotificationBell.jsx ----------------
+ *
+ * JavaScript/React Version: 18+
+ * Header bell with unread badge and a dropdown of recent notifications.
+ * Shared by the employee and manager headers (next to the account pill).
+ * Clicking an entry marks it read and opens the owning home with ?focus=<request id>,
+ * which the requests table uses to jump to and highlight the row.
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { api } from '../api';
+import { useAuth } from '../AuthContext';
+
+/** How often the unread count is refreshed while the page is open. */
+const POLL_MS = 60000;
+
+/**
+ * NotificationBell
+ *
+ * @returns {JSX.Element}
+ */
+export default function NotificationBell() {
+  const { user } = useAuth();
+  const nav = useNavigate();
+  const [data, setData] = useState({ unread: 0, items: [] });
+  const [open, setOpen] = useState(false);
+  const ref = useRef(null);
+
+  /** Fetch the latest notifications (errors keep the previous list). */
+  const load = useCallback(async () => {
+    try {
+      setData(await api.notifications());
+    } catch (e) {
+      void e; // If polling fails (e.g. session expired), keep what we have.
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+    const t = setInterval(load, POLL_MS);
+    return () => clearInterval(t);
+  }, [load]);
+
+  useEffect(() => {
+    /** Close the dropdown when clicking anywhere outside of it. */
+    const onDocClick = (ev) => {
+      if (ref.current && !ref.current.contains(ev.target)) setOpen(false);
+    };
+    document.addEventListener('click', onDocClick);
+    return () => document.removeEventListener('click', onDocClick);
+  }, []);
+
+  /**
+   * openItem
+   * Mark one entry read (best effort) and jump to its request row.
+   *
+   * @param {{id:number, request_id:number|null, read_at:string|null}} n
+   */
+  const openItem = async (n) => {
+    setOpen(false);
+    if (!n.read_at) { // If unread, mark it and refresh the badge.
+      try { await api.markNotificationRead(n.id); } catch (e) { void e; }
+      load();
+    }
+    if (n.request_id) { // If it points at a request, open the right home focused on it.
+      const home = user?.role === 'manager' ? '/manager' : '/employee';
+      nav(`${home}?focus=${n.request_id}`);
+    }
+  };
+
+  const readAll = async () => {
+    try { await api.markAllNotificationsRead(); } catch (e) { void e; }
+    load();
+  };
+
+  return (
+    <div ref={ref} className="bell">
+      <button
+        className="bell-btn"
+        onClick={() => setOpen((v) => !v)} // If open, close; else open.
+        aria-haspopup="menu"
+        aria-expanded={open}
+        title="Notifications"
+      >
+        <span aria-hidden>🔔</span>
+        {data.unread > 0 && ( // If anything is unread, show the count (capped for width).
+          <span className="bell-badge">{data.unread > 99 ? '99+' : data.unread}</span>
+        )}
+      </button>
+
+      {open && (
+        <div role="menu" className="bell-menu">
+          <div className="bell-head">
+            <b>Notifications</b>
+            {data.unread > 0 && (
+              <button className="history-btn" onClick={readAll}>Mark all as read</button>
+            )}
+          </div>
+          {data.items.length === 0 && <div className="timeline-empty">Nothing yet.</div>}
+          <ul className="bell-list">
+            {data.items.map((n) => (
+              <li key={n.id}>
+                <button
+                  role="menuitem"
+                  className={n.read_at ? 'bell-item' : 'bell-item bell-unread'}
+                  onClick={() => openItem(n)}
+                >
+                  <span>{n.message}</span>
+                  <span className="bell-time">
+                    {new Date(`${n.created_at.replace(' ', 'T')}Z`).toLocaleString()}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
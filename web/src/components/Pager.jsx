@@ -0,0 +1,52 @@
+/**
+ * ---------------- src/components/Pager.jsx ----------------
+ *
+ * JavaScript/React Version: 18+
+ * Page switcher for server-paginated tables.
+ * Shows the first and last pages plus a window around the current one,
+ * so thousands of rows do not render thousands of buttons.
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+/**
+ * Pager
+ *
+ * @param {{page:number, total:number, perPage:number, onPage:(n:number)=>void}} props
+ *        total: number of rows matching the filters (from the API envelope)
+ * @returns {JSX.Element}
+ */
+export default function Pager({ page, total, perPage, onPage }) {
+  const totalPages = Math.max(1, Math.ceil(total / perPage));
+
+  // First, last and ±2 around the current page; gaps become "…".
+  const shown = [];
+  for (let n = 1; n <= totalPages; n++) {
+    if (n === 1 || n === totalPages || Math.abs(n - page) <= 2) shown.push(n);
+    else if (shown[shown.length - 1] !== '…') shown.push('…');
+  }
+
+  return (
+    <div className="emp-pages">
+      <span className="emp-days" style={{ marginRight: 'auto' }}>
+        {total} result{total === 1 ? '' : 's'}
+      </span>
+      <button className="emp-page" disabled={page <= 1} onClick={() => onPage(page - 1)}>
+        &lsaquo;
+      </button>
+      {shown.map((n, i) =>
+        n === '…' ? (
+          <span key={`gap-${i}`} aria-hidden>…</span>
+        ) : (
+          <button key={n} className="emp-page" aria-current={n === page} onClick={() => onPage(n)}>
+            {n}
+          </button>
+        )
+      )}
+      <button className="emp-page" disabled={page >= totalPages} onClick={() => onPage(page + 1)}>
+        &rsaquo;
+      </button>
+    </div>
+  );
+}
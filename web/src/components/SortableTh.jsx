@@ -0,0 +1,35 @@
+/**
+ * ---------------- src/components/SortableTh.jsx ----------------
+ *
+ * JavaScript/React Version: 18+
+ * Clickable table header for server-side sorting.
+ * Sort values follow the API convention: "field" ascending, "-field" descending.
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+/**
+ * SortableTh
+ * First click sorts ascending, the next one descending, and so on.
+ *
+ * @param {{field:string, sort:string, onSort:(next:string)=>void, children:any, style?:object}} props
+ * @returns {JSX.Element}
+ */
+export default function SortableTh({ field, sort, onSort, children, style }) {
+  const active = sort === field || sort === `-${field}`;
+  const desc = sort === `-${field}`;
+
+  return (
+    <th style={style} aria-sort={active ? (desc ? 'descending' : 'ascending') : 'none'}>
+      <button
+        type="button"
+        className="th-sort"
+        onClick={() => onSort(active && !desc ? `-${field}` : field)} // If ascending already, flip to descending.
+      >
+        {children}
+        <span className="th-arrow" aria-hidden>{active ? (desc ? '▾' : '▴') : '↕'}</span>
+      </button>
+    </th>
+  );
+}
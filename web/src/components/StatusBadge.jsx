@@ -0,0 +1,32 @@
+/**
+ * ---------------- src/components/StatusBadge.jsx ----------------
+ *
+ * JavaScript/React Version: 18+
+ * Semantic badge for a vacation request's status.
+ * Shared by the employee and manager screens so both read the same labels.
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+/** Status → badge class + human label. */
+const STATUS = {
+  pending: { cls: 'badge badge-pending', label: 'Pending' },
+  approved: { cls: 'badge badge-accepted', label: 'Accepted' },
+  rejected: { cls: 'badge badge-denied', label: 'Denied' },
+  withdrawn: { cls: 'badge badge-muted', label: 'Withdrawn' },
+  cancellation_requested: { cls: 'badge badge-cancel-req', label: 'Cancellation requested' },
+  cancelled: { cls: 'badge badge-muted', label: 'Cancelled' },
+};
+
+/**
+ * StatusBadge
+ *
+ * @param {{status: 'pending'|'approved'|'rejected'|'withdrawn'|'cancellation_requested'|'cancelled'|string}} props
+ * @returns {JSX.Element}
+ */
+export default function StatusBadge({ status }) {
+  // If status key is unknown, fall back to a neutral badge showing raw status.
+  const v = STATUS[status] || { cls: 'badge', label: status };
+  return <span className={v.cls}>{v.label}</span>;
+}
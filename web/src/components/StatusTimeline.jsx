@@ -0,0 +1,58 @@
+/**
+ * ---------------- src/components/StatusTimeline.jsx ----------------
+ *
+ * JavaScript/React Version: 18+
+ * Status history of a vacation request (who moved it, when, and why).
+ * Shared by the employee row details and the manager history dialog.
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+import { useEffect, useState } from 'react';
+import { api } from '../api';
+import StatusBadge from './StatusBadge';
+
+/**
+ * StatusTimeline
+ * Fetches the timeline on mount and lists it oldest first.
+ *
+ * @param {{requestId:number, scope?:'me'|'admin'}} props
+ *        scope: 'me' reads through the owner's route, 'admin' through the manager's
+ * @returns {JSX.Element}
+ */
+export default function StatusTimeline({ requestId, scope = 'me' }) {
+  const [entries, setEntries] = useState(null);
+  const [err, setErr] = useState('');
+
+  useEffect(() => {
+    let active = true; // If the row collapses before the fetch returns, skip state updates.
+    const load = scope === 'admin' ? api.requestHistory : api.myRequestHistory;
+    load(requestId)
+      .then((rows) => active && setEntries(rows))
+      .catch((e) => active && setErr(e.message || 'Could not load history'));
+    return () => {
+      active = false;
+    };
+  }, [requestId, scope]);
+
+  if (err) return <div className="form-error">{err}</div>; // If loading failed, say so.
+  if (!entries) return <div className="timeline-empty">Loading history…</div>; // If still loading, show a hint.
+  if (entries.length === 0) return <div className="timeline-empty">No history recorded.</div>; // If created before history existed.
+
+  return (
+    <ol className="timeline">
+      {entries.map((h) => (
+        <li key={h.id}>
+          <StatusBadge status={h.to_status} />
+          <span className="timeline-meta">
+            {h.from_status ? 'by' : 'Submitted by'} <b>{h.actor_name || 'a former user'}</b>
+            {h.on_behalf_of_name && <> on behalf of <b>{h.on_behalf_of_name}</b></>} on{' '}
+            {new Date(`${h.created_at.replace(' ', 'T')}Z`).toLocaleString()}
+          </span>
+          {h.comment && <div className="emp-comment">“{h.comment}”</div>}
+        </li>
+      ))}
+    </ol>
+  );
+}
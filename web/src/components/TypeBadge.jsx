@@ -0,0 +1,28 @@
+/**
+ * ---------------- src/components/TypeBadge.jsx ----------------
+ *
+ * JavaScript/React Version: 18+
+ * Leave type label with the type's color dot, shown next to the status badge.
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+/**
+ * TypeBadge
+ * Renders nothing for requests without a type (created before types existed).
+ *
+ * @param {{name?:string|null, color?:string|null}} props
+ * @returns {JSX.Element|null}
+ */
+export default function TypeBadge({ name, color }) {
+  if (!name) { // If the request has no type, there is nothing to label.
+    return null;
+  }
+  return (
+    <span className="type-badge">
+      <span className="type-dot" style={{ background: color || '#8A8A8A' }} aria-hidden />
+      {name}
+    </span>
+  );
+}
@@ -0,0 +1,31 @@
+/**
+ * ---------------- src/hooks/useDebounced.js ----------------
+ *
+ * JavaScript/React Version: 18+
+ * Debounced copy of a value (e.g. a search box feeding a server query).
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+import { useEffect, useState } from 'react';
+
+/**
+ * useDebounced
+ * Returns `value` once it has stopped changing for `ms` milliseconds.
+ *
+ * @template T
+ * @param {T} value
+ * @param {number} [ms=300]
+ * @returns {T}
+ */
+export default function useDebounced(value, ms = 300) {
+  const [settled, setSettled] = useState(value);
+
+  useEffect(() => {
+    const t = setTimeout(() => setSettled(value), ms);
+    return () => clearTimeout(t); // If the value changes again first, restart the wait.
+  }, [value, ms]);
+
+  return settled;
+}
@@ -0,0 +1,33 @@
+/**
+ * ---------------- src/hooks/useLeaveTypes.js ----------------
+ *
+ * JavaScript/React Version: 18+
+ * Leave types (annual, sick, …) for selectors and filters.
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { api } from '../api';
+
+/**
+ * useLeaveTypes
+ * Loads the types once; `reload` refetches after the manager edits them.
+ *
+ * @param {boolean} [all=false] include archived types (manager screen)
+ * @returns {[Array<object>, () => Promise<void>]} types and reload
+ */
+export default function useLeaveTypes(all = false) {
+  const [types, setTypes] = useState([]);
+
+  const reload = useCallback(async () => {
+    setTypes(await api.leaveTypes(all));
+  }, [all]);
+
+  useEffect(() => {
+    reload().catch(() => setTypes([])); // If the list cannot load, selectors just stay empty.
+  }, [reload]);
+
+  return [types, reload];
+}
@@ -0,0 +1,33 @@
+/**
+ * ---------------- src/hooks/useTeams.js ----------------
+ *
+ * JavaScript/React Version: 18+
+ * Teams the signed-in manager runs (all teams for a manager without teams),
+ * for filters and team pickers.
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { api } from '../api';
+
+/**
+ * useTeams
+ * Loads the teams once; `reload` refetches after they are edited.
+ *
+ * @returns {[Array<object>, () => Promise<void>]} teams and reload
+ */
+export default function useTeams() {
+  const [teams, setTeams] = useState([]);
+
+  const reload = useCallback(async () => {
+    setTeams(await api.teams());
+  }, []);
+
+  useEffect(() => {
+    reload().catch(() => setTeams([])); // If the list cannot load, pickers just stay empty.
+  }, [reload]);
+
+  return [teams, reload];
+}
@@ -4,51 +4,72 @@
  * JavaScript/React Version: 18+
  * Employee home dashboard.
  * - Lists the signed-in employee's vacation requests
+ * - Yearly balance cards (used / pending / remaining days)
  * - Client-side search, status filter, and pagination
- * - Modal to create a new request
+ * - Leave type column and filter (annual, sick, …)
+ * - Modal to create a new request (type selector, live working-day preview, file uploads), reused to edit pending ones
+ * - The modal's month picker greys out blackout days and explains them; soft blackouts only warn
+ * - Row actions: edit/withdraw a pending request, ask to cancel an approved one
+ * - Decided rows expand to show the manager's comment, name and decision date; attachments are listed there too
+ * - Requests with an approval chain show which step they are at, and every step's decision in the details
  * - Account pill with sign-out menu
  *
  * Author: Christos Polimatidis
  * Date:   2025-11-01
  */
 
-import { useEffect, useMemo, useRef, useState } from 'react';
+import { Fragment, useCallback, useEffect, useRef, useState } from 'react';
 import { api } from '../api';
+import ApprovalSteps from '../components/ApprovalSteps';
+import Attachments from '../components/Attachments';
+import BlackoutCalendar from '../components/BlackoutCalendar';
 import Brand from '../components/Brand';
+import CalendarFeeds from '../components/CalendarFeeds';
+import ExportButtons from '../components/ExportButtons';
+import LeaveDates from '../components/LeaveDates';
+import NotificationBell from '../components/NotificationBell';
+import Pager from '../components/Pager';
+import SortableTh from '../components/SortableTh';
+import StatusBadge from '../components/StatusBadge';
+import StatusTimeline from '../components/StatusTimeline';
+import TypeBadge from '../components/TypeBadge';
 import { useAuth } from '../AuthContext';
+import { Link, useSearchParams } from 'react-router-dom';
+import useDebounced from '../hooks/useDebounced';
+import useLeaveTypes from '../hooks/useLeaveTypes';
+import { toDMY } from '../utils/dates';
 
 /**
- * toDMY
- * Convert "YYYY-MM-DD" to "DD-MM-YYYY" for display.
+ * BalanceCards
+ * Summary cards for the current year's leave balance.
  *
- * @param {string} s ISO-like date string (YYYY-MM-DD).
- * @returns {string} Formatted "DD-MM-YYYY" or empty string when falsy input.
+ * @param {{balance: {year:number, allowance:number, used:number, pending:number, remaining:number}|null}} props
+ * @returns {JSX.Element|null}
  */
-const toDMY = (s) => {
-  if (!s) { // If no string provided, return empty to avoid "undefined".
-    return '';
+function BalanceCards({ balance }) {
+  if (!balance) { // If balance not loaded yet, render nothing rather than zeros.
+    return null;
   }
-  const [y, m, d] = String(s).split('-');
-  return [d, m, y].join('-');
-};
 
-/**
- * StatusBadge
- * Semantic badge for request status.
- *
- * @param {{status: 'pending'|'approved'|'rejected'|string}} props
- * @returns {JSX.Element}
- */
-function StatusBadge({ status }) {
-  const map = {
-    pending: { cls: 'badge badge-pending', label: 'Pending' },
-    approved: { cls: 'badge badge-accepted', label: 'Accepted' },
-    rejected: { cls: 'badge badge-denied', label: 'Denied' },
-  };
+  const cards = [
+    { key: 'used', label: 'Used', value: balance.used },
+    { key: 'pending', label: 'Pending', value: balance.pending },
+    { key: 'remaining', label: 'Remaining', value: balance.remaining },
+  ];
 
-  // If status key is unknown, fall back to a neutral badge showing raw status.
-  const v = map[status] || { cls: 'badge', label: status };
-  return <span className={v.cls}>{v.label}</span>;
+  return (
+    <div className="emp-cards">
+      {cards.map((c) => (
+        <div key={c.key} className={`emp-card emp-card-${c.key}`}>
+          <div className="emp-card-label">{c.label}</div>
+          <div className="emp-card-value">{c.value}</div>
+          <div className="emp-card-hint">
+            of {balance.allowance} days in {balance.year}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
 }
 
 /**
@@ -194,6 +215,10 @@ function HeaderUserWithMenu() {
             <div style={{ fontSize: 12, color: '#6b6b6b', marginBottom: 8 }}>
               Signed in as <b style={{ color: '#2f6b4f' }}>{name}</b>
             </div>
+            {/* Profile page: account details + notification preferences */}
+            <Link to="/profile" role="menuitem" className="menu-link">
+              Profile &amp; notifications
+            </Link>
             <button
               onClick={handleSignOut}
               style={{
@@ -217,80 +242,171 @@ function HeaderUserWithMenu() {
   );
 }
 
+/** Rows per page and the default sort (newest submission first). */
+const PAGE_SIZE = 5;
+const DEFAULT_SORT = '-submitted';
+
 /**
  * EmployeeHome
  * Main screen for employees: list + filter + pagination + "Create Request" modal.
+ * Filtering, sorting and paging happen on the server; only the visible page is fetched.
  *
  * State:
- * - items: fetched requests
- * - q: search query
- * - fStatus: status filter (all|pending|approved|rejected)
- * - page/pageSize: pagination state
+ * - data: current page envelope { items, total }
+ * - balance: current year's allowance summary
+ * - q: search query (sent debounced)
+ * - fStatus: status filter (all|pending|approved|rejected|withdrawn|cancellation_requested|cancelled)
+ * - fType: leave type id filter ('' = any type)
+ * - dateFrom/dateTo: only leave overlapping this range
+ * - sort: API sort key ("-submitted" = newest first)
+ * - actionErr: last failed row action message
+ * - page: current page (PAGE_SIZE rows each)
  * - showNew: toggles creation modal
+ * - editing: pending request open in the modal's edit mode (or null)
+ * - expanded: id of the row whose details and status history are shown
+ * - highlight: row briefly highlighted after a notification jump (?focus=<id>)
  */
 export default function EmployeeHome() {
-  const [items, setItems] = useState([]);
+  const [data, setData] = useState({ items: [], total: 0 });
+  const [balance, setBalance] = useState(null);
   const [q, setQ] = useState('');
+  const search = useDebounced(q.trim());
   const [fStatus, setFStatus] = useState('all');
+  const [fType, setFType] = useState('');
+  const [types] = useLeaveTypes();
+  const [dateFrom, setDateFrom] = useState('');
+  const [dateTo, setDateTo] = useState('');
+  const [sort, setSort] = useState(DEFAULT_SORT);
   const [page, setPage] = useState(1);
-  const pageSize = 5;
   const [showNew, setShowNew] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [actionErr, setActionErr] = useState('');
+  const [highlight, setHighlight] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const focusId = Number(searchParams.get('focus')) || null;
 
   /** load
-   * Fetch the current user's requests from the API.
+   * Fetch the visible page of the current user's requests and the yearly balance.
    */
-  const load = async () => setItems(await api.myRequests());
+  const load = useCallback(async () => {
+    const [res, bal] = await Promise.all([
+      api.myRequests({
+        page,
+        per_page: PAGE_SIZE,
+        sort,
+        q: search,
+        status: fStatus === 'all' ? '' : fStatus,
+        type: fType,
+        date_from: dateFrom,
+        date_to: dateTo,
+      }),
+      api.myBalance(),
+    ]);
+    setData(res);
+    setBalance(bal);
+  }, [page, sort, search, fStatus, fType, dateFrom, dateTo]);
 
   useEffect(() => {
-    load(); // On initial mount, load data once.
-  }, []);
+    load(); // Refetch whenever the page, sort or a filter changes.
+  }, [load]);
 
   /**
-   * filtered
-   * Apply search + status filtering memoized by inputs.
+   * Notification jump: clear filters, ask the server which page holds the request,
+   * open that page, expand and highlight the row, then drop ?focus.
    */
-  const filtered = useMemo(() => {
-    const term = q.trim().toLowerCase();
-
-    return items.filter((r) => {
-      if (fStatus !== 'all' && r.status !== fStatus) { // If status filter active and does not match, drop.
-        return false;
-      }
-      if (!term) { // If no search term, keep item.
-        return true;
+  useEffect(() => {
+    if (!focusId) { // If no jump is pending, nothing to do.
+      return undefined;
+    }
+    let active = true;
+    api.myRequests({ focus: focusId, per_page: PAGE_SIZE, sort: DEFAULT_SORT }).then((res) => {
+      if (!active) return;
+      setQ('');
+      setFStatus('all');
+      setFType('');
+      setDateFrom('');
+      setDateTo('');
+      setSort(DEFAULT_SORT);
+      setPage(res.page);
+      if (res.items.some((r) => r.id === focusId)) { // If the request still exists, bring it into view.
+        setExpanded(focusId);
+        setHighlight(focusId);
       }
-
-      // Construct a search haystack using reason, date range, and submitted date.
-      const hay = [
-        r.reason,
-        r.date_from,
-        r.date_to,
-        new Date(r.submitted_at).toLocaleDateString(),
-      ]
-        .join(' ')
-        .toLowerCase();
-
-      return hay.includes(term); // If haystack contains term, keep item.
+      setSearchParams({}, { replace: true });
+    }).catch((e) => {
+      if (!active) return;
+      setActionErr(e.message || 'Could not open the request'); // If the lookup failed, say so and stay on the current page.
+      setSearchParams({}, { replace: true });
     });
-  }, [items, q, fStatus]);
+    return () => {
+      active = false;
+    };
+  }, [focusId, setSearchParams]);
+
+  useEffect(() => {
+    if (!highlight) { // If nothing is highlighted, there is nothing to scroll to.
+      return undefined;
+    }
+    document.getElementById(`req-${highlight}`)?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    const t = setTimeout(() => setHighlight(null), 4000); // Fade the highlight after a few seconds.
+    return () => clearTimeout(t);
+  }, [highlight, page]);
+
+  /**
+   * rowAction
+   * Withdraw a pending request or ask to cancel an approved one, then refresh.
+   *
+   * @param {object} r    Request row.
+   * @param {'withdraw'|'cancel'} type Action to perform.
+   */
+  const rowAction = async (r, type) => {
+    const prompt = type === 'withdraw'
+      ? 'Withdraw this pending request?'
+      : 'Ask your manager to cancel this approved leave?';
+    if (!window.confirm(prompt)) { // If the user backs out, do nothing.
+      return;
+    }
+
+    setActionErr('');
+    try {
+      if (type === 'withdraw') {
+        await api.deleteRequest(r.id);
+      } else {
+        await api.requestCancellation(r.id);
+      }
+      await load();
+    } catch (e) {
+      setActionErr(e.message || 'Action failed'); // If the server refused (e.g. status changed), explain why.
+    }
+  };
 
-  /** Compute page count and slice current page items. */
-  const totalPages = Math.max(1, Math.ceil(filtered.length / pageSize));
-  const pageItems = filtered.slice((page - 1) * pageSize, page * pageSize);
+  /** Rows of the current page and the page count for the current filters. */
+  const pageItems = data.items;
+  const totalPages = Math.max(1, Math.ceil(data.total / PAGE_SIZE));
 
   useEffect(() => {
-    if (page > totalPages) { // If current page exceeds total after filtering, clamp to last page.
+    if (page > totalPages) { // If rows disappeared (e.g. after a withdrawal), clamp to the last page.
       setPage(totalPages);
     }
   }, [totalPages, page]);
 
+  /** Change the sort and go back to the first page. */
+  const onSort = (next) => {
+    setSort(next);
+    setPage(1);
+  };
+
   return (
     <div className="auth-page">
       <div className="auth-card" style={{ width: 'min(980px,96vw)' }}>
         <div className="emp-header">
           <Brand />
           <div style={{ display: 'grid', gap: 10, textAlign: 'right' }}>
-            <HeaderUserWithMenu />
+            <div className="header-actions">
+              <NotificationBell />
+              <HeaderUserWithMenu />
+            </div>
             <div>
               {/* Opens the Create Request modal */}
               <button className="emp-new" onClick={() => setShowNew(true)}>
@@ -304,8 +420,11 @@ export default function EmployeeHome() {
           My Requests
         </h1>
 
-        {/* Toolbar: search + status filter (both reset page to 1 on change) */}
-        <div className="emp-toolbar">
+        {/* Yearly balance summary */}
+        <BalanceCards balance={balance} />
+
+        {/* Toolbar: search + status and type filters + date range (all reset page to 1 on change) */}
+        <div className="emp-toolbar emp-toolbar-range">
           <input
             className="emp-input"
             placeholder="Search"
@@ -327,35 +446,142 @@ export default function EmployeeHome() {
             <option value="pending">Pending</option>
             <option value="approved">Accepted</option>
             <option value="rejected">Denied</option>
+            <option value="withdrawn">Withdrawn</option>
+            <option value="cancellation_requested">Cancellation requested</option>
+            <option value="cancelled">Cancelled</option>
+          </select>
+          <select
+            className="emp-select"
+            value={fType}
+            onChange={(e) => {
+              setFType(e.target.value); // Update type filter.
+              setPage(1);
+            }}
+          >
+            <option value="">All types</option>
+            {types.map((t) => (
+              <option key={t.id} value={t.id}>{t.name}</option>
+            ))}
           </select>
+          <input
+            className="emp-input"
+            type="date"
+            title="Leave on or after"
+            value={dateFrom}
+            onChange={(e) => {
+              setDateFrom(e.target.value);
+              setPage(1);
+            }}
+          />
+          <input
+            className="emp-input"
+            type="date"
+            title="Leave on or before"
+            value={dateTo}
+            onChange={(e) => {
+              setDateTo(e.target.value);
+              setPage(1);
+            }}
+          />
         </div>
 
+        {/* Download of everything matching the toolbar (not just this page) */}
+        <ExportButtons
+          onExport={(format) =>
+            api.exportMyRequests(format, {
+              sort,
+              q: search,
+              status: fStatus === 'all' ? '' : fStatus,
+              type: fType,
+              date_from: dateFrom,
+              date_to: dateTo,
+            })
+          }
+        />
+
+        {actionErr && <div className="form-error" style={{ marginBottom: 10 }}>{actionErr}</div>}
+
         {/* Requests table */}
         <table className="emp-table">
           <thead>
             <tr>
-              <th>Submit</th>
-              <th>Dates</th>
+              <SortableTh field="submitted" sort={sort} onSort={onSort}>Submit</SortableTh>
+              <SortableTh field="date_from" sort={sort} onSort={onSort}>Dates</SortableTh>
+              <SortableTh field="type" sort={sort} onSort={onSort}>Type</SortableTh>
               <th>Reason</th>
-              <th>Status</th>
+              <SortableTh field="status" sort={sort} onSort={onSort}>Status</SortableTh>
+              <th>Actions</th>
             </tr>
           </thead>
           <tbody>
-            {pageItems.map((r) => (
-              <tr key={r.id}>
-                <td style={{ width: 150 }}>
-                  {new Date(r.submitted_at).toLocaleDateString()}
-                </td>
-                <td style={{ width: 220 }}>
-                  <div>{toDMY(r.date_from)}</div>
-                  <div>{toDMY(r.date_to)}</div>
-                </td>
-                <td>{r.reason}</td>
-                <td style={{ width: 160 }}>
-                  <StatusBadge status={r.status} />
-                </td>
-              </tr>
-            ))}
+            {pageItems.map((r) => {
+              const decided = Boolean(r.decided_at); // If a manager decided, show who and why.
+              const open = expanded === r.id;
+              return (
+                <Fragment key={r.id}>
+                  <tr
+                    id={`req-${r.id}`}
+                    className={highlight === r.id ? 'emp-row-expandable row-focus' : 'emp-row-expandable'}
+                    onClick={() => setExpanded(open ? null : r.id)} // Toggle details and history.
+                    aria-expanded={open}
+                  >
+                    <td style={{ width: 150 }}>
+                      {new Date(r.submitted_at).toLocaleDateString()}
+                    </td>
+                    <td style={{ width: 220 }}>
+                      <LeaveDates request={r} />
+                    </td>
+                    <td style={{ width: 140 }}>
+                      <TypeBadge name={r.type_name} color={r.type_color} />
+                    </td>
+                    <td>{r.reason}</td>
+                    <td style={{ width: 160 }}>
+                      <StatusBadge status={r.status} />
+                      <span className="emp-chevron" aria-hidden>{open ? '▴' : '▾'}</span>
+                      {r.status === 'pending' && <ApprovalSteps steps={r.steps} compact />}
+                    </td>
+                    <td style={{ width: 150 }} onClick={(e) => e.stopPropagation() /* If an action is clicked, do not toggle the row. */}>
+                      {r.status === 'pending' && ( // If still pending, it can be edited or withdrawn outright.
+                        <div style={{ display: 'grid', gap: 6 }}>
+                          <button className="btn btn-secondary" onClick={() => setEditing(r)}>
+                            Edit
+                          </button>
+                          <button className="btn btn-secondary" onClick={() => rowAction(r, 'withdraw')}>
+                            Withdraw
+                          </button>
+                        </div>
+                      )}
+                      {r.status === 'approved' && ( // If approved, a manager must confirm the cancellation.
+                        <button className="btn btn-secondary" onClick={() => rowAction(r, 'cancel')}>
+                          Cancel leave
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                  {open && (
+                    <tr className="emp-detail">
+                      <td colSpan={6}>
+                        {decided && (
+                          <>
+                            <div>
+                              Decided by <b>{r.decided_by_name || 'a former manager'}</b>
+                              {r.decided_for_name && <> on behalf of <b>{r.decided_for_name}</b></>} on{' '}
+                              {new Date(`${r.decided_at.replace(' ', 'T')}Z`).toLocaleDateString()}
+                            </div>
+                            <div className="emp-comment">
+                              {r.decision_comment ? `“${r.decision_comment}”` : 'No comment left.'}
+                            </div>
+                          </>
+                        )}
+                        <ApprovalSteps steps={r.steps} />
+                        {r.attachment_count > 0 && <Attachments requestId={r.id} />}
+                        <StatusTimeline requestId={r.id} />
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              );
+            })}
           </tbody>
         </table>
 
@@ -372,42 +598,25 @@ export default function EmployeeHome() {
         <div className="emp-sep" />
 
         {/* Pagination controls */}
-        <div className="emp-pages">
-          <button
-            className="emp-page"
-            onClick={() => setPage((p) => Math.max(1, p - 1))} // If not on first page, go back one.
-          >
-            &lsaquo;
-          </button>
+        <Pager page={page} total={data.total} perPage={PAGE_SIZE} onPage={setPage} />
 
-          {Array.from({ length: totalPages }, (_, i) => i + 1).map((n) => (
-            <button
-              key={n}
-              className="emp-page"
-              aria-current={n === page}
-              onClick={() => setPage(n)} // If clicked, switch to page n.
-            >
-              {n}
-            </button>
-          ))}
-
-          <button
-            className="emp-page"
-            onClick={() => setPage((p) => Math.min(totalPages, p + 1))} // If not on last page, go forward one.
-          >
-            &rsaquo;
-          </button>
-        </div>
+        {/* Calendar app subscription (.ics) of approved leave */}
+        <div className="emp-sep" />
+        <CalendarFeeds scopes={['personal']} />
       </div>
 
-      {/* Mount the create modal when showNew === true */}
-      {showNew && (
+      {/* Mount the create modal when showNew === true, or in edit mode for a pending row */}
+      {(showNew || editing) && (
         <CreateRequestModal
+          request={editing}
+          types={types}
           onClose={() => {
             setShowNew(false); // If closed, hide the modal.
+            setEditing(null);
           }}
           onCreated={async () => {
-            setShowNew(false); // If created successfully, hide the modal
+            setShowNew(false); // If created/saved successfully, hide the modal
+            setEditing(null);
             await load(); // and refresh the list.
           }}
         />
@@ -416,18 +625,157 @@ export default function EmployeeHome() {
   );
 }
 
+/**
+ * halvesFor
+ * Half-day flags to send for a form: on a single day the first-day choice applies to both ends.
+ *
+ * @param {{date_from:string,date_to:string,start_half:string,end_half:string}} f
+ * @returns {{start_half:string,end_half:string}} '' = whole day
+ */
+const halvesFor = (f) =>
+  f.date_from && f.date_from === f.date_to
+    ? { start_half: f.start_half, end_half: f.start_half }
+    : { start_half: f.start_half, end_half: f.end_half };
+
 /**
  * CreateRequestModal
- * Simple modal to post a new request.
+ * Simple modal to post a new request, or edit a pending one when `request` is given.
+ * Previews the working-day count (weekends and public holidays excluded, half days = 0.5) as the
+ * dates change, and explains the rules of the chosen leave type.
+ * Half days: a single day can be a morning or an afternoon; longer leave can start in the
+ * afternoon and/or end in the morning.
+ * Files are uploaded as soon as they are picked and linked to the request on save; removing a file
+ * that is already part of the request deletes it right away.
  *
  * Props:
- * - onClose(): close modal without creating
- * - onCreated(): callback after creation for parent to refresh
+ * - request: pending request row to edit (omit/null to create)
+ * - types: active leave types (the first one is preselected for new requests)
+ * - onClose(): close modal without saving
+ * - onCreated(): callback after create/save for parent to refresh
  */
-function CreateRequestModal({ onClose, onCreated }) {
-  const [form, setForm] = useState({ date_from: '', date_to: '', reason: '' });
+function CreateRequestModal({ request, types, onClose, onCreated }) {
+  const isEdit = Boolean(request);
+  const [form, setForm] = useState({
+    leave_type_id: request?.leave_type_id || types[0]?.id || '',
+    date_from: request?.date_from || '',
+    date_to: request?.date_to || '',
+    start_half: request?.start_half || '',
+    end_half: request?.end_half || '',
+    reason: request?.reason || '',
+  });
+  const singleDay = Boolean(form.date_from) && form.date_from === form.date_to;
+  const { start_half: startHalf, end_half: endHalf } = halvesFor(form);
+  const type = types.find((t) => t.id === Number(form.leave_type_id));
   const [err, setErr] = useState('');
+  const [conflict, setConflict] = useState(''); // 409 message: overlaps an existing request
+  const [policy, setPolicy] = useState(''); // 422 message: the leave policy rule the request breaks
   const [busy, setBusy] = useState(false);
+  const [preview, setPreview] = useState(null); // { working_days, holidays } | { error }
+  const [files, setFiles] = useState([]); // attachments: already linked (edit) + uploaded in this session
+  const [uploading, setUploading] = useState(false);
+  const [blackouts, setBlackouts] = useState([]); // periods that apply to the user (GET /blackouts)
+
+  // Blackouts that touch the chosen range: hard ones block submitting, soft ones only warn.
+  const hits = blackouts.filter((b) => form.date_from && form.date_to && b.date_to >= form.date_from && b.date_from <= form.date_to);
+  const blocked = hits.filter((b) => !b.soft);
+
+  useEffect(() => {
+    let active = true;
+    api
+      .blackouts()
+      .then((rows) => active && setBlackouts(rows))
+      .catch(() => active && setBlackouts([])); // If unavailable, the server still refuses hard blackouts on submit.
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!isEdit) return undefined; // If creating, there are no files yet.
+
+    let active = true;
+    api
+      .requestAttachments(request.id)
+      .then((rows) => active && setFiles((cur) => [...rows, ...cur]))
+      .catch((e) => active && setErr(e.message || 'Could not load attachments'));
+    return () => {
+      active = false;
+    };
+  }, [isEdit, request?.id]);
+
+  useEffect(() => {
+    if (!form.date_from || !form.date_to) { // If either date missing, there is nothing to preview.
+      setPreview(null);
+      return undefined;
+    }
+
+    let active = true; // If the dates change again before we answer, drop the stale response.
+    api
+      .workingDays(form.date_from, form.date_to, { start_half: startHalf, end_half: endHalf })
+      .then((res) => active && setPreview(res))
+      .catch((e) => active && setPreview({ error: e.message || 'Invalid range' }));
+
+    return () => {
+      active = false;
+    };
+  }, [form.date_from, form.date_to, startHalf, endHalf]);
+
+  /**
+   * setDate
+   * Change one date and drop half-day choices the new range no longer allows
+   * (e.g. "morning" on the first day once the leave spans several days).
+   */
+  const setDate = (key, value) => setDates({ [key]: value });
+
+  /**
+   * setDates
+   * Change both dates at once (month picker), with the same half-day cleanup as setDate.
+   */
+  const setDates = (dates) => {
+    const next = { ...form, ...dates };
+    if (next.date_from !== next.date_to) { // If several days, only an afternoon start and a morning end make sense.
+      if (next.start_half === 'am') next.start_half = '';
+      if (next.end_half === 'pm') next.end_half = '';
+    }
+    setForm(next);
+  };
+
+  /**
+   * upload
+   * Send picked files one by one; each becomes a staged attachment until the request is saved.
+   */
+  const upload = async (e) => {
+    const picked = Array.from(e.target.files || []);
+    e.target.value = ''; // Allow picking the same file again after removing it.
+    if (picked.length === 0) return; // If the dialog was cancelled, nothing to do.
+
+    setErr('');
+    setUploading(true);
+    try {
+      for (const file of picked) {
+        const saved = await api.uploadAttachment(file);
+        setFiles((cur) => [...cur, saved]);
+      }
+    } catch (e2) {
+      setErr(e2.message || 'Upload failed');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  /**
+   * removeFile
+   * Delete an attachment (staged or already linked) and drop it from the list.
+   */
+  const removeFile = async (file) => {
+    setErr('');
+    try {
+      await api.deleteAttachment(file.id);
+      setFiles((cur) => cur.filter((f) => f.id !== file.id));
+    } catch (e) {
+      setErr(e.message || 'Could not remove the file');
+    }
+  };
 
   /**
    * submit
@@ -437,6 +785,8 @@ function CreateRequestModal({ onClose, onCreated }) {
     e?.preventDefault?.(); // If event exists, prevent native form submit.
 
     setErr(''); // Clear any prior error.
+    setConflict('');
+    setPolicy('');
 
     if (!form.date_from || !form.date_to || !form.reason.trim()) { // If any field missing, show error and stop.
       setErr('Please fill all fields');
@@ -446,10 +796,26 @@ function CreateRequestModal({ onClose, onCreated }) {
     setBusy(true);
 
     try {
-      await api.createRequest(form); // Send POST /me/requests
+      const payload = {
+        ...form,
+        start_half: startHalf,
+        end_half: endHalf,
+        attachment_ids: files.filter((f) => !f.request_id).map((f) => f.id), // Only uploads not linked yet.
+      };
+      if (isEdit) { // If editing, send PUT /me/requests/:id; otherwise POST /me/requests.
+        await api.updateRequest(request.id, payload);
+      } else {
+        await api.createRequest(payload);
+      }
       await onCreated?.(); // If parent provided a callback, invoke it.
     } catch (e) {
-      setErr(e.message || 'Failed to create'); // If server/JS error, surface message.
+      if (e.status === 409) { // If the request clashes with existing leave/state, show the conflict banner.
+        setConflict(e.message);
+      } else if (e.status === 422) { // If a leave policy refuses it, show which rule.
+        setPolicy(e.message);
+      } else {
+        setErr(e.message || (isEdit ? 'Failed to save' : 'Failed to create')); // If server/JS error, surface message.
+      }
     } finally {
       setBusy(false); // Always clear busy flag at the end.
     }
@@ -463,21 +829,50 @@ function CreateRequestModal({ onClose, onCreated }) {
       >
         <Brand />
         <h2 className="auth-title" style={{ marginTop: 0 }}>
-          Create Request
+          {isEdit ? 'Edit Request' : 'Create Request'}
         </h2>
 
         {/* onSubmit delegates to submit() for validation + API call */}
         <form onSubmit={submit}>
           <div className="modal-grid">
+            <div className="full">
+              <div className="label">Leave type</div>
+              <select
+                className="input"
+                value={form.leave_type_id}
+                onChange={(e) => setForm({ ...form, leave_type_id: Number(e.target.value) })}
+              >
+                {types.map((t) => (
+                  <option key={t.id} value={t.id}>{t.name}</option>
+                ))}
+              </select>
+              {type && ( // If a type is chosen, say how it is handled.
+                <div className="emp-days type-hint">
+                  {type.counts_allowance ? 'Deducted from your allowance.' : 'Not deducted from your allowance.'}
+                  {type.needs_approval ? ' Needs manager approval.' : ' Approved automatically.'}
+                  {type.needs_attachment && ' A supporting document is expected.'}
+                </div>
+              )}
+            </div>
             <div>
               <div className="label">Date From</div>
               <input
                 className="input"
                 type="date"
                 value={form.date_from}
-                onChange={(e) => setForm({ ...form, date_from: e.target.value })}
+                onChange={(e) => setDate('date_from', e.target.value)}
                 placeholder="DD-MM-YYYY"
               />
+              <select
+                className="input half-select"
+                aria-label="First day"
+                value={form.start_half}
+                onChange={(e) => setForm({ ...form, start_half: e.target.value })}
+              >
+                <option value="">Whole day</option>
+                {singleDay && <option value="am">Morning only</option>}
+                <option value="pm">{singleDay ? 'Afternoon only' : 'From the afternoon'}</option>
+              </select>
             </div>
             <div>
               <div className="label">Date To</div>
@@ -485,10 +880,61 @@ function CreateRequestModal({ onClose, onCreated }) {
                 className="input"
                 type="date"
                 value={form.date_to}
-                onChange={(e) => setForm({ ...form, date_to: e.target.value })}
+                onChange={(e) => setDate('date_to', e.target.value)}
                 placeholder="DD-MM-YYYY"
               />
+              {!singleDay && ( // If a single day, the first-day choice covers it.
+                <select
+                  className="input half-select"
+                  aria-label="Last day"
+                  value={form.end_half}
+                  onChange={(e) => setForm({ ...form, end_half: e.target.value })}
+                >
+                  <option value="">Whole day</option>
+                  <option value="am">Until midday</option>
+                </select>
+              )}
+            </div>
+
+            <div className="full">
+              <BlackoutCalendar
+                from={form.date_from}
+                to={form.date_to}
+                blackouts={blackouts}
+                onPick={(from, to) => setDates({ date_from: from, date_to: to })}
+              />
             </div>
+
+            {/* Blackouts in the chosen range: hard ones are refused (422), soft ones are a heads-up */}
+            {hits.length > 0 && (
+              <div className="full">
+                {hits.map((b) => (
+                  <div key={b.id} className={b.soft ? 'bo-warning' : 'form-error'}>
+                    {b.soft ? 'Leave is discouraged during' : 'No leave can be taken during'} {b.name}
+                    {' '}({toDMY(b.date_from)} – {toDMY(b.date_to)}{b.team_name ? `, ${b.team_name}` : ''}).
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* Live working-day preview (server-computed, same rules as submit) */}
+            {preview && (
+              <div className="full">
+                {preview.error ? (
+                  <div className="form-error">{preview.error}</div>
+                ) : (
+                  <div className="emp-preview">
+                    <b>{preview.working_days}</b> working day{preview.working_days === 1 ? '' : 's'}
+                    {preview.holidays.length > 0 && (
+                      <span className="emp-days">
+                        {' '}(excludes {preview.holidays.map((h) => `${h.name} ${toDMY(h.date)}`).join(', ')})
+                      </span>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+
             <div className="full">
               <div className="label">Reason</div>
               <textarea
@@ -499,14 +945,49 @@ function CreateRequestModal({ onClose, onCreated }) {
                 onChange={(e) => setForm({ ...form, reason: e.target.value })}
               />
             </div>
+
+            <div className="full">
+              <div className="label">
+                Attachments{type?.needs_attachment && <span className="emp-days"> (required for {type.name})</span>}
+              </div>
+              <Attachments files={files} onRemove={removeFile} />
+              <label className="history-btn attachment-pick">
+                {uploading ? 'Uploading…' : 'Add files'}
+                <input
+                  type="file"
+                  multiple
+                  accept=".pdf,.jpg,.jpeg,.png,application/pdf,image/jpeg,image/png"
+                  disabled={uploading}
+                  onChange={upload}
+                  hidden
+                />
+              </label>
+              <span className="emp-days"> PDF, JPG or PNG.</span>
+            </div>
           </div>
 
+          {/* Overlap conflict banner (409) */}
+          {conflict && (
+            <div className="form-conflict" role="alert">
+              <b>This request conflicts with your existing requests.</b>
+              <div>{conflict}.</div>
+            </div>
+          )}
+
+          {/* Leave policy banner (422) */}
+          {policy && (
+            <div className="form-conflict" role="alert">
+              <b>This request breaks a leave policy.</b>
+              <div>{policy}</div>
+            </div>
+          )}
+
           {/* Error message area */}
           {err && <div style={{ color: 'crimson', fontWeight: 700, marginTop: 6 }}>{err}</div>}
 
           <div className="modal-actions">
-            <button type="submit" className="btn btn-primary" disabled={busy /* If busy, disable submit. */}>
-              Create Request
+            <button type="submit" className="btn btn-primary" disabled={busy || uploading || blocked.length > 0 /* If busy, uploading or inside a hard blackout, disable submit. */}>
+              {isEdit ? 'Save Changes' : 'Create Request'}
             </button>
             <button type="button" className="btn btn-secondary" onClick={onClose /* If cancel, close modal. */}>
               <span className="icon-x">×</span>
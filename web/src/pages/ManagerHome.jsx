@@ -1,14 +1,91 @@
-import { useEffect, useMemo, useRef, useState } from 'react'
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import { api } from '../api'
+import ApprovalSteps from '../components/ApprovalSteps'
+import Attachments from '../components/Attachments'
 import Brand from '../components/Brand'
+import CalendarFeeds from '../components/CalendarFeeds'
+import ExportButtons from '../components/ExportButtons'
+import LeaveDates from '../components/LeaveDates'
+import NotificationBell from '../components/NotificationBell'
+import Pager from '../components/Pager'
+import SortableTh from '../components/SortableTh'
+import StatusBadge from '../components/StatusBadge'
+import StatusTimeline from '../components/StatusTimeline'
+import TypeBadge from '../components/TypeBadge'
 import { useAuth } from '../AuthContext'
+import { Link, useSearchParams } from 'react-router-dom'
+import useDebounced from '../hooks/useDebounced'
+import useLeaveTypes from '../hooks/useLeaveTypes'
+import useTeams from '../hooks/useTeams'
+import { toDMY } from '../utils/dates'
 
-// Utils
-const toDMY = (s) => {
-  if (!s) return ''
-  const [y,m,d] = String(s).split('-'); return [d,m,y].join('-')
+/* Requester's remaining days vs allowance for the request's year */
+function BalanceHint({ balance }) {
+  if (!balance) return null
+  const low = balance.remaining < 0
+  return (
+    <span title={`Used ${balance.used}, pending ${balance.pending} of ${balance.allowance} (${balance.year})`}
+          style={{fontSize:13, fontWeight:700, color: low ? '#E0433B' : '#535353', alignSelf:'center', whiteSpace:'nowrap'}}>
+      {balance.remaining}/{balance.allowance} days left
+    </span>
+  )
+}
+
+/* Other people absent during a pending request's range, shown before approving */
+function ConflictHint({ conflicts }) {
+  if (!conflicts?.length) return null
+  return (
+    <details className="conflict-hint">
+      <summary title="Others absent during these dates">⚠ {conflicts.length} out</summary>
+      <ul>
+        {conflicts.map(c => (
+          <li key={c.request_id}>
+            <b>{c.user_name}</b> {toDMY(c.date_from)} → {toDMY(c.date_to)}{c.status === 'pending' ? ' (pending)' : ''}
+          </li>
+        ))}
+      </ul>
+    </details>
+  )
+}
+
+/* Days approving a pending request would take a team below its minimum staffing */
+function CoverageHint({ coverage }) {
+  if (!coverage?.length) return null
+  const days = new Set(coverage.map(c => c.date)).size
+  return (
+    <details className="conflict-hint coverage-hint">
+      <summary title="Approving would leave too few people on these days">⚠ Short {days} day{days === 1 ? '' : 's'}</summary>
+      <CoverageList coverage={coverage} />
+    </details>
+  )
+}
+
+/* One line per breached day: group, who would be left and who is already off */
+function CoverageList({ coverage }) {
+  return (
+    <ul className="coverage-list">
+      {coverage.map(c => (
+        <li key={`${c.date}-${c.group}`}>
+          <b>{new Date(`${c.date}T00:00:00`).toLocaleDateString(undefined, { weekday:'short' })} {toDMY(c.date)}</b>
+          {' '}{c.group}: {c.present} of {c.minimum} present
+          {c.away.length > 0 && <span className="emp-days"> (off: {c.away.join(', ')})</span>}
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+/* Where a request with approval steps stands for the signed-in manager */
+function StepHint({ request }) {
+  const open = request.steps?.find(s => s.status === 'pending')
+  if (!open) return null
+  const mine = request.awaiting === 'you'
+  return (
+    <span className={`step-hint ${mine ? 'step-hint-you' : 'step-hint-others'}`}>
+      {mine ? 'Awaiting your step' : 'Awaiting others'}: {open.label} ({open.position}/{request.steps.length})
+    </span>
+  )
 }
-const clamp = (n, a, b) => Math.max(a, Math.min(b, n))
 
 /* ---------- Common pills ---------- */
 function PillBtn({ variant='green', disabled, children, ...props }) {
@@ -32,6 +109,7 @@ function HeaderWithUser({ right, title }) {
   const { user, signOut, logout } = useAuth();
   const doLogout = signOut || logout;
   const [open, setOpen] = useState(false);
+  const [delegating, setDelegating] = useState(false);
   const ref = useRef(null);
 
   useEffect(() => {
@@ -69,18 +147,21 @@ function HeaderWithUser({ right, title }) {
       <div className="emp-header">
         <Brand />
         <div style={{display:'grid', gap:10, textAlign:'right', position:'relative'}} ref={ref}>
-          <button
-            onClick={()=>setOpen(v=>!v)}
-            style={{display:'inline-flex', alignItems:'center', gap:10, padding:'6px 12px',
-                    background:'#eef6f1', border:'1px solid #d9e7df', borderRadius:999, cursor:'pointer'}}
-            aria-haspopup="menu" aria-expanded={open} title="Account"
-          >
-            <span style={{width:28, height:28, borderRadius:'50%', display:'grid', placeItems:'center',
-                          fontWeight:800, background:'linear-gradient(135deg,#2f6b4f,#56a37d)', color:'#fff'}}>
-              {initial}
-            </span>
-            <span className="emp-user" style={{ fontWeight:700, color:'#2f2f2f', letterSpacing:.2 }}>{name}</span>
-          </button>
+          <div className="header-actions">
+            <NotificationBell />
+            <button
+              onClick={()=>setOpen(v=>!v)}
+              style={{display:'inline-flex', alignItems:'center', gap:10, padding:'6px 12px',
+                      background:'#eef6f1', border:'1px solid #d9e7df', borderRadius:999, cursor:'pointer'}}
+              aria-haspopup="menu" aria-expanded={open} title="Account"
+            >
+              <span style={{width:28, height:28, borderRadius:'50%', display:'grid', placeItems:'center',
+                            fontWeight:800, background:'linear-gradient(135deg,#2f6b4f,#56a37d)', color:'#fff'}}>
+                {initial}
+              </span>
+              <span className="emp-user" style={{ fontWeight:700, color:'#2f2f2f', letterSpacing:.2 }}>{name}</span>
+            </button>
+          </div>
 
           {open && (
             <div role="menu" style={{
@@ -95,6 +176,10 @@ function HeaderWithUser({ right, title }) {
                 <div style={{ fontSize:12, color:'#6b6b6b', marginBottom:8 }}>
                   Signed in as <b style={{ color:'#2f6b4f' }}>{name}</b>
                 </div>
+                <Link to="/profile" role="menuitem" className="menu-link">Profile &amp; notifications</Link>
+                <button type="button" role="menuitem" className="menu-link" onClick={()=>{ setOpen(false); setDelegating(true); }}>
+                  Delegate approvals
+                </button>
                 <button
                   onClick={handleSignOut}
                   style={{width:'100%', background:'#E0433B', color:'#fff', border:0, borderRadius:8,
@@ -109,64 +194,254 @@ function HeaderWithUser({ right, title }) {
         </div>
       </div>
       <h1 className="auth-title" style={{marginTop:0}}>{title}</h1>
+      {delegating && <DelegationModal onClose={()=>setDelegating(false)} />}
     </>
   );
 }
 
+/* ---------- Delegate approvals (account menu): another manager decides for you during a date range ---------- */
+const todayYMD = () => new Date().toISOString().slice(0, 10) // the API counts whole UTC days
+
+function DelegationModal({ onClose }) {
+  const [data, setData] = useState(null) // { given, received, managers }
+  const [form, setForm] = useState({ delegate_id:'', date_from: todayYMD(), date_to:'' })
+  const [err, setErr] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  const load = useCallback(() => api.delegations().then(setData).catch(e => setErr(e.message || 'Failed to load delegations')), [])
+  useEffect(() => { load() }, [load])
+
+  const submit = async (e) => {
+    e.preventDefault(); setErr('')
+    if (!form.delegate_id || !form.date_from || !form.date_to) return setErr('Pick a manager and both dates')
+    setBusy(true)
+    try {
+      await api.createDelegation({ ...form, delegate_id: Number(form.delegate_id) })
+      setForm(f => ({ ...f, delegate_id:'', date_to:'' }))
+      await load()
+    } catch (e) {
+      setErr(e.message || 'Failed to save delegation')
+    } finally { setBusy(false) }
+  }
+
+  const remove = async (d) => {
+    setErr('')
+    try { await api.deleteDelegation(d.id); await load() } catch (e) { setErr(e.message || 'Failed to remove delegation') }
+  }
+
+  const entry = (d, who) => (
+    <li key={d.id}>
+      <b>{who}</b> · {toDMY(d.date_from)} → {toDMY(d.date_to)}
+      <span className={`delegation-state ${d.active ? 'delegation-active' : ''}`}>{d.active ? 'active' : 'upcoming'}</span>
+      <button type="button" className="history-btn" onClick={()=>remove(d)}>Remove</button>
+    </li>
+  )
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal-card" onClick={e=>e.stopPropagation()}>
+        <h2 className="auth-title" style={{marginTop:0, fontSize:36}}>Delegate approvals</h2>
+        <div className="emp-days" style={{marginBottom:12}}>
+          While you are away, the manager you pick sees and decides your requests. It ends by itself after the last day.
+        </div>
+        {!data ? <div className="timeline-empty">Loading delegations…</div> : (
+          <>
+            {data.received.length > 0 && (
+              <>
+                <div className="label">You cover for</div>
+                <ul className="delegations">{data.received.map(d => entry(d, d.manager_name))}</ul>
+              </>
+            )}
+            <div className="label">You delegate to</div>
+            {data.given.length > 0
+              ? <ul className="delegations">{data.given.map(d => entry(d, d.delegate_name))}</ul>
+              : <div className="timeline-empty" style={{marginBottom:10}}>Nobody at the moment.</div>}
+            <form onSubmit={submit}>
+              <div className="modal-grid">
+                <div className="full">
+                  <div className="label">Manager</div>
+                  <select className="input" value={form.delegate_id} onChange={e=>setForm({...form, delegate_id:e.target.value})}>
+                    <option value="">Choose a manager…</option>
+                    {data.managers.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <div className="label">From</div>
+                  <input className="input" type="date" min={todayYMD()} value={form.date_from} onChange={e=>setForm({...form, date_from:e.target.value})} />
+                </div>
+                <div>
+                  <div className="label">To</div>
+                  <input className="input" type="date" min={form.date_from || todayYMD()} value={form.date_to} onChange={e=>setForm({...form, date_to:e.target.value})} />
+                </div>
+              </div>
+              {err && <div className="form-error">{err}</div>}
+              <div className="modal-actions">
+                <button type="submit" className="btn btn-primary" disabled={busy}>Delegate</button>
+                <button type="button" className="btn btn-secondary" onClick={onClose}>
+                  <span className="icon-x">×</span>
+                  <span>Close</span>
+                </button>
+              </div>
+            </form>
+          </>
+        )}
+        {!data && err && <div className="form-error">{err}</div>}
+      </div>
+    </div>
+  )
+}
+
 
 
 /* ================= Requests ================= */
+const REQUESTS_PAGE = 5
+const REQUESTS_SORT = '-submitted'
+
 function RequestsPanel() {
-  const [items, setItems] = useState([])
+  const { user } = useAuth()
+  const [data, setData] = useState({ items: [], total: 0 })
   const [q, setQ] = useState('')
+  const search = useDebounced(q.trim())
   const [fStatus, setFStatus] = useState('all')
+  const [fType, setFType] = useState('')
+  const [types] = useLeaveTypes(true)
+  const [fTeam, setFTeam] = useState('')
+  const [teams] = useTeams()
+  const [range, setRange] = useState({ from:'', to:'' })
+  const [sort, setSort] = useState(REQUESTS_SORT)
   const [page, setPage] = useState(1)
-  const pageSize = 5
-
-  const load = async () => setItems(await api.allRequests())
-  useEffect(() => { load() }, [])
 
-  const filtered = useMemo(() => {
-    const term = q.trim().toLowerCase()
-    return items.filter(r => {
-      if (fStatus !== 'all' && r.status !== fStatus) return false
-      if (!term) return true
-      const hay = [
-        r.user_name, r.email, r.reason,
-        r.date_from, r.date_to,
-        new Date(r.submitted_at).toLocaleDateString()
-      ].join(' ').toLowerCase()
-      return hay.includes(term)
-    })
-  }, [items, q, fStatus])
+  // Only the visible page is fetched; filtering and sorting happen server-side
+  const filters = useMemo(() => ({
+    sort, q: search,
+    status: fStatus === 'all' ? '' : fStatus,
+    type: fType, team: fTeam,
+    date_from: range.from, date_to: range.to,
+  }), [sort, search, fStatus, fType, fTeam, range])
+  const load = useCallback(async () => setData(await api.allRequests({
+    ...filters, page, per_page: REQUESTS_PAGE,
+  })), [filters, page])
+  useEffect(() => { load() }, [load])
 
-  const totalPages = Math.max(1, Math.ceil(filtered.length / pageSize))
-  const pageItems = filtered.slice((page-1)*pageSize, page*pageSize)
+  const pageItems = data.items
+  const totalPages = Math.max(1, Math.ceil(data.total / REQUESTS_PAGE))
   useEffect(()=>{ if (page > totalPages) setPage(totalPages) }, [totalPages, page])
+  const onSort = (next) => { setSort(next); setPage(1) }
+
+  const [decision, setDecision] = useState(null) // { request, action: 'approve'|'reject' }
+  const [history, setHistory] = useState(null)   // request whose timeline is open
+  const [filesOf, setFilesOf] = useState(null)   // request whose attachments are open
+  const [rowErr, setRowErr] = useState(null)     // { id, msg } of the last failed row action
+  const [err, setErr] = useState('')             // a notification jump that could not be followed
+  const [highlight, setHighlight] = useState(null) // row flashed after a notification jump
+  const [selected, setSelected] = useState(() => new Set()) // pending ids ticked on this page
+  const [bulk, setBulk] = useState(null)           // 'approve' | 'reject' while the bulk dialog is open
+
+  // Selection is per page: a new page or filter starts empty
+  useEffect(() => { setSelected(new Set()) }, [filters, page])
+  const selectable = pageItems.filter(r => r.status === 'pending' && r.awaiting !== 'others')
+  const chosen = selectable.filter(r => selected.has(r.id))
+  const allSelected = selectable.length > 0 && chosen.length === selectable.length
+  const toggle = (id) => setSelected(s => { const n = new Set(s); if (n.has(id)) n.delete(id); else n.add(id); return n })
+  const toggleAll = () => setSelected(allSelected ? new Set() : new Set(selectable.map(r => r.id)))
+
+  // Apply {id: newStatus} to the rows on screen instead of refetching the page
+  // (rows with approval steps are refetched: their steps and next approver changed too)
+  const settle = (updates) => pageItems.some(r => r.id in updates && r.steps?.length) ? load() : patchRows(updates)
+  const patchRows = (updates) => setData(d => ({
+    ...d,
+    items: d.items.map(r => {
+      if (!(r.id in updates)) return r
+      const decided = updates[r.id] === 'approved' || updates[r.id] === 'rejected'
+      return { ...r, status: updates[r.id], conflicts: [], ...(decided ? { decided_by_name: user?.name, decided_for_name: r.on_behalf_of } : {}) }
+    }),
+  }))
+
+  // Notification jump (?focus=<id>): clear filters, let the server find the page, flash the row
+  const [searchParams, setSearchParams] = useSearchParams()
+  const focusId = Number(searchParams.get('focus')) || null
+  useEffect(() => {
+    if (!focusId) return
+    let active = true
+    setErr('')
+    api.allRequests({ focus: focusId, per_page: REQUESTS_PAGE, sort: REQUESTS_SORT }).then(res => {
+      if (!active) return
+      setQ(''); setFStatus('all'); setFType(''); setRange({ from:'', to:'' }); setSort(REQUESTS_SORT); setPage(res.page)
+      if (res.items.some(r => r.id === focusId)) setHighlight(focusId)
+      setSearchParams({}, { replace: true })
+    }).catch(e => {
+      if (!active) return
+      setErr(e.message || 'Could not open the request')
+      setSearchParams({}, { replace: true })
+    })
+    return () => { active = false }
+  }, [focusId, setSearchParams])
+  useEffect(() => {
+    if (!highlight) return
+    document.getElementById(`req-${highlight}`)?.scrollIntoView({ block:'center', behavior:'smooth' })
+    const t = setTimeout(() => setHighlight(null), 4000)
+    return () => clearTimeout(t)
+  }, [highlight, page])
 
   const act = async (id, type) => {
-    if (type==='approve') await api.approve(id); else await api.reject(id)
-    await load()
+    setRowErr(null)
+    try {
+      const res = type==='confirm-cancel' ? await api.confirmCancellation(id) : await api.declineCancellation(id)
+      patchRows({ [id]: res.status })
+    } catch (e) {
+      setRowErr({ id, msg: e.message || 'Action failed' })
+      if (e.status === 404 || e.status === 409) await load() // someone else already moved it: show the real state
+    }
   }
 
   return (
     <div className="auth-card" style={{width:'min(980px,96vw)'}}>
       <HeaderWithUser title="Requests" />
-      <div className="emp-toolbar">
+      <div className={`emp-toolbar emp-toolbar-range${teams.length > 0 ? ' with-team' : ''}`}>
         <input className="emp-input" placeholder="Search" value={q} onChange={e=>{setQ(e.target.value); setPage(1)}} />
         <select className="emp-select" value={fStatus} onChange={e=>{setFStatus(e.target.value); setPage(1)}}>
           <option value="all">All</option>
           <option value="pending">Pending</option>
           <option value="approved">Approved</option>
           <option value="rejected">Rejected</option>
+          <option value="cancellation_requested">Cancellation requested</option>
+          <option value="withdrawn">Withdrawn</option>
+          <option value="cancelled">Cancelled</option>
+        </select>
+        <select className="emp-select" value={fType} onChange={e=>{setFType(e.target.value); setPage(1)}}>
+          <option value="">All types</option>
+          {types.map(t => <option key={t.id} value={t.id}>{t.name}{t.active ? '' : ' (archived)'}</option>)}
         </select>
+        {teams.length > 0 && <TeamFilter teams={teams} value={fTeam} onChange={v=>{setFTeam(v); setPage(1)}} />}
+        <input className="emp-input" type="date" title="Leave on or after" value={range.from} onChange={e=>{setRange(r=>({ ...r, from:e.target.value })); setPage(1)}} />
+        <input className="emp-input" type="date" title="Leave on or before" value={range.to} onChange={e=>{setRange(r=>({ ...r, to:e.target.value })); setPage(1)}} />
       </div>
+      {/* Payroll export: every row matching the filters above, not just this page */}
+      <ExportButtons onExport={format => api.exportRequests(format, filters)} />
+      {err && <div className="form-error">{err}</div>}
+
+      {chosen.length > 0 && (
+        <div className="bulk-bar">
+          <b>{chosen.length} selected</b>
+          <PillBtn variant="green" onClick={()=>setBulk('approve')}>Approve</PillBtn>
+          <PillBtn variant="red" onClick={()=>setBulk('reject')}>Reject</PillBtn>
+          <button type="button" className="history-btn" onClick={()=>setSelected(new Set())}>Clear</button>
+        </div>
+      )}
 
       <table className="emp-table">
         <thead>
           <tr>
-            <th>Submit</th>
-            <th>Dates</th>
+            <th style={{width:36}}>
+              <input
+                type="checkbox" aria-label="Select all pending on this page"
+                disabled={selectable.length === 0} checked={allSelected} onChange={toggleAll}
+                ref={el => { if (el) el.indeterminate = chosen.length > 0 && !allSelected }}
+              />
+            </th>
+            <SortableTh field="submitted" sort={sort} onSort={onSort}>Submit</SortableTh>
+            <SortableTh field="date_from" sort={sort} onSort={onSort}>Dates</SortableTh>
+            <SortableTh field="type" sort={sort} onSort={onSort}>Type</SortableTh>
             <th>Reason</th>
             <th>Action</th>
           </tr>
@@ -174,27 +449,62 @@ function RequestsPanel() {
         <tbody>
           {pageItems.map(r => {
             const isPending = r.status === 'pending'
+            const canDecide = isPending && r.awaiting !== 'others'
             const isApproved = r.status === 'approved'
             const isRejected = r.status === 'rejected'
+            const isCancelReq = r.status === 'cancellation_requested'
+            const isClosed = r.status === 'withdrawn' || r.status === 'cancelled'
             return (
-              <tr key={r.id}>
-                <td style={{width:150}}>{new Date(r.submitted_at).toLocaleDateString()}</td>
-                <td style={{width:220}}>
-                  <div>{toDMY(r.date_from)}</div>
-                  <div>{toDMY(r.date_to)}</div>
+              <tr key={r.id} id={`req-${r.id}`} className={highlight === r.id ? 'row-focus' : undefined}>
+                <td>
+                  {canDecide && (
+                    <input type="checkbox" aria-label={`Select request ${r.id}`} checked={selected.has(r.id)} onChange={()=>toggle(r.id)} />
+                  )}
                 </td>
+                <td style={{width:150}}>
+                  {new Date(r.submitted_at).toLocaleDateString()}
+                  {r.edited_at && (
+                    <div className="edited-tag" title={`Edited by the employee on ${new Date(`${r.edited_at.replace(' ', 'T')}Z`).toLocaleString()}`}>
+                      Edited
+                    </div>
+                  )}
+                </td>
+                <td style={{width:220}}><LeaveDates request={r} /></td>
+                <td style={{width:130}}><TypeBadge name={r.type_name} color={r.type_color} /></td>
                 <td>{r.reason}</td>
-                <td style={{width:220, display:'flex', gap:10}}>
-                  <PillBtn
-                    onClick={()=>act(r.id,'approve')}
-                    disabled={!isPending}
-                    variant="green"
-                  >{isApproved ? 'Approved' : 'Approve'}</PillBtn>
-                  <PillBtn
-                    onClick={()=>act(r.id,'reject')}
-                    disabled={!isPending}
-                    variant="red"
-                  >{isRejected ? 'Rejected' : 'Reject'}</PillBtn>
+                <td style={{width:420, display:'flex', gap:10, alignItems:'center'}}>
+                  {isCancelReq ? (
+                    <>
+                      <StatusBadge status={r.status} />
+                      <PillBtn onClick={()=>act(r.id,'confirm-cancel')} variant="red">Confirm Cancel</PillBtn>
+                      <PillBtn onClick={()=>act(r.id,'decline-cancel')} variant="green">Keep</PillBtn>
+                    </>
+                  ) : isClosed ? (
+                    <StatusBadge status={r.status} />
+                  ) : (
+                    <>
+                      <PillBtn
+                        onClick={()=>setDecision({ request: r, action: 'approve' })}
+                        disabled={!canDecide}
+                        variant="green"
+                      >{isApproved ? 'Approved' : 'Approve'}</PillBtn>
+                      <PillBtn
+                        onClick={()=>setDecision({ request: r, action: 'reject' })}
+                        disabled={!canDecide}
+                        variant="red"
+                      >{isRejected ? 'Rejected' : 'Reject'}</PillBtn>
+                    </>
+                  )}
+                  {isPending && <StepHint request={r} />}
+                  {isPending && r.on_behalf_of && <span className="behalf-tag" title="You cover for this manager">for {r.on_behalf_of}</span>}
+                  <BalanceHint balance={r.balance} />
+                  <ConflictHint conflicts={r.conflicts} />
+                  <CoverageHint coverage={r.coverage} />
+                  <button type="button" className="history-btn" onClick={()=>setHistory(r)}>History</button>
+                  {r.attachment_count > 0 && (
+                    <button type="button" className="history-btn" onClick={()=>setFilesOf(r)}>Files ({r.attachment_count})</button>
+                  )}
+                  {rowErr?.id === r.id && <div className="form-error">{rowErr.msg}</div>}
                 </td>
               </tr>
             )
@@ -203,58 +513,484 @@ function RequestsPanel() {
       </table>
 
       <div className="emp-sep" />
-      <div className="emp-pages">
-        <button className="emp-page" onClick={()=>setPage(p=>clamp(p-1,1,totalPages))}>&lsaquo;</button>
-        {Array.from({length: totalPages}, (_,i)=>i+1).map(n=>(
-          <button key={n} className="emp-page" aria-current={n===page} onClick={()=>setPage(n)}>{n}</button>
-        ))}
-        <button className="emp-page" onClick={()=>setPage(p=>clamp(p+1,1,totalPages))}>&rsaquo;</button>
+      <Pager page={page} total={data.total} perPage={REQUESTS_PAGE} onPage={setPage} />
+
+      {decision && (
+        <DecisionDialog
+          request={decision.request}
+          action={decision.action}
+          onClose={()=>setDecision(null)}
+          onDone={(status)=>{ settle({ [decision.request.id]: status }); setDecision(null) }}
+          onStale={load}
+        />
+      )}
+
+      {bulk && (
+        <BulkDecisionDialog
+          action={bulk}
+          requests={chosen}
+          onClose={()=>setBulk(null)}
+          onResults={(results)=>{
+            const ok = results.filter(r => r.ok)
+            settle(Object.fromEntries(ok.map(r => [r.id, r.status])))
+            setSelected(new Set(results.filter(r => !r.ok).map(r => r.id))) // keep only what still needs attention
+            if (ok.length === results.length) setBulk(null)
+            else load() // failures are usually stale rows: show their real state
+          }}
+        />
+      )}
+
+      {history && (
+        <div className="modal-backdrop" onClick={()=>setHistory(null)}>
+          <div className="modal-card" onClick={e=>e.stopPropagation()}>
+            <h2 className="auth-title" style={{marginTop:0, fontSize:36}}>History</h2>
+            <div style={{marginBottom:12}}>
+              <b>{history.user_name}</b> · {toDMY(history.date_from)} → {toDMY(history.date_to)}
+            </div>
+            <ApprovalSteps steps={history.steps} />
+            <StatusTimeline requestId={history.id} scope="admin" />
+            <div className="modal-actions">
+              <button type="button" className="btn btn-secondary" onClick={()=>setHistory(null)}>Close</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {filesOf && (
+        <div className="modal-backdrop" onClick={()=>setFilesOf(null)}>
+          <div className="modal-card" onClick={e=>e.stopPropagation()}>
+            <h2 className="auth-title" style={{marginTop:0, fontSize:36}}>Files</h2>
+            <div style={{marginBottom:12}}>
+              <b>{filesOf.user_name}</b> · {toDMY(filesOf.date_from)} → {toDMY(filesOf.date_to)}
+            </div>
+            <Attachments requestId={filesOf.id} scope="admin" />
+            <div className="modal-actions">
+              <button type="button" className="btn btn-secondary" onClick={()=>setFilesOf(null)}>Close</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+/* ---------- Approve/Reject dialog (comment optional to approve, required to reject) ---------- */
+function DecisionDialog({ request, action, onClose, onDone, onStale }) {
+  const [comment, setComment] = useState('')
+  const [override, setOverride] = useState(false) // confirmed approving below minimum staffing
+  const [coverage, setCoverage] = useState(request.coverage || []) // short days; refreshed by a staffing 409
+  const [err, setErr] = useState('')
+  const [busy, setBusy] = useState(false)
+  const isReject = action === 'reject'
+  const step = request.steps?.find(s => s.status === 'pending')
+  const next = step && request.steps.find(s => s.position === step.position + 1)
+  const short = !isReject && coverage.length > 0
+
+  const submit = async (e) => {
+    e.preventDefault(); setErr('')
+    if (isReject && !comment.trim()) return setErr('Please explain why the request is rejected')
+    if (short && !override) return setErr('Confirm the override to approve below minimum staffing')
+    setBusy(true)
+    try {
+      const res = isReject ? await api.reject(request.id, comment.trim()) : await api.approve(request.id, comment.trim(), short && override)
+      await onDone?.(res.status)
+    } catch (err) {
+      setErr(err.message || 'Action failed')
+      if (err.data?.coverage) { setCoverage(err.data.coverage); setOverride(false) } // short-staffed since the list loaded: ask for the override
+      else if (err.status === 404 || err.status === 409) onStale?.() // already decided elsewhere: show the real status behind the dialog
+    } finally { setBusy(false) }
+  }
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal-card" onClick={e=>e.stopPropagation()}>
+        <h2 className="auth-title" style={{marginTop:0, fontSize:36}}>{isReject ? 'Reject Request' : 'Approve Request'}</h2>
+        <div style={{marginBottom:12}}>
+          <b>{request.user_name}</b> · {toDMY(request.date_from)} → {toDMY(request.date_to)} · {request.working_days} working day(s)
+          <div className="emp-days">{request.reason}</div>
+          {request.on_behalf_of && <div className="emp-days">Deciding on behalf of {request.on_behalf_of}</div>}
+          {step && (
+            <div className="emp-days">
+              Step {step.position} of {request.steps.length}: {step.label}
+              {next && !isReject ? ` — approving passes it on to ${next.label}` : ''}
+            </div>
+          )}
+        </div>
+        <form onSubmit={submit}>
+          <div>
+            <div className="label">Comment{isReject ? '' : ' (optional)'}</div>
+            <textarea className="input" rows={4} value={comment} onChange={e=>setComment(e.target.value)}
+                      placeholder={isReject ? 'Why is this request rejected?' : 'Anything the employee should know?'} />
+          </div>
+          {/* Approving below minimum staffing needs an explicit, audited override */}
+          {short && (
+            <div className="form-conflict coverage-warning" role="alert">
+              <b>Approving leaves too few people at work on these days.</b>
+              <CoverageList coverage={coverage} />
+              <label className="coverage-override">
+                <input type="checkbox" checked={override} onChange={e=>setOverride(e.target.checked)} />
+                Approve anyway (the override is recorded in the audit log)
+              </label>
+            </div>
+          )}
+          {err && <div className="form-error">{err}</div>}
+          <div className="modal-actions">
+            <button type="submit" className={`btn ${isReject ? 'btn-danger' : 'btn-primary'}`} disabled={busy || (short && !override)}>
+              {isReject ? 'Reject' : short ? 'Approve anyway' : 'Approve'}
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              <span className="icon-x">×</span>
+              <span>Cancel</span>
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+/* Bulk approve/reject: one shared comment, per-request outcome listed when some fail */
+function BulkDecisionDialog({ action, requests, onClose, onResults }) {
+  const [comment, setComment] = useState('')
+  const [err, setErr] = useState('')
+  const [failed, setFailed] = useState([]) // [{ id, name, error }]
+  const [busy, setBusy] = useState(false)
+  const isReject = action === 'reject'
+  const short = isReject ? 0 : requests.filter(r => r.coverage?.length).length // approved one by one, with the override
+
+  const submit = async (e) => {
+    e.preventDefault(); setErr('')
+    if (isReject && !comment.trim()) return setErr('Please explain why the requests are rejected')
+    setBusy(true)
+    try {
+      const res = await api.decideBatch(action, requests.map(r => r.id), comment.trim())
+      const names = Object.fromEntries(requests.map(r => [r.id, r.user_name]))
+      setFailed(res.results.filter(r => !r.ok).map(f => ({ ...f, name: names[f.id] })))
+      onResults(res.results)
+    } catch (err) {
+      setErr(err.message || 'Action failed')
+    } finally { setBusy(false) }
+  }
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal-card" onClick={e=>e.stopPropagation()}>
+        <h2 className="auth-title" style={{marginTop:0, fontSize:36}}>
+          {requests.length
+            ? `${isReject ? 'Reject' : 'Approve'} ${requests.length} request${requests.length === 1 ? '' : 's'}`
+            : `${isReject ? 'Rejected' : 'Approved'} with exceptions`}
+        </h2>
+        <ul className="bulk-list">
+          {requests.map(r => (
+            <li key={r.id}>
+              <b>{r.user_name}</b> · {toDMY(r.date_from)} → {toDMY(r.date_to)} · {r.working_days} working day(s)
+            </li>
+          ))}
+        </ul>
+        {short > 0 && failed.length === 0 && (
+          <div className="bo-warning">
+            {short} of these would take a team below its minimum staffing and will be skipped; approve {short === 1 ? 'it' : 'them'} individually to confirm the override.
+          </div>
+        )}
+        {failed.length > 0 && (
+          <div className="form-error">
+            Not processed:
+            <ul className="bulk-list">
+              {failed.map(f => <li key={f.id}>{f.name || `#${f.id}`}: {f.error}</li>)}
+            </ul>
+          </div>
+        )}
+        {requests.length === 0 ? (
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>Close</button>
+          </div>
+        ) : (
+        <form onSubmit={submit}>
+          <div>
+            <div className="label">Comment for everyone{isReject ? '' : ' (optional)'}</div>
+            <textarea className="input" rows={3} value={comment} onChange={e=>setComment(e.target.value)}
+                      placeholder={isReject ? 'Why are these requests rejected?' : 'Anything the employees should know?'} />
+          </div>
+          {err && <div className="form-error">{err}</div>}
+          <div className="modal-actions">
+            <button type="submit" className={`btn ${isReject ? 'btn-danger' : 'btn-primary'}`} disabled={busy}>
+              {isReject ? 'Reject all' : 'Approve all'}
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              <span className="icon-x">×</span>
+              <span>{failed.length ? 'Close' : 'Cancel'}</span>
+            </button>
+          </div>
+        </form>
+        )}
+      </div>
+    </div>
+  )
+}
+
+/* ================= Calendar ================= */
+// Local-date helpers (YYYY-MM-DD strings compare correctly as plain strings)
+const ymd = (d) => `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`
+const addDays = (d, n) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + n)
+const startOfWeek = (d) => addDays(d, -((d.getDay() + 6) % 7)) // Monday
+
+/* Visible days for the current view: whole month or Monday–Sunday week */
+function viewDays(view, anchor) {
+  if (view === 'week') {
+    const s = startOfWeek(anchor)
+    return Array.from({length:7}, (_,i) => addDays(s, i))
+  }
+  const n = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0).getDate()
+  return Array.from({length:n}, (_,i) => new Date(anchor.getFullYear(), anchor.getMonth(), i + 1))
+}
+
+/* Greedy lane packing so overlapping requests of one user stack instead of overlapping */
+function packLanes(bars) {
+  const laneEnds = []
+  return bars.map(b => {
+    let lane = laneEnds.findIndex(end => end < b.start)
+    if (lane === -1) { lane = laneEnds.length; laneEnds.push(b.end) } else laneEnds[lane] = b.end
+    return { ...b, lane }
+  })
+}
+
+function CalendarPanel() {
+  const [users, setUsers] = useState([])
+  const [requests, setRequests] = useState([])
+  const [view, setView] = useState('month') // 'month' | 'week'
+  const [anchor, setAnchor] = useState(() => new Date())
+  const [popover, setPopover] = useState(null) // { request, x, y }
+  const [comment, setComment] = useState('')
+  const [coverage, setCoverage] = useState([]) // short days, known once approving was refused for them
+  const [override, setOverride] = useState(false)
+  const [err, setErr] = useState('')
+  const [busy, setBusy] = useState(false)
+  const popRef = useRef(null)
+
+  const load = async () => {
+    const [us, rs] = await Promise.all([api.listUsers(), api.allRequests()])
+    // Requests also cover absent managers' teams while standing in for them; give their owners a row too
+    const known = new Set(us.map(u => u.id))
+    const covered = new Map(rs.filter(r => !known.has(r.user_id)).map(r => [r.user_id, { id: r.user_id, name: r.user_name, email: r.email }]))
+    setUsers([...us, ...covered.values()]); setRequests(rs)
+  }
+  useEffect(() => { load() }, [])
+
+  // Close the popover when clicking anywhere outside it
+  useEffect(() => {
+    if (!popover) return undefined
+    const onDocClick = (ev) => { if (popRef.current && !popRef.current.contains(ev.target)) setPopover(null) }
+    document.addEventListener('click', onDocClick)
+    return () => document.removeEventListener('click', onDocClick)
+  }, [popover])
+
+  const days = useMemo(() => viewDays(view, anchor), [view, anchor])
+  const first = ymd(days[0]), last = ymd(days[days.length - 1])
+  const today = ymd(new Date())
+
+  // One row per user; bars are day-index ranges clipped to the visible window
+  const rows = useMemo(() => {
+    const byUser = new Map(users.map(u => [u.id, []]))
+    for (const r of requests) {
+      if (!['approved', 'pending', 'cancellation_requested'].includes(r.status)) continue
+      if (r.date_to < first || r.date_from > last) continue
+      const start = days.findIndex(d => ymd(d) >= r.date_from)
+      const endIdx = days.findIndex(d => ymd(d) > r.date_to)
+      const end = endIdx === -1 ? days.length - 1 : endIdx - 1
+      byUser.get(r.user_id)?.push({ request: r, start, end })
+    }
+    return users.map(u => ({
+      user: u,
+      bars: packLanes((byUser.get(u.id) || []).sort((a, b) => a.start - b.start)),
+    }))
+  }, [users, requests, days, first, last])
+
+  const shift = (dir) => {
+    setPopover(null)
+    setAnchor(a => view === 'week'
+      ? addDays(a, 7 * dir)
+      : new Date(a.getFullYear(), a.getMonth() + dir, 1))
+  }
+
+  const title = view === 'week'
+    ? `Week of ${toDMY(first)}`
+    : anchor.toLocaleDateString(undefined, { month:'long', year:'numeric' })
+
+  const openBar = (ev, request) => {
+    ev.stopPropagation()
+    if (request.status !== 'pending') return
+    const box = ev.currentTarget.closest('.cal-card').getBoundingClientRect()
+    const bar = ev.currentTarget.getBoundingClientRect()
+    setErr(''); setComment(''); setCoverage([]); setOverride(false)
+    setPopover({ request, x: bar.left - box.left, y: bar.bottom - box.top + 6 })
+  }
+
+  const act = async (type) => {
+    const id = popover.request.id
+    setErr('')
+    if (type === 'reject' && !comment.trim()) return setErr('Add a comment explaining the rejection')
+    setBusy(true)
+    try {
+      if (type === 'approve') await api.approve(id, comment.trim(), coverage.length > 0 && override); else await api.reject(id, comment.trim())
+      setPopover(null)
+      await load()
+    } catch (e) {
+      setErr(e.message || 'Action failed')
+      if (e.data?.coverage) { setCoverage(e.data.coverage); setOverride(false) } // short-staffed: list the days and ask for the override
+      else if (e.status === 404 || e.status === 409) load() // decided elsewhere: redraw the bar with its real status
+    } finally { setBusy(false) }
+  }
+
+  const cols = `160px repeat(${days.length}, minmax(${view === 'week' ? 60 : 22}px, 1fr))`
+
+  return (
+    <div className="auth-card cal-card" style={{width:'min(980px,96vw)', position:'relative'}}>
+      <HeaderWithUser title="Calendar" />
+
+      <div className="cal-toolbar">
+        <div style={{display:'flex', gap:8, alignItems:'center'}}>
+          <button className="emp-page" onClick={()=>shift(-1)}>&lsaquo;</button>
+          <button className="tab" onClick={()=>{ setPopover(null); setAnchor(new Date()) }}>Today</button>
+          <button className="emp-page" onClick={()=>shift(1)}>&rsaquo;</button>
+          <b style={{marginLeft:8}}>{title}</b>
+        </div>
+        <div className="tabs">
+          <button className="tab" aria-selected={view==='month'} onClick={()=>{ setPopover(null); setView('month') }}>Month</button>
+          <button className="tab" aria-selected={view==='week'} onClick={()=>{ setPopover(null); setView('week') }}>Week</button>
+        </div>
+      </div>
+
+      <div className="cal-legend">
+        <span><i className="cal-swatch cal-approved" /> Approved</span>
+        <span><i className="cal-swatch cal-pending" /> Pending (click to decide)</span>
+      </div>
+
+      <div className="cal-scroll">
+        {/* Header row: day numbers (weekday names in week view) */}
+        <div className="cal-row cal-head" style={{gridTemplateColumns: cols}}>
+          <div />
+          {days.map(d => (
+            <div key={ymd(d)} className={`cal-day${d.getDay() % 6 === 0 ? ' cal-weekend' : ''}${ymd(d) === today ? ' cal-today' : ''}`}>
+              {view === 'week' ? d.toLocaleDateString(undefined, { weekday:'short', day:'numeric' }) : d.getDate()}
+            </div>
+          ))}
+        </div>
+
+        {rows.map(({ user, bars }) => {
+          const lanes = Math.max(1, ...bars.map(b => b.lane + 1))
+          return (
+            <div key={user.id} className="cal-row" style={{gridTemplateColumns: cols, gridTemplateRows: `repeat(${lanes}, 26px)`}}>
+              <div className="cal-user" style={{gridRow:`1 / ${lanes + 1}`}} title={user.email}>{user.name}</div>
+              {days.map((d, i) => (
+                <div key={ymd(d)}
+                     className={`cal-cell${d.getDay() % 6 === 0 ? ' cal-weekend' : ''}`}
+                     style={{gridColumn: i + 2, gridRow:`1 / ${lanes + 1}`}} />
+              ))}
+              {bars.map(({ request: r, start, end, lane }) => (
+                <button key={r.id}
+                        type="button"
+                        className={`cal-bar cal-${r.status === 'pending' ? 'pending' : 'approved'}`}
+                        style={{gridColumn:`${start + 2} / ${end + 3}`, gridRow: lane + 1}}
+                        title={`${toDMY(r.date_from)} → ${toDMY(r.date_to)} · ${r.working_days} working day(s) · ${r.reason}`}
+                        onClick={(ev)=>openBar(ev, r)}>
+                  {view === 'week' || end - start >= 3 ? r.reason : ''}
+                </button>
+              ))}
+            </div>
+          )
+        })}
+        {rows.length === 0 && <div style={{opacity:.6, padding:'8px 4px'}}>No users yet.</div>}
       </div>
+
+      {/* Subscribe to approved leave in a calendar app */}
+      <div className="emp-sep" />
+      <CalendarFeeds scopes={['team', 'personal']} />
+
+      {/* Approve/reject popover for the clicked pending bar */}
+      {popover && (
+        <div ref={popRef} className="cal-popover" style={{left: Math.min(popover.x, 640), top: popover.y}}>
+          <div style={{fontWeight:800}}>{popover.request.user_name}</div>
+          <div className="emp-days">
+            {toDMY(popover.request.date_from)} → {toDMY(popover.request.date_to)} · {popover.request.working_days} working day(s)
+          </div>
+          <div style={{margin:'8px 0'}}>{popover.request.reason}</div>
+          <BalanceHint balance={popover.request.balance} />
+          <StepHint request={popover.request} />
+          {popover.request.on_behalf_of && <div className="emp-days">On behalf of {popover.request.on_behalf_of}</div>}
+          <textarea className="emp-input" rows={2} style={{marginTop:8, resize:'vertical'}}
+                    placeholder="Comment (required to reject)" value={comment} onChange={e=>setComment(e.target.value)} />
+          {err && <div className="form-error">{err}</div>}
+          {coverage.length > 0 && (
+            <div className="form-conflict coverage-warning">
+              <CoverageList coverage={coverage} />
+              <label className="coverage-override">
+                <input type="checkbox" checked={override} onChange={e=>setOverride(e.target.checked)} />
+                Approve anyway (recorded in the audit log)
+              </label>
+            </div>
+          )}
+          <div style={{display:'flex', gap:10, marginTop:10}}>
+            <PillBtn variant="green" disabled={busy || popover.request.awaiting === 'others' || (coverage.length > 0 && !override)} onClick={()=>act('approve')}>
+              {coverage.length > 0 ? 'Approve anyway' : 'Approve'}
+            </PillBtn>
+            <PillBtn variant="red" disabled={busy || popover.request.awaiting === 'others'} onClick={()=>act('reject')}>Reject</PillBtn>
+          </div>
+        </div>
+      )}
     </div>
   )
 }
 
 /* ================= Users ================= */
+const USERS_PAGE = 6
+
 function UsersPanel() {
-  const [items, setItems] = useState([])
+  const [data, setData] = useState({ items: [], total: 0 })
   const [q, setQ] = useState('')
+  const search = useDebounced(q.trim())
+  const [sort, setSort] = useState('name')
   const [page, setPage] = useState(1)
-  const pageSize = 6
-
-  const load = async () => setItems(await api.listUsers())
-  useEffect(() => { load() }, [])
+  const [fTeam, setFTeam] = useState('')
+  const [teams] = useTeams()
 
-  const filtered = useMemo(() => {
-    const term = q.trim().toLowerCase()
-    return items.filter(u =>
-      [u.name, u.email, u.employee_code, u.role].join(' ').toLowerCase().includes(term)
-    )
-  }, [items, q])
+  const load = useCallback(async () => setData(await api.listUsers({
+    page, per_page: USERS_PAGE, sort, q: search, team: fTeam,
+  })), [page, sort, search, fTeam])
+  useEffect(() => { load() }, [load])
 
-  const totalPages = Math.max(1, Math.ceil(filtered.length / pageSize))
-  const pageItems = filtered.slice((page-1)*pageSize, page*pageSize)
+  const pageItems = data.items
+  const totalPages = Math.max(1, Math.ceil(data.total / USERS_PAGE))
   useEffect(()=>{ if (page > totalPages) setPage(totalPages) }, [totalPages, page])
+  const onSort = (next) => { setSort(next); setPage(1) }
 
   const [showCreate, setShowCreate] = useState(false)
+  const [showImport, setShowImport] = useState(false)
   const [editUser, setEditUser] = useState(null)
 
   return (
     <div className="auth-card" style={{width:'min(980px,96vw)'}}>
       <HeaderWithUser
         title="Users"
-        right={<button className="emp-new" onClick={()=>setShowCreate(true)}>+ New User</button>}
+        right={
+          <div style={{display:'flex', gap:10}}>
+            <button className="emp-new emp-new-ghost" onClick={()=>setShowImport(true)}>Import CSV</button>
+            <button className="emp-new" onClick={()=>setShowCreate(true)}>+ New User</button>
+          </div>
+        }
       />
 
       <div className="emp-toolbar">
         <input className="emp-input" placeholder="Search" value={q} onChange={e=>{setQ(e.target.value); setPage(1)}} />
+        {teams.length > 0 && <TeamFilter teams={teams} value={fTeam} onChange={v=>{setFTeam(v); setPage(1)}} />}
       </div>
 
       <table className="emp-table">
         <thead>
           <tr>
-            <th>Name</th>
-            <th>Email</th>
-            <th>Employee Code</th>
+            <SortableTh field="name" sort={sort} onSort={onSort}>Name</SortableTh>
+            <SortableTh field="email" sort={sort} onSort={onSort}>Email</SortableTh>
+            <SortableTh field="employee_code" sort={sort} onSort={onSort}>Employee Code</SortableTh>
+            <SortableTh field="team" sort={sort} onSort={onSort}>Team</SortableTh>
             <th>Action</th>
           </tr>
         </thead>
@@ -264,6 +1000,7 @@ function UsersPanel() {
               <td style={{width:220}}>{u.name}</td>
               <td style={{width:260, overflow:'hidden', textOverflow:'ellipsis'}}>{u.email}</td>
               <td style={{width:160}}>{u.employee_code || '-'}</td>
+              <td style={{width:140}}>{u.team_name || <span className="emp-days">No team</span>}</td>
               <td style={{width:160}}>
                 <PillBtn onClick={()=>setEditUser(u)}>Edit</PillBtn>
               </td>
@@ -273,23 +1010,41 @@ function UsersPanel() {
       </table>
 
       <div className="emp-sep" />
-      <div className="emp-pages">
-        <button className="emp-page" onClick={()=>setPage(p=>clamp(p-1,1,totalPages))}>&lsaquo;</button>
-        {Array.from({length: totalPages}, (_,i)=>i+1).map(n=>(
-          <button key={n} className="emp-page" aria-current={n===page} onClick={()=>setPage(n)}>{n}</button>
-        ))}
-        <button className="emp-page" onClick={()=>setPage(p=>clamp(p+1,1,totalPages))}>&rsaquo;</button>
-      </div>
+      <Pager page={page} total={data.total} perPage={USERS_PAGE} onPage={setPage} />
 
-      {showCreate && <CreateUserModal onClose={()=>setShowCreate(false)} onCreated={async()=>{ setShowCreate(false); await load() }} />}
-      {editUser && <EditUserModal user={editUser} onClose={()=>setEditUser(null)} onSaved={async()=>{ setEditUser(null); await load() }} />}
+      {showCreate && <CreateUserModal teams={teams} onClose={()=>setShowCreate(false)} onCreated={async()=>{ setShowCreate(false); await load() }} />}
+      {showImport && <ImportUsersModal teams={teams} onClose={()=>setShowImport(false)} onImported={load} />}
+      {editUser && <EditUserModal user={editUser} teams={teams} onClose={()=>setEditUser(null)} onSaved={async()=>{ setEditUser(null); await load() }} />}
     </div>
   )
 }
 
+/* ---------- Team pickers ---------- */
+// List filter: '' = all teams, '0' = people without a team
+function TeamFilter({ teams, value, onChange }) {
+  return (
+    <select className="emp-select" value={value} onChange={e=>onChange(e.target.value)}>
+      <option value="">All teams</option>
+      {teams.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+      <option value="0">No team</option>
+    </select>
+  )
+}
+
+// Form field: null = no team
+function TeamSelect({ teams, value, onChange }) {
+  return (
+    <select className="input" value={value ?? ''} onChange={e=>onChange(e.target.value ? Number(e.target.value) : null)}>
+      <option value="">No team</option>
+      {teams.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+    </select>
+  )
+}
+
 /* ---------- Create User Modal ---------- */
-function CreateUserModal({ onClose, onCreated }) {
-  const [form, setForm] = useState({ name:'', email:'', password:'', confirm:'' })
+function CreateUserModal({ teams, onClose, onCreated }) {
+  // A manager of a single team most likely adds people to it
+  const [form, setForm] = useState({ name:'', email:'', password:'', confirm:'', annual_allowance:'20', team_id: teams.length === 1 ? teams[0].id : null })
   const [err, setErr] = useState('')
   const [busy, setBusy] = useState(false)
 
@@ -299,7 +1054,7 @@ function CreateUserModal({ onClose, onCreated }) {
     if (form.password !== form.confirm) return setErr('Passwords do not match')
     setBusy(true)
     try {
-      await api.createUser({ name: form.name, email: form.email, password: form.password, role:'employee', employee_code:'' })
+      await api.createUser({ name: form.name, email: form.email, password: form.password, role:'employee', employee_code:'', annual_allowance: form.annual_allowance, team_id: form.team_id })
       await onCreated?.()
     } catch (err) {
       setErr(err.message || 'Failed to create user')
@@ -329,6 +1084,14 @@ function CreateUserModal({ onClose, onCreated }) {
               <div className="label">Confirm Password</div>
               <input className="input" type="password" value={form.confirm} onChange={e=>setForm({...form, confirm:e.target.value})} placeholder="••••••••" />
             </div>
+            <div>
+              <div className="label">Annual Allowance (days)</div>
+              <input className="input" type="number" min="0" max="366" value={form.annual_allowance} onChange={e=>setForm({...form, annual_allowance:e.target.value})} />
+            </div>
+            <div>
+              <div className="label">Team</div>
+              <TeamSelect teams={teams} value={form.team_id} onChange={team_id=>setForm({...form, team_id})} />
+            </div>
           </div>
           {err && <div style={{color:'crimson', fontWeight:700, marginTop:6}}>{err}</div>}
           <div className="modal-actions">
@@ -346,27 +1109,176 @@ function CreateUserModal({ onClose, onCreated }) {
   )
 }
 
-/* ---------- Edit User Modal ---------- */
-function EditUserModal({ user, onClose, onSaved }) {
-  const { user: me } = useAuth();
-  const [form, setForm] = useState({
-    name: user.name || '',
-    email: user.email || '',
-    password: '',
-    confirm: ''
-  });
-  const [err, setErr] = useState('');
-  const [busy, setBusy] = useState(false);
+/* ---------- Import Users Modal ---------- */
+// Quote every cell; a leading ' keeps spreadsheet apps from evaluating formulas
+const csvCell = (v) => {
+  const s = String(v ?? '')
+  return `"${(/^[=+\-@\t\r]/.test(s) ? `'${s}` : s).replace(/"/g, '""')}"`
+}
 
-  const submit = async (e) => {
-    e.preventDefault(); setErr('');
-    if (!form.name || !form.email) return setErr('Please fill all fields');
-    if (form.password && form.password !== form.confirm) return setErr('Passwords do not match');
-    setBusy(true);
+function ImportUsersModal({ teams, onClose, onImported }) {
+  const [csv, setCsv] = useState('')
+  const [teamId, setTeamId] = useState(teams.length === 1 ? teams[0].id : null)
+  const [fileName, setFileName] = useState('')
+  const [preview, setPreview] = useState(null) // { rows, valid, invalid }
+  const [result, setResult] = useState(null)   // { created, skipped }
+  const [saved, setSaved] = useState(false)    // report downloaded or passwords confirmed copied
+  const [err, setErr] = useState('')
+  const [busy, setBusy] = useState(false)
+  const locked = result?.created.length > 0 && !saved // temporary passwords would be lost on close
+
+  // Read the file and run the dry run straight away
+  const pick = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+    setErr(''); setPreview(null); setResult(null); setBusy(true)
     try {
-      await api.updateUser(user.id, {
-        name: form.name,
-        email: form.email,
+      const text = await file.text()
+      setCsv(text); setFileName(file.name)
+      setPreview(await api.importUsers(text, false, teamId))
+    } catch (ex) {
+      setErr(ex.message || 'Could not read the file')
+    } finally { setBusy(false) }
+  }
+
+  const commit = async () => {
+    setErr(''); setBusy(true)
+    try {
+      setResult(await api.importUsers(csv, true, teamId))
+      await onImported?.()
+    } catch (ex) {
+      setErr(ex.message || 'Import failed')
+    } finally { setBusy(false) }
+  }
+
+  // Codes and temporary passwords exist only in this response, so hand them over as a file
+  const downloadReport = () => {
+    const head = ['Name', 'Email', 'Role', 'Employee code', 'Temporary password']
+    const lines = [head, ...result.created.map(u => [u.name, u.email, u.role, u.employee_code, u.temp_password])]
+    const blob = new Blob(['\uFEFF' + lines.map(l => l.map(csvCell).join(',')).join('\r\n')], { type:'text/csv;charset=utf-8' })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url; a.download = `imported-users-${new Date().toISOString().slice(0,10)}.csv`
+    document.body.appendChild(a); a.click(); a.remove()
+    URL.revokeObjectURL(url)
+    setSaved(true)
+  }
+
+  return (
+    <div className="modal-backdrop" onClick={result ? undefined : onClose /* once created, only the Close button ends it */}>
+      <div className="modal-card import-card" onClick={e=>e.stopPropagation()}>
+        <h2 className="auth-title" style={{marginTop:0, fontSize:36}}>Import users</h2>
+
+        {!result && (
+          <>
+            <div className="emp-days" style={{marginBottom:10}}>
+              CSV with a header row: <code>name,email,role,employee_code</code> (role and code optional; role is
+              employee or manager). Every new account gets a temporary password.
+            </div>
+            <div className="import-options">
+              <label className="btn btn-secondary import-pick">
+                <input type="file" accept=".csv,text/csv" onChange={pick} hidden />
+                {fileName || 'Choose CSV file…'}
+              </label>
+              {teams.length > 0 && (
+                <label className="import-team">
+                  <span className="label">Team for everyone</span>
+                  <TeamSelect teams={teams} value={teamId} onChange={setTeamId} />
+                </label>
+              )}
+            </div>
+          </>
+        )}
+
+        {preview && !result && (
+          <>
+            <div className="import-summary">
+              <b>{preview.valid}</b> ready to import · <b className={preview.invalid ? 'import-bad' : undefined}>{preview.invalid}</b> with errors (skipped)
+            </div>
+            <div className="import-scroll">
+              <table className="emp-table">
+                <thead>
+                  <tr><th>Row</th><th>Name</th><th>Email</th><th>Role</th><th>Code</th><th>Check</th></tr>
+                </thead>
+                <tbody>
+                  {preview.rows.map(r => (
+                    <tr key={r.line} className={r.errors.length ? 'import-row-bad' : undefined}>
+                      <td>{r.line}</td>
+                      <td>{r.name}</td>
+                      <td>{r.email}</td>
+                      <td>{r.role}</td>
+                      <td>{r.employee_code || <span className="emp-days">auto</span>}</td>
+                      <td>{r.errors.length ? r.errors.join('; ') : 'OK'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        {result && (
+          <>
+            <div className="import-summary">
+              Created <b>{result.created.length}</b> user{result.created.length === 1 ? '' : 's'}
+              {result.skipped.length > 0 && <> · skipped {result.skipped.length}</>}.
+            </div>
+            <div className="form-error" style={{color:'#7a5b00'}}>
+              Download the report now: temporary passwords are not shown again.
+            </div>
+            {result.created.length > 0 && (
+              <label className="import-saved">
+                <input type="checkbox" checked={saved} onChange={e=>setSaved(e.target.checked)} />
+                I have saved the temporary passwords
+              </label>
+            )}
+          </>
+        )}
+
+        {err && <div className="form-error">{err}</div>}
+        <div className="modal-actions">
+          {result ? (
+            <button type="button" className="btn btn-primary" onClick={downloadReport}>Download report</button>
+          ) : (
+            <button type="button" className="btn btn-primary" disabled={busy || !preview?.valid} onClick={commit}>
+              Import {preview?.valid || ''} user{preview?.valid === 1 ? '' : 's'}
+            </button>
+          )}
+          <button type="button" className="btn btn-secondary" disabled={locked} onClick={onClose}>
+            <span className="icon-x">×</span>
+            <span>{result ? 'Close' : 'Cancel'}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+/* ---------- Edit User Modal ---------- */
+function EditUserModal({ user, teams, onClose, onSaved }) {
+  const { user: me } = useAuth();
+  const [form, setForm] = useState({
+    name: user.name || '',
+    email: user.email || '',
+    password: '',
+    confirm: '',
+    annual_allowance: String(user.annual_allowance ?? 20),
+    team_id: user.team_id ?? null
+  });
+  const [err, setErr] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault(); setErr('');
+    if (!form.name || !form.email) return setErr('Please fill all fields');
+    if (form.password && form.password !== form.confirm) return setErr('Passwords do not match');
+    setBusy(true);
+    try {
+      await api.updateUser(user.id, {
+        name: form.name,
+        email: form.email,
+        annual_allowance: form.annual_allowance,
+        team_id: form.team_id,
         ...(form.password ? { password: form.password } : {})
       });
       await onSaved?.();
@@ -418,6 +1330,14 @@ function EditUserModal({ user, onClose, onSaved }) {
               <div className="label">Confirm Password</div>
               <input className="input" type="password" value={form.confirm} onChange={e=>setForm({...form, confirm:e.target.value})} placeholder="(repeat)" />
             </div>
+            <div>
+              <div className="label">Annual Allowance (days)</div>
+              <input className="input" type="number" min="0" max="366" value={form.annual_allowance} onChange={e=>setForm({...form, annual_allowance:e.target.value})} />
+            </div>
+            <div>
+              <div className="label">Team</div>
+              <TeamSelect teams={teams} value={form.team_id} onChange={team_id=>setForm({...form, team_id})} />
+            </div>
           </div>
           {err && <div className="form-error">{err}</div>}
           <div className="modal-actions">
@@ -447,37 +1367,879 @@ function EditUserModal({ user, onClose, onSaved }) {
   )
 }
 
+/* ================= Teams ================= */
+function TeamsPanel() {
+  const { user } = useAuth()
+  const [teams, reload] = useTeams()
+  const [managers, setManagers] = useState([])
+  const blank = useMemo(() => ({ name:'', manager_ids: user ? [user.id] : [] }), [user])
+  const [form, setForm] = useState(blank)
+  const [editing, setEditing] = useState(null) // team the form is editing
+  const [err, setErr] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => { api.listUsers({ role:'manager', sort:'name' }).then(setManagers).catch(() => setManagers([])) }, [])
+
+  // Every change goes through here so errors (duplicate name, last team of a manager…) show in one place
+  const run = async (fn) => {
+    setErr('')
+    try { await fn(); await reload() } catch (e) { setErr(e.message || 'Failed to save team') }
+  }
+
+  const toggleManager = (id) => setForm(f => ({
+    ...f, manager_ids: f.manager_ids.includes(id) ? f.manager_ids.filter(x => x !== id) : [...f.manager_ids, id],
+  }))
+
+  const save = async (e) => {
+    e.preventDefault()
+    if (!form.name.trim()) return setErr('Please fill the name')
+    if (form.manager_ids.length === 0) return setErr('Pick at least one manager')
+    setBusy(true)
+    await run(async () => {
+      const body = { name: form.name.trim(), manager_ids: form.manager_ids }
+      if (editing) await api.updateTeam(editing.id, body)
+      else await api.createTeam(body)
+      setForm(blank); setEditing(null)
+    })
+    setBusy(false)
+  }
+
+  const edit = (t) => { setEditing(t); setForm({ name: t.name, manager_ids: t.managers.map(m => m.id) }) }
+  const cancelEdit = () => { setEditing(null); setForm(blank) }
+
+  const remove = (t) => {
+    if (!window.confirm(`Delete team "${t.name}"? Its ${t.member_count} member(s) will have no team.`)) return
+    run(() => api.deleteTeam(t.id))
+  }
+
+  return (
+    <div className="auth-card" style={{width:'min(980px,96vw)'}}>
+      <HeaderWithUser title="Teams" />
+
+      <form onSubmit={save} className="team-form">
+        <input className="emp-input" placeholder="Team name" value={form.name} onChange={e=>setForm({...form, name:e.target.value})} />
+        <button className="emp-new" type="submit" disabled={busy}>{editing ? 'Save' : '+ Add Team'}</button>
+        {editing && <button type="button" className="history-btn" onClick={cancelEdit}>Cancel</button>}
+      </form>
+      <div className="type-rules">
+        <span className="emp-days">Managers:</span>
+        {managers.map(m => (
+          <label key={m.id} className="row">
+            <input className="checkbox" type="checkbox" checked={form.manager_ids.includes(m.id)} onChange={()=>toggleManager(m.id)} />
+            <span>{m.name}</span>
+          </label>
+        ))}
+      </div>
+      {err && <div className="form-error">{err}</div>}
+
+      <table className="emp-table">
+        <thead>
+          <tr><th>Team</th><th>Managers</th><th>Members</th><th>Action</th></tr>
+        </thead>
+        <tbody>
+          {teams.map(t => (
+            <tr key={t.id}>
+              <td style={{width:220}}><b>{t.name}</b></td>
+              <td>{t.managers.map(m => m.name).join(', ')}</td>
+              <td style={{width:100}}>{t.member_count}</td>
+              <td style={{width:220, display:'flex', gap:10, alignItems:'center'}}>
+                <button type="button" className="history-btn" onClick={()=>edit(t)}>Edit</button>
+                <PillBtn variant="red" onClick={()=>remove(t)}>Delete</PillBtn>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {teams.length === 0 && <div style={{opacity:.6, padding:'8px 4px'}}>No teams yet.</div>}
+      <div className="emp-days" style={{marginTop:8}}>
+        Managers of a team see only its members (and people without a team). A manager without any team sees everyone.
+      </div>
+    </div>
+  )
+}
+
+/* ================= Holidays ================= */
+function HolidaysPanel() {
+  const [items, setItems] = useState([])
+  const [year, setYear] = useState(String(new Date().getFullYear()))
+  const [form, setForm] = useState({ date:'', name:'' })
+  const [err, setErr] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  const load = async (y) => setItems(await api.holidays(y))
+  useEffect(() => { load(year) }, [year])
+
+  const years = useMemo(() => {
+    const now = new Date().getFullYear()
+    return [now - 1, now, now + 1, now + 2].map(String)
+  }, [])
+
+  const add = async (e) => {
+    e.preventDefault(); setErr('')
+    if (!form.date || !form.name.trim()) return setErr('Please fill date and name')
+    setBusy(true)
+    try {
+      await api.createHoliday({ date: form.date, name: form.name.trim() })
+      setForm({ date:'', name:'' })
+      await load(year)
+    } catch (err) {
+      setErr(err.message || 'Failed to add holiday')
+    } finally { setBusy(false) }
+  }
+
+  const remove = async (h) => {
+    if (!window.confirm(`Remove "${h.name}" (${toDMY(h.date)})?`)) return
+    setErr('')
+    try {
+      await api.deleteHoliday(h.id)
+      await load(year)
+    } catch (err) {
+      setErr(err.message || 'Failed to remove holiday')
+    }
+  }
+
+  return (
+    <div className="auth-card" style={{width:'min(980px,96vw)'}}>
+      <HeaderWithUser title="Holidays" />
+
+      {/* Add form: date + name; working-day counts skip these dates on new requests */}
+      <form onSubmit={add} style={{display:'grid', gridTemplateColumns:'max-content 1fr max-content', gap:12, maxWidth:'none', margin:'10px 0 6px'}}>
+        <input className="emp-input" type="date" value={form.date} onChange={e=>setForm({...form, date:e.target.value})} />
+        <input className="emp-input" placeholder="Holiday name" value={form.name} onChange={e=>setForm({...form, name:e.target.value})} />
+        <button className="emp-new" type="submit" disabled={busy}>+ Add Holiday</button>
+      </form>
+      {err && <div className="form-error">{err}</div>}
+
+      <div className="emp-toolbar">
+        <div />
+        <select className="emp-select" value={year} onChange={e=>setYear(e.target.value)}>
+          {years.map(y => <option key={y} value={y}>{y}</option>)}
+        </select>
+      </div>
+
+      <table className="emp-table">
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>Day</th>
+            <th>Name</th>
+            <th>Action</th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.map(h => (
+            <tr key={h.id}>
+              <td style={{width:150}}>{toDMY(h.date)}</td>
+              <td style={{width:150}}>{new Date(`${h.date}T00:00:00`).toLocaleDateString(undefined, { weekday:'long' })}</td>
+              <td>{h.name}</td>
+              <td style={{width:160}}>
+                <PillBtn variant="red" onClick={()=>remove(h)}>Remove</PillBtn>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {items.length === 0 && <div style={{opacity:.6, padding:'8px 4px'}}>No holidays defined for {year}.</div>}
+      <div className="emp-days" style={{marginTop:8}}>
+        Holidays apply to every team. Only managers without a team can change them.
+      </div>
+    </div>
+  )
+}
+
+/* ================= Leave types ================= */
+const TYPE_RULES = [
+  { key:'counts_allowance', label:'Counts against allowance' },
+  { key:'needs_approval', label:'Needs approval' },
+  { key:'needs_attachment', label:'Needs attachment' },
+]
+const NEW_TYPE = { name:'', color:'#3F634D', counts_allowance:true, needs_approval:true, needs_attachment:false }
+
+function LeaveTypesPanel() {
+  const [types, reload] = useLeaveTypes(true)
+  const [form, setForm] = useState(NEW_TYPE)
+  const [editing, setEditing] = useState(null) // type whose name/color the form is editing
+  const [err, setErr] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  // Every change goes through here so errors (duplicate name, last active type…) show in one place
+  const run = async (fn) => {
+    setErr('')
+    try { await fn(); await reload() } catch (e) { setErr(e.message || 'Failed to save leave type') }
+  }
+
+  const save = async (e) => {
+    e.preventDefault()
+    if (!form.name.trim()) return setErr('Please fill the name')
+    setBusy(true)
+    await run(async () => {
+      if (editing) await api.updateLeaveType(editing.id, { name: form.name.trim(), color: form.color })
+      else await api.createLeaveType({ ...form, name: form.name.trim() })
+      setForm(NEW_TYPE); setEditing(null)
+    })
+    setBusy(false)
+  }
+
+  const edit = (t) => { setEditing(t); setForm({ ...NEW_TYPE, name: t.name, color: t.color }) }
+  const cancelEdit = () => { setEditing(null); setForm(NEW_TYPE) }
+
+  const remove = (t) => {
+    if (!window.confirm(`Delete "${t.name}"?`)) return
+    run(() => api.deleteLeaveType(t.id))
+  }
+
+  return (
+    <div className="auth-card" style={{width:'min(980px,96vw)'}}>
+      <HeaderWithUser title="Leave types" />
+
+      {/* Add/rename form; rules of existing types are toggled in the table */}
+      <form onSubmit={save} className="type-form">
+        <input className="emp-input" placeholder="Type name" value={form.name} onChange={e=>setForm({...form, name:e.target.value})} />
+        <input className="type-color" type="color" title="Color" value={form.color} onChange={e=>setForm({...form, color:e.target.value.toUpperCase()})} />
+        <button className="emp-new" type="submit" disabled={busy}>{editing ? 'Save' : '+ Add Type'}</button>
+        {editing && <button type="button" className="history-btn" onClick={cancelEdit}>Cancel</button>}
+      </form>
+      {!editing && (
+        <div className="type-rules">
+          {TYPE_RULES.map(rule => (
+            <label key={rule.key} className="row">
+              <input className="checkbox" type="checkbox" checked={form[rule.key]} onChange={e=>setForm({...form, [rule.key]:e.target.checked})} />
+              <span>{rule.label}</span>
+            </label>
+          ))}
+        </div>
+      )}
+      {err && <div className="form-error">{err}</div>}
+
+      <table className="emp-table">
+        <thead>
+          <tr>
+            <th>Type</th>
+            {TYPE_RULES.map(rule => <th key={rule.key}>{rule.label}</th>)}
+            <th>Action</th>
+          </tr>
+        </thead>
+        <tbody>
+          {types.map(t => (
+            <tr key={t.id} className={t.active ? undefined : 'row-archived'}>
+              <td>
+                <TypeBadge name={t.name} color={t.color} />
+                {!t.active && <div className="emp-days">Archived</div>}
+              </td>
+              {TYPE_RULES.map(rule => (
+                <td key={rule.key} style={{width:130}}>
+                  <input
+                    className="checkbox" type="checkbox" aria-label={`${t.name}: ${rule.label}`}
+                    checked={t[rule.key]} onChange={e=>run(() => api.updateLeaveType(t.id, { [rule.key]: e.target.checked }))}
+                  />
+                </td>
+              ))}
+              <td style={{width:300, display:'flex', gap:10, alignItems:'center'}}>
+                <button type="button" className="history-btn" onClick={()=>edit(t)}>Edit</button>
+                <button type="button" className="history-btn" onClick={()=>run(() => api.updateLeaveType(t.id, { active: !t.active }))}>
+                  {t.active ? 'Archive' : 'Restore'}
+                </button>
+                <PillBtn variant="red" onClick={()=>remove(t)}>Delete</PillBtn>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="emp-days" style={{marginTop:8}}>
+        Archived types stay on existing requests but cannot be chosen for new ones. Types already used by requests cannot be deleted.
+        Only managers without a team can change leave types.
+      </div>
+    </div>
+  )
+}
+
+/* ================= Approval chains ================= */
+const APPROVERS = [
+  { value:'team', label:'Team lead', hint:"managers of the employee's team" },
+  { value:'org', label:'HR', hint:'managers without a team' },
+  { value:'any', label:'Any manager', hint:'anyone who sees the request' },
+]
+const MAX_STEPS = 5
+const NEW_CHAIN = { name:'', leave_type_id:'', min_days:'', steps:[{ approver:'team', label:'' }] }
+const approverLabel = (v) => APPROVERS.find(a => a.value === v)?.label || v
+
+function ApprovalsPanel() {
+  const [chains, setChains] = useState([])
+  const [types] = useLeaveTypes(true)
+  const [form, setForm] = useState(NEW_CHAIN)
+  const [editing, setEditing] = useState(null) // chain the form is editing
+  const [err, setErr] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  const load = useCallback(async () => setChains(await api.approvalChains()), [])
+  useEffect(() => { load().catch(e => setErr(e.message || 'Failed to load approval chains')) }, [load])
+
+  // Every change goes through here so errors (overlapping chain, read-only for team leads…) show in one place
+  const run = async (fn) => {
+    setErr('')
+    try { await fn(); await load() } catch (e) { setErr(e.message || 'Failed to save approval chain') }
+  }
+
+  // A label still equal to the old approver's default follows the approver
+  const setStep = (i, patch) => setForm(f => ({
+    ...f,
+    steps: f.steps.map((s, j) => {
+      if (j !== i) return s
+      const label = patch.approver && s.label === approverLabel(s.approver) ? '' : s.label
+      return { ...s, label, ...patch }
+    }),
+  }))
+  const addStep = () => setForm(f => ({ ...f, steps: [...f.steps, { approver:'org', label:'' }] }))
+  const removeStep = (i) => setForm(f => ({ ...f, steps: f.steps.filter((_, j) => j !== i) }))
+
+  const save = async (e) => {
+    e.preventDefault()
+    if (!form.name.trim()) return setErr('Please fill the name')
+    setBusy(true)
+    await run(async () => {
+      const body = {
+        name: form.name.trim(),
+        leave_type_id: form.leave_type_id || null,
+        min_days: form.min_days === '' ? null : form.min_days,
+        steps: form.steps.map(s => ({ approver: s.approver, label: s.label.trim() })),
+      }
+      if (editing) await api.updateApprovalChain(editing.id, body)
+      else await api.createApprovalChain(body)
+      setForm(NEW_CHAIN); setEditing(null)
+    })
+    setBusy(false)
+  }
+
+  const edit = (c) => {
+    setEditing(c)
+    setForm({ name: c.name, leave_type_id: c.leave_type_id ?? '', min_days: c.min_days ?? '', steps: c.steps.map(s => ({ ...s })) })
+  }
+  const cancelEdit = () => { setEditing(null); setForm(NEW_CHAIN) }
+
+  const remove = (c) => {
+    if (!window.confirm(`Delete the approval chain "${c.name}"? Requests already submitted keep their steps.`)) return
+    run(() => api.deleteApprovalChain(c.id))
+  }
+
+  return (
+    <div className="auth-card" style={{width:'min(980px,96vw)'}}>
+      <HeaderWithUser title="Approvals" />
+
+      {/* Chain form: when it applies, then who signs, in order */}
+      <form onSubmit={save}>
+        <div className="chain-form">
+          <input className="emp-input" placeholder="Chain name" value={form.name} onChange={e=>setForm({...form, name:e.target.value})} />
+          <select className="emp-select" value={form.leave_type_id} onChange={e=>setForm({...form, leave_type_id:e.target.value})}>
+            <option value="">Any leave type</option>
+            {types.map(t => <option key={t.id} value={t.id}>{t.name}{t.active ? '' : ' (archived)'}</option>)}
+          </select>
+          <input className="emp-input" type="number" min="0.5" max="366" step="0.5" placeholder="From (days)" title="Applies from this many working days; empty = any length"
+                 value={form.min_days} onChange={e=>setForm({...form, min_days:e.target.value})} />
+          <button className="emp-new" type="submit" disabled={busy}>{editing ? 'Save' : '+ Add Chain'}</button>
+          {editing && <button type="button" className="history-btn" onClick={cancelEdit}>Cancel</button>}
+        </div>
+        <ol className="chain-steps">
+          {form.steps.map((s, i) => (
+            <li key={i}>
+              <select className="emp-select" value={s.approver} onChange={e=>setStep(i, { approver:e.target.value })}>
+                {APPROVERS.map(a => <option key={a.value} value={a.value}>{a.label} ({a.hint})</option>)}
+              </select>
+              <input className="emp-input" maxLength={40} placeholder={`Label (default: ${approverLabel(s.approver)})`}
+                     value={s.label} onChange={e=>setStep(i, { label:e.target.value })} />
+              {form.steps.length > 1 && <button type="button" className="history-btn" onClick={()=>removeStep(i)}>Remove</button>}
+            </li>
+          ))}
+        </ol>
+        {form.steps.length < MAX_STEPS && <button type="button" className="history-btn" onClick={addStep}>+ Add step</button>}
+      </form>
+      {err && <div className="form-error">{err}</div>}
+
+      <table className="emp-table">
+        <thead>
+          <tr><th>Chain</th><th>Applies to</th><th>Steps</th><th>Action</th></tr>
+        </thead>
+        <tbody>
+          {chains.map(c => (
+            <tr key={c.id}>
+              <td style={{width:200}}><b>{c.name}</b></td>
+              <td style={{width:220}}>
+                {c.type_name || 'Any leave type'}
+                <div className="emp-days">{c.min_days ? `From ${c.min_days} working day(s)` : 'Any length'}</div>
+              </td>
+              <td>{c.steps.map(s => s.label).join(' → ')}</td>
+              <td style={{width:220, display:'flex', gap:10, alignItems:'center'}}>
+                <button type="button" className="history-btn" onClick={()=>edit(c)}>Edit</button>
+                <PillBtn variant="red" onClick={()=>remove(c)}>Delete</PillBtn>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {chains.length === 0 && <div style={{opacity:.6, padding:'8px 4px'}}>No approval chains: one manager's decision settles every request.</div>}
+      <div className="emp-days" style={{marginTop:8}}>
+        A request follows the most specific chain it matches (its leave type first, then the highest length it reaches);
+        requests matching none need a single approval. Only managers without a team can change chains.
+      </div>
+    </div>
+  )
+}
+
+/* ================= Policies ================= */
+const POLICY_KINDS = [
+  { value:'notice', label:'Minimum notice', days:'Longer than (days)', daysHint:'Applies to requests longer than this many working days; empty = all', notice:true },
+  { value:'max_consecutive', label:'Max consecutive days', days:'At most (days)', daysHint:'Most working days in a row, counting requests that touch each other', notice:false },
+  { value:'auto_approve', label:'Auto-approve', days:'Up to (days)', daysHint:'Requests of up to this many working days', notice:true },
+]
+const NEW_RULE = { kind:'notice', leave_type_id:'', days:'', notice_days:'', message:'', active:true }
+const policyKind = (v) => POLICY_KINDS.find(k => k.value === v) || POLICY_KINDS[0]
+
+function PoliciesPanel() {
+  const [rules, setRules] = useState([])
+  const [types] = useLeaveTypes(true)
+  const [form, setForm] = useState(NEW_RULE)
+  const [editing, setEditing] = useState(null) // rule the form is editing
+  const [err, setErr] = useState('')
+  const [busy, setBusy] = useState(false)
+  const kind = policyKind(form.kind)
+
+  const load = useCallback(async () => setRules(await api.policies()), [])
+  useEffect(() => { load().catch(e => setErr(e.message || 'Failed to load policies')) }, [load])
+
+  // Every change goes through here so errors (missing days, read-only for team leads…) show in one place
+  const run = async (fn) => {
+    setErr('')
+    try { await fn(); await load() } catch (e) { setErr(e.message || 'Failed to save policy') }
+  }
+
+  const save = async (e) => {
+    e.preventDefault()
+    setBusy(true)
+    await run(async () => {
+      const body = {
+        kind: form.kind,
+        leave_type_id: form.leave_type_id || null,
+        days: form.days === '' ? null : form.days,
+        notice_days: kind.notice && form.notice_days !== '' ? form.notice_days : null,
+        message: form.message.trim() || null,
+        active: form.active,
+      }
+      if (editing) await api.updatePolicy(editing.id, body)
+      else await api.createPolicy(body)
+      setForm(NEW_RULE); setEditing(null)
+    })
+    setBusy(false)
+  }
+
+  const edit = (r) => {
+    setEditing(r)
+    setForm({ kind: r.kind, leave_type_id: r.leave_type_id ?? '', days: r.days ?? '', notice_days: r.notice_days ?? '', message: r.message ?? '', active: r.active })
+  }
+  const cancelEdit = () => { setEditing(null); setForm(NEW_RULE) }
+  const toggle = (r) => run(() => api.updatePolicy(r.id, { active: !r.active }))
+
+  const remove = (r) => {
+    if (!window.confirm(`Delete the rule "${r.summary}"?`)) return
+    run(() => api.deletePolicy(r.id))
+  }
+
+  return (
+    <div className="auth-card" style={{width:'min(980px,96vw)'}}>
+      <HeaderWithUser title="Policies" />
+
+      {/* Rule form: what it checks, for which type, and the message employees see */}
+      <form onSubmit={save} className="policy-form">
+        <select className="emp-select" value={form.kind} onChange={e=>setForm({...form, kind:e.target.value})}>
+          {POLICY_KINDS.map(k => <option key={k.value} value={k.value}>{k.label}</option>)}
+        </select>
+        <select className="emp-select" value={form.leave_type_id} onChange={e=>setForm({...form, leave_type_id:e.target.value})}>
+          <option value="">Any leave type</option>
+          {types.map(t => <option key={t.id} value={t.id}>{t.name}{t.active ? '' : ' (archived)'}</option>)}
+        </select>
+        <input className="emp-input" type="number" min="0.5" max="366" step="0.5" placeholder={kind.days} title={kind.daysHint}
+               value={form.days} onChange={e=>setForm({...form, days:e.target.value})} />
+        {kind.notice && (
+          <input className="emp-input" type="number" min="0" max="366" step="1" placeholder="Notice (days ahead)"
+                 title="Calendar days between submitting and the first day off"
+                 value={form.notice_days} onChange={e=>setForm({...form, notice_days:e.target.value})} />
+        )}
+        <input className="emp-input policy-message" maxLength={200} placeholder="Message (default: generated from the rule)"
+               value={form.message} onChange={e=>setForm({...form, message:e.target.value})} />
+        <label className="policy-active">
+          <input type="checkbox" checked={form.active} onChange={e=>setForm({...form, active:e.target.checked})} /> Active
+        </label>
+        <button className="emp-new" type="submit" disabled={busy}>{editing ? 'Save' : '+ Add Rule'}</button>
+        {editing && <button type="button" className="history-btn" onClick={cancelEdit}>Cancel</button>}
+      </form>
+      {err && <div className="form-error">{err}</div>}
+
+      <table className="emp-table">
+        <thead>
+          <tr><th>Rule</th><th>Applies to</th><th>Message</th><th>Action</th></tr>
+        </thead>
+        <tbody>
+          {rules.map(r => (
+            <tr key={r.id} style={r.active ? undefined : {opacity:.55}}>
+              <td style={{width:170}}><b>{policyKind(r.kind).label}</b>{!r.active && <div className="emp-days">Off</div>}</td>
+              <td style={{width:160}}>{r.type_name || 'Any leave type'}</td>
+              <td>{r.summary}</td>
+              <td style={{width:260, display:'flex', gap:10, alignItems:'center'}}>
+                <button type="button" className="history-btn" onClick={()=>edit(r)}>Edit</button>
+                <button type="button" className="history-btn" onClick={()=>toggle(r)}>{r.active ? 'Turn off' : 'Turn on'}</button>
+                <PillBtn variant="red" onClick={()=>remove(r)}>Delete</PillBtn>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {rules.length === 0 && <div style={{opacity:.6, padding:'8px 4px'}}>No policies: any request within the allowance can be submitted.</div>}
+      <div className="emp-days" style={{marginTop:8}}>
+        Checked when employees submit or edit a request. A broken rule refuses the request with its message;
+        otherwise the first auto-approve rule it meets approves it without a manager. Only managers without a team can change policies.
+      </div>
+    </div>
+  )
+}
+
+/* ================= Blackouts ================= */
+const NEW_BLACKOUT = { name:'', date_from:'', date_to:'', team_id:'', soft:false }
+
+function BlackoutsPanel() {
+  const [periods, setPeriods] = useState([])
+  const [teams] = useTeams()
+  const [form, setForm] = useState(NEW_BLACKOUT)
+  const [editing, setEditing] = useState(null) // period the form is editing
+  const [err, setErr] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  const load = useCallback(async () => setPeriods(await api.adminBlackouts()), [])
+  useEffect(() => { load().catch(e => setErr(e.message || 'Failed to load blackouts')) }, [load])
+
+  // Every change goes through here so errors (bad range, another manager's team…) show in one place
+  const run = async (fn) => {
+    setErr('')
+    try { await fn(); await load() } catch (e) { setErr(e.message || 'Failed to save blackout') }
+  }
+
+  const save = async (e) => {
+    e.preventDefault()
+    setBusy(true)
+    await run(async () => {
+      const body = { ...form, name: form.name.trim(), team_id: form.team_id || null }
+      if (editing) await api.updateBlackout(editing.id, body)
+      else await api.createBlackout(body)
+      setForm(NEW_BLACKOUT); setEditing(null)
+    })
+    setBusy(false)
+  }
+
+  const edit = (b) => {
+    setEditing(b)
+    setForm({ name: b.name, date_from: b.date_from, date_to: b.date_to, team_id: b.team_id ?? '', soft: b.soft })
+  }
+  const cancelEdit = () => { setEditing(null); setForm(NEW_BLACKOUT) }
+
+  const remove = (b) => {
+    if (!window.confirm(`Delete the blackout "${b.name}"?`)) return
+    run(() => api.deleteBlackout(b.id))
+  }
+
+  return (
+    <div className="auth-card" style={{width:'min(980px,96vw)'}}>
+      <HeaderWithUser title="Blackouts" />
+
+      {/* Period form: name, inclusive dates, who it binds, and whether it only warns */}
+      <form onSubmit={save} className="blackout-form">
+        <input className="emp-input" maxLength={60} placeholder="Name (e.g. Quarter-end close)"
+               value={form.name} onChange={e=>setForm({...form, name:e.target.value})} />
+        <input className="emp-input" type="date" title="From" value={form.date_from} onChange={e=>setForm({...form, date_from:e.target.value})} />
+        <input className="emp-input" type="date" title="To" value={form.date_to} onChange={e=>setForm({...form, date_to:e.target.value})} />
+        <select className="emp-select" value={form.team_id} onChange={e=>setForm({...form, team_id:e.target.value})}>
+          <option value="">Everyone</option>
+          {teams.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+        </select>
+        <label className="blackout-soft" title="Employees are warned but may still request leave">
+          <input type="checkbox" checked={form.soft} onChange={e=>setForm({...form, soft:e.target.checked})} /> Warn only
+        </label>
+        <button className="emp-new" type="submit" disabled={busy}>{editing ? 'Save' : '+ Add Blackout'}</button>
+        {editing && <button type="button" className="history-btn" onClick={cancelEdit}>Cancel</button>}
+      </form>
+      {err && <div className="form-error">{err}</div>}
+
+      <table className="emp-table">
+        <thead>
+          <tr><th>Name</th><th>Dates</th><th>Applies to</th><th>Mode</th><th>Action</th></tr>
+        </thead>
+        <tbody>
+          {periods.map(b => (
+            <tr key={b.id}>
+              <td><b>{b.name}</b></td>
+              <td style={{width:200}}>{toDMY(b.date_from)} – {toDMY(b.date_to)}</td>
+              <td style={{width:150}}>{b.team_name || 'Everyone'}</td>
+              <td style={{width:110}}><span className={`blackout-mode ${b.soft ? 'bo-soft' : 'bo-hard'}`}>{b.soft ? 'Warn only' : 'No leave'}</span></td>
+              <td style={{width:180, display:'flex', gap:10, alignItems:'center'}}>
+                <button type="button" className="history-btn" onClick={()=>edit(b)}>Edit</button>
+                <PillBtn variant="red" onClick={()=>remove(b)}>Delete</PillBtn>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {periods.length === 0 && <div style={{opacity:.6, padding:'8px 4px'}}>No blackouts: leave can be requested on any day.</div>}
+      <div className="emp-days" style={{marginTop:8}}>
+        Requests touching a blackout are refused, even when sent straight to the API; "warn only" periods just warn in the request form.
+        Requests already submitted are not re-checked. Managers of teams set blackouts for their teams; only managers without a team set them for everyone.
+      </div>
+    </div>
+  )
+}
+
+/* ================= Staffing ================= */
+const STAFFING_ROLES = [
+  { value:'', label:'Any role' },
+  { value:'employee', label:'Employees' },
+  { value:'manager', label:'Managers' },
+]
+const NEW_MINIMUM = { team_id:'', role:'', min_present:'' }
+
+function StaffingPanel() {
+  const [minimums, setMinimums] = useState([])
+  const [teams] = useTeams()
+  const [form, setForm] = useState(NEW_MINIMUM)
+  const [editing, setEditing] = useState(null) // minimum the form is editing
+  const [err, setErr] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  const load = useCallback(async () => setMinimums(await api.staffing()), [])
+  useEffect(() => { load().catch(e => setErr(e.message || 'Failed to load staffing minimums')) }, [load])
+
+  // Every change goes through here so errors (duplicate, another manager's team…) show in one place
+  const run = async (fn) => {
+    setErr('')
+    try { await fn(); await load() } catch (e) { setErr(e.message || 'Failed to save minimum') }
+  }
+
+  const save = async (e) => {
+    e.preventDefault()
+    setBusy(true)
+    await run(async () => {
+      const body = { team_id: form.team_id || null, role: form.role || null, min_present: Number(form.min_present) }
+      if (editing) await api.updateStaffing(editing.id, body)
+      else await api.createStaffing(body)
+      setForm(NEW_MINIMUM); setEditing(null)
+    })
+    setBusy(false)
+  }
+
+  const edit = (m) => {
+    setEditing(m)
+    setForm({ team_id: m.team_id ?? '', role: m.role ?? '', min_present: m.min_present })
+  }
+  const cancelEdit = () => { setEditing(null); setForm(NEW_MINIMUM) }
+
+  const remove = (m) => {
+    if (!window.confirm(`Delete the minimum for ${m.label}?`)) return
+    run(() => api.deleteStaffing(m.id))
+  }
+
+  return (
+    <div className="auth-card" style={{width:'min(980px,96vw)'}}>
+      <HeaderWithUser title="Staffing" />
+
+      {/* Minimum form: which people (team, role or both) and how many must be at work */}
+      <form onSubmit={save} className="blackout-form">
+        <select className="emp-select" value={form.team_id} onChange={e=>setForm({...form, team_id:e.target.value})}>
+          <option value="">Any team</option>
+          {teams.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+        </select>
+        <select className="emp-select" value={form.role} onChange={e=>setForm({...form, role:e.target.value})}>
+          {STAFFING_ROLES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+        </select>
+        <input className="emp-input" type="number" min="1" max="999" step="1" placeholder="At least (people)"
+               value={form.min_present} onChange={e=>setForm({...form, min_present:e.target.value})} />
+        <button className="emp-new" type="submit" disabled={busy}>{editing ? 'Save' : '+ Add Minimum'}</button>
+        {editing && <button type="button" className="history-btn" onClick={cancelEdit}>Cancel</button>}
+      </form>
+      {err && <div className="form-error">{err}</div>}
+
+      <table className="emp-table">
+        <thead>
+          <tr><th>People</th><th>Minimum present</th><th>Action</th></tr>
+        </thead>
+        <tbody>
+          {minimums.map(m => (
+            <tr key={m.id}>
+              <td><b>{m.label}</b></td>
+              <td style={{width:200}}>{m.min_present} per working day</td>
+              <td style={{width:180, display:'flex', gap:10, alignItems:'center'}}>
+                <button type="button" className="history-btn" onClick={()=>edit(m)}>Edit</button>
+                <PillBtn variant="red" onClick={()=>remove(m)}>Delete</PillBtn>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {minimums.length === 0 && <div style={{opacity:.6, padding:'8px 4px'}}>No minimums: approvals never check who is left at work.</div>}
+      <div className="emp-days" style={{marginTop:8}}>
+        Before approving, each working day of the request is checked against already-approved leave; days that would drop below a minimum
+        are listed and need an explicit override, which is recorded in the audit log. Anyone off that day counts as away, half days included.
+        Managers of teams set minimums for their teams; only managers without a team set role-wide ones.
+      </div>
+    </div>
+  )
+}
+
+/* ================= Audit ================= */
+const AUDIT_ACTIONS = [
+  { value:'', label:'All actions' },
+  { value:'user', label:'Users (any)' },
+  { value:'user.create', label:'User created' },
+  { value:'user.update', label:'User edited' },
+  { value:'user.delete', label:'User deleted' },
+  { value:'request', label:'Requests (any)' },
+  { value:'request.approve', label:'Request approved' },
+  { value:'request.approve_step', label:'Approval step signed' },
+  { value:'request.reject', label:'Request rejected' },
+  { value:'request.confirm_cancellation', label:'Cancellation confirmed' },
+  { value:'request.decline_cancellation', label:'Cancellation declined' },
+  { value:'holiday', label:'Holidays (any)' },
+  { value:'leave_type', label:'Leave types (any)' },
+  { value:'team', label:'Teams (any)' },
+  { value:'approval_chain', label:'Approval chains (any)' },
+  { value:'policy', label:'Policies (any)' },
+  { value:'blackout', label:'Blackouts (any)' },
+  { value:'staffing', label:'Staffing minimums (any)' },
+  { value:'delegation', label:'Delegations (any)' },
+]
+const actionLabel = (a) => AUDIT_ACTIONS.find(x => x.value === a)?.label || a
+const fmtVal = (v) => v === null || v === undefined || v === '' ? '—' : String(v)
+
+function AuditPanel() {
+  const [items, setItems] = useState([])
+  const [users, setUsers] = useState([])
+  const [f, setF] = useState({ actor_id:'', target_user_id:'', action:'', date_from:'', date_to:'' })
+  const [err, setErr] = useState('')
+
+  useEffect(() => { api.listUsers().then(setUsers).catch(() => setUsers([])) }, [])
+  useEffect(() => {
+    let active = true
+    setErr('')
+    api.auditLog(f).then(rows => active && setItems(rows)).catch(e => active && setErr(e.message || 'Failed to load audit log'))
+    return () => { active = false }
+  }, [f])
+
+  const managers = users.filter(u => u.role === 'manager')
+  const set = (k) => (e) => setF({ ...f, [k]: e.target.value })
+
+  return (
+    <div className="auth-card" style={{width:'min(980px,96vw)'}}>
+      <HeaderWithUser title="Audit" />
+
+      <div className="audit-filters">
+        <select className="emp-select" value={f.actor_id} onChange={set('actor_id')} title="Actor">
+          <option value="">Any actor</option>
+          {managers.map(u => <option key={u.id} value={u.id}>{u.name}</option>)}
+        </select>
+        <select className="emp-select" value={f.target_user_id} onChange={set('target_user_id')} title="Target user">
+          <option value="">Any target user</option>
+          {users.map(u => <option key={u.id} value={u.id}>{u.name}</option>)}
+        </select>
+        <select className="emp-select" value={f.action} onChange={set('action')} title="Action">
+          {AUDIT_ACTIONS.map(a => <option key={a.value} value={a.value}>{a.label}</option>)}
+        </select>
+        <input className="emp-input" type="date" value={f.date_from} onChange={set('date_from')} title="From" />
+        <input className="emp-input" type="date" value={f.date_to} onChange={set('date_to')} title="To" />
+      </div>
+      {err && <div className="form-error">{err}</div>}
+
+      <table className="emp-table">
+        <thead>
+          <tr>
+            <th>When</th>
+            <th>Actor</th>
+            <th>Action</th>
+            <th>Target</th>
+            <th>Changes</th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.map(a => (
+            <tr key={a.id}>
+              <td style={{width:150}}>
+                {new Date(`${a.created_at.replace(' ', 'T')}Z`).toLocaleString()}
+                <div className="emp-days">{a.ip || '—'}</div>
+              </td>
+              <td style={{width:140}}>
+                {a.actor_name}
+                {a.on_behalf_of_name && <div className="emp-days">on behalf of {a.on_behalf_of_name}</div>}
+              </td>
+              <td style={{width:170}}>{actionLabel(a.action)}</td>
+              <td style={{width:170}}>
+                {a.target_label || `${a.target_type} #${a.target_id}`}
+                {a.target_user_name && a.target_type !== 'user' && <div className="emp-days">{a.target_user_name}</div>}
+              </td>
+              <td>
+                <ul className="audit-diff">
+                  {Object.entries(a.diff).map(([k, d]) => (
+                    <li key={k}><b>{k}</b>: {fmtVal(d.from)} → {fmtVal(d.to)}</li>
+                  ))}
+                </ul>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {items.length === 0 && !err && <div style={{opacity:.6, padding:'8px 4px'}}>No entries match these filters.</div>}
+    </div>
+  )
+}
+
 /* ---------- Page wrapper exporting both panels with tabs or stacked ---------- */
 /**
  * ManagerHome
  * Centered like the other auth pages.
  */
 export default function ManagerHome() {
-  const [tab, setTab] = useState('requests'); // 'requests' | 'users'
+  const [tab, setTab] = useState('requests'); // 'requests' | 'users' | 'teams' | 'calendar' | 'holidays' | 'types' | 'approvals' | 'policies' | 'blackouts' | 'staffing' | 'audit'
+  const [searchParams] = useSearchParams();
+  const focus = searchParams.get('focus');
+
+  // A notification jump (?focus=<id>) always lands on the Requests tab
+  useEffect(() => { if (focus) setTab('requests'); }, [focus]);
+
+  const tabs = [
+    { key: 'requests', label: 'Requests', Panel: RequestsPanel },
+    { key: 'users', label: 'Users', Panel: UsersPanel },
+    { key: 'teams', label: 'Teams', Panel: TeamsPanel },
+    { key: 'calendar', label: 'Calendar', Panel: CalendarPanel },
+    { key: 'holidays', label: 'Holidays', Panel: HolidaysPanel },
+    { key: 'types', label: 'Leave types', Panel: LeaveTypesPanel },
+    { key: 'approvals', label: 'Approvals', Panel: ApprovalsPanel },
+    { key: 'policies', label: 'Policies', Panel: PoliciesPanel },
+    { key: 'blackouts', label: 'Blackouts', Panel: BlackoutsPanel },
+    { key: 'staffing', label: 'Staffing', Panel: StaffingPanel },
+    { key: 'audit', label: 'Audit', Panel: AuditPanel },
+  ];
+  const Active = tabs.find((t) => t.key === tab)?.Panel || RequestsPanel;
 
   return (
     <div className="auth-page">
       {/* width wrapper so tabs align with the card below */}
       <div style={{ width: 'min(980px,96vw)' }}>
         <div className="tabs" style={{ marginBottom: 12 }}>
-          <button
-            className="tab"
-            aria-selected={tab === 'requests'}
-            onClick={() => setTab('requests')}
-          >
-            Requests
-          </button>
-          <button
-            className="tab"
-            aria-selected={tab === 'users'}
-            onClick={() => setTab('users')}
-          >
-            Users
-          </button>
+          {tabs.map((t) => (
+            <button
+              key={t.key}
+              className="tab"
+              aria-selected={tab === t.key}
+              onClick={() => setTab(t.key)}
+            >
+              {t.label}
+            </button>
+          ))}
         </div>
 
         {/* Panels already render their own .auth-card; leaving them as-is */}
-        {tab === 'requests' ? <RequestsPanel /> : <UsersPanel />}
+        <Active />
       </div>
     </div>
   );
@@ -0,0 +1,123 @@
+/**
+ * ---------------- src/pages/Profile.jsx ----------------
+ *
+ * JavaScript/React Version: 18+
+ * Profile page (reachable from the account menu of both homes).
+ * - Shows the signed-in user's account details
+ * - Lets the user choose which request events are emailed to them
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { api } from '../api';
+import Brand from '../components/Brand';
+import { useAuth } from '../AuthContext';
+
+/** Preference key → label; `managerOnly` events only concern people who review requests. */
+const EVENTS = [
+  { key: 'submitted', label: 'A new request is submitted', managerOnly: true },
+  { key: 'awaiting', label: 'A request reaches my approval step', managerOnly: true },
+  { key: 'approved', label: 'My request is approved' },
+  { key: 'rejected', label: 'My request is rejected' },
+  { key: 'cancelled', label: 'My leave cancellation is confirmed' },
+];
+
+/**
+ * Profile
+ *
+ * State:
+ * - prefs: {submitted, awaiting, approved, rejected, cancelled} booleans (null while loading)
+ * - saved: short confirmation shown after a successful save
+ * - err: last load/save error
+ *
+ * @returns {JSX.Element}
+ */
+export default function Profile() {
+  const { user } = useAuth();
+  const [prefs, setPrefs] = useState(null);
+  const [saved, setSaved] = useState(false);
+  const [err, setErr] = useState('');
+
+  useEffect(() => {
+    api.notificationPrefs()
+      .then(setPrefs)
+      .catch((e) => setErr(e.message || 'Could not load preferences'));
+  }, []);
+
+  /**
+   * toggle
+   * Save one preference immediately; on failure restore the previous value.
+   *
+   * @param {string} key event key
+   */
+  const toggle = async (key) => {
+    const before = prefs;
+    const next = { ...prefs, [key]: !prefs[key] };
+    setPrefs(next);
+    setSaved(false);
+    setErr('');
+    try {
+      setPrefs(await api.updateNotificationPrefs({ [key]: next[key] }));
+      setSaved(true);
+    } catch (e) {
+      setPrefs(before); // If the save failed, show what is really stored.
+      setErr(e.message || 'Could not save preferences');
+    }
+  };
+
+  const isManager = user?.role === 'manager';
+  const home = isManager ? '/manager' : '/employee';
+  const events = EVENTS.filter((ev) => isManager || !ev.managerOnly); // If employee, hide reviewer-only events.
+
+  return (
+    <div className="auth-page">
+      <div className="auth-card" style={{ width: 'min(620px,96vw)' }}>
+        <div className="emp-header">
+          <Brand />
+          <Link to={home} className="btn btn-secondary">← Back</Link>
+        </div>
+
+        <h1 className="auth-title" style={{ marginTop: 0 }}>Profile</h1>
+
+        {user && (
+          <dl className="profile-details">
+            <dt>Name</dt>
+            <dd>{user.name}</dd>
+            <dt>Email</dt>
+            <dd>{user.email}</dd>
+            <dt>Employee code</dt>
+            <dd>{user.employee_code}</dd>
+            <dt>Role</dt>
+            <dd>{isManager ? 'Manager' : 'Employee'}</dd>
+          </dl>
+        )}
+
+        <div className="emp-sep" />
+        <h2 className="profile-heading">Email notifications</h2>
+        <p className="emp-days">Choose which request updates are sent to {user?.email || 'your inbox'}.</p>
+
+        {prefs && (
+          <div className="profile-prefs">
+            {events.map((ev) => (
+              <label key={ev.key} className="row">
+                <input
+                  className="checkbox"
+                  type="checkbox"
+                  checked={Boolean(prefs[ev.key])}
+                  onChange={() => toggle(ev.key)} // Saved right away, no submit button.
+                />
+                <span style={{ fontWeight: 800 }}>{ev.label}</span>
+              </label>
+            ))}
+          </div>
+        )}
+
+        {saved && <div className="profile-saved">Preferences saved.</div>}
+        {err && <div className="form-error">{err}</div>}
+      </div>
+    </div>
+  );
+}
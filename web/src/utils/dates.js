@@ -0,0 +1,24 @@
+/**
+ * ---------------- src/utils/dates.js ----------------
+ *
+ * JavaScript/React Version: 18+
+ * Date formatting shared by the pages and components.
+ *
+ * Author: Christos Polimatidis
+ * Date:   2025-11-01
+ */
+
+/**
+ * toDMY
+ * Convert "YYYY-MM-DD" to "DD-MM-YYYY" for display.
+ *
+ * @param {string} s ISO-like date string (YYYY-MM-DD).
+ * @returns {string} Formatted "DD-MM-YYYY" or empty string when falsy input.
+ */
+export const toDMY = (s) => {
+  if (!s) { // If no string provided, return empty to avoid "undefined".
+    return '';
+  }
+  const [y, m, d] = String(s).split('-');
+  return [d, m, y].join('-');
+};